@@ -0,0 +1,104 @@
+import path from 'node:path';
+
+import collisions from './collisions.js';
+import expansion from './expansion.js';
+
+const ASSET_EXTENSIONS = new Set([
+  '.apng',
+  '.avif',
+  '.bmp',
+  '.gif',
+  '.ico',
+  '.jpeg',
+  '.jpg',
+  '.mp4',
+  '.pdf',
+  '.png',
+  '.svg',
+  '.webm',
+  '.webp',
+]);
+const ASSETS_DIRECTORY = 'assets';
+const SIZE_UNITS = { b: 1, gb: 1024 ** 3, kb: 1024, mb: 1024 ** 2 };
+
+/**
+ * Finds the assets targeted by the relative links of extracted files.
+ * @param {Array<{path: string}>} candidates - Assets that can be downloaded, as returned by listAssets.
+ * @param {Iterable<string[]>} linkTargets - The link targets of each extracted file (see links.rewriteLinks).
+ * @returns {Array<object>} The referenced candidates, in their original order.
+ */
+function findReferencedAssets(candidates, linkTargets) {
+  const targets = new Set([...linkTargets].flat());
+  return candidates.filter((asset) => targets.has(asset.path));
+}
+
+/**
+ * Tells whether a file is an asset that documentation can reference (images, videos, PDFs).
+ * @param {string} filePath - A file path.
+ * @returns {boolean}
+ */
+function isAsset(filePath) {
+  return ASSET_EXTENSIONS.has(path.posix.extname(filePath).toLowerCase());
+}
+
+/**
+ * Lists the assets of a repository tree and computes where they would be written.
+ *
+ * Assets are flattened into a single `assets` folder at the root of the output
+ * directory: the filename encodes the full repository path (e.g.
+ * `packages/react/docs/img/logo.png` → `assets/packages-react-docs-img-logo.png`).
+ * Colliding names get a stable suffix, like documentation files.
+ *
+ * Some trees do not list the size of their entries (GitLab): such assets are
+ * candidates, and their size is checked once they are downloaded.
+ *
+ * @param {Array<{path: string, type: string, sha: string, size?: number}>} entries - The entries of a Git tree.
+ * @param {number} maxSize - The maximum size of a downloaded asset, in bytes.
+ * @returns {{candidates: Array<{path: string, sha: string, size?: number, output: string}>, oversized: Set<string>}}
+ *   candidates:
+ *     The assets not known to be larger than maxSize, with their output path relative to the output directory.
+ *   oversized:
+ *     The repository paths of the assets larger than maxSize.
+ */
+function listAssets(entries, maxSize) {
+  const assets = entries
+    .filter((entry) => entry.type === 'blob' && !expansion.isSymlink(entry) && isAsset(entry.path))
+    .map((entry) => ({
+      ...(entry.__origin ? { __origin: entry.__origin } : {}),
+      output: `${ASSETS_DIRECTORY}/${entry.path.split('/').join('-')}`,
+      path: entry.path,
+      sha: entry.sha,
+      size: entry.size,
+    }));
+
+  const { files } = collisions.resolveCollisions(assets, 'suffix');
+
+  return {
+    candidates: files.filter((asset) => !(asset.size > maxSize)),
+    oversized: new Set(files.filter((asset) => asset.size > maxSize).map((asset) => asset.path)),
+  };
+}
+
+/**
+ * Parses a size such as `500KB`, `2MB` or a number of bytes. Units are powers of 1024.
+ * @param {string|number} value - The size.
+ * @returns {number|undefined} The size in bytes, or undefined when the value is not a size.
+ */
+function parseSize(value) {
+  const match = /^(?<amount>\d+(?:\.\d+)?)\s*(?<unit>[gkm]?b)?$/i.exec(String(value).trim());
+
+  if (!match) {
+    return;
+  }
+
+  const { amount, unit = 'b' } = match.groups;
+  return Math.floor(Number(amount) * SIZE_UNITS[unit.toLowerCase()]);
+}
+
+export default {
+  ASSETS_DIRECTORY,
+  findReferencedAssets,
+  isAsset,
+  listAssets,
+  parseSize,
+};
@@ -0,0 +1,473 @@
+import path from 'node:path';
+
+import assets from './assets.js';
+
+const CHARACTERS_PER_TOKEN = 4;
+const FENCE_PATTERN = /^ {0,3}(?<fence>`{3,}|~{3,})/;
+const FRONT_MATTER_PATTERN = /^---[^\S\n]*\n(?:[\s\S]*?\n)?(?:---|\.\.\.)[^\S\n]*(?:\n|$)/;
+const IN_PAGE_LINK_PATTERN = /(?<prefix>\]\(|\shref=["'])#(?<anchor>[^\s"')]+)/g;
+const HEADING_PATTERN = /^ {0,3}(?<hashes>#{1,6})(?:[^\S\n]+(?<text>.*?))?(?:[^\S\n]+#+)?[^\S\n]*$/;
+const MAX_SLUG_LENGTH = 60;
+const TOKENS_PATTERN = /^(?<amount>\d+(?:\.\d+)?)\s*(?<thousands>k)?\s*tokens?$/i;
+
+/**
+ * Estimates the number of tokens of a text, at about 4 characters per token.
+ * The estimate does not depend on a tokenizer, so it is only an order of magnitude.
+ * @param {string} text - The text.
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Formats a chunk budget as stored in the sync manifest, e.g. `4000 tokens`.
+ * @param {{size: number, unit: string}} budget - A budget returned by parseChunkBudget.
+ * @returns {string}
+ */
+function formatChunkBudget({ size, unit }) {
+  return `${size} ${unit}`;
+}
+
+/**
+ * Computes the GitHub anchor of a heading, without the deduplication suffix.
+ * @param {string} title - The text of the heading.
+ * @returns {string}
+ */
+function getAnchor(title) {
+  return title.toLowerCase().replaceAll(/[^\p{L}\p{M}\p{N}\s_-]/gu, '').trim().replaceAll(/\s/g, '-');
+}
+
+/**
+ * Lists the lines of a section and all its subsections.
+ * @param {object} node - A section returned by parseSections.
+ * @returns {string[]}
+ */
+function getSubtreeLines(node) {
+  return [...node.lines, ...node.children.flatMap((child) => getSubtreeLines(child))];
+}
+
+/**
+ * Tells whether lines contain anything but blank lines.
+ * @param {string[]} lines - Markdown lines.
+ * @returns {boolean}
+ */
+function hasContent(lines) {
+  return lines.some((line) => line.trim() !== '');
+}
+
+/**
+ * Tells whether lines only contain headings and blank lines.
+ * @param {string[]} lines - Markdown lines.
+ * @returns {boolean}
+ */
+function isHeadingOnly(lines) {
+  return lines.every((line) => line.trim() === '' || HEADING_PATTERN.test(line));
+}
+
+/**
+ * Lists the titles of the subsections of a section, in document order.
+ * @param {object} node - A section returned by parseSections.
+ * @returns {string[]}
+ */
+function listHeadingTitles(node) {
+  return node.children.flatMap((child) => [child.title, ...listHeadingTitles(child)]);
+}
+
+/**
+ * Measures a text in bytes or approximate tokens (about four characters per token).
+ * @param {string} text - The text.
+ * @param {string} unit - `bytes` or `tokens`.
+ * @returns {number}
+ */
+function measure(text, unit) {
+  return unit === 'tokens' ? estimateTokens(text) : Buffer.byteLength(text);
+}
+
+/**
+ * Splits the introduction of a section between paragraphs. The following chunks
+ * have the section title in their breadcrumb, as they do not start with its heading.
+ * A single block larger than the budget (e.g. a long code block) is kept whole.
+ * @param {{breadcrumb: string[], lines: string[], title: string|undefined}} item - The introduction.
+ * @param {(breadcrumb: string[], size: number) => boolean} fits - Tells whether content fits in a chunk.
+ * @param {(lines: string[]) => number} measureLines - Measures lines.
+ * @returns {Array<{breadcrumb: string[], lines: string[], title: string|undefined}>}
+ */
+function packParagraphs({ breadcrumb, lines, title }, fits, measureLines) {
+  const continuationBreadcrumb = title === undefined ? breadcrumb : [...breadcrumb, title];
+  const pieces = [];
+  let pending;
+
+  for (const block of splitBlocks(lines)) {
+    const size = measureLines(block);
+
+    if (pending && fits(pending.breadcrumb, pending.size + 1 + size)) {
+      pending.lines.push(...block);
+      pending.size += 1 + size;
+      continue;
+    }
+
+    if (pending) {
+      pieces.push(pending);
+    }
+
+    pending = {
+      breadcrumb: pieces.length === 0 ? breadcrumb : continuationBreadcrumb,
+      lines: [...block],
+      size,
+      title,
+    };
+  }
+
+  if (pending) {
+    pieces.push(pending);
+  }
+
+  return pieces;
+}
+
+/**
+ * Packs the subtree of a section into chunks within the budget. The section is kept
+ * whole when it fits; otherwise its introduction and its subsections are grouped
+ * greedily, subsections too large on their own are split recursively and an
+ * introduction too large on its own is split between paragraphs.
+ * @param {object} node - A section returned by parseSections.
+ * @param {string[]} breadcrumb - The titles of the sections containing the section.
+ * @param {(breadcrumb: string[], size: number) => boolean} fits - Tells whether content fits in a chunk.
+ * @param {(lines: string[]) => number} measureLines - Measures lines.
+ * @returns {Array<{breadcrumb: string[], lines: string[], title: string|undefined}>}
+ */
+function packSection(node, breadcrumb, fits, measureLines) {
+  const childBreadcrumb = node.level === 0 ? breadcrumb : [...breadcrumb, node.title];
+  const items = [
+    { breadcrumb, lines: node.lines, title: node.title },
+    ...node.children.map((child) => ({
+      breadcrumb: childBreadcrumb,
+      lines: getSubtreeLines(child),
+      node: child,
+      title: child.title,
+    })),
+  ];
+  const pieces = [];
+  let pending;
+
+  for (const item of items) {
+    if (!hasContent(item.lines)) {
+      continue;
+    }
+
+    const size = measureLines(item.lines);
+
+    if (pending && fits(pending.breadcrumb, pending.size + 1 + size)) {
+      pending.lines.push(...item.lines);
+      pending.size += 1 + size;
+      continue;
+    }
+
+    if (fits(item.breadcrumb, size)) {
+      if (pending) {
+        pieces.push(pending);
+      }
+
+      pending = { breadcrumb: item.breadcrumb, lines: [...item.lines], size, title: item.title };
+      continue;
+    }
+
+    const itemPieces = item.node
+      ? packSection(item.node, childBreadcrumb, fits, measureLines)
+      : packParagraphs(item, fits, measureLines);
+
+    // The first piece starts with the heading of the item: what precedes it can join it.
+    // A heading without content always does, as it would be useless on its own.
+    if (pending && (isHeadingOnly(pending.lines) || fits(pending.breadcrumb, pending.size + 1 + itemPieces[0].size))) {
+      itemPieces[0] = {
+        ...pending,
+        lines: [...pending.lines, ...itemPieces[0].lines],
+        size: pending.size + 1 + itemPieces[0].size,
+      };
+    }
+    else if (pending) {
+      pieces.push(pending);
+    }
+
+    pending = undefined;
+    pieces.push(...itemPieces);
+  }
+
+  if (pending) {
+    pieces.push(pending);
+  }
+
+  return pieces;
+}
+
+/**
+ * Parses a chunk budget: a size such as `16KB` or a number of tokens such as
+ * `4000 tokens` or `4k tokens`.
+ * @param {string|number} value - The budget.
+ * @returns {{size: number, unit: 'bytes'|'tokens'}|undefined} The budget, or undefined when the value is invalid.
+ */
+function parseChunkBudget(value) {
+  const tokens = TOKENS_PATTERN.exec(String(value).trim());
+  const size = tokens
+    ? Math.floor(Number(tokens.groups.amount) * (tokens.groups.thousands ? 1000 : 1))
+    : assets.parseSize(value);
+
+  if (!(size > 0)) {
+    return;
+  }
+
+  return { size, unit: tokens ? 'tokens' : 'bytes' };
+}
+
+/**
+ * Parses the ATX headings of a Markdown document, outside code blocks, into a tree
+ * of sections. The root section holds the content before the first heading.
+ * @param {string[]} lines - The lines of the document, without front matter.
+ * @returns {{level: number, title: string|undefined, lines: string[], children: Array<object>}}
+ */
+function parseSections(lines) {
+  const root = { children: [], level: 0, lines: [], title: undefined };
+  const ancestors = [];
+  let current = root;
+  let openFence;
+
+  for (const line of lines) {
+    const fence = FENCE_PATTERN.exec(line)?.groups.fence;
+    const heading = !openFence && !fence && HEADING_PATTERN.exec(line);
+
+    if (openFence) {
+      if (fence && fence[0] === openFence[0] && fence.length >= openFence.length) {
+        openFence = undefined;
+      }
+    }
+    else if (fence) {
+      openFence = fence;
+    }
+
+    if (!heading) {
+      current.lines.push(line);
+      continue;
+    }
+
+    const level = heading.groups.hashes.length;
+
+    while (current.level >= level) {
+      current = ancestors.pop();
+    }
+
+    const section = { children: [], level, lines: [line], title: heading.groups.text ?? '' };
+    current.children.push(section);
+    ancestors.push(current);
+    current = section;
+  }
+
+  return root;
+}
+
+/**
+ * Points the in-page anchors of a chunk (`[Setup](#setup)`) to the chunk holding
+ * the heading when it is another chunk of the same document.
+ * @param {string} content - The content of a chunk.
+ * @param {Map<string, string>} chunksByAnchor - The filename of the chunk holding each heading anchor.
+ * @param {string} filename - The filename of the chunk.
+ * @returns {string}
+ */
+function rewriteAnchors(content, chunksByAnchor, filename) {
+  let openFence;
+
+  return content.split('\n').map((line) => {
+    const fence = FENCE_PATTERN.exec(line)?.groups.fence;
+
+    if (openFence) {
+      if (fence && fence[0] === openFence[0] && fence.length >= openFence.length) {
+        openFence = undefined;
+      }
+      return line;
+    }
+
+    if (fence) {
+      openFence = fence;
+      return line;
+    }
+
+    return line
+      .split(/(`+[^`]*`+)/)
+      .map((segment) => (segment.startsWith('`')
+        ? segment
+        : segment.replaceAll(IN_PAGE_LINK_PATTERN, (...match) => {
+          const { anchor, prefix } = match.at(-1);
+          const target = chunksByAnchor.get(anchor);
+          return target && target !== filename ? `${prefix}${encodeURI(target)}#${anchor}` : match[0];
+        })))
+      .join('');
+  }).join('\n');
+}
+
+/**
+ * Builds a filename slug from a section title.
+ * @param {string|undefined} title - The title of the first section of a chunk.
+ * @returns {string}
+ */
+function slugify(title) {
+  if (title === undefined) {
+    return 'intro';
+  }
+
+  const slug = title
+    .toLowerCase()
+    .replaceAll(/<[^>]*>|[^\p{L}\p{N}\s-]/gu, '')
+    .trim()
+    .replaceAll(/[\s-]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-$/, '');
+
+  return slug || 'section';
+}
+
+/**
+ * Splits lines into blocks separated by blank lines, without splitting code blocks.
+ * Tables end at the first blank line, so they are never split either, and headings
+ * stay with the block that follows them.
+ * @param {string[]} lines - Markdown lines.
+ * @returns {string[][]}
+ */
+function splitBlocks(lines) {
+  const blocks = [];
+  let block = [];
+  let openFence;
+
+  for (const line of lines) {
+    block.push(line);
+    const fence = FENCE_PATTERN.exec(line)?.groups.fence;
+
+    if (openFence) {
+      if (fence && fence[0] === openFence[0] && fence.length >= openFence.length) {
+        openFence = undefined;
+      }
+    }
+    else if (fence) {
+      openFence = fence;
+    }
+    else if (line.trim() === '' && !isHeadingOnly(block)) {
+      blocks.push(block);
+      block = [];
+    }
+  }
+
+  if (block.length > 0) {
+    blocks.push(block);
+  }
+
+  return blocks;
+}
+
+/**
+ * Splits a Markdown document larger than a budget into chunks at heading boundaries,
+ * for retrieval tools that work best with small, self-contained files.
+ *
+ * Sections are kept whole when they fit, and consecutive small sections are grouped.
+ * Code blocks and tables are never split: a single block larger than the budget makes
+ * a larger chunk. Each chunk starts with the front matter of the document and a
+ * breadcrumb of the headings containing it, e.g. `> Guide › Installation`.
+ *
+ * Chunks are named after the output of the document and the slug of their first
+ * heading (`guides-setup.md` → `guides-setup--installation.md`). The output of the
+ * document itself becomes an index linking to its chunks, so links to it keep working.
+ *
+ * @param {string} content - The Markdown document.
+ * @param {Object} context - The budget and the output of the document.
+ * @param {{size: number, unit: 'bytes'|'tokens'}} context.budget - The maximum size of a chunk.
+ * @param {string} context.output - The output path of the document, relative to the output directory.
+ * @param {Set<string>} [context.reserved] - Output paths chunks must not use, e.g. the other documents.
+ * @returns {{index: string, chunks: Array<{output: string, content: string}>}|undefined}
+ *   The content of the index and the chunks, or undefined when the document does not need to be split.
+ */
+function splitDocument(content, { budget, output, reserved = new Set() }) {
+  if (measure(content, budget.unit) <= budget.size) {
+    return;
+  }
+
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const normalized = content.replaceAll('\r\n', '\n');
+  const frontMatter = FRONT_MATTER_PATTERN.exec(normalized)?.[0] ?? '';
+  const render = (breadcrumb, body) => [
+    frontMatter,
+    frontMatter ? '\n' : '',
+    breadcrumb.length > 0 ? `> ${breadcrumb.join(' › ')}\n\n` : '',
+    body.trim(),
+    '\n',
+  ].join('');
+  const { dir, ext, name } = path.posix.parse(output);
+  // In-page links may be prefixed with the filename of another chunk: keep room for it.
+  const anchorAllowance = ' '.repeat(`${name}--`.length + MAX_SLUG_LENGTH + '-99'.length + ext.length);
+  const measureLines = (lines) => {
+    const text = lines.join('\n');
+    const inPageLinks = text.match(IN_PAGE_LINK_PATTERN)?.length ?? 0;
+    return measure(text, budget.unit) + (measure(anchorAllowance, budget.unit) * inPageLinks);
+  };
+  const fits = (breadcrumb, size) => measure(render(breadcrumb, ''), budget.unit) + size <= budget.size;
+
+  const root = parseSections(normalized.slice(frontMatter.length).split('\n'));
+  const pieces = packSection(root, [], fits, measureLines);
+
+  if (pieces.length < 2) {
+    return;
+  }
+
+  const usedOutputs = new Set(reserved);
+  const outputs = pieces.map((piece) => {
+    const slug = slugify(piece.title);
+    let chunkOutput = path.posix.join(dir, `${name}--${slug}${ext}`);
+
+    for (let suffix = 2; usedOutputs.has(chunkOutput); suffix += 1) {
+      chunkOutput = path.posix.join(dir, `${name}--${slug}-${suffix}${ext}`);
+    }
+
+    usedOutputs.add(chunkOutput);
+    return chunkOutput;
+  });
+
+  // GitHub suffixes repeated anchors with -1, -2... in document order.
+  const anchorCounts = new Map();
+  const chunksByAnchor = new Map();
+
+  for (const [index, piece] of pieces.entries()) {
+    for (const title of listHeadingTitles(parseSections(piece.lines))) {
+      const anchor = getAnchor(title);
+      const count = anchorCounts.get(anchor) ?? 0;
+      anchorCounts.set(anchor, count + 1);
+      chunksByAnchor.set(count === 0 ? anchor : `${anchor}-${count}`, path.posix.basename(outputs[index]));
+    }
+  }
+
+  const chunks = pieces.map((piece, index) => ({
+    content: rewriteAnchors(
+      render(piece.breadcrumb, piece.lines.join('\n')),
+      chunksByAnchor,
+      path.posix.basename(outputs[index]),
+    ).replaceAll('\n', eol),
+    output: outputs[index],
+  }));
+
+  const title = root.children.find((section) => section.level === 1)?.title || name;
+  const links = pieces.map((piece, index) => {
+    const label = [...piece.breadcrumb, piece.title ?? 'Introduction'].join(' › ');
+    return `- [${label.replaceAll(/[[\]\\]/g, String.raw`\$&`)}](${encodeURI(path.posix.basename(outputs[index]))})`;
+  });
+  const index = [
+    frontMatter,
+    frontMatter ? '\n' : '',
+    `# ${title}\n\nThis document is split into ${pieces.length} parts:\n\n`,
+    `${links.join('\n')}\n`,
+  ].join('');
+
+  return { chunks, index: index.replaceAll('\n', eol) };
+}
+
+export default {
+  estimateTokens,
+  formatChunkBudget,
+  parseChunkBudget,
+  splitDocument,
+};
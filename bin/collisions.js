@@ -0,0 +1,136 @@
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+
+import utilities from './utilities.js';
+
+const COLLISION_POLICIES = ['error', 'suffix', 'skip'];
+const GENERATED_FILE_OWNER = 'gde';
+const SUFFIX_HASH_LENGTH = 6;
+
+/**
+ * Formats resolved collisions as one line per renamed or skipped source.
+ * @param {ReturnType<typeof resolveCollisions>['collisions']} collisions - The collisions found by resolveCollisions.
+ * @returns {string[]}
+ */
+function describeCollisions(collisions) {
+  return collisions.flatMap(({ kept, output, renamed, skipped }) => [
+    ...renamed.map((rename) => `${rename.source} → ${rename.output} (${output} is taken by ${kept})`),
+    ...skipped.map((source) => `${source} skipped (${output} is taken by ${kept})`),
+  ]);
+}
+
+/**
+ * Finds files whose flattened output paths collide and applies a collision policy.
+ *
+ * Flattening joins path segments with dashes, so different sources can end up with
+ * the same output path (e.g. `docs/api-v2/intro.md` and `docs/api/v2-intro.md`).
+ * Output paths are compared case-insensitively, as they would collide on
+ * case-insensitive file systems too.
+ *
+ * In each collision, the file with the lexicographically smallest source path keeps
+ * the output path, unless the path is reserved for a file generated by gde (e.g.
+ * `manifest.json`). Depending on the policy, the other files are:
+ * - error: not resolved, an error listing all collisions is thrown,
+ * - suffix: renamed with a suffix derived from their source path, stable between runs,
+ * - skip: not extracted.
+ *
+ * @param {Array<{path: string, output: string}>} files
+ *   Files planned for the extraction, with their output path relative to the output directory (mutated).
+ * @param {'error'|'suffix'|'skip'} policy - The collision policy.
+ * @param {string[]} [reservedOutputs] - The output paths of the files generated by gde.
+ * @returns {{
+ *   files: Array<object>,
+ *   collisions: Array<{
+ *     output: string,
+ *     kept: string,
+ *     renamed: Array<{source: string, output: string}>,
+ *     skipped: string[],
+ *   }>,
+ * }}
+ *   files:
+ *     The files to extract, in their original order, without the skipped ones.
+ *   collisions:
+ *     One entry per colliding output path, with the source that kept it (`gde` for
+ *     reserved paths) and the sources that were renamed or skipped.
+ * @throws {Error} If a collision is found and the policy is error.
+ */
+function resolveCollisions(files, policy, reservedOutputs = []) {
+  const filesByOutput = new Map();
+  const reservedFiles = new Map(reservedOutputs.map((output) => [
+    output.toLowerCase(),
+    { output, path: GENERATED_FILE_OWNER },
+  ]));
+
+  for (const file of files) {
+    const key = file.output.toLowerCase();
+    filesByOutput.set(key, [...(filesByOutput.get(key) ?? []), file]);
+  }
+
+  const groups = [...filesByOutput].filter(([key, group]) => group.length > 1 || reservedFiles.has(key));
+
+  const sortedGroups = groups.map(([key, group]) => [
+    ...(reservedFiles.has(key) ? [reservedFiles.get(key)] : []),
+    ...[...group].sort((a, b) => utilities.compareCodeUnits(a.path, b.path)),
+  ]);
+
+  if (policy === 'error' && sortedGroups.length > 0) {
+    const lines = sortedGroups.map((group) => `${group[0].output} (${group.map((file) => file.path).join(', ')})`);
+    /* eslint-disable-next-line @stylistic/max-len */
+    throw new Error(`Filename collisions found: ${lines.join('; ')}. Use --on-collision suffix or skip to resolve them.`);
+  }
+
+  const takenOutputs = new Set([...files.map((file) => file.output.toLowerCase()), ...reservedFiles.keys()]);
+  const skippedFiles = new Set();
+
+  const collisions = sortedGroups.map(([keptFile, ...others]) => {
+    const collision = { kept: keptFile.path, output: keptFile.output, renamed: [], skipped: [] };
+
+    for (const file of others) {
+      if (policy === 'skip') {
+        skippedFiles.add(file);
+        collision.skipped.push(file.path);
+        continue;
+      }
+
+      file.output = suffixOutput(file, takenOutputs);
+      takenOutputs.add(file.output.toLowerCase());
+      collision.renamed.push({ output: file.output, source: file.path });
+    }
+
+    return collision;
+  });
+
+  return {
+    collisions,
+    files: files.filter((file) => !skippedFiles.has(file)),
+  };
+}
+
+/**
+ * Builds a free output path for a colliding file by adding a short hash of its
+ * source path before the extension (e.g. `api-v2-intro-1a2b3c.md`).
+ * @param {{path: string, output: string}} file - The colliding file.
+ * @param {Set<string>} takenOutputs - The lowercased output paths already in use.
+ * @returns {string}
+ */
+function suffixOutput(file, takenOutputs) {
+  const hash = createHash('sha256').update(file.path).digest('hex');
+  const extension = path.posix.extname(file.output);
+  const base = file.output.slice(0, file.output.length - extension.length);
+
+  for (let length = SUFFIX_HASH_LENGTH; length <= hash.length; length += 1) {
+    const output = `${base}-${hash.slice(0, length)}${extension}`;
+
+    if (!takenOutputs.has(output.toLowerCase())) {
+      return output;
+    }
+  }
+
+  throw new Error(`Could not find a free output path for ${file.path}.`);
+}
+
+export default {
+  COLLISION_POLICIES,
+  describeCollisions,
+  resolveCollisions,
+};
@@ -0,0 +1,240 @@
+import path from 'node:path';
+
+import fs from 'fs-extra';
+
+import assets from './assets.js';
+import chunks from './chunks.js';
+import collisions from './collisions.js';
+import jsonl from './jsonl.js';
+import layouts from './layouts.js';
+import mdx from './mdx.js';
+
+const CONFIG_FILENAMES = ['gde.config.json', '.gderc'];
+
+/**
+ * Options accepted at the top level of a config file, with their expected type or
+ * the list of accepted values. Names match the options parsed by commander
+ * (e.g. --wait-for-reset → waitForReset).
+ */
+const CONFIG_OPTION_TYPES = {
+  apiUrl: 'string',
+  assets: 'boolean',
+  chunk: 'chunk',
+  concurrency: 'integer',
+  exclude: 'list',
+  ext: 'list',
+  followSymlinks: 'boolean',
+  force: 'boolean',
+  format: jsonl.OUTPUT_FORMATS,
+  frontmatter: 'boolean',
+  include: 'list',
+  index: 'boolean',
+  layout: layouts.LAYOUTS,
+  llmsTxt: 'boolean',
+  maxAssetSize: 'size',
+  maxFileSize: 'size',
+  mdxToMd: 'boolean',
+  nameTemplate: 'template',
+  onCollision: collisions.COLLISION_POLICIES,
+  out: 'string',
+  paths: 'list',
+  ref: 'string',
+  repo: 'string',
+  rewriteLinks: 'boolean',
+  submodules: 'boolean',
+  sync: 'boolean',
+  unknownComponents: mdx.COMPONENT_POLICIES,
+  waitForReset: 'boolean',
+  zip: 'boolean',
+};
+
+/**
+ * Options accepted in each entry of the `repos` list of a config file.
+ */
+const REPOSITORY_OPTION_NAMES = ['exclude', 'ext', 'include', 'onCollision', 'out', 'paths', 'ref', 'repo'];
+
+/**
+ * Looks for a config file (gde.config.json, then .gderc) in a directory.
+ * @param {string} [directory] - The directory to search. Defaults to the current working directory.
+ * @returns {string|undefined} The path of the config file, or undefined when there is none.
+ */
+function findConfigFile(directory = process.cwd()) {
+  return CONFIG_FILENAMES
+    .map((filename) => path.join(directory, filename))
+    .find((configPath) => fs.pathExistsSync(configPath));
+}
+
+/**
+ * Describes why a name template is invalid.
+ * @param {string} template - The name template.
+ * @returns {string|undefined} The problem, or undefined when the template is valid.
+ */
+function getTemplateError(template) {
+  try {
+    layouts.parseNameTemplate(template);
+  }
+  catch (error) {
+    return `is invalid: ${error.message.replace(/\.$/, '')}`;
+  }
+}
+
+/**
+ * Describes why a config value does not have the expected type.
+ * @param {string|string[]} type - The expected type or the accepted values, from CONFIG_OPTION_TYPES.
+ * @param {unknown} value - The config value.
+ * @returns {string|undefined} The expectation that is not met, or undefined when the value is valid.
+ */
+function getTypeError(type, value) {
+  if (Array.isArray(type)) {
+    return type.includes(value) ? undefined : `must be one of ${type.join(', ')}`;
+  }
+
+  switch (type) {
+    case 'boolean': {
+      return typeof value === 'boolean' ? undefined : 'must be true or false';
+    }
+    case 'chunk': {
+      return chunks.parseChunkBudget(value)
+        ? undefined
+        : 'must be a size such as "16KB" or a number of tokens such as "4000 tokens"';
+    }
+    case 'integer': {
+      return Number.isInteger(value) && value > 0 ? undefined : 'must be a positive integer';
+    }
+    case 'list': {
+      const list = [value].flat();
+      return list.length > 0 && list.every((item) => typeof item === 'string')
+        ? undefined
+        : 'must be a string or a list of strings';
+    }
+    case 'size': {
+      return assets.parseSize(value) === undefined ? 'must be a number of bytes or a size such as "2MB"' : undefined;
+    }
+    case 'template': {
+      return typeof value === 'string' ? getTemplateError(value) : 'must be a string';
+    }
+    default: {
+      return typeof value === 'string' && value !== '' ? undefined : 'must be a non-empty string';
+    }
+  }
+}
+
+/**
+ * Tells whether a value is a plain object (and not an array or null).
+ * @param {unknown} value - Any value.
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Reads and validates a config file. Both gde.config.json and .gderc contain JSON:
+ *
+ *   {
+ *     "out": "./knowledge-base",
+ *     "exclude": ["CHANGELOG.md"],
+ *     "repos": [
+ *       { "repo": "facebook/react", "paths": ["packages/react/docs"], "out": "react" },
+ *       { "repo": "vitejs/vite", "ref": "v6.0.0", "exclude": ["blog/**"] }
+ *     ]
+ *   }
+ *
+ * Top-level options are defaults for every repository; options of a `repos` entry
+ * replace them for that repository. A single string is accepted for list options.
+ *
+ * @param {string} configPath - The path of the config file.
+ * @returns {{options: Object, repositories: Array<Object>}}
+ *   options:
+ *     The top-level options, named like the options parsed by commander.
+ *   repositories:
+ *     The entries of the `repos` list, empty when the file configures a single run.
+ * @throws {Error} If the file cannot be read or is invalid.
+ */
+function loadConfig(configPath) {
+  let config;
+
+  try {
+    config = fs.readJsonSync(configPath);
+  }
+  catch (error) {
+    throw new Error(`Invalid config file "${configPath}": ${error.message}`);
+  }
+
+  if (!isPlainObject(config)) {
+    throw new Error(`Invalid config file "${configPath}": expected a JSON object.`);
+  }
+
+  const { repos, ...topLevelOptions } = config;
+
+  if (repos !== undefined && topLevelOptions.repo !== undefined) {
+    throw new Error(`Invalid config file "${configPath}": use either "repo" for a single repository or "repos".`);
+  }
+
+  if (repos !== undefined && (!Array.isArray(repos) || repos.length === 0)) {
+    throw new Error(`Invalid config file "${configPath}": "repos" must be a non-empty list of repositories.`);
+  }
+
+  const options = normalizeOptions(topLevelOptions, Object.keys(CONFIG_OPTION_TYPES), configPath);
+  const repositories = (repos ?? []).map((entry, index) => {
+    const location = `repos[${index}]`;
+
+    if (!isPlainObject(entry) || typeof entry.repo !== 'string') {
+      throw new Error(`Invalid config file "${configPath}": ${location} must be an object with a "repo".`);
+    }
+
+    return normalizeOptions(entry, REPOSITORY_OPTION_NAMES, configPath, `${location}.`);
+  });
+
+  return { options, repositories };
+}
+
+/**
+ * Validates the options of a config file section, normalizes list options to arrays,
+ * sizes to numbers of bytes and chunk budgets to their size and unit.
+ * @param {Object} values - The options of the section.
+ * @param {string[]} allowedNames - The options accepted in the section.
+ * @param {string} configPath - The path of the config file, for error messages.
+ * @param {string} [prefix] - The location of the section, for error messages.
+ * @returns {Object}
+ * @throws {Error} If an option is unknown or has an unexpected type.
+ */
+function normalizeOptions(values, allowedNames, configPath, prefix = '') {
+  const options = {};
+
+  for (const [name, value] of Object.entries(values)) {
+    const error = allowedNames.includes(name)
+      ? getTypeError(CONFIG_OPTION_TYPES[name], value)
+      : `is not a known option (expected one of ${allowedNames.join(', ')})`;
+
+    if (error) {
+      throw new Error(`Invalid config file "${configPath}": "${prefix}${name}" ${error}.`);
+    }
+
+    switch (CONFIG_OPTION_TYPES[name]) {
+      case 'chunk': {
+        options[name] = chunks.parseChunkBudget(value);
+        break;
+      }
+      case 'list': {
+        options[name] = [value].flat();
+        break;
+      }
+      case 'size': {
+        options[name] = assets.parseSize(value);
+        break;
+      }
+      default: {
+        options[name] = value;
+      }
+    }
+  }
+
+  return options;
+}
+
+export default {
+  CONFIG_FILENAMES,
+  findConfigFile,
+  loadConfig,
+};
@@ -0,0 +1,25 @@
+const UTF8_DECODER = new TextDecoder('utf8', { fatal: true, ignoreBOM: true });
+
+/**
+ * Describes why the content of a documentation file cannot be extracted as text.
+ * Documents are written as UTF-8: binary content, or text in another encoding
+ * (UTF-16, Latin-1...), would be written as garbage.
+ * @param {Buffer} content - The content of the file.
+ * @returns {string|undefined} The problem, or undefined when the content is UTF-8 text.
+ */
+function findTextProblem(content) {
+  if (content.includes(0)) {
+    return 'it contains NUL bytes, so it is binary or encoded in UTF-16';
+  }
+
+  try {
+    UTF8_DECODER.decode(content);
+  }
+  catch {
+    return 'it is not valid UTF-8 text';
+  }
+}
+
+export default {
+  findTextProblem,
+};
@@ -0,0 +1,397 @@
+import path from 'node:path';
+
+const MAX_SYMLINK_HOPS = 40;
+const SUBMODULE_TYPE = 'commit';
+const SYMLINK_MODE = '120000';
+
+/**
+ * Adds the entries of a directory of a source to the expanded tree, following links and submodules.
+ * @param {Parameters<typeof expandTree>[0]} source - The source of the entries.
+ * @param {Array<object>} entries - The entries, all the entries of the source or the ones of a directory.
+ * @param {{ancestry: string[], realDirectory: string, virtualDirectory: string}} scope
+ *   ancestry:
+ *     The directories of the source that contain the current directory, through the links followed.
+ *   realDirectory, virtualDirectory:
+ *     The directory listed, and the path it is listed at.
+ * @param {Object} state - The expansion state (see expandTree).
+ * @returns {Promise<void>}
+ */
+async function expandEntries(source, entries, scope, state) {
+  /* eslint-disable-next-line security-node/detect-unhandled-async-errors */
+  for (const entry of entries) {
+    const virtualPath = rebasePath(entry.path, scope.realDirectory, scope.virtualDirectory);
+    const leadsToDocumentation = leadsToDocumentPaths(virtualPath, state.documentPaths);
+    let followed = false;
+
+    if (leadsToDocumentation && isSymlink(entry)) {
+      followed = await expandSymlink(source, entry, virtualPath, scope, state);
+    }
+    else if (leadsToDocumentation && entry.type === SUBMODULE_TYPE) {
+      followed = await expandSubmodule(source, entry, virtualPath, state);
+    }
+
+    // Links and submodules that are not followed stay listed as they are.
+    if (!followed) {
+      state.entries.push(toExpandedEntry(source, entry, virtualPath));
+    }
+  }
+}
+
+/**
+ * Adds the entries of a submodule to the expanded tree, or reports why it is not followed.
+ * @param {Parameters<typeof expandTree>[0]} source - The source of the submodule entry.
+ * @param {object} entry - The submodule entry.
+ * @param {string} virtualPath - The path the submodule is listed at.
+ * @param {Object} state - The expansion state (see expandTree).
+ * @returns {Promise<boolean>} Whether the submodule is followed.
+ */
+async function expandSubmodule(source, entry, virtualPath, state) {
+  if (!state.submodules) {
+    state.skipped.push({ path: virtualPath, reason: 'submodule, use --submodules to follow it' });
+    return false;
+  }
+
+  let submodule;
+
+  try {
+    submodule = await source.openSubmodule(entry);
+  }
+  catch (error) {
+    state.skipped.push({ path: virtualPath, reason: `submodule that cannot be read: ${error.message}` });
+    return false;
+  }
+
+  const key = `${submodule.repository.name}@${submodule.commit}`;
+
+  if (state.submoduleChain.includes(key)) {
+    state.skipped.push({ path: virtualPath, reason: `submodule ${key} contains itself` });
+    return false;
+  }
+
+  if (submodule.truncated) {
+    state.skipped.push({ path: virtualPath, reason: `submodule ${key} is too large to be listed` });
+    return false;
+  }
+
+  const expanded = await expandTree(submodule, {
+    documentPaths: state.documentPaths.flatMap((documentPath) => {
+      const relativePath = relativeDocumentPath(documentPath, virtualPath);
+      return relativePath === undefined ? [] : [relativePath];
+    }),
+    followSymlinks: state.followSymlinks,
+    submoduleChain: [...state.submoduleChain, key],
+    submodules: state.submodules,
+  });
+
+  state.entries.push({
+    __origin: { commit: submodule.commit, path: '', repository: submodule.repository },
+    mode: '040000',
+    path: virtualPath,
+    sha: entry.sha,
+    type: 'tree',
+  });
+
+  for (const submoduleEntry of expanded.entries) {
+    state.entries.push(toExpandedEntry(submodule, submoduleEntry, `${virtualPath}/${submoduleEntry.path}`));
+  }
+
+  for (const { path: skippedPath, reason } of expanded.skipped) {
+    state.skipped.push({ path: `${virtualPath}/${skippedPath}`, reason });
+  }
+
+  return true;
+}
+
+/**
+ * Adds the target of a symbolic link to the expanded tree, or reports why it is not followed.
+ * @param {Parameters<typeof expandTree>[0]} source - The source of the link.
+ * @param {object} entry - The link entry.
+ * @param {string} virtualPath - The path the link is listed at.
+ * @param {Parameters<typeof expandEntries>[2]} scope - The directory of the link.
+ * @param {Object} state - The expansion state (see expandTree).
+ * @returns {Promise<boolean>} Whether the link is followed.
+ */
+async function expandSymlink(source, entry, virtualPath, scope, state) {
+  if (!state.followSymlinks) {
+    state.skipped.push({ path: virtualPath, reason: 'symbolic link, use --follow-symlinks to follow it' });
+    return false;
+  }
+
+  const { reason, target } = await resolveSymlink(source, entry, state);
+
+  if (!target) {
+    state.skipped.push({ path: virtualPath, reason: `symbolic link ${reason}` });
+    return false;
+  }
+
+  if (target.type === SUBMODULE_TYPE) {
+    return expandSubmodule(source, target, virtualPath, state);
+  }
+
+  if (target.type !== 'tree') {
+    state.entries.push(toExpandedEntry(source, target, virtualPath));
+    return true;
+  }
+
+  const ancestry = [...scope.ancestry, path.posix.dirname(entry.path)];
+
+  if (ancestry.some((directory) => isWithin(directory, target.path))) {
+    state.skipped.push({ path: virtualPath, reason: `symbolic link to ${target.path || '.'}, which contains it` });
+    return false;
+  }
+
+  state.entries.push(toExpandedEntry(source, target, virtualPath));
+  await expandEntries(
+    source,
+    source.entries.filter((child) => child.path.startsWith(`${target.path}/`)),
+    { ancestry: [...ancestry, target.path], realDirectory: target.path, virtualDirectory: virtualPath },
+    state,
+  );
+
+  return true;
+}
+
+/**
+ * Expands the Git tree of a repository by following the symbolic links and submodules
+ * found on the way to the documentation paths, so that the docs they lead to are listed
+ * like any other file.
+ *
+ * - A link to a file is listed as that file, at the path of the link.
+ * - A link to a directory, or a submodule, is listed as a directory holding the entries
+ *   of its target, at the path of the link or submodule. Submodules are read at the
+ *   commit pinned by the repository.
+ *
+ * Links are resolved within their repository only. Links that point outside of it or to
+ * a missing target, and links or submodules leading back to one of their own parents, are
+ * not followed: like the ones outside of the documentation paths, they stay listed as
+ * they are. Entries listed at another path than their own, or read from a submodule,
+ * have an `__origin` ({ repository, commit, path }) telling where to read them.
+ *
+ * @param {Object} source - The repository tree to expand.
+ * @param {string} source.commit - The commit SHA of the tree.
+ * @param {Array<object>} source.entries - The entries ({ path, mode, type, sha, size }) of the tree.
+ * @param {function(object): Promise<object>} source.openSubmodule
+ *   Opens the source of a submodule entry, read at its pinned commit.
+ * @param {function(object): Promise<string>} source.readSymlink - Reads the target of a link entry.
+ * @param {{name: string}} source.repository - The repository the files are read from.
+ * @param {boolean} source.truncated - Whether the listing of the tree is incomplete.
+ * @param {Object} settings - What to follow.
+ * @param {string[]} settings.documentPaths - The documentation paths. Only what leads to them is followed.
+ * @param {boolean} settings.followSymlinks - Whether to follow symbolic links.
+ * @param {boolean} settings.submodules - Whether to follow submodules.
+ * @param {string[]} [settings.submoduleChain] - The submodules being expanded, to detect cycles.
+ * @returns {Promise<{entries: Array<object>, skipped: Array<{path: string, reason: string}>}>}
+ *   entries:
+ *     The entries of the expanded tree. Followed links and submodules are replaced by their target.
+ *   skipped:
+ *     The links and submodules leading to the documentation paths that were not followed, with the reason.
+ */
+async function expandTree(source, settings) {
+  const state = {
+    ...settings,
+    byPath: new Map(source.entries.map((entry) => [entry.path, entry])),
+    entries: [],
+    skipped: [],
+    submoduleChain: settings.submoduleChain ?? [`${source.repository.name}@${source.commit}`],
+    symlinkTargets: new Map(),
+  };
+
+  await expandEntries(source, source.entries, { ancestry: [], realDirectory: '', virtualDirectory: '' }, state);
+
+  return { entries: state.entries, skipped: state.skipped };
+}
+
+/**
+ * Tells whether an entry of a Git tree is a symbolic link.
+ * @param {{mode?: string}} entry - The entry.
+ * @returns {boolean}
+ */
+function isSymlink(entry) {
+  return entry.mode === SYMLINK_MODE;
+}
+
+/**
+ * Tells whether a path is a directory or a file within a directory, or that directory itself.
+ * @param {string} filePath - The path.
+ * @param {string} directory - The directory. The empty string is the root of the repository.
+ * @returns {boolean}
+ */
+function isWithin(filePath, directory) {
+  return directory === '' || filePath === directory || filePath.startsWith(`${directory}/`);
+}
+
+/**
+ * Tells whether a path leads to a documentation path: it is within one, or contains one.
+ * @param {string} filePath - The path.
+ * @param {string[]} documentPaths - The documentation paths.
+ * @returns {boolean}
+ */
+function leadsToDocumentPaths(filePath, documentPaths) {
+  return documentPaths
+    .map((documentPath) => documentPath.split('/').filter(Boolean).join('/'))
+    .some((documentPath) => isWithin(filePath, documentPath) || isWithin(documentPath, filePath));
+}
+
+/**
+ * Parses a .gitmodules file.
+ * @param {string} content - The content of the file.
+ * @returns {Map<string, string>} The URL of each submodule, by path.
+ */
+function parseGitmodules(content) {
+  const sections = [];
+  let section;
+
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const setting = /^(?<name>[\w-]+)\s*=\s*(?<value>.*)$/.exec(trimmed);
+
+    if (trimmed.startsWith('[')) {
+      section = /^\[submodule\s/.test(trimmed) ? {} : undefined;
+      sections.push(section);
+    }
+    else if (section && setting) {
+      section[setting.groups.name.toLowerCase()] = setting.groups.value.replace(/^"(.*)"$/, '$1');
+    }
+  }
+
+  return new Map(sections
+    .filter((candidate) => candidate?.path && candidate.url)
+    .map((candidate) => [candidate.path.replace(/\/+$/, ''), candidate.url]));
+}
+
+/**
+ * Rebases a path of a directory listed at another path.
+ * @param {string} filePath - The path, within realDirectory.
+ * @param {string} realDirectory - The directory.
+ * @param {string} virtualDirectory - The path the directory is listed at.
+ * @returns {string}
+ */
+function rebasePath(filePath, realDirectory, virtualDirectory) {
+  const relativePath = realDirectory === '' ? filePath : filePath.slice(realDirectory.length + 1);
+  return virtualDirectory === '' ? relativePath : `${virtualDirectory}/${relativePath}`;
+}
+
+/**
+ * Gets a documentation path relative to a submodule.
+ * @param {string} documentPath - The documentation path.
+ * @param {string} submodulePath - The path of the submodule.
+ * @returns {string|undefined} The path, empty when the whole submodule is documentation,
+ *   or undefined when the documentation path is outside of the submodule.
+ */
+function relativeDocumentPath(documentPath, submodulePath) {
+  const normalizedPath = documentPath.split('/').filter(Boolean).join('/');
+
+  if (isWithin(submodulePath, normalizedPath)) {
+    return '';
+  }
+
+  return normalizedPath.startsWith(`${submodulePath}/`) ? normalizedPath.slice(submodulePath.length + 1) : undefined;
+}
+
+/**
+ * Resolves the URL of a submodule, which can be relative to the URL of its repository.
+ * @param {string} url - The URL from .gitmodules.
+ * @param {string} parentUrl - The URL or path of the repository containing the submodule.
+ * @returns {string}
+ */
+function resolveSubmoduleUrl(url, parentUrl) {
+  if (!/^\.\.?\//.test(url)) {
+    return url;
+  }
+
+  const scpLikeUrl = /^(?<host>[^@/]+@[^:/]+):(?<repositoryPath>.*)$/.exec(parentUrl);
+
+  if (scpLikeUrl) {
+    const { host, repositoryPath } = scpLikeUrl.groups;
+    return `${host}:${path.posix.normalize(path.posix.join(repositoryPath, url))}`;
+  }
+
+  if (/^[a-z][\w+.-]*:\/\//i.test(parentUrl)) {
+    return new URL(url, `${parentUrl.replace(/\/+$/, '')}/`).href;
+  }
+
+  return path.resolve(parentUrl, url);
+}
+
+/**
+ * Resolves the target of a symbolic link within its repository, following the links
+ * found on the way.
+ * @param {Parameters<typeof expandTree>[0]} source - The source of the link.
+ * @param {object} link - The link entry.
+ * @param {Object} state - The expansion state (see expandTree).
+ * @param {number} [hops] - The number of links followed so far.
+ * @returns {Promise<{target?: object, reason?: string}>}
+ *   The target entry, or the reason it cannot be resolved.
+ */
+async function resolveSymlink(source, link, state, hops = 0) {
+  if (hops >= MAX_SYMLINK_HOPS) {
+    return { reason: 'with too many levels of links' };
+  }
+
+  if (!state.symlinkTargets.has(link.path)) {
+    state.symlinkTargets.set(link.path, source.readSymlink(link));
+  }
+
+  const linkTarget = await state.symlinkTargets.get(link.path);
+  const target = linkTarget.trim();
+  const targetPath = path.posix.normalize(path.posix.join(path.posix.dirname(link.path), target));
+
+  if (path.posix.isAbsolute(target) || targetPath === '..' || targetPath.startsWith('../')) {
+    return { reason: `to ${target}, outside of the repository` };
+  }
+
+  const segments = targetPath === '.' ? [] : targetPath.split('/');
+  let current = { path: '', type: 'tree' };
+
+  for (const segment of segments) {
+    const candidate = state.byPath.get(current.path ? `${current.path}/${segment}` : segment);
+
+    if (current.type !== 'tree' || !candidate) {
+      return { reason: `to ${target}, which does not exist` };
+    }
+
+    if (isSymlink(candidate)) {
+      const resolved = await resolveSymlink(source, candidate, state, hops + 1);
+
+      if (!resolved.target) {
+        return resolved;
+      }
+
+      current = resolved.target;
+    }
+    else {
+      current = candidate;
+    }
+  }
+
+  return { target: current };
+}
+
+/**
+ * Lists an entry of a source at a path of the expanded tree, recording where to read it
+ * when it is not at its own path in the repository being extracted.
+ * @param {Parameters<typeof expandTree>[0]} source - The source of the entry.
+ * @param {object} entry - The entry.
+ * @param {string} virtualPath - The path the entry is listed at.
+ * @returns {object}
+ */
+function toExpandedEntry(source, entry, virtualPath) {
+  if (virtualPath === entry.path) {
+    return entry;
+  }
+
+  return {
+    ...entry,
+    __origin: entry.__origin ?? { commit: source.commit, path: entry.path, repository: source.repository },
+    path: virtualPath,
+  };
+}
+
+export default {
+  expandTree,
+  isSymlink,
+  parseGitmodules,
+  resolveSubmoduleUrl,
+  SUBMODULE_TYPE,
+  SYMLINK_MODE,
+};
@@ -0,0 +1,200 @@
+import path from 'node:path';
+
+import picomatch from 'picomatch';
+
+const DEFAULT_EXTENSIONS = ['.md', '.mdx'];
+const GLOB_OPTIONS = { dot: true };
+
+/**
+ * Creates a matcher telling whether a glob excludes a whole directory: either the
+ * glob matches the directory itself, or it matches everything below it (`dir/**`).
+ * @param {string} glob - An --exclude glob.
+ * @returns {(directoryPath: string) => boolean}
+ */
+function createDirectoryMatcher(glob) {
+  const matchesDirectory = createMatcher(glob);
+  const matchesContent = glob.endsWith('/**') ? createMatcher(glob.slice(0, -3)) : undefined;
+
+  return (directoryPath) => matchesDirectory(directoryPath) || Boolean(matchesContent?.(directoryPath));
+}
+
+/**
+ * Creates the filter deciding which files are extracted during discovery.
+ *
+ * Globs are matched against the path relative to the documentation path and
+ * against the full repository path. Patterns without a slash match file and
+ * directory names at any depth (e.g. `CHANGELOG.md`).
+ *
+ * A file is rejected by the first rule it fails, in this order: --exclude globs,
+ * --ext, then --include globs. Each rule counts the files it rejected so the run
+ * summary can report them. Excluded directories (e.g. `blog` or `blog/**`) are
+ * pruned as a whole, so they are not walked when the tree is listed per folder.
+ *
+ * @param {Object} [rules] - The filtering rules.
+ * @param {string[]} [rules.exclude] - Globs of files and directories to skip.
+ * @param {string[]} [rules.extensions] - File extensions to extract. Defaults to .md and .mdx.
+ * @param {string[]} [rules.include] - Globs that files must match, if any.
+ * @returns {{
+ *   acceptsDirectory: (directoryPath: string, documentPath: string) => boolean,
+ *   acceptsFile: (filePath: string, documentPath: string) => boolean,
+ *   rules: Array<{label: string, files: number, directories: number}>,
+ * }}
+ *   acceptsDirectory:
+ *     Tells whether a directory must be walked, counting it when pruned.
+ *   acceptsFile:
+ *     Tells whether a file must be extracted, counting it for the rule that rejected it.
+ *   rules:
+ *     The user-defined rules with their counters.
+ */
+function createFileFilter({ exclude = [], extensions, include = [] } = {}) {
+  const excludeRules = exclude.map((glob) => ({
+    directories: 0,
+    files: 0,
+    label: `--exclude "${glob}"`,
+    matchesDirectory: createDirectoryMatcher(glob),
+    matchesFile: createMatcher(glob),
+  }));
+  const normalizedExtensions = (extensions ?? DEFAULT_EXTENSIONS).map((extension) => normalizeExtension(extension));
+  const extensionRule = { directories: 0, files: 0, label: `--ext ${normalizedExtensions.join(' ')}` };
+  const includeRule = { directories: 0, files: 0, label: `--include ${include.map((glob) => `"${glob}"`).join(' ')}` };
+  const matchesInclude = include.length > 0 ? createMatcher(include) : undefined;
+
+  const findDirectoryRule = (directoryPath, documentPath) => excludeRules.find(
+    ({ matchesDirectory }) => matchesPath(matchesDirectory, directoryPath, documentPath),
+  );
+
+  const findExcludingRule = (filePath, documentPath) => {
+    for (const directoryPath of getAncestorDirectories(filePath, documentPath)) {
+      const rule = findDirectoryRule(directoryPath, documentPath);
+
+      if (rule) {
+        return rule;
+      }
+    }
+
+    return excludeRules.find(({ matchesFile }) => matchesPath(matchesFile, filePath, documentPath));
+  };
+
+  return {
+    acceptsDirectory(directoryPath, documentPath) {
+      const rule = findDirectoryRule(directoryPath, documentPath);
+
+      if (rule) {
+        rule.directories += 1;
+        return false;
+      }
+
+      return true;
+    },
+
+    acceptsFile(filePath, documentPath) {
+      const excludingRule = findExcludingRule(filePath, documentPath);
+
+      if (excludingRule) {
+        excludingRule.files += 1;
+        return false;
+      }
+
+      if (!normalizedExtensions.includes(path.posix.extname(filePath).toLowerCase())) {
+        extensionRule.files += 1;
+        return false;
+      }
+
+      if (matchesInclude && !matchesPath(matchesInclude, filePath, documentPath)) {
+        includeRule.files += 1;
+        return false;
+      }
+
+      return true;
+    },
+
+    rules: [
+      ...excludeRules,
+      ...(extensions ? [extensionRule] : []),
+      ...(matchesInclude ? [includeRule] : []),
+    ],
+  };
+}
+
+/**
+ * Compiles globs into a matcher. Globs without a slash match names at any depth.
+ * @param {string|string[]} globs - One or more globs.
+ * @returns {(value: string) => boolean}
+ */
+function createMatcher(globs) {
+  return picomatch(
+    [globs].flat().map((glob) => (glob.includes('/') ? glob : `**/${glob}`)),
+    GLOB_OPTIONS,
+  );
+}
+
+/**
+ * Formats the rules that filtered files out, for the run summary.
+ * @param {ReturnType<typeof createFileFilter>['rules']} rules - The rules of a file filter.
+ * @returns {string[]} One line per rule that filtered something out.
+ */
+function describeFilteredFiles(rules) {
+  return rules
+    .filter(({ directories, files }) => files > 0 || directories > 0)
+    .map(({ directories, files, label }) => (directories > 0
+      ? `${files} files and ${directories} directories by ${label}`
+      : `${files} files by ${label}`));
+}
+
+/**
+ * Lists the directories between a documentation path and a file, outermost first.
+ * @param {string} filePath - A file path in the repository.
+ * @param {string} documentPath - The documentation path containing the file.
+ * @returns {string[]} Repository paths of the directories.
+ */
+function getAncestorDirectories(filePath, documentPath) {
+  const root = documentPath.split('/').filter(Boolean).join('/');
+  const directories = [];
+  let directoryPath = path.posix.dirname(filePath);
+
+  while (directoryPath !== '.' && directoryPath !== root && directoryPath.startsWith(root)) {
+    directories.unshift(directoryPath);
+    directoryPath = path.posix.dirname(directoryPath);
+  }
+
+  return directories;
+}
+
+/**
+ * Tells whether a glob matcher matches a repository path or the same path
+ * relative to the documentation path.
+ * @param {(value: string) => boolean} matcher - A picomatch matcher.
+ * @param {string} filePath - A path in the repository.
+ * @param {string} documentPath - The documentation path.
+ * @returns {boolean}
+ */
+function matchesPath(matcher, filePath, documentPath) {
+  return matcher(filePath) || matcher(toRelativePath(filePath, documentPath));
+}
+
+/**
+ * Normalizes an --ext value to a lowercase extension with a leading dot.
+ * @param {string} extension - An extension such as "md", ".MD" or ".mdx".
+ * @returns {string}
+ */
+function normalizeExtension(extension) {
+  const lowercased = extension.trim().toLowerCase();
+  return lowercased.startsWith('.') ? lowercased : `.${lowercased}`;
+}
+
+/**
+ * Returns a repository path relative to a documentation path.
+ * @param {string} filePath - A path in the repository.
+ * @param {string} documentPath - The documentation path.
+ * @returns {string}
+ */
+function toRelativePath(filePath, documentPath) {
+  const root = documentPath.split('/').filter(Boolean).join('/');
+  return root && filePath.startsWith(`${root}/`) ? filePath.slice(root.length + 1) : filePath;
+}
+
+export default {
+  createFileFilter,
+  DEFAULT_EXTENSIONS,
+  describeFilteredFiles,
+};
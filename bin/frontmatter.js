@@ -0,0 +1,146 @@
+import path from 'node:path';
+
+const FRONT_MATTER_EXTENSIONS = new Set(['.markdown', '.md', '.mdx']);
+const PROVENANCE_KEY = 'provenance';
+
+/**
+ * Adds provenance front matter to a Markdown document.
+ *
+ * The provenance is written as a `provenance` mapping. When the document already
+ * starts with YAML front matter (e.g. Docusaurus `title` or `sidebar_position`),
+ * the mapping is appended to it and the other keys are kept as they are; only a
+ * previous `provenance` key is replaced. TOML front matter (`+++`, e.g. Hugo) gets
+ * a `[provenance]` table instead, appended after its other tables.
+ *
+ * @param {string} content - The Markdown document.
+ * @param {{
+ *   repository: string,
+ *   ref: string,
+ *   commit: string,
+ *   path: string,
+ *   url: string,
+ *   extractedAt: string,
+ * }} provenance - Where the document comes from.
+ * @returns {string}
+ */
+function addProvenance(content, provenance) {
+  const bom = content.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const body = content.slice(bom.length);
+  const eol = body.includes('\r\n') ? '\r\n' : '\n';
+
+  if (body.startsWith('+++')) {
+    const tomlFrontMatter = /^\+\+\+[^\S\r\n]*\r?\n(?<toml>[\s\S]*?\r?\n)?\+\+\+[^\S\r\n]*(?:\r?\n|$)/.exec(body);
+
+    // Without a closing delimiter, the document may not be front matter at all.
+    if (!tomlFrontMatter) {
+      return content;
+    }
+
+    const tomlLines = removeTomlTable((tomlFrontMatter.groups.toml ?? '').split(/\r?\n/).slice(0, -1), PROVENANCE_KEY);
+    const tableLines = formatProvenance(provenance, { toml: true });
+    const rest = body.slice(tomlFrontMatter[0].length);
+
+    return `${bom}+++${eol}${[...tomlLines, ...tableLines].join(eol)}${eol}+++${eol}${rest}`;
+  }
+
+  const provenanceLines = formatProvenance(provenance);
+  const frontMatter = /^---[^\S\r\n]*\r?\n(?<yaml>[\s\S]*?\r?\n)?(?:---|\.\.\.)[^\S\r\n]*(?:\r?\n|$)/.exec(body);
+
+  if (!frontMatter) {
+    return `${bom}---${eol}${provenanceLines.join(eol)}${eol}---${eol}${eol}${body}`;
+  }
+
+  const yamlLines = removeTopLevelKey((frontMatter.groups.yaml ?? '').split(/\r?\n/).slice(0, -1), PROVENANCE_KEY);
+  const rest = body.slice(frontMatter[0].length);
+
+  return `${bom}---${eol}${[...yamlLines, ...provenanceLines].join(eol)}${eol}---${eol}${rest}`;
+}
+
+/**
+ * Formats provenance as YAML lines, or as a TOML table. Values are written as
+ * double-quoted strings, which both languages read the same way, so paths and
+ * refs never need escaping rules of their own.
+ * @param {Parameters<typeof addProvenance>[1]} provenance - Where the document comes from.
+ * @param {{toml?: boolean}} [options] - Whether to write a TOML table.
+ * @returns {string[]}
+ */
+function formatProvenance(provenance, { toml = false } = {}) {
+  const fields = [
+    ['repository', provenance.repository],
+    ['ref', provenance.ref],
+    ['commit', provenance.commit],
+    ['path', provenance.path],
+    ['url', provenance.url],
+    ['extracted_at', provenance.extractedAt],
+  ];
+
+  return toml
+    ? [`[${PROVENANCE_KEY}]`, ...fields.map(([key, value]) => `${key} = ${JSON.stringify(value)}`)]
+    : [`${PROVENANCE_KEY}:`, ...fields.map(([key, value]) => `  ${key}: ${JSON.stringify(value)}`)];
+}
+
+/**
+ * Removes a table, its sub-tables and the root keys of the same name from TOML lines.
+ * @param {string[]} lines - The lines of a TOML document.
+ * @param {string} key - The name of the table to remove.
+ * @returns {string[]}
+ */
+function removeTomlTable(lines, key) {
+  const result = [];
+  let inRootTable = true;
+  let removing = false;
+
+  for (const line of lines) {
+    const header = /^\s*\[{1,2}\s*(?<name>[^\]]*?)\s*\]/.exec(line);
+
+    if (header) {
+      inRootTable = false;
+      removing = header.groups.name === key || header.groups.name.startsWith(`${key}.`);
+    }
+
+    const isRootKey = inRootTable && line.split(/[.=]/)[0].trim() === key;
+
+    if (!removing && !isRootKey) {
+      result.push(line);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Removes a top-level key and its nested lines from YAML lines.
+ * @param {string[]} lines - The lines of a YAML document.
+ * @param {string} key - The top-level key to remove.
+ * @returns {string[]}
+ */
+function removeTopLevelKey(lines, key) {
+  const result = [];
+  let removing = false;
+
+  for (const line of lines) {
+    if (/^\S/.test(line)) {
+      removing = line.startsWith(`${key}:`);
+    }
+
+    if (!removing) {
+      result.push(line);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Tells whether front matter can be added to a file, based on its extension.
+ * @param {string} filePath - A file path.
+ * @returns {boolean}
+ */
+function supportsFrontMatter(filePath) {
+  return FRONT_MATTER_EXTENSIONS.has(path.posix.extname(filePath).toLowerCase());
+}
+
+export default {
+  addProvenance,
+  supportsFrontMatter,
+};
@@ -1,43 +1,207 @@
 #!/usr/bin/env node
 
+import os from 'node:os';
 import path from 'node:path';
 
 import { Octokit } from '@octokit/rest';
 import archiver from 'archiver';
 import chalk from 'chalk';
-import { Command } from 'commander';
+import { Command, InvalidArgumentError, Option } from 'commander';
 import fs from 'fs-extra';
 import ora from 'ora';
 
 import packageJson from '../package.json' with { type: 'json' };
 
 import ascii from './ascii.js';
+import assets from './assets.js';
+import chunks from './chunks.js';
+import collisions from './collisions.js';
+import config from './config.js';
+import encoding from './encoding.js';
+import expansion from './expansion.js';
+import filters from './filters.js';
+import frontmatter from './frontmatter.js';
+import jsonl from './jsonl.js';
+import layouts from './layouts.js';
+import links from './links.js';
+import llms from './llms.js';
+import local from './local.js';
+import manifest from './manifest.js';
+import mdx from './mdx.js';
+import plan from './plan.js';
+import providers from './providers.js';
+import staging from './staging.js';
+import sync from './sync.js';
 import utilities from './utilities.js';
 
-// Initialize GitHub API client (Octokit).
-// It automatically uses the GITHUB_TOKEN environment variable if set,
-// which is perfect for accessing private repositories or
-// increasing API rate limits.
-const octokit = new Octokit({
-  auth: process.env.GITHUB_TOKEN || undefined,
-});
-
+const DEFAULT_ASSETS = false;
+const DEFAULT_CHUNK_BUDGET = '16KB';
+const DEFAULT_CONCURRENCY = 5;
 const DEFAULT_DOCS_PATH = 'docs';
+const DEFAULT_FOLLOW_SYMLINKS = false;
+const DEFAULT_FORCE = false;
+const DEFAULT_FORMAT = 'files';
+const DEFAULT_FRONTMATTER = false;
+const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+const DEFAULT_INDEX = false;
 const DEFAULT_OUTPUT_DIRECTORY_PATH = './output';
+const DEFAULT_DRY_RUN = false;
+const DEFAULT_JSON = false;
+const DEFAULT_LAYOUT = 'grouped';
+const DEFAULT_LLMS_TXT = false;
+const DEFAULT_MAX_ASSET_SIZE = 1024 * 1024;
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MDX_TO_MD = false;
+const DEFAULT_ON_COLLISION = 'suffix';
+const DEFAULT_REWRITE_LINKS = true;
+const DEFAULT_SUBMODULES = false;
+const DEFAULT_SYNC = false;
 const DEFAULT_TO_ZIP = false;
+const DEFAULT_UNKNOWN_COMPONENTS = 'unwrap';
+const DEFAULT_WAIT_FOR_RESET = false;
+const CONTENTS_API_MAX_SIZE = 1024 * 1024;
+const DISCOVERY_REQUESTS_ESTIMATE = 3;
 const DOC_CONTAINER_NAMES = new Set(['doc', 'docs', 'documentation']);
+const MAX_RETRIES = 3;
+const NETWORK_ERROR_CODES = new Set(['EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT']);
+const RATE_LIMIT_RESET_MARGIN_MS = 1000;
+const RATE_LIMIT_WARNING_RATIO = 0.1;
+const RETRY_BASE_DELAY_MS = 1000;
+const SECONDARY_RATE_LIMIT_DELAY_MS = 60_000;
+const STDOUT_OUTPUT = '-';
+
+// The GitHub instance read through the API: github.com unless --api-url (or GITHUB_API_URL)
+// points to GitHub Enterprise. See selectGitHubInstance.
+let gitHub = createGitHubClient(DEFAULT_GITHUB_API_URL);
+
+/**
+ * Applies the options of a config file to the parsed command line, without
+ * overriding the options set on the command line, and resolves the options of
+ * each repository of a batch run.
+ *
+ * Each repository is extracted to a subdirectory of --out, named after its "out"
+ * option or the repository name, unless records are streamed to stdout with `--out -`.
+ * Command-line options override the options of every repository. When --repo is set,
+ * the repositories of the config file are ignored.
+ *
+ * @param {Command} program - The command, after parsing the command line.
+ * @param {string} configPath - The path of the config file.
+ * @returns {Array<Object>} The options of each repository to extract, empty for a single run.
+ * @throws {Error} If the config file is invalid or two repositories share an output directory.
+ */
+function applyConfigFile(program, configPath) {
+  const { options: configOptions, repositories } = config.loadConfig(configPath);
+  const isSetOnCommandLine = (name) => program.getOptionValueSource(name) === 'cli';
+
+  for (const [name, value] of Object.entries(configOptions)) {
+    if (!isSetOnCommandLine(name)) {
+      program.setOptionValueWithSource(name, value, 'config');
+    }
+  }
+
+  applyNameTemplatePolicy(program);
+  const options = program.opts();
+
+  if (options.repo) {
+    return [];
+  }
+
+  // Repositories are named after their URL, which depends on the GitHub instance.
+  selectGitHubInstance(options.apiUrl);
+
+  const repositoriesByOutput = new Map();
+
+  return repositories.map((entry) => {
+    const repositoryOptions = { ...options };
+
+    for (const [name, value] of Object.entries(entry)) {
+      if (name !== 'out' && !isSetOnCommandLine(name)) {
+        repositoryOptions[name] = value;
+      }
+    }
+
+    // Records of every repository are streamed to stdout one after the other.
+    if (options.out === STDOUT_OUTPUT) {
+      return repositoryOptions;
+    }
+
+    const repositoryName = local.isLocalRepository(entry.repo)
+      ? local.getLocalRepositoryName(entry.repo)
+      : parseRepositoryUrl(entry.repo).repo;
+    repositoryOptions.out = path.join(options.out, entry.out ?? repositoryName);
+
+    if (repositoriesByOutput.has(repositoryOptions.out)) {
+      /* eslint-disable-next-line @stylistic/max-len */
+      throw new Error(`Repositories ${repositoriesByOutput.get(repositoryOptions.out)} and ${entry.repo} are both extracted to "${repositoryOptions.out}". Set a different "out" for one of them in ${configPath}.`);
+    }
+
+    repositoriesByOutput.set(repositoryOptions.out, entry.repo);
+
+    return repositoryOptions;
+  });
+}
+
+/**
+ * Makes the filename collisions produced by a name template errors, as they are
+ * likely mistakes in the template, unless a collision policy is set.
+ * @param {Command} program - The command, after parsing the command line.
+ * @returns {undefined}
+ */
+function applyNameTemplatePolicy(program) {
+  if (program.opts().nameTemplate && program.getOptionValueSource('onCollision') === 'default') {
+    program.setOptionValue('onCollision', 'error');
+  }
+}
+
+/**
+ * Applies the file system changes of a sync plan that do not need a download:
+ * deletes the outputs of removed sources and stale outputs, then moves renamed files.
+ * @param {ReturnType<typeof sync.planSync>} syncPlan - The plan computed by sync.planSync.
+ * @param {string} directory - The directory holding a copy of the previous output.
+ * @returns {Promise<void>}
+ */
+async function applySyncPlan(syncPlan, directory) {
+  const deletedOutputs = [...syncPlan.removed.map((entry) => entry.output), ...syncPlan.stale];
+
+  await Promise.all(deletedOutputs.map((deletedOutput) => fs.remove(path.join(directory, deletedOutput))));
+
+  for (const { file, from } of syncPlan.renamed) {
+    const destination = path.join(directory, file.output);
+    await fs.ensureDir(path.dirname(destination));
+    await fs.move(path.join(directory, from), destination, { overwrite: true });
+  }
+}
+
+/**
+ * Builds the GitHub web URL of a file, pinned to a ref or commit SHA, on the selected GitHub instance.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} reference - A branch, tag or commit SHA.
+ * @param {string} filePath - The file path within the repo.
+ * @param {{raw?: boolean}} [options] - With raw, the URL serves the file itself (e.g. for images).
+ * @returns {string}
+ */
+function buildHtmlUrl(owner, repo, reference, filePath, { raw = false } = {}) {
+  const encodedPath = filePath.split('/').map((segment) => encodeURIComponent(segment)).join('/');
+  return `${gitHub.webOrigin}/${owner}/${repo}/${raw ? 'raw' : 'blob'}/${encodeURIComponent(reference)}/${encodedPath}`;
+}
 
 /**
  * Builds the final output directory and filename using Claude-friendly
  * flattening and naming rules.
  *
- * Design principles:
+ * Design principles of the default `grouped` layout:
  * - The output directory structure is limited to a single level.
  * - The output directory (outputRoot) is derived from the documentation path.
  * - The filename always encodes the full relative path under the documentation root.
  * - The output directory name is always included in the filename when present.
  * - Duplicate path segments in filenames are avoided.
  *
+ * The `flat` layout writes the same filenames directly to the output directory.
+ * The `preserve` layout keeps the folders under the documentation path, inside
+ * the output directory (outputRoot), and the original filenames.
+ * A name template (see layouts.parseNameTemplate) replaces the filename of any layout.
+ *
  * @param {string} filePath
  *   Full file path in the GitHub repository
  *   (e.g. "packages/react/docs/api/hooks.md").
@@ -55,13 +219,26 @@ const DOC_CONTAINER_NAMES = new Set(['doc', 'docs', 'documentation']);
  * @param {string} outputDirectory
  *   Absolute or relative path to the base output directory.
  *
+ * @param {Object} [naming]
+ *   How outputs are organized.
+ * @param {'flat'|'grouped'|'preserve'} [naming.layout]
+ *   The layout of the output directory, `grouped` by default.
+ * @param {string} [naming.nameTemplate]
+ *   A template for filenames, such as `{root}-{dirs}-{name}{ext}`.
+ *
  * @returns {{ directory: string, filename: string }}
  *   directory:
  *     Final directory where the file must be written.
  *   filename:
  *     Final filename including all flattened path segments.
  */
-function buildOutputLocation(filePath, documentPath, outputRoot, outputDirectory) {
+function buildOutputLocation(
+  filePath,
+  documentPath,
+  outputRoot,
+  outputDirectory,
+  { layout = DEFAULT_LAYOUT, nameTemplate } = {},
+) {
   const normalized = filePath.replaceAll('\\', '/');
   const relativePath = normalized.startsWith(`${documentPath}/`)
     ? normalized.slice(documentPath.length + 1)
@@ -81,14 +258,72 @@ function buildOutputLocation(filePath, documentPath, outputRoot, outputDirectory
   const folderPrefix = prefixParts.length > 0
     ? `${prefixParts.join('-')}-`
     : '';
-  const finalFilename = filename.startsWith(folderPrefix)
+  const flattenedFilename = filename.startsWith(folderPrefix)
     ? filename
     : `${folderPrefix}${filename}`;
-  const directory = outputRoot
+  const rootDirectory = outputRoot
     ? path.join(outputDirectory, outputRoot)
     : outputDirectory;
 
-  return { directory, filename: finalFilename };
+  if (nameTemplate) {
+    const extension = path.posix.extname(filename);
+    const templateFilename = layouts.renderNameTemplate(layouts.parseNameTemplate(nameTemplate), {
+      dirs: parts.join('-'),
+      ext: extension,
+      name: filename.slice(0, filename.length - extension.length),
+      root: outputRoot ?? '',
+    });
+
+    return {
+      directory: buildOutputLocation(filePath, documentPath, outputRoot, outputDirectory, { layout }).directory,
+      filename: templateFilename,
+    };
+  }
+
+  switch (layout) {
+    case 'flat': {
+      return { directory: outputDirectory, filename: flattenedFilename };
+    }
+    case 'preserve': {
+      return { directory: parts.length > 0 ? path.join(rootDirectory, ...parts) : rootDirectory, filename };
+    }
+    default: {
+      return { directory: rootDirectory, filename: flattenedFilename };
+    }
+  }
+}
+
+/**
+ * Schedules for download the files of a sync plan whose existing output is missing
+ * on disk (e.g. deleted by hand since the previous run), instead of trusting the manifest.
+ * @param {ReturnType<typeof sync.planSync>} syncPlan - The plan computed by sync.planSync.
+ * @param {string} outputDirectory - The output directory.
+ * @returns {Promise<ReturnType<typeof sync.planSync>>} The plan, with those files moved to its changed files.
+ */
+async function checkSyncPlanOutputs(syncPlan, outputDirectory) {
+  const changed = [...syncPlan.changed];
+  const unchanged = [];
+  const renamed = [];
+
+  for (const file of syncPlan.unchanged) {
+    if (await fs.pathExists(path.join(outputDirectory, file.output))) {
+      unchanged.push(file);
+    }
+    else {
+      changed.push(file);
+    }
+  }
+
+  for (const rename of syncPlan.renamed) {
+    if (await fs.pathExists(path.join(outputDirectory, rename.from))) {
+      renamed.push(rename);
+    }
+    else {
+      changed.push(rename.file);
+    }
+  }
+
+  return { ...syncPlan, changed, renamed, unchanged };
 }
 
 /**
@@ -147,8 +382,78 @@ function computeOutputRoot(documentPath) {
   return lastTwo.join('-');
 }
 
+/**
+ * Creates the client of a GitHub instance: github.com, GitHub Enterprise Server or
+ * GitHub Enterprise Cloud with data residency (*.ghe.com).
+ *
+ * The Octokit client automatically uses the GITHUB_TOKEN environment variable if set,
+ * which is perfect for accessing private repositories or increasing API rate limits.
+ *
+ * @param {string} apiUrl - The REST API URL of the instance, e.g. https://ghe.example.com/api/v3.
+ * @returns {{apiUrl: string, octokit: Octokit, webOrigin: string}}
+ *   apiUrl:
+ *     The API URL, without a trailing slash.
+ *   octokit:
+ *     The API client.
+ *   webOrigin:
+ *     The origin of the web pages of the instance (see getGitHubWebOrigin).
+ * @throws {Error} If the API URL is not an http(s) URL.
+ */
+function createGitHubClient(apiUrl) {
+  const baseUrl = apiUrl.trim().replace(/\/+$/, '');
+
+  if (!isHttpUrl(baseUrl)) {
+    throw new Error(`Invalid GitHub API URL "${apiUrl}". Expected a URL such as https://ghe.example.com/api/v3.`);
+  }
+
+  return {
+    apiUrl: baseUrl,
+    octokit: new Octokit({ auth: process.env.GITHUB_TOKEN || undefined, baseUrl }),
+    webOrigin: getGitHubWebOrigin(baseUrl),
+  };
+}
+
+/**
+ * Describes the tree of a repository at a commit, as expanded by expansion.expandTree.
+ * Submodules are opened with the URL listed in the .gitmodules file of the commit.
+ * @param {ReturnType<typeof openGitHubRepository>} repository - The repository.
+ * @param {string} commit - The commit SHA.
+ * @param {{entries: Array<object>, truncated: boolean}} tree - The tree of the commit.
+ * @returns {Parameters<typeof expansion.expandTree>[0]}
+ */
+function createTreeSource(repository, commit, tree) {
+  let submoduleUrls;
+
+  return {
+    commit,
+    entries: tree.entries,
+    openSubmodule: async (entry) => {
+      submoduleUrls ??= repository.downloadFile('.gitmodules', commit)
+        .then((content) => expansion.parseGitmodules(content.toString('utf8')));
+      const urls = await submoduleUrls;
+      const url = urls.get(entry.path);
+
+      if (!url) {
+        throw new Error('it is not listed in .gitmodules');
+      }
+
+      // Submodules are read at the commit pinned by the repository.
+      const submodule = await repository.openSubmodule(entry.path, url);
+      const submoduleCommit = await submodule.resolveCommit(entry.sha);
+      const submoduleTree = await submodule.fetchTree(submoduleCommit.treeSha);
+
+      return createTreeSource(submodule, submoduleCommit.sha, submoduleTree);
+    },
+    readSymlink: (entry) => repository.readSymlink(entry.path, commit, entry)
+      .then((content) => content.toString('utf8')),
+    repository,
+    truncated: tree.truncated,
+  };
+}
+
 /**
  * Creates a zip archive from a source directory.
+ * Sync manifests are internal to gde and are left out of the archive, unlike `manifest.json`.
  * @param {string} sourceDirectory - The directory to zip.
  * @param {string} outPath - The full path for the output zip file.
  * @returns {Promise<void>} A promise that resolves when the archive is created.
@@ -161,226 +466,1838 @@ async function createZipArchive(sourceDirectory, outPath) {
     output.on('close', () => resolve());
     archive.on('error', (error) => reject(error));
     archive.pipe(output);
-    archive.directory(sourceDirectory, false);
+    archive.directory(
+      sourceDirectory,
+      false,
+      (entry) => (path.posix.basename(entry.name) === sync.SYNC_MANIFEST_FILENAME ? false : entry),
+    );
     archive.finalize();
   });
 }
 
 /**
- * Extract and download files.
- * @param {Object} options - The options parsed by commander.
- * @returns {Promise<void>} A promise that resolves when the files are extracted, downloaded and archived.
- * @throws {Error}
+ * Downloads the assets referenced by the extracted files into the staging directory.
+ *
+ * In sync mode, the assets of the previous manifest are compared with the referenced
+ * ones: only added or changed assets are downloaded, renamed ones are moved and the
+ * assets that are no longer referenced are deleted.
+ *
+ * @param {Array<{path: string, sha: string, output: string}>} referencedAssets
+ *   The assets to extract, with their output path relative to the output directory.
+ * @param {Object} context - Where the assets come from and go to.
+ * @param {Awaited<ReturnType<typeof openLocalRepository>>} context.repository - The repository to read.
+ * @param {string} context.reference - The commit SHA to read.
+ * @param {Object} context.options - The options parsed by commander.
+ * @param {number} context.maxSize - The maximum size of an asset, in bytes.
+ * @param {Array<{source: string, sha: string, output: string}>} context.previousAssets
+ *   The asset entries of the previous sync manifest.
+ * @param {string} context.stagingDirectory - The staging directory.
+ * @returns {Promise<{
+ *   downloaded: number,
+ *   entries: Array<object>,
+ *   failed: Array<{path: string, error: Error}>,
+ *   oversized: Array<{path: string, size: number}>
+ * }>}
+ *   downloaded:
+ *     The number of downloaded assets.
+ *   entries:
+ *     The sync manifest entries of the extracted assets.
+ *   failed:
+ *     The assets that could not be downloaded.
+ *   oversized:
+ *     The assets whose size the tree did not list, found larger than maxSize once downloaded.
+ * @throws {Error} On authentication and access errors.
  */
-async function extract(options) {
-  /* eslint-disable-next-line security-node/detect-crlf */
-  console.log(chalk.yellow.bold('🚀 Starting GitHub Docs Extractor...'));
-
-  // 1. Parse and validate the repository URL.
-  const repoInfo = parseRepoUrl(options.repo);
-  const { owner, repo } = repoInfo;
-  const documentPaths = Array.isArray(options.paths) ? options.paths : [options.paths];
-  const pathConfigs = documentPaths.map((documentPath) => ({
-    documentPath,
-    outputRoot: computeOutputRoot(documentPath),
-  }));
+async function downloadAssets(referencedAssets, {
+  maxSize,
+  options,
+  previousAssets,
+  reference,
+  repository,
+  stagingDirectory,
+}) {
+  const assetPlan = options.sync
+    ? await checkSyncPlanOutputs(sync.planSync(referencedAssets, previousAssets), options.out)
+    : undefined;
 
-  const spinner = ora(`Fetching file list from ${chalk.green(`${owner}/${repo}`)}...`).start();
-  const allFilesToDownload = [];
+  if (assetPlan) {
+    await applySyncPlan(assetPlan, stagingDirectory);
+  }
 
-  try {
-    // 2. Fetch file lists from all specified paths.
-    for (const { documentPath, outputRoot } of pathConfigs) {
-      spinner.text = `Fetching files from ${chalk.green(`${owner}/${repo}/${documentPath}`)}...`;
-      const filesInPath = await fetchAllFiles(owner, repo, documentPath);
+  const assetsToDownload = assetPlan ? [...assetPlan.added, ...assetPlan.changed] : referencedAssets;
+  const failed = [];
+  const oversized = [];
 
-      allFilesToDownload.push(
-        ...filesInPath.map((file) => ({
-          ...file,
-          __documentPath: documentPath,
-          __outputRoot: outputRoot,
-        })),
+  await utilities.mapWithConcurrency(assetsToDownload, options.concurrency ?? DEFAULT_CONCURRENCY, async (asset) => {
+    try {
+      const content = await withRetry(
+        () => readEntry(asset, { commit: reference, repository }),
+        { waitForReset: options.waitForReset },
       );
-    }
-
-    if (allFilesToDownload.length === 0) {
-      spinner.warn(chalk.yellow('No .md or .mdx files found in any of the specified paths.'));
-      return;
-    }
-
-    spinner.succeed(chalk.green(`Found ${allFilesToDownload.length} files to download.`));
-
-    // 3. Prepare the output directory.
-    await fs.emptyDir(options.out);
-
-    /* eslint-disable-next-line security-node/detect-crlf */
-    console.log(chalk.blueBright(`Output directory cleaned. Files will be saved to: ${path.resolve(options.out)}`));
-
-    // 4. Download each file.
-    const downloadSpinner = ora('Downloading files...').start();
+      const outputFile = path.join(stagingDirectory, asset.output);
 
-    for (const file of allFilesToDownload) {
-      downloadSpinner.text = `Downloading ${chalk.cyan(file.path)}`;
+      // Assets of unknown size are only measured here; a changed one may have a previous version in staging.
+      if (content.length > maxSize) {
+        oversized.push({ path: asset.path, size: content.length });
+        await fs.remove(outputFile);
+        return;
+      }
 
-      const { data: fileContent } = await octokit.repos.getContent({ owner, path: file.path, repo });
-      const content = Buffer.from(fileContent.content, 'base64').toString('utf8');
+      await fs.ensureDir(path.dirname(outputFile));
+      await fs.writeFile(outputFile, content);
+    }
+    catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        throw error;
+      }
+      failed.push({ error, path: asset.path });
+    }
+  });
 
-      const { directory, filename } = buildOutputLocation(
-        file.path,
-        file.__documentPath,
-        file.__outputRoot,
-        options.out,
-      );
+  const failedSources = new Set(failed.map(({ path: filePath }) => filePath));
+  const oversizedSources = new Set(oversized.map(({ path: filePath }) => filePath));
+  const previousEntries = new Map(previousAssets.map((entry) => [entry.source, entry]));
+  const entries = [];
 
-      await fs.ensureDir(directory);
-      await fs.writeFile(path.join(directory, filename), content);
+  for (const asset of referencedAssets) {
+    if (oversizedSources.has(asset.path)) {
+      continue;
     }
 
-    downloadSpinner.succeed(chalk.green('All files downloaded successfully.'));
-
-    // 5. Optionally create a zip archive.
-    if (options.zip) {
-      const zipSpinner = ora('Creating zip archive...').start();
-      const zipFileName = `${path.basename(options.out)}.zip`;
-      const zipFilePath = path.join(path.dirname(path.resolve(options.out)), zipFileName);
-      await createZipArchive(options.out, zipFilePath);
-      zipSpinner.succeed(chalk.green(`Zip archive created at: ${zipFilePath}`));
+    if (!failedSources.has(asset.path)) {
+      entries.push({ output: asset.output, sha: asset.sha, source: asset.path });
     }
+    else if (await keepPreviousOutput(previousEntries.get(asset.path), { options, stagingDirectory })) {
+      entries.push(previousEntries.get(asset.path));
+    }
+  }
 
-    /* eslint-disable-next-line security-node/detect-crlf */
-    console.log(chalk.yellow.bold('\n✨ Operation completed!'));
+  return { downloaded: assetsToDownload.length - failed.length - oversized.length, entries, failed, oversized };
+}
 
-    ascii.displaySuccessMessage();
+/**
+ * Downloads the raw content of a single file, such as an image.
+ *
+ * The contents API only inlines files up to 1 MB: larger files come without content
+ * (encoding "none"), and are read through the Git blobs API instead, which serves
+ * blobs up to 100 MB. When the tree already tells that a file is larger than 1 MB,
+ * its blob is read directly, saving a request.
+ *
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} filePath - The file path within the repo.
+ * @param {string} [reference] - Branch, tag or commit SHA to read. Defaults to the default branch.
+ * @param {{sha?: string, size?: number}} [entry] - The tree entry of the file, if known.
+ * @returns {Promise<Buffer>} The bytes of the file.
+ * @throws {Error}
+ */
+async function downloadBinaryFile(owner, repo, filePath, reference, { sha, size } = {}) {
+  if (sha && size > CONTENTS_API_MAX_SIZE) {
+    return downloadBlob(owner, repo, sha);
   }
-  catch (error) {
-    spinner.fail(chalk.red.bold('An error occurred:'));
-    console.error(chalk.red(error.message));
 
-    if (error.status === 403) {
-      console.error(chalk.yellow.bold('\n🙀 API Rate Limit Exceeded'));
-      /* eslint-disable @stylistic/max-len */
-      console.error(chalk.yellow('You have hit the GitHub API rate limit for unauthenticated requests (60 requests/hour).'));
-      console.error(chalk.yellow('To fix this, create a Personal Access Token (PAT) and set it as an environment variable:'));
-      console.error(chalk.cyan('  export GITHUB_TOKEN="your_token_here"'));
-      console.error(chalk.yellow('This will increase your limit to 5,000 requests/hour and is recommended for all uses.'));
-      console.error(chalk.yellow('See the documentation of this CLI for a detailed procedure to follow.'));
-      /* eslint-enable @stylistic/max-len */
-    }
+  const { data: fileContent } = await gitHub.octokit.repos.getContent({
+    owner,
+    path: filePath,
+    ref: reference,
+    repo,
+  });
+  const content = fileContent.encoding === 'none' ? undefined : Buffer.from(fileContent.content ?? '', 'base64');
 
-    throw error;
+  // Missing or truncated content: the file is too large to be inlined.
+  if (content && !(content.length < fileContent.size)) {
+    return content;
   }
+
+  return downloadBlob(owner, repo, fileContent.sha);
 }
 
 /**
- * Recursively fetches all .md and .mdx files from a given directory path in the repo.
+ * Downloads a Git blob, for files too large for the contents API.
  * @param {string} owner - The repository owner.
  * @param {string} repo - The repository name.
- * @param {string} directoryPath - The directory path within the repo to scan.
- * @returns {Promise<Array<object>>} A list of file objects returned by the GitHub API.
+ * @param {string} sha - The blob SHA.
+ * @returns {Promise<Buffer>} The bytes of the blob.
  * @throws {Error}
  */
-async function fetchAllFiles(owner, repo, directoryPath) {
-  try {
-    const { data: contents } = await octokit.repos.getContent({ owner, path: directoryPath, repo });
-    const files = [];
+async function downloadBlob(owner, repo, sha) {
+  const { data: blob } = await gitHub.octokit.git.getBlob({ file_sha: sha, owner, repo });
+  return Buffer.from(blob.content, blob.encoding === 'base64' ? 'base64' : 'utf8');
+}
 
-    for (const item of contents) {
-      if (item.type === 'dir') {
-        const subFiles = await fetchAllFiles(owner, repo, item.path);
-        files.push(...subFiles);
-      }
-      else if (item.type === 'file' && (item.name.endsWith('.md') || item.name.endsWith('.mdx'))) {
-        files.push(item);
-      }
-    }
+/**
+ * Checks that the remaining GitHub API quota allows the planned number of requests.
+ *
+ * - Enough quota: continues, with a warning when the extraction uses most of it.
+ * - Not enough quota without --wait-for-reset: refuses to start.
+ * - Not enough quota with --wait-for-reset: waits for the reset now if the quota is
+ *   exhausted, otherwise continues and lets rate-limited requests wait for the reset.
+ *
+ * @param {number} requiredRequests - The estimated number of requests about to be made.
+ * @param {{waitForReset?: boolean}} options - The options parsed by commander.
+ * @param {import('ora').Ora} spinner - The spinner used to report the wait.
+ * @returns {Promise<void>}
+ * @throws {Error} If the quota is insufficient and --wait-for-reset is not set.
+ */
+async function ensureRateLimitQuota(requiredRequests, options, spinner) {
+  const rateLimit = await getRateLimit();
 
-    return files;
+  // Rate limiting is disabled (e.g. on some GitHub Enterprise Server instances).
+  if (!rateLimit) {
+    return;
   }
-  catch (error) {
-    if (error.status === 404) {
+
+  const { limit, remaining, reset } = rateLimit;
+  const resetTime = new Date(reset).toLocaleTimeString();
+
+  if (remaining >= requiredRequests) {
+    if (remaining - requiredRequests < limit * RATE_LIMIT_WARNING_RATIO) {
       /* eslint-disable-next-line @stylistic/max-len */
-      console.warn(chalk.yellow(`\n  Warning: Path "${directoryPath}" not found in repository ${owner}/${repo}. Skipping.`));
-      return [];
+      console.warn(chalk.yellow(`\n  Warning: This extraction needs about ${requiredRequests} API requests, leaving ${remaining - requiredRequests} of ${limit} until ${resetTime}.`));
     }
-    throw error;
+    return;
+  }
+
+  if (!options.waitForReset) {
+    /* eslint-disable-next-line @stylistic/max-len */
+    throw new Error(`Not enough GitHub API quota: this extraction needs about ${requiredRequests} requests but only ${remaining} of ${limit} remain until ${resetTime}. Set GITHUB_TOKEN or use --wait-for-reset.`);
+  }
+
+  if (remaining === 0) {
+    spinner.text = `Rate limit exhausted, waiting for the reset at ${resetTime}...`;
+    await utilities.sleep(Math.max(0, reset - Date.now()) + RATE_LIMIT_RESET_MARGIN_MS);
+    return;
   }
+
+  /* eslint-disable-next-line @stylistic/max-len */
+  console.warn(chalk.yellow(`\n  Warning: This extraction needs about ${requiredRequests} API requests but only ${remaining} remain. It will pause until ${resetTime} when the quota is exhausted.`));
 }
 
 /**
- * Create the CLI and parse arguments.
- * @param {string[]} argv - An array of command-line arguments.
- * @returns {Object} An object containing the options parsed by Commander.
+ * Extract and download files.
+ *
+ * The repository is read through the GitHub API or, when --repo is a local path, from
+ * a local directory or git repository without any API request (see openLocalRepository).
+ *
+ * Files are downloaded by a pool of --concurrency workers. Transient failures are
+ * retried; a file that still cannot be downloaded is reported at the end of the run
+ * instead of aborting the others.
+ *
+ * Files are written to a staging directory that replaces the output directory only
+ * once the run succeeds, so a failed run never destroys a previous extraction. A
+ * non-empty output directory that was not created by gde is never replaced unless
+ * --force is set. A file that fails to download keeps its previous version, if any.
+ *
+ * A sync manifest recording the source path, blob SHA and output path of every file
+ * is written to the output directory. With --sync, the staging directory starts from
+ * a copy of the previous output: the previous manifest is used to download only added
+ * or changed files, move renamed ones and delete the outputs of removed sources.
+ *
+ * Files whose flattened filenames collide are renamed with a stable suffix, skipped,
+ * or make the run fail, depending on --on-collision, and are reported at the end.
+ *
+ * With --assets, the images and other assets referenced by Markdown files are downloaded
+ * into an `assets` folder and the references point to them, except for assets larger
+ * than --max-asset-size and external URLs.
+ *
+ * Relative links of Markdown files are rewritten to point to the output of the files
+ * they target, or to GitHub when the target is not extracted; links to paths missing
+ * from the repository are reported at the end. --no-rewrite-links keeps them as they are.
+ *
+ * With --mdx-to-md, MDX files are converted to plain Markdown and written as .md files:
+ * imports and exports are removed, well-known components are rewritten as Markdown and
+ * other components are kept, stripped or unwrapped depending on --unknown-components.
+ *
+ * With --frontmatter, provenance front matter (repository, ref, commit, source path,
+ * GitHub URL and extraction time) is added to Markdown files, merged into their
+ * existing front matter if any.
+ *
+ * With --chunk, Markdown files larger than the budget are split at heading boundaries
+ * into chunks named after their output; the output itself becomes an index of the chunks.
+ *
+ * With --llms-txt, an `llms.txt` index linking to every extracted document, grouped by
+ * output root, and an `llms-full.txt` file concatenating them are written at the root
+ * of the output directory.
+ *
+ * With --dry-run, the extraction stops once output locations are computed: the plan
+ * is printed as a table (or as JSON with --json) and nothing is downloaded or written.
+ *
+ * @param {Object} options - The options parsed by commander.
+ * @returns {Promise<{downloaded: number, failed: Array<{path: string, error: Error}>}>}
+ *   A promise that resolves when the files are extracted, downloaded and archived,
+ *   with the number of downloaded files and the list of files that failed.
  * @throws {Error}
  */
-function launchCLI(argv) {
+async function extract(options) {
+  if (options.out === STDOUT_OUTPUT) {
+    return extractToStdout(options);
+  }
+
+  // With --json, stdout is reserved for the plan so it can be piped or diffed.
+  if (!options.json) {
+    log(options, chalk.yellow.bold('🚀 Starting GitHub Docs Extractor...'));
+  }
+
+  // 1. Parse and validate the repository URL, unless the repository is a local directory.
+  selectGitHubInstance(options.apiUrl);
+  const repoInfo = local.isLocalRepository(options.repo) ? undefined : parseRepositoryUrl(options.repo);
+  const repositoryLabel = repoInfo ? `${repoInfo.owner}/${repoInfo.repo}` : options.repo;
+
+  const spinner = ora(`Resolving ref of ${chalk.green(repositoryLabel)}...`).start();
+  let repository;
+  let stagingDirectory;
+
   try {
-    const program = new Command();
+    if (options.assets && !(options.rewriteLinks ?? DEFAULT_REWRITE_LINKS)) {
+      throw new Error('--assets rewrites references to the downloaded assets: remove --no-rewrite-links to use it.');
+    }
 
-    ascii.displayWelcomeBanner();
+    // 2. Never replace a directory that was not created by gde without --force. A dry run writes nothing.
+    if (!options.dryRun) {
+      await staging.assertSafeOutputDirectory(options.out, options.force);
+    }
 
-    program
-      .name(`gde (${packageJson.name})`)
-      .description(chalk.cyan.bold(`  ${packageJson.description}`))
-      .requiredOption('-r, --repo <url>', `GitHub repository URL (e.g., https://github.com/facebook/react) (${chalk.bold('required')})`)
-      .option('-o, --out <dir>', 'Destination directory for downloaded files', DEFAULT_OUTPUT_DIRECTORY_PATH)
-      .option('-p, --paths <paths...>', 'One or more space-separated paths to documentation folders', DEFAULT_DOCS_PATH)
-      .option('--zip', 'Create a zip archive of the output directory', DEFAULT_TO_ZIP)
-      .version(`v${packageJson.version}`);
+    // 3. Make sure the GitHub API rate-limit quota allows the discovery requests.
+    repository = repoInfo ? openRemoteRepository(repoInfo) : await openLocalRepository(options.repo);
 
-    if (argv?.length <= 2) {
-      program.help();
+    if (repository.usesGitHubApi) {
+      await ensureRateLimitQuota(DISCOVERY_REQUESTS_ESTIMATE, options, spinner);
     }
 
-    program.parse(argv);
+    // 4. Resolve the requested ref (or the default branch) to a commit SHA,
+    // so discovery and downloads read the exact same snapshot.
+    // A ref and path found in the URL are used as defaults for --ref and --paths.
+    const urlTarget = repoInfo?.refAndPath
+      ? await repository.resolveReferenceAndPath(repoInfo.refAndPath)
+      : { path: repoInfo?.path, ref: repoInfo?.ref };
+    const source = await repository.resolveCommit(options.ref ?? urlTarget.ref);
 
-    return program.opts();
-  }
-  catch (error) {
-    console.error(chalk.red(`An error occurred while launching the CLI tool: ${error.message}`));
-    throw error;
-  }
-}
+    const documentPaths = [options.paths ?? urlTarget.path ?? DEFAULT_DOCS_PATH].flat();
+    const pathConfigs = documentPaths.map((documentPath) => ({
+      documentPath,
+      outputRoot: computeOutputRoot(documentPath),
+    }));
 
-/**
- * Validates and parses a GitHub repository URL to extract its owner and name.
- * @param {string} url - The full GitHub repository URL.
- * @returns {{owner: string, repo: string}|null} An object with owner and repo.
- * @throws {Error} If the URL is invalid.
- */
-function parseRepoUrl(url) {
-  // HTTPS URL:
-  // - https://github.com/owner/repo
-  // - https://github.com/owner/repo/
-  // - https://github.com/owner/repo.git
-  let match = url.match(/^https:\/\/github\.com\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/i);
+    // 5. Fetch the repository tree once, then filter file lists for all specified paths.
+    spinner.text = `Fetching file list from ${chalk.green(`${repository.name}@${source.ref}`)}...`;
+    const tree = await fetchExpandedTree(repository, source, { documentPaths, options });
+    // Files listed through a symbolic link or read from a submodule are linked to where they are.
+    const originsByPath = new Map(
+      tree.entries.filter((entry) => entry.__origin).map((entry) => [entry.path, entry.__origin]),
+    );
+    const toUrl = (filePath, settings) => {
+      const origin = originsByPath.get(filePath);
+      return origin
+        ? origin.repository.toUrl(origin.commit, origin.path, settings)
+        : repository.toUrl(source.sha, filePath, settings);
+    };
+    const filter = filters.createFileFilter({
+      exclude: options.exclude,
+      extensions: options.ext,
+      include: options.include,
+    });
+    const discoveredFiles = [];
 
-  // SSH URL:
-  // - git@github.com:owner/repo.git
-  // - git@github.com:owner/repo
-  if (!match) {
-    match = url.match(/^git@github\.com:([^/]+)\/([^/]+?)(?:\.git)?$/i);
-  }
+    for (const { documentPath, outputRoot } of pathConfigs) {
+      spinner.text = `Fetching files from ${chalk.green(`${repository.name}/${documentPath}`)}...`;
+      const filesInPath = await repository.fetchFiles(documentPath, { filter, ref: source.sha, tree });
 
-  if (!match || !match[1] || !match[2]) {
-    const errorMessage = 'Invalid GitHub repository URL. Expected format: https://github.com/owner/repo or git@github.com:owner/repo.git';
-    console.error(chalk.red.bold(errorMessage));
-    throw new Error(errorMessage);
-  }
+      discoveredFiles.push(
+        ...filesInPath.map((file) => ({
+          ...file,
+          __documentPath: documentPath,
+          __outputRoot: outputRoot,
+        })),
+      );
+    }
 
-  return { owner: match[1], repo: match[2].replace(/\.git$/i, '') };
-}
+    // Files larger than --max-file-size are skipped rather than downloaded, and reported at the end of the run.
+    const maxFileSize = options.maxFileSize ?? DEFAULT_MAX_FILE_SIZE;
+    const oversizedFiles = discoveredFiles.filter((file) => file.size > maxFileSize);
+    const extractedFiles = discoveredFiles.filter((file) => !(file.size > maxFileSize));
 
-/**
- * Main function, orchestrates the entire application flow.
- * @param {string[]} argv - The command-line arguments to run the program with.
- */
-async function run(argv) {
-  /* eslint-disable-next-line security-node/detect-unhandled-async-errors */
-  try {
-    const options = launchCLI(argv);
-    await extract(options);
-    /* eslint-disable-next-line n/no-process-exit */
-    process.exit(0);
+    for (const file of extractedFiles) {
+      const { directory, filename } = buildOutputLocation(
+        file.path,
+        file.__documentPath,
+        file.__outputRoot,
+        options.out,
+        { layout: options.layout, nameTemplate: options.nameTemplate },
+      );
+      // Converted MDX files are written as Markdown files.
+      const outputFilename = options.mdxToMd && mdx.isMdxFile(file.path) ? mdx.toMarkdownFilename(filename) : filename;
+      file.output = sync.toManifestPath(options.out, path.join(directory, outputFilename));
+    }
+
+    // A name template can produce filenames that cannot be written everywhere: reject them before any download.
+    if (options.nameTemplate) {
+      const invalidFilenames = extractedFiles.flatMap((file) => {
+        const filename = path.posix.basename(file.output);
+        const problem = layouts.findFilenameProblem(filename);
+        return problem ? [`${file.path} → "${filename}" (${problem})`] : [];
+      });
+
+      if (invalidFilenames.length > 0) {
+        /* eslint-disable-next-line @stylistic/max-len */
+        throw new Error(`The name template "${options.nameTemplate}" produces invalid filenames: ${invalidFilenames.join('; ')}.`);
+      }
+    }
+
+    // Flattening can map different sources to the same filename: resolve collisions before anything is written.
+    // The files generated at the root of the output directory keep their name.
+    const generatedOutputs = [
+      manifest.MANIFEST_FILENAME,
+      ...(options.index ? [manifest.INDEX_FILENAME] : []),
+      ...(options.llmsTxt ? [llms.LLMS_FILENAME, llms.LLMS_FULL_FILENAME] : []),
+      ...(options.format === 'jsonl' ? [jsonl.JSONL_FILENAME] : []),
+    ];
+    const { collisions: filenameCollisions, files: allFilesToDownload } = collisions.resolveCollisions(
+      extractedFiles,
+      options.onCollision ?? DEFAULT_ON_COLLISION,
+      generatedOutputs,
+    );
+
+    // With --dry-run, print what would be extracted and stop before touching the filesystem.
+    if (options.dryRun) {
+      spinner.succeed(chalk.green(`Found ${allFilesToDownload.length} files.`));
+
+      const extractionPlan = plan.buildExtractionPlan(
+        { commit: source.sha, ref: source.ref, repository: repository.name },
+        pathConfigs,
+        allFilesToDownload,
+        options.out,
+        { collisions: filenameCollisions, filtered: filter.rules },
+      );
+
+      const output = options.json
+        ? JSON.stringify(extractionPlan, undefined, 2)
+        : plan.formatExtractionPlan(extractionPlan);
+
+      // In a batch, the plans of all repositories are printed together.
+      if (!(options.json && options.__batch)) {
+        /* eslint-disable-next-line security-node/detect-crlf */
+        console.log(output);
+      }
+
+      reportOversizedFiles(oversizedFiles, maxFileSize);
+      return { downloaded: 0, failed: [], plan: extractionPlan };
+    }
+
+    if (allFilesToDownload.length === 0) {
+      spinner.warn(chalk.yellow('No documentation files found in any of the specified paths.'));
+      reportOversizedFiles(oversizedFiles, maxFileSize);
+      return { downloaded: 0, failed: [] };
+    }
+
+    // 6. In sync mode, compare with the previous manifest to only download what changed.
+    // Files are downloaded again when options changing their content differ from the previous run,
+    // or when the output of a file they link to moved.
+    const rewriteLinks = options.rewriteLinks ?? DEFAULT_REWRITE_LINKS;
+    const maxAssetSize = options.maxAssetSize ?? DEFAULT_MAX_ASSET_SIZE;
+    const unknownComponents = options.unknownComponents ?? DEFAULT_UNKNOWN_COMPONENTS;
+    const chunkBudget = options.chunk || undefined;
+    const transforms = {
+      assets: options.assets ? maxAssetSize : false,
+      chunk: chunkBudget ? chunks.formatChunkBudget(chunkBudget) : false,
+      frontmatter: Boolean(options.frontmatter),
+      mdxToMd: options.mdxToMd ? unknownComponents : false,
+      rewriteLinks,
+    };
+    const previousManifest = await sync.readSyncManifest(options.out, {
+      onInvalid: (reason) => {
+        /* eslint-disable-next-line @stylistic/max-len */
+        console.warn(chalk.yellow(`\n  Warning: Ignoring ${sync.SYNC_MANIFEST_FILENAME} from a previous run: ${reason}. Every file is extracted again.`));
+      },
+    });
+    let syncPlan = options.sync
+      ? sync.planSync(allFilesToDownload, previousManifest?.files ?? [])
+      : undefined;
+    // The summary tells how the sources changed: a renamed file stays a rename when it is downloaded again below.
+    const sourceChanges = syncPlan && {
+      added: syncPlan.added.length,
+      changed: syncPlan.changed.length,
+      removed: syncPlan.removed.length,
+      renamed: syncPlan.renamed.length,
+      unchanged: syncPlan.unchanged.length,
+    };
+
+    if (syncPlan && previousManifest && !sync.hasSameTransforms(previousManifest, transforms)) {
+      syncPlan = sync.invalidateSyncPlan(syncPlan);
+    }
+    else if (syncPlan && rewriteLinks) {
+      syncPlan = sync.invalidateLinkingFiles(syncPlan, allFilesToDownload, previousManifest?.files ?? []);
+    }
+
+    if (syncPlan) {
+      syncPlan = await checkSyncPlanOutputs(syncPlan, options.out);
+      syncPlan = sync.invalidateChunkedFiles(syncPlan, previousManifest?.files ?? []);
+    }
+
+    const filesToDownload = syncPlan
+      ? [...syncPlan.added, ...syncPlan.changed]
+      : allFilesToDownload;
+
+    // 7. Make sure the rate-limit quota allows one request per file before touching the output directory.
+    if (repository.usesGitHubApi) {
+      await ensureRateLimitQuota(filesToDownload.length, options, spinner);
+    }
+
+    /* eslint-disable-next-line @stylistic/max-len */
+    spinner.succeed(chalk.green(`Found ${allFilesToDownload.length} files${syncPlan ? `, ${filesToDownload.length} to download` : ' to download'}.`));
+
+    // 8. Prepare the staging directory, starting from the previous output in sync mode.
+    stagingDirectory = await staging.prepareStagingDirectory(options.out, Boolean(syncPlan));
+
+    if (syncPlan) {
+      await applySyncPlan(syncPlan, stagingDirectory);
+    }
+
+    if (!options.__stdout) {
+      log(options, chalk.blueBright(`Files will be saved to: ${path.resolve(options.out)}`));
+    }
+
+    // 9. Download files with a bounded number of parallel requests.
+    const downloadSpinner = ora('Downloading files...').start();
+    const extractedAt = new Date().toISOString();
+    // With --assets, links to assets small enough point to their copy in the assets folder.
+    // A truncated tree does not list every asset, so they are all linked to GitHub instead.
+    const assetList = options.assets && !tree.truncated
+      ? assets.listAssets(tree.entries, maxAssetSize)
+      : { candidates: [], oversized: new Set() };
+    const outputsBySource = new Map(
+      [...allFilesToDownload, ...assetList.candidates].map((file) => [file.path, file.output]),
+    );
+    // A truncated tree does not list every path, so missing targets cannot be told apart from broken links.
+    const repositoryPaths = tree.truncated ? undefined : new Set(tree.entries.map((entry) => entry.path));
+    const linksBySource = new Map((previousManifest?.files ?? []).map((entry) => [entry.source, entry.links ?? []]));
+    const chunksBySource = new Map((previousManifest?.files ?? []).map((entry) => [entry.source, entry.chunks ?? []]));
+    const reservedOutputs = new Set(outputsBySource.values());
+    const brokenLinks = [];
+    const failed = [];
+    let completed = 0;
+
+    await utilities.mapWithConcurrency(filesToDownload, options.concurrency ?? DEFAULT_CONCURRENCY, async (file) => {
+      try {
+        const fileContent = await withRetry(
+          () => readEntry(file, { commit: source.sha, repository }),
+          {
+            onRetry: (error, attempt, delay) => {
+              /* eslint-disable-next-line @stylistic/max-len */
+              downloadSpinner.text = `Retrying ${chalk.cyan(file.path)} in ${Math.ceil(delay / 1000)}s (attempt ${attempt}/${MAX_RETRIES}): ${error.message}`;
+            },
+            waitForReset: options.waitForReset,
+          },
+        );
+
+        // Sizes are not listed by every provider: check the size of the downloaded content too.
+        if (fileContent.length > maxFileSize) {
+          throw new Error(`${file.path} is larger than ${plan.formatBytes(maxFileSize)} (--max-file-size).`);
+        }
+
+        const textProblem = encoding.findTextProblem(fileContent);
+
+        if (textProblem) {
+          throw new Error(`${file.path} was not extracted: ${textProblem}.`);
+        }
+
+        let content = fileContent.toString('utf8');
+
+        // Links and front matter are only handled in Markdown files.
+        const isMarkdown = frontmatter.supportsFrontMatter(file.path);
+        linksBySource.set(file.path, []);
+        chunksBySource.set(file.path, []);
+
+        if (options.mdxToMd && mdx.isMdxFile(file.path)) {
+          content = mdx.convertMdxToMarkdown(content, { unknownComponents });
+        }
+
+        if (rewriteLinks && isMarkdown) {
+          const rewritten = links.rewriteLinks(content, {
+            outputPath: file.output,
+            outputsBySource,
+            repositoryPaths,
+            sourcePath: file.path,
+            toUrl,
+          });
+
+          content = rewritten.content;
+          linksBySource.set(file.path, rewritten.targets);
+          brokenLinks.push(...rewritten.broken.map((link) => ({ link, source: file.path })));
+        }
+
+        if (options.frontmatter && isMarkdown) {
+          content = frontmatter.addProvenance(content, {
+            commit: source.sha,
+            extractedAt,
+            path: file.path,
+            ref: source.ref,
+            repository: repository.name,
+            url: toUrl(file.path),
+          });
+        }
+
+        const split = chunkBudget && isMarkdown
+          ? chunks.splitDocument(content, { budget: chunkBudget, output: file.output, reserved: reservedOutputs })
+          : undefined;
+        const outputs = [
+          ...(split?.chunks ?? []),
+          { content: split ? split.index : content, output: file.output },
+        ];
+
+        for (const { content: outputContent, output } of outputs) {
+          const outputFile = path.join(stagingDirectory, output);
+          await fs.ensureDir(path.dirname(outputFile));
+          await fs.writeFile(outputFile, outputContent);
+        }
+
+        chunksBySource.set(file.path, split?.chunks.map((chunk) => chunk.output) ?? []);
+      }
+      catch (error) {
+        // Authentication and rate-limit errors affect every request: stop the run.
+        if (error.status === 401 || error.status === 403) {
+          throw error;
+        }
+        failed.push({ error, path: file.path });
+      }
+
+      completed += 1;
+      downloadSpinner.text = `Downloading files (${completed}/${filesToDownload.length})...`;
+    });
+
+    const downloaded = filesToDownload.length - failed.length;
+
+    if (failed.length === 0) {
+      downloadSpinner.succeed(chalk.green('All files downloaded successfully.'));
+    }
+    else {
+      downloadSpinner.warn(chalk.yellow(`${downloaded} files downloaded, ${failed.length} failed.`));
+    }
+
+    // 10. Download the assets referenced by the extracted files, including the ones that were not downloaded again.
+    const extractedLinks = allFilesToDownload.map((file) => linksBySource.get(file.path) ?? []);
+    let assetResult;
+
+    if (options.assets) {
+      const assetSpinner = ora('Downloading assets...').start();
+
+      assetResult = await downloadAssets(assets.findReferencedAssets(assetList.candidates, extractedLinks), {
+        maxSize: maxAssetSize,
+        options,
+        previousAssets: previousManifest?.assets ?? [],
+        reference: source.sha,
+        repository,
+        stagingDirectory,
+      });
+      failed.push(...assetResult.failed);
+
+      if (assetResult.failed.length === 0) {
+        assetSpinner.succeed(chalk.green(`${assetResult.downloaded} assets downloaded.`));
+      }
+      else {
+        const { downloaded: downloadedAssets, failed: failedAssets } = assetResult;
+        assetSpinner.warn(chalk.yellow(`${downloadedAssets} assets downloaded, ${failedAssets.length} failed.`));
+      }
+    }
+
+    // 11. Record what was extracted, keeping the previous entry of files that failed to download.
+    const failedSources = new Set(failed.map(({ path: filePath }) => filePath));
+    const previousEntries = new Map((previousManifest?.files ?? []).map((entry) => [entry.source, entry]));
+    const manifestEntries = [];
+
+    for (const file of allFilesToDownload) {
+      if (!failedSources.has(file.path)) {
+        // The link targets of a file tell which files to rewrite again when outputs move.
+        const linkTargets = linksBySource.get(file.path) ?? [];
+        const chunkOutputs = chunksBySource.get(file.path) ?? [];
+        manifestEntries.push({
+          ...(chunkOutputs.length > 0 ? { chunks: chunkOutputs } : {}),
+          ...(linkTargets.length > 0 ? { links: linkTargets } : {}),
+          output: file.output,
+          sha: file.sha,
+          source: file.path,
+        });
+        continue;
+      }
+
+      if (await keepPreviousOutput(previousEntries.get(file.path), { options, stagingDirectory })) {
+        manifestEntries.push(previousEntries.get(file.path));
+      }
+    }
+
+    // 12. Optionally index the extracted documents for LLMs, export them as JSONL records,
+    // describe them in manifest.json (and INDEX.md), and remove the files generated by a
+    // previous run that are no longer requested.
+    const project = { commit: source.sha, ref: source.ref, repository: repository.name };
+    const filesBySource = new Map(allFilesToDownload.map((file) => [file.path, file]));
+    const documents = manifestEntries.map((entry) => ({
+      chunks: entry.chunks,
+      documentPath: filesBySource.get(entry.source).__documentPath,
+      output: entry.output,
+      section: filesBySource.get(entry.source).__outputRoot ?? filesBySource.get(entry.source).__documentPath,
+      sha: entry.sha,
+      source: entry.source,
+      url: toUrl(entry.source),
+    }));
+    const generated = options.llmsTxt ? await llms.writeLlmsFiles(stagingDirectory, project, documents) : [];
+    let recordCount;
+
+    if (options.__stdout) {
+      recordCount = await jsonl.writeRecords(process.stdout, stagingDirectory, project, documents);
+    }
+    else if (options.format === 'jsonl') {
+      recordCount = await jsonl.writeJsonlFile(stagingDirectory, project, documents);
+      generated.push(jsonl.JSONL_FILENAME);
+    }
+
+    const manifestFiles = await manifest.writeManifestFiles(stagingDirectory, {
+      ...project,
+      extractedAt,
+      options: {
+        ...transforms,
+        exclude: options.exclude,
+        ext: options.ext ?? filters.DEFAULT_EXTENSIONS,
+        format: options.format ?? DEFAULT_FORMAT,
+        include: options.include,
+        index: Boolean(options.index),
+        layout: options.layout ?? DEFAULT_LAYOUT,
+        llmsTxt: Boolean(options.llmsTxt),
+        nameTemplate: options.nameTemplate,
+        onCollision: options.onCollision ?? DEFAULT_ON_COLLISION,
+        paths: documentPaths,
+        sync: Boolean(options.sync),
+      },
+    }, documents, { index: options.index });
+    generated.push(...manifestFiles);
+
+    // Only the names gde generates are removed: a manifest edited by hand could list any path.
+    const generatedFilenames = new Set([
+      jsonl.JSONL_FILENAME,
+      llms.LLMS_FILENAME,
+      llms.LLMS_FULL_FILENAME,
+      manifest.INDEX_FILENAME,
+      manifest.MANIFEST_FILENAME,
+    ]);
+
+    for (const output of previousManifest?.generated ?? []) {
+      if (generatedFilenames.has(output) && !generated.includes(output)) {
+        await fs.remove(path.join(stagingDirectory, output));
+      }
+    }
+
+    await sync.writeSyncManifest(
+      stagingDirectory,
+      { ...project, ...(generated.length > 0 ? { generated } : {}), transforms },
+      manifestEntries,
+      assetResult?.entries,
+    );
+
+    if (syncPlan) {
+      const { added, changed, removed, renamed, unchanged } = sourceChanges;
+      /* eslint-disable-next-line @stylistic/max-len */
+      log(options, chalk.blueBright(`Sync summary: ${added} added, ${changed} changed, ${renamed} renamed, ${removed} removed, ${unchanged} unchanged.`));
+    }
+
+    // 13. Replace the output directory with the staging directory.
+    await staging.commitStagingDirectory(stagingDirectory, options.out);
+    stagingDirectory = undefined;
+
+    // 14. Optionally create a zip archive.
+    if (options.zip) {
+      const zipSpinner = ora('Creating zip archive...').start();
+      const zipFileName = `${path.basename(options.out)}.zip`;
+      const zipFilePath = path.join(path.dirname(path.resolve(options.out)), zipFileName);
+      await createZipArchive(options.out, zipFilePath);
+      zipSpinner.succeed(chalk.green(`Zip archive created at: ${zipFilePath}`));
+    }
+
+    log(options, chalk.yellow.bold('\n✨ Operation completed!'));
+    log(options, chalk.blueBright(`Source: ${repository.name}@${source.ref} (commit ${source.sha})`));
+
+    const filteredFiles = filters.describeFilteredFiles(filter.rules);
+
+    if (filteredFiles.length > 0) {
+      log(options, chalk.blueBright(`Filtered out: ${filteredFiles.join(', ')}.`));
+    }
+
+    if (filenameCollisions.length > 0) {
+      console.warn(chalk.yellow.bold(`\n⚠ ${filenameCollisions.length} filename collisions found:`));
+
+      for (const line of collisions.describeCollisions(filenameCollisions)) {
+        console.warn(chalk.yellow(`  - ${line}`));
+      }
+    }
+
+    if (options.assets) {
+      const oversizedAssets = new Set(extractedLinks.flat().filter((target) => assetList.oversized.has(target)));
+      log(options, chalk.blueBright(`Assets: ${assetResult.entries.length} extracted to ${assets.ASSETS_DIRECTORY}/.`));
+
+      if (oversizedAssets.size > 0) {
+        /* eslint-disable-next-line @stylistic/max-len */
+        log(options, chalk.blueBright(`${oversizedAssets.size} assets larger than ${plan.formatBytes(maxAssetSize)} are linked to GitHub instead.`));
+      }
+
+      if (assetResult.oversized.length > 0) {
+        const skippedList = assetResult.oversized
+          .map((asset) => `${asset.path} (${plan.formatBytes(asset.size)})`)
+          .join(', ');
+        /* eslint-disable-next-line @stylistic/max-len */
+        console.warn(chalk.yellow(`\n  Warning: Skipped ${assetResult.oversized.length} assets larger than ${plan.formatBytes(maxAssetSize)} (--max-asset-size), whose size is only known once downloaded: ${skippedList}. Links to them point to missing files.`));
+      }
+
+      if (tree.truncated) {
+        console.warn(chalk.yellow('The repository tree is too large to list its assets: they are linked to GitHub.'));
+      }
+    }
+
+    const chunkedEntries = manifestEntries.filter((entry) => entry.chunks);
+
+    if (chunkedEntries.length > 0) {
+      const chunkCount = chunkedEntries.reduce((total, entry) => total + entry.chunks.length, 0);
+      /* eslint-disable-next-line @stylistic/max-len */
+      log(options, chalk.blueBright(`Chunks: ${chunkedEntries.length} documents larger than ${transforms.chunk} split into ${chunkCount} chunks.`));
+    }
+
+    if (options.llmsTxt) {
+      const llmsFiles = [llms.LLMS_FILENAME, llms.LLMS_FULL_FILENAME].join(', ');
+      log(options, chalk.blueBright(`LLM files: ${llmsFiles} (${manifestEntries.length} documents).`));
+    }
+
+    if (!options.__stdout) {
+      log(options, chalk.blueBright(`Manifest: ${manifestFiles.join(', ')} (${manifestEntries.length} documents).`));
+    }
+
+    if (recordCount !== undefined) {
+      const destination = options.__stdout ? 'stdout' : jsonl.JSONL_FILENAME;
+      log(options, chalk.blueBright(`JSONL: ${recordCount} records written to ${destination}.`));
+    }
+
+    if (brokenLinks.length > 0) {
+      console.warn(chalk.yellow.bold(`\n⚠ ${brokenLinks.length} broken links found in the upstream docs:`));
+
+      for (const { link, source: sourcePath } of brokenLinks) {
+        console.warn(chalk.yellow(`  - ${sourcePath}: ${link}`));
+      }
+    }
+
+    reportOversizedFiles(oversizedFiles, maxFileSize);
+
+    if (failed.length > 0) {
+      console.error(chalk.red.bold(`\n✖ ${failed.length} files could not be downloaded:`));
+
+      for (const { error, path: filePath } of failed) {
+        console.error(chalk.red(`  - ${filePath}: ${error.message}`));
+      }
+
+      return { downloaded, failed };
+    }
+
+    if (!options.__stdout) {
+      ascii.displaySuccessMessage();
+    }
+
+    return { downloaded, failed };
+  }
+  catch (error) {
+    spinner.fail(chalk.red.bold('An error occurred:'));
+    console.error(chalk.red(error.message));
+
+    if (stagingDirectory) {
+      await staging.discardStagingDirectory(stagingDirectory);
+      console.error(chalk.yellow(`The output directory was left untouched: ${path.resolve(options.out)}`));
+    }
+
+    /* eslint-disable @stylistic/max-len */
+    if ((error.status === 401 || error.status === 403) && repository?.provider) {
+      console.error(chalk.yellow.bold('\n🔐 Access Denied'));
+      console.error(chalk.yellow(`${repository.provider.label} refused access to this repository: its token is missing, invalid or not allowed to read it.`));
+      console.error(chalk.yellow(`Set ${repository.provider.tokenVariable} to a token with read access to the repository.`));
+    }
+    else if (isPrimaryRateLimitError(error)) {
+      console.error(chalk.yellow.bold('\n🙀 API Rate Limit Exceeded'));
+
+      if (process.env.GITHUB_TOKEN) {
+        console.error(chalk.yellow('You have used all the GitHub API requests allowed for your token this hour.'));
+      }
+      else {
+        console.error(chalk.yellow('You have hit the GitHub API rate limit for unauthenticated requests (60 requests/hour).'));
+        console.error(chalk.yellow('To fix this, create a Personal Access Token (PAT) and set it as an environment variable:'));
+        console.error(chalk.cyan('  export GITHUB_TOKEN="your_token_here"'));
+        console.error(chalk.yellow('This will increase your limit to 5,000 requests/hour and is recommended for all uses.'));
+      }
+
+      console.error(chalk.yellow('Use --wait-for-reset to wait for the quota to be renewed and resume automatically.'));
+      console.error(chalk.yellow('See the documentation of this CLI for a detailed procedure to follow.'));
+    }
+    else if (error.status === 401) {
+      console.error(chalk.yellow.bold('\n🔐 Bad Credentials'));
+      console.error(chalk.yellow('GitHub rejected the token set in GITHUB_TOKEN: it is invalid, expired or revoked.'));
+      console.error(chalk.yellow('Create a new Personal Access Token (PAT) or unset GITHUB_TOKEN to access public repositories.'));
+    }
+    else if (error.status === 403) {
+      console.error(chalk.yellow.bold('\n🔐 Access Denied'));
+      console.error(chalk.yellow('GitHub refused access to this repository. This is not a rate limit issue.'));
+      console.error(chalk.yellow('Check that your token has the "repo" scope (or access to this repository for fine-grained tokens),'));
+      console.error(chalk.yellow('and that it is authorized for SAML single sign-on if the organization requires it.'));
+    }
+    /* eslint-enable @stylistic/max-len */
+
+    throw error;
+  }
+}
+
+/**
+ * Extracts every repository of a config file into its subdirectory of --out,
+ * then prints a combined summary.
+ *
+ * The quota for the discovery requests of all repositories is checked up front.
+ * A repository that cannot be extracted (e.g. an unknown ref) is reported and the
+ * other ones are still extracted; authentication and access errors stop the batch.
+ * With --zip, a single archive of --out is created at the end.
+ *
+ * @param {Object} options - The options parsed by commander, with the options of each repository.
+ * @param {Array<Object>} options.repositories - The options of each repository, as resolved by launchCLI.
+ * @returns {Promise<{downloaded: number, failed: Array<{path: string, error: Error}>}>}
+ *   The total number of downloaded files, and the files and repositories that failed.
+ * @throws {Error}
+ */
+async function extractAll(options) {
+  const { repositories } = options;
+  selectGitHubInstance(options.apiUrl);
+  const remoteCount = repositories.filter((entry) => !local.isLocalRepository(entry.repo)
+    && !providers.matchProviderUrl(entry.repo)).length;
+  const spinner = ora(`Checking the GitHub API quota for ${remoteCount} repositories...`).start();
+
+  try {
+    // Local repositories and repositories hosted on other services are read without the GitHub API.
+    if (remoteCount > 0) {
+      await ensureRateLimitQuota(DISCOVERY_REQUESTS_ESTIMATE * remoteCount, options, spinner);
+    }
+
+    spinner.succeed(chalk.green(`Extracting ${repositories.length} repositories to ${options.out}.`));
+  }
+  catch (error) {
+    spinner.fail(chalk.red(error.message));
+    throw error;
+  }
+
+  const results = [];
+
+  for (const repositoryOptions of repositories) {
+    try {
+      const result = await extract({ ...repositoryOptions, __batch: true, zip: false });
+      results.push({ options: repositoryOptions, ...result });
+    }
+    catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        throw error;
+      }
+      results.push({ error, options: repositoryOptions });
+    }
+  }
+
+  // With --json, print the plans of all repositories as a single JSON document.
+  if (options.json) {
+    /* eslint-disable-next-line security-node/detect-crlf */
+    console.log(JSON.stringify(results.map((result) => result.plan).filter(Boolean), undefined, 2));
+  }
+  else {
+    log(options, chalk.yellow.bold('\n📚 Batch summary:'));
+
+    for (const { downloaded, error, failed, options: { out, repo } } of results) {
+      if (error) {
+        console.error(chalk.red(`  ✖ ${repo} → ${out}: ${error.message}`));
+      }
+      else if (failed.length > 0) {
+        console.error(chalk.red(`  ✖ ${repo} → ${out}: ${downloaded} files downloaded, ${failed.length} failed`));
+      }
+      else {
+        log(options, chalk.green(`  ✔ ${repo} → ${out}: ${downloaded} files downloaded`));
+      }
+    }
+  }
+
+  const downloaded = results.reduce((total, result) => total + (result.downloaded ?? 0), 0);
+  const failed = results.flatMap((result) => (result.error
+    ? [{ error: result.error, path: result.options.repo }]
+    : result.failed));
+
+  if (!options.json) {
+    /* eslint-disable-next-line @stylistic/max-len */
+    log(options, chalk.blueBright(`Total: ${downloaded} files downloaded from ${repositories.length} repositories, ${failed.length} failures.`));
+  }
+
+  if (options.zip && !options.dryRun) {
+    const zipSpinner = ora('Creating zip archive...').start();
+    const zipFilePath = path.join(path.dirname(path.resolve(options.out)), `${path.basename(options.out)}.zip`);
+    await createZipArchive(options.out, zipFilePath);
+    zipSpinner.succeed(chalk.green(`Zip archive created at: ${zipFilePath}`));
+  }
+
+  return { downloaded, failed };
+}
+
+/**
+ * Extracts a repository to a temporary directory and streams its documents to stdout
+ * as JSONL records (`--out -`). Progress and summary messages are printed to stderr,
+ * and the temporary directory is removed once the records are written.
+ * @param {Object} options - The options parsed by commander.
+ * @returns {Promise<{downloaded: number, failed: Array<{path: string, error: Error}>}>}
+ * @throws {Error}
+ */
+async function extractToStdout(options) {
+  const temporaryDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'gde-'));
+
+  let result;
+
+  try {
+    result = await extract({
+      ...options,
+      __stdout: true,
+      force: true,
+      out: path.join(temporaryDirectory, 'output'),
+      sync: false,
+      zip: false,
+    });
+  }
+  catch (error) {
+    await fs.remove(temporaryDirectory);
+    throw error;
+  }
+
+  await fs.remove(temporaryDirectory);
+
+  return result;
+}
+
+/**
+ * Fetches all documentation files from a given directory path in the repo.
+ * By default, .md and .mdx files are kept; a filter created by filters.createFileFilter
+ * can select other extensions and include or exclude globs.
+ *
+ * Discovery relies on the recursive Git Trees listing, so a whole repository
+ * is listed in a single API call and documentation paths are filtered locally.
+ * When GitHub reports the tree as truncated (very large repositories), the
+ * directory is walked with one contents request per folder instead.
+ *
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} directoryPath - The directory path within the repo to scan.
+ * @param {Object} [context] - Optional discovery context.
+ * @param {string} [context.ref]
+ *   Branch, tag or commit SHA to read. Defaults to the default branch.
+ * @param {{entries: Array<object>, truncated: boolean}} [context.tree]
+ *   A tree previously returned by fetchRepositoryTree for that ref, reused across paths.
+ *   When omitted, the tree is fetched.
+ * @param {ReturnType<typeof filters.createFileFilter>} [context.filter]
+ *   The filter selecting files and pruning directories. Shared across paths to count filtered files.
+ * @returns {Promise<Array<object>>} A list of file objects ({ name, path, sha, size, type }).
+ * @throws {Error}
+ */
+async function fetchAllFiles(owner, repo, directoryPath, { filter = filters.createFileFilter(), ref, tree } = {}) {
+  const repositoryTree = tree ?? await fetchRepositoryTree(owner, repo, ref);
+
+  if (repositoryTree.truncated) {
+    return walkDirectory(owner, repo, directoryPath, ref, { documentPath: directoryPath, filter });
+  }
+
+  return listTreeFiles(repositoryTree.entries, directoryPath, { filter, repository: `${owner}/${repo}` });
+}
+
+/**
+ * Fetches the tree of the commit being extracted, and follows the symbolic links and
+ * submodules leading to the documentation paths when --follow-symlinks and --submodules
+ * are set (see expansion.expandTree). The ones that are not followed are reported.
+ *
+ * A truncated tree does not list every entry, so it is not expanded: walkDirectory
+ * reports the links and submodules it meets instead.
+ *
+ * @param {ReturnType<typeof openGitHubRepository>} repository - The repository.
+ * @param {{sha: string, treeSha: string}} source - The commit being extracted.
+ * @param {Object} context - The extraction context.
+ * @param {string[]} context.documentPaths - The documentation paths.
+ * @param {{followSymlinks?: boolean, submodules?: boolean}} context.options - The options parsed by commander.
+ * @returns {Promise<{entries: Array<object>, truncated: boolean}>}
+ *   The tree, where followed links and submodules are replaced by the entries they lead to.
+ */
+async function fetchExpandedTree(repository, source, { documentPaths, options }) {
+  const tree = await repository.fetchTree(source.treeSha);
+
+  if (tree.truncated) {
+    return tree;
+  }
+
+  const { entries, skipped } = await expansion.expandTree(createTreeSource(repository, source.sha, tree), {
+    documentPaths,
+    followSymlinks: options.followSymlinks ?? DEFAULT_FOLLOW_SYMLINKS,
+    submodules: options.submodules ?? DEFAULT_SUBMODULES,
+  });
+
+  if (skipped.length > 0) {
+    const skippedList = skipped.map((entry) => `${entry.path} (${entry.reason})`).join(', ');
+    console.warn(chalk.yellow(`\n  Warning: Skipping ${skipped.length} symbolic links or submodules: ${skippedList}.`));
+  }
+
+  return { entries, truncated: false };
+}
+
+/**
+ * Fetches the full recursive Git tree of the repository at a given ref.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} [treeSha] - A tree SHA, commit SHA, branch or tag. Defaults to the default branch.
+ * @returns {Promise<{entries: Array<object>, truncated: boolean}>}
+ *   entries:
+ *     Every tree entry ({ path, mode, type, sha, size }) of the repository.
+ *   truncated:
+ *     True when GitHub did not return the full listing.
+ * @throws {Error}
+ */
+async function fetchRepositoryTree(owner, repo, treeSha = 'HEAD') {
+  const { data } = await gitHub.octokit.git.getTree({
+    owner,
+    recursive: 'true',
+    repo,
+    tree_sha: treeSha,
+  });
+
+  return { entries: data.tree ?? [], truncated: Boolean(data.truncated) };
+}
+
+/**
+ * Looks up the commit a branch, tag or commit SHA points to.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} reference - Branch, tag or (possibly abbreviated) commit SHA.
+ * @returns {Promise<{ref: string, sha: string, treeSha: string}|undefined>}
+ *   The resolved commit, or undefined when the ref does not exist.
+ * @throws {Error}
+ */
+async function findCommit(owner, repo, reference) {
+  try {
+    const { data: commit } = await gitHub.octokit.repos.getCommit({ owner, ref: reference, repo });
+    return { ref: reference, sha: commit.sha, treeSha: commit.commit.tree.sha };
+  }
+  catch (error) {
+    if (error.status === 404 || error.status === 422) {
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets the origin of the web pages of a GitHub instance from its REST API URL:
+ * GitHub Enterprise Server serves its API under /api/v3 of its web host, while
+ * github.com and GitHub Enterprise Cloud serve it on an `api.` subdomain.
+ * @param {string} apiUrl - The REST API URL, e.g. https://api.github.com or https://ghe.example.com/api/v3.
+ * @returns {string} The web origin, e.g. https://github.com or https://ghe.example.com.
+ */
+function getGitHubWebOrigin(apiUrl) {
+  const { host, pathname, protocol } = new URL(apiUrl);
+
+  if (/^\/api\/v3\/?$/i.test(pathname)) {
+    return `${protocol}//${host}`;
+  }
+
+  return `${protocol}//${host.replace(/^api\./i, '')}`;
+}
+
+/**
+ * Fetches the core GitHub API rate-limit status. This request does not count against the quota.
+ * @returns {Promise<{limit: number, remaining: number, reset: number}|undefined>}
+ *   limit:
+ *     The number of requests allowed per hour.
+ *   remaining:
+ *     The number of requests left in the current window.
+ *   reset:
+ *     The time the quota is renewed, in milliseconds since the epoch.
+ *   Undefined when rate limiting is disabled on the server.
+ * @throws {Error}
+ */
+async function getRateLimit() {
+  try {
+    const { data } = await gitHub.octokit.rateLimit.get();
+    const { limit, remaining, reset } = data.resources.core;
+    return { limit, remaining, reset: reset * 1000 };
+  }
+  catch (error) {
+    if (error.status === 404) {
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Computes how long to wait before retrying a failed GitHub API request.
+ *
+ * Retried errors:
+ * - Primary rate limits, only with waitForReset: waits until x-ratelimit-reset.
+ * - Secondary rate limits (403/429 with a retry-after header or a "secondary rate limit"
+ *   message): waits for retry-after seconds, or one minute when it is missing.
+ * - Server errors (5xx) and network errors: exponential backoff (1s, 2s, 4s, ...).
+ *
+ * @param {Error & {status?: number, code?: string, response?: object}} error - The request error.
+ * @param {number} attempt - The number of the retry about to happen, starting at 1.
+ * @param {{waitForReset?: boolean}} [options] - Whether to wait for the primary rate limit reset.
+ * @returns {number|undefined} The delay in milliseconds, or undefined if the error must not be retried.
+ */
+function getRetryDelay(error, attempt, { waitForReset } = {}) {
+  if (isPrimaryRateLimitError(error)) {
+    const reset = Number.parseInt(error.response.headers['x-ratelimit-reset'], 10);
+    return waitForReset && Number.isFinite(reset)
+      ? Math.max(0, reset * 1000 - Date.now()) + RATE_LIMIT_RESET_MARGIN_MS
+      : undefined;
+  }
+
+  const retryAfter = Number.parseInt(error.response?.headers?.['retry-after'], 10);
+  const isSecondaryRateLimit = (error.status === 403 || error.status === 429)
+    && (Number.isFinite(retryAfter) || /secondary rate limit/i.test(error.message));
+
+  if (isSecondaryRateLimit) {
+    return Number.isFinite(retryAfter) ? retryAfter * 1000 : SECONDARY_RATE_LIMIT_DELAY_MS;
+  }
+
+  if (error.status >= 500 || NETWORK_ERROR_CODES.has(error.code)) {
+    return RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+  }
+
+  return;
+}
+
+/**
+ * Tells whether a value is an absolute http(s) URL.
+ * @param {string} value - The value.
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  }
+  catch {
+    return false;
+  }
+}
+
+/**
+ * Tells whether an error is a primary rate-limit error (hourly quota exhausted),
+ * as opposed to a 403 caused by missing permissions or a secondary rate limit.
+ * @param {Error & {status?: number, response?: object}} error - The request error.
+ * @returns {boolean}
+ */
+function isPrimaryRateLimitError(error) {
+  return (error.status === 403 || error.status === 429)
+    && error.response?.headers?.['x-ratelimit-remaining'] === '0';
+}
+
+/**
+ * Keeps the previous version of a file that failed to download, with its chunks. In sync
+ * mode, the staging directory already holds it; otherwise it is copied from the output directory.
+ * @param {{output: string, chunks?: string[]}|undefined} previousEntry - The previous manifest entry, if any.
+ * @param {{options: Object, stagingDirectory: string}} context - The options and the staging directory.
+ * @returns {Promise<boolean>} Whether a previous version was kept.
+ */
+async function keepPreviousOutput(previousEntry, { options, stagingDirectory }) {
+  const previousOutputFile = previousEntry && path.join(options.out, previousEntry.output);
+
+  if (!previousEntry || !(options.sync || await fs.pathExists(previousOutputFile))) {
+    return false;
+  }
+
+  if (!options.sync) {
+    for (const output of [previousEntry.output, ...(previousEntry.chunks ?? [])]) {
+      await fs.copy(path.join(options.out, output), path.join(stagingDirectory, output));
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Create the CLI and parse arguments.
+ * @param {string[]} argv - An array of command-line arguments.
+ * @returns {Object} An object containing the options parsed by Commander.
+ * @throws {Error}
+ */
+function launchCLI(argv) {
+  try {
+    const program = new Command();
+
+    // Keep stdout machine-readable when the plan is printed as JSON or records are streamed.
+    if (!argv?.includes('--json') && !writesToStdout(argv)) {
+      ascii.displayWelcomeBanner();
+    }
+
+    program
+      .name(`gde (${packageJson.name})`)
+      .description(chalk.cyan.bold(`  ${packageJson.description}`))
+      .option('-r, --repo <url>', `GitHub repository URL, tree URL or owner/repo (e.g., https://github.com/facebook/react) (${chalk.bold('required')} without a config file)`)
+      /* eslint-disable @stylistic/max-len */
+      .option('-o, --out <dir>', `Destination directory for downloaded files, or "${STDOUT_OUTPUT}" to stream JSONL records to stdout`, DEFAULT_OUTPUT_DIRECTORY_PATH)
+      .option('--config <file>', `Config file describing one or more repositories to extract (defaults to ${config.CONFIG_FILENAMES.join(' or ')} in the current directory)`)
+      .option('-p, --paths <paths...>', `One or more space-separated paths to documentation folders (defaults to the URL path or "${DEFAULT_DOCS_PATH}")`)
+      .option('--ref <ref>', 'Branch, tag or commit SHA to extract from (defaults to the URL ref or the default branch)')
+      .option('--api-url <url>', 'GitHub REST API URL of a GitHub Enterprise instance (e.g., https://ghe.example.com/api/v3; defaults to GITHUB_API_URL or https://api.github.com)', parseApiUrl)
+      .option('--include <globs...>', 'Only extract files matching one of these globs (repeatable)')
+      .option('--exclude <globs...>', 'Skip files and directories matching these globs (repeatable)')
+      .option('--ext <extensions...>', `File extensions to extract (defaults to ${filters.DEFAULT_EXTENSIONS.join(' ')})`)
+      .option('-c, --concurrency <n>', 'Maximum number of files downloaded in parallel', parsePositiveInteger, DEFAULT_CONCURRENCY)
+      .option('--force', 'Replace the output directory even if it was not created by gde', DEFAULT_FORCE)
+      .option('--sync', 'Only download added or changed files and remove deleted ones, based on the previous run', DEFAULT_SYNC)
+      .option('--follow-symlinks', 'Follow symbolic links within the repository to reach documentation files', DEFAULT_FOLLOW_SYMLINKS)
+      .option('--submodules', 'Extract the documentation of git submodules, at the commit pinned by the repository', DEFAULT_SUBMODULES)
+      .option('--wait-for-reset', 'Wait for the GitHub API rate limit to reset instead of failing', DEFAULT_WAIT_FOR_RESET)
+      .addOption(new Option('--on-collision <policy>', 'What to do when different files flatten to the same filename').choices(collisions.COLLISION_POLICIES).default(DEFAULT_ON_COLLISION))
+      .option('--assets', 'Download the images and other assets referenced by the docs into an assets folder', DEFAULT_ASSETS)
+      .addOption(new Option('--max-file-size <size>', 'Maximum size of an extracted documentation file (e.g. 5MB); larger ones are skipped').argParser(parseSize).default(DEFAULT_MAX_FILE_SIZE, '10MB'))
+      .addOption(new Option('--max-asset-size <size>', 'Maximum size of a downloaded asset (e.g. 500KB, 2MB); larger ones are linked to GitHub').argParser(parseSize).default(DEFAULT_MAX_ASSET_SIZE, '1MB'))
+      .addOption(new Option('--layout <layout>', 'How outputs are organized: flat (no folders), grouped (one folder per documentation path) or preserve (the original folders)').choices(layouts.LAYOUTS).default(DEFAULT_LAYOUT))
+      .addOption(new Option('--name-template <template>', 'Template for output filenames using {root}, {dirs}, {name} and {ext} (e.g. "{dirs}-{name}{ext}")').argParser(parseNameTemplate))
+      .option('--no-rewrite-links', 'Keep relative links as they are instead of pointing them to the extracted files or GitHub')
+      .option('--mdx-to-md', 'Convert MDX files to plain Markdown (.md), without imports, exports and JSX components', DEFAULT_MDX_TO_MD)
+      .addOption(new Option('--unknown-components <policy>', 'With --mdx-to-md, what to do with components that have no Markdown equivalent').choices(mdx.COMPONENT_POLICIES).default(DEFAULT_UNKNOWN_COMPONENTS))
+      .addOption(new Option('--chunk [budget]', 'Split Markdown files larger than a size (e.g. 16KB) or a number of tokens (e.g. "4000 tokens") at headings').argParser(parseChunkBudget).preset(DEFAULT_CHUNK_BUDGET))
+      .addOption(new Option('--format <format>', `Output format: Markdown files, or also a ${jsonl.JSONL_FILENAME} file with one record per document or chunk`).choices(jsonl.OUTPUT_FORMATS).default(DEFAULT_FORMAT))
+      .option('--index', `Write an ${manifest.INDEX_FILENAME} file listing the extracted documents, next to ${manifest.MANIFEST_FILENAME}`, DEFAULT_INDEX)
+      .option('--llms-txt', 'Write an llms.txt index and an llms-full.txt file concatenating the extracted documents', DEFAULT_LLMS_TXT)
+      .option('--frontmatter', 'Add YAML front matter with the repository, ref, commit, path and URL of each Markdown file', DEFAULT_FRONTMATTER)
+      .option('--dry-run', 'Print the files that would be extracted and their output location without downloading anything', DEFAULT_DRY_RUN)
+      .addOption(new Option('--json', 'Print the --dry-run plan as JSON (implies --dry-run)').default(DEFAULT_JSON).implies({ dryRun: true }))
+      /* eslint-enable @stylistic/max-len */
+      .option('--zip', 'Create a zip archive of the output directory', DEFAULT_TO_ZIP)
+      .version(`v${packageJson.version}`);
+
+    if (argv?.length <= 2 && !config.findConfigFile()) {
+      program.help();
+    }
+
+    program.parse(argv);
+
+    // Options of a config file apply unless they are set on the command line.
+    const configPath = program.opts().config ?? config.findConfigFile();
+    const repositories = configPath ? applyConfigFile(program, configPath) : [];
+    applyNameTemplatePolicy(program);
+    const options = program.opts();
+
+    if (!options.repo && repositories.length === 0) {
+      program.error('error: required option \'-r, --repo <url>\' not specified');
+    }
+
+    if (options.out === STDOUT_OUTPUT && options.format !== 'jsonl') {
+      program.error(`error: --out ${STDOUT_OUTPUT} streams JSONL records to stdout and requires --format jsonl`);
+    }
+
+    if (options.out === STDOUT_OUTPUT && (options.dryRun || options.sync || options.zip)) {
+      program.error(`error: --out ${STDOUT_OUTPUT} cannot be used with --dry-run, --sync or --zip`);
+    }
+
+    return repositories.length > 0 ? { ...options, repositories } : options;
+  }
+  catch (error) {
+    console.error(chalk.red(`An error occurred while launching the CLI tool: ${error.message}`));
+    throw error;
+  }
+}
+
+/**
+ * Lists the files of a documentation path from the entries of a full repository tree,
+ * warning when the path does not exist.
+ * @param {Array<object>} entries - The entries ({ path, type, sha, size }) of the repository tree.
+ * @param {string} directoryPath - The directory path within the repo to scan.
+ * @param {Object} context - The listing context.
+ * @param {ReturnType<typeof filters.createFileFilter>} context.filter - The filter selecting files.
+ * @param {string} context.repository - The name of the repository, for the warning.
+ * @returns {Array<object>} A list of file objects ({ name, path, sha, size, type }).
+ */
+function listTreeFiles(entries, directoryPath, { filter, repository }) {
+  const normalizedPath = directoryPath.split('/').filter(Boolean).join('/');
+  const prefix = normalizedPath ? `${normalizedPath}/` : '';
+  const files = [];
+  let pathExists = normalizedPath === '';
+
+  for (const entry of entries) {
+    if (!pathExists && entry.type === 'tree' && entry.path === normalizedPath) {
+      pathExists = true;
+    }
+
+    // Symbolic links that are not followed are not files (see fetchExpandedTree).
+    if (entry.type === 'blob' && !expansion.isSymlink(entry) && entry.path.startsWith(prefix)) {
+      pathExists = true;
+
+      if (filter.acceptsFile(entry.path, directoryPath)) {
+        files.push(toFileItem(entry));
+      }
+    }
+  }
+
+  if (!pathExists) {
+    console.warn(chalk.yellow(`\n  Warning: Path "${directoryPath}" not found in repository ${repository}. Skipping.`));
+  }
+
+  return files;
+}
+
+/**
+ * Prints a progress or summary message of an extraction. When JSONL records are
+ * streamed to stdout, messages are printed to stderr instead.
+ * @param {Object} options - The options of the extraction.
+ * @param {string} message - The message.
+ * @returns {undefined}
+ */
+function log(options, message) {
+  if (options.__stdout || options.out === STDOUT_OUTPUT) {
+    console.error(message);
+  }
+  else {
+    /* eslint-disable-next-line security-node/detect-crlf */
+    console.log(message);
+  }
+}
+
+/**
+ * Matches a GitHub repository URL to extract its owner and name,
+ * and the ref and path when the URL points inside the repository.
+ *
+ * Supported forms, github.com being replaced by the host of the GitHub Enterprise
+ * instance selected with --api-url (see selectGitHubInstance):
+ * - https://github.com/owner/repo (also with www., a trailing slash or .git)
+ * - https://github.com/owner/repo/tree/<ref>/<path>
+ * - https://github.com/owner/repo/blob/<ref>/<path>/<file> (the folder of the file is used)
+ * - git@github.com:owner/repo.git
+ * - ssh://git@github.com/owner/repo.git
+ * - owner/repo
+ *
+ * A ref may contain slashes ("feature/docs"), so "<ref>/<path>" cannot always be
+ * split locally. In that case the raw value is returned as refAndPath and must be
+ * resolved against the API with resolveReferenceAndPath.
+ *
+ * @param {string} url - The GitHub repository URL or owner/repo shorthand.
+ * @returns {{owner: string, repo: string, ref?: string, path?: string, refAndPath?: string}|undefined}
+ *   owner, repo:
+ *     The repository coordinates.
+ *   ref, path:
+ *     Set when the URL points to a tree or blob and the split is unambiguous.
+ *   refAndPath:
+ *     Set instead of ref and path when the split is ambiguous.
+ *   Undefined when the URL is not a GitHub repository URL.
+ */
+function matchRepoUrl(url) {
+  const input = url.trim().replace(/[?#].*$/, '');
+
+  // HTTPS URL:
+  // - https://github.com/owner/repo
+  // - https://www.github.com/owner/repo/
+  // - https://github.com/owner/repo.git
+  // - https://github.com/owner/repo/tree/main/docs
+  // - https://github.com/owner/repo/blob/main/docs/intro.md
+  /* eslint-disable-next-line @stylistic/max-len */
+  let match = input.match(/^(?<origin>https?:\/\/)(?:www\.)?(?<host>[^/@]+)\/(?<owner>[^/]+)\/(?<repo>[^/]+?)(?:\.git)?(?:\/(?<kind>tree|blob)\/(?<rest>.+?))?\/?$/i);
+
+  // SSH URL:
+  // - git@github.com:owner/repo.git
+  // - git@github.com:owner/repo
+  // - ssh://git@github.com/owner/repo.git
+  // - ssh://git@github.com:22/owner/repo
+  match ??= input.match(/^git@(?<hostname>[^:/]+):(?<owner>[^/]+)\/(?<repo>[^/]+?)(?:\.git)?\/?$/i);
+  match ??= input.match(/^ssh:\/\/git@(?<hostname>[^:/]+)(?::\d+)?\/(?<owner>[^/]+)\/(?<repo>[^/]+?)(?:\.git)?\/?$/i);
+
+  // Shorthand:
+  // - owner/repo
+  match ??= input.match(/^(?<owner>[\w-]+)\/(?<repo>[\w.-]+?)(?:\.git)?$/);
+
+  const { groups } = match ?? {};
+
+  if (!groups?.owner || !groups.repo) {
+    return;
+  }
+
+  // Only the URLs of the selected GitHub instance are GitHub repositories.
+  const webUrl = new URL(gitHub.webOrigin);
+  const isOtherInstance = groups.host
+    ? `${groups.origin}${groups.host}`.toLowerCase() !== `${webUrl.protocol}//${webUrl.host}`
+    : groups.hostname !== undefined && groups.hostname.toLowerCase() !== webUrl.hostname;
+
+  if (isOtherInstance) {
+    return;
+  }
+
+  const { kind, rest } = groups;
+  const repoInfo = { owner: groups.owner, repo: groups.repo.replace(/\.git$/i, '') };
+
+  if (!kind) {
+    return repoInfo;
+  }
+
+  const segments = decodeURIComponent(rest).split('/').filter(Boolean);
+
+  // A blob URL points to a file: its folder is the documentation path.
+  if (kind.toLowerCase() === 'blob') {
+    segments.pop();
+  }
+
+  return { ...repoInfo, ...providers.splitReferenceAndPath(segments) };
+}
+
+/**
+ * Opens a GitHub repository, read through the API.
+ * @param {{owner: string, repo: string}} repoInfo - The repository, as parsed by parseRepoUrl.
+ * @returns {{
+ *   downloadFile: (filePath: string, reference: string, entry?: {sha?: string, size?: number}) => Promise<Buffer>,
+ *   fetchFiles: (directoryPath: string, context: Parameters<typeof fetchAllFiles>[3]) => Promise<Array<object>>,
+ *   fetchTree: (treeSha: string) => Promise<{entries: Array<object>, truncated: boolean}>,
+ *   name: string,
+ *   openSubmodule: (submodulePath: string, url: string) => Promise<object>,
+ *   readSymlink: (filePath: string, reference: string, entry: {sha: string}) => Promise<Buffer>,
+ *   resolveCommit: (reference?: string) => Promise<{ref: string, sha: string, treeSha: string}>,
+ *   provider?: {label: string, tokenVariable: string},
+ *   resolveReferenceAndPath?: (referenceAndPath: string) => Promise<{ref: string, path: string|undefined}>,
+ *   toUrl: (reference: string, filePath: string, settings?: {raw?: boolean}) => string,
+ *   usesGitHubApi: boolean,
+ * }}
+ *   The repository as read by extract: fetchFiles lists the files of a documentation path,
+ *   openSubmodule opens the repository of a submodule, readSymlink reads the target of a link,
+ *   resolveReferenceAndPath splits the ref and path of a URL (repositories opened from a URL only),
+ *   toUrl gives the URL of a file at a commit, and usesGitHubApi tells whether requests
+ *   count against the GitHub API quota. provider names the other hosting services.
+ */
+function openGitHubRepository({ owner, repo }) {
+  return {
+    downloadFile: (filePath, reference, entry) => downloadBinaryFile(owner, repo, filePath, reference, entry),
+    fetchFiles: (directoryPath, context) => fetchAllFiles(owner, repo, directoryPath, context),
+    fetchTree: (treeSha) => fetchRepositoryTree(owner, repo, treeSha),
+    name: `${owner}/${repo}`,
+    openSubmodule: (submodulePath, url) => openSubmoduleRepository(url, `${gitHub.webOrigin}/${owner}/${repo}`),
+    // The contents API reads the target of a link to a file: read the link itself.
+    readSymlink: (filePath, reference, { sha }) => downloadBlob(owner, repo, sha),
+    resolveCommit: (reference) => resolveCommit(owner, repo, reference),
+    resolveReferenceAndPath: (referenceAndPath) => resolveReferenceAndPath(owner, repo, referenceAndPath),
+    toUrl: (reference, filePath, settings) => buildHtmlUrl(owner, repo, reference, filePath, settings),
+    usesGitHubApi: true,
+  };
+}
+
+/**
+ * Opens a local directory or git repository (see local.openLocalRepository), read
+ * without the GitHub API.
+ *
+ * A git repository whose `origin` remote is on the selected GitHub instance is named after it and its files
+ * are linked to GitHub, so that its extraction is identical to the extraction of the
+ * same commit through the API. Otherwise, it is named after its directory and its files
+ * are linked with file URLs.
+ *
+ * @param {string} location - The path or file URL of the repository.
+ * @returns {Promise<ReturnType<typeof openGitHubRepository>>}
+ * @throws {Error} If the directory does not exist or git fails.
+ */
+async function openLocalRepository(location) {
+  const localRepository = await local.openLocalRepository(location);
+  const remote = localRepository.remoteUrl?.toLowerCase().includes(new URL(gitHub.webOrigin).hostname)
+    ? matchRepoUrl(localRepository.remoteUrl)
+    : undefined;
+  const name = remote ? `${remote.owner}/${remote.repo}` : localRepository.name;
+
+  return {
+    downloadFile: (filePath, reference) => localRepository.readFile(filePath, reference),
+    fetchFiles: async (directoryPath, { filter, tree }) => listTreeFiles(tree.entries, directoryPath, {
+      filter,
+      repository: name,
+    }),
+    fetchTree: (treeSha) => localRepository.fetchTree(treeSha),
+    name,
+    openSubmodule: async (submodulePath, url) => {
+      // An initialized submodule is checked out in the work tree.
+      const checkout = path.join(localRepository.directory, ...submodulePath.split('/'));
+
+      return await fs.pathExists(path.join(checkout, '.git'))
+        ? openLocalRepository(checkout)
+        : openSubmoduleRepository(url, localRepository.remoteUrl ?? localRepository.directory);
+    },
+    readSymlink: (filePath, reference) => localRepository.readFile(filePath, reference),
+    resolveCommit: (reference) => localRepository.resolveCommit(reference),
+    toUrl: remote
+      ? (reference, filePath, settings) => buildHtmlUrl(remote.owner, remote.repo, reference, filePath, settings)
+      : (reference, filePath) => localRepository.toUrl(filePath),
+    usesGitHubApi: false,
+  };
+}
+
+/**
+ * Opens a repository hosted on GitHub, GitLab or Gitea/Forgejo (see providers.openProvider).
+ * @param {ReturnType<typeof parseRepositoryUrl>} repoInfo - The repository, as parsed by parseRepositoryUrl.
+ * @returns {ReturnType<typeof openGitHubRepository>}
+ */
+function openRemoteRepository(repoInfo) {
+  if (!repoInfo.provider) {
+    return openGitHubRepository(repoInfo);
+  }
+
+  const provider = providers.openProvider(repoInfo);
+
+  return {
+    downloadFile: (filePath, reference) => provider.readFile(filePath, reference),
+    fetchFiles: async (directoryPath, { filter, tree }) => listTreeFiles(tree.entries, directoryPath, {
+      filter,
+      repository: provider.name,
+    }),
+    fetchTree: (treeSha) => provider.fetchTree(treeSha),
+    name: provider.name,
+    openSubmodule: (submodulePath, url) => openSubmoduleRepository(
+      url,
+      `${repoInfo.origin}/${repoInfo.owner}/${repoInfo.repo}`,
+    ),
+    provider: { label: provider.label, tokenVariable: provider.tokenVariable },
+    readSymlink: (filePath, reference) => provider.readFile(filePath, reference),
+    resolveCommit: (reference) => provider.resolveCommit(reference),
+    resolveReferenceAndPath: (referenceAndPath) => provider.resolveReferenceAndPath(referenceAndPath),
+    toUrl: provider.toUrl,
+    usesGitHubApi: false,
+  };
+}
+
+/**
+ * Opens the repository of a submodule from its URL in .gitmodules.
+ * @param {string} url - The URL of the submodule, which can be relative to its parent repository.
+ * @param {string} parentUrl - The URL or path of the parent repository.
+ * @returns {Promise<ReturnType<typeof openGitHubRepository>>}
+ * @throws {Error} If the submodule is not hosted on GitHub, GitLab or Gitea/Forgejo.
+ */
+async function openSubmoduleRepository(url, parentUrl) {
+  const submoduleUrl = expansion.resolveSubmoduleUrl(url, parentUrl);
+
+  if (local.isLocalRepository(submoduleUrl)) {
+    return openLocalRepository(submoduleUrl);
+  }
+
+  const repoInfo = providers.matchProviderUrl(submoduleUrl) ?? matchRepoUrl(submoduleUrl);
+
+  if (!repoInfo) {
+    throw new Error(`${submoduleUrl} is not a GitHub, GitLab or Gitea repository`);
+  }
+
+  return openRemoteRepository(repoInfo);
+}
+
+/**
+ * Validates an --api-url.
+ * @param {string} value - The raw option value.
+ * @returns {string}
+ * @throws {InvalidArgumentError} If the value is not an http(s) URL.
+ */
+function parseApiUrl(value) {
+  if (!isHttpUrl(value)) {
+    throw new InvalidArgumentError('Expected an http(s) URL such as https://ghe.example.com/api/v3.');
+  }
+
+  return value;
+}
+
+/**
+ * Parses a --chunk budget such as 16KB or "4000 tokens".
+ * @param {string} value - The raw option value.
+ * @returns {{size: number, unit: 'bytes'|'tokens'}}
+ * @throws {InvalidArgumentError} If the value is not a size or a number of tokens.
+ */
+function parseChunkBudget(value) {
+  const budget = chunks.parseChunkBudget(value);
+
+  if (!budget) {
+    throw new InvalidArgumentError('Expected a size such as 16KB or a number of tokens such as "4000 tokens".');
+  }
+
+  return budget;
+}
+
+/**
+ * Validates a --name-template.
+ * @param {string} value - The raw option value.
+ * @returns {string}
+ * @throws {InvalidArgumentError} If the template is invalid.
+ */
+function parseNameTemplate(value) {
+  try {
+    layouts.parseNameTemplate(value);
+  }
+  catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+
+  return value;
+}
+
+/**
+ * Parses a strictly positive integer CLI option value.
+ * @param {string} value - The raw option value.
+ * @returns {number}
+ * @throws {InvalidArgumentError} If the value is not a strictly positive integer.
+ */
+function parsePositiveInteger(value) {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+
+  return number;
+}
+
+/**
+ * Parses the URL of a repository hosted on GitLab or Gitea/Forgejo (see providers.matchProviderUrl),
+ * or on GitHub (see parseRepoUrl).
+ * @param {string} url - The repository URL, or the owner/repo shorthand of a GitHub repository.
+ * @returns {NonNullable<ReturnType<typeof providers.matchProviderUrl>>|ReturnType<typeof parseRepoUrl>}
+ * @throws {Error} If the URL is invalid.
+ */
+function parseRepositoryUrl(url) {
+  return providers.matchProviderUrl(url) ?? parseRepoUrl(url);
+}
+
+/**
+ * Validates and parses a GitHub repository URL to extract its owner and name,
+ * and the ref and path when the URL points inside the repository.
+ * See matchRepoUrl for the supported forms.
+ * @param {string} url - The GitHub repository URL or owner/repo shorthand.
+ * @returns {NonNullable<ReturnType<typeof matchRepoUrl>>}
+ * @throws {Error} If the URL is invalid.
+ */
+function parseRepoUrl(url) {
+  const repoInfo = matchRepoUrl(url);
+
+  if (!repoInfo) {
+    const { hostname } = new URL(gitHub.webOrigin);
+
+    const errorMessage = `Invalid GitHub repository URL. Expected format: ${gitHub.webOrigin}/owner/repo[/tree/<ref>/<path>], git@${hostname}:owner/repo.git, ssh://git@${hostname}/owner/repo.git, owner/repo, a GitLab or Gitea URL, or a local path (./docs-repo). Set --api-url to read a GitHub Enterprise repository.`;
+    console.error(chalk.red.bold(errorMessage));
+    throw new Error(errorMessage);
+  }
+
+  return repoInfo;
+}
+
+/**
+ * Parses a size option such as 500KB or 2MB into a number of bytes.
+ * @param {string} value - The raw option value.
+ * @returns {number}
+ * @throws {InvalidArgumentError} If the value is not a size.
+ */
+function parseSize(value) {
+  const size = assets.parseSize(value);
+
+  if (size === undefined) {
+    throw new InvalidArgumentError('Expected a size such as 500KB or 2MB.');
+  }
+
+  return size;
+}
+
+/**
+ * Reads a file or asset of the extracted tree, from the repository and commit it comes
+ * from when it was listed through a symbolic link or read from a submodule.
+ * @param {{path: string, sha?: string, size?: number, __origin?: object}} entry - The file or asset.
+ * @param {{commit: string, repository: ReturnType<typeof openGitHubRepository>}} context
+ *   The commit being extracted and its repository.
+ * @returns {Promise<Buffer>}
+ */
+function readEntry(entry, { commit, repository }) {
+  const origin = entry.__origin ?? { commit, path: entry.path, repository };
+  return origin.repository.downloadFile(origin.path, origin.commit, entry);
+}
+
+/**
+ * Reports the files skipped because they are larger than --max-file-size, at the end of a run.
+ * @param {Array<{path: string, size: number}>} oversizedFiles - The skipped files.
+ * @param {number} maxFileSize - The maximum size of an extracted file, in bytes.
+ */
+function reportOversizedFiles(oversizedFiles, maxFileSize) {
+  if (oversizedFiles.length === 0) {
+    return;
+  }
+
+  /* eslint-disable-next-line @stylistic/max-len */
+  console.warn(chalk.yellow.bold(`\n⚠ ${oversizedFiles.length} files larger than ${plan.formatBytes(maxFileSize)} (--max-file-size) were skipped:`));
+
+  for (const file of oversizedFiles) {
+    console.warn(chalk.yellow(`  - ${file.path} (${plan.formatBytes(file.size)})`));
+  }
+}
+
+/**
+ * Resolves a branch, tag or commit SHA to the commit it points to.
+ * When no ref is given, the repository default branch is used.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} [reference] - Branch, tag or (possibly abbreviated) commit SHA.
+ * @returns {Promise<{ref: string, sha: string, treeSha: string}>}
+ *   ref:
+ *     The requested ref, or the name of the default branch.
+ *   sha:
+ *     The full SHA of the resolved commit.
+ *   treeSha:
+ *     The SHA of the root tree of that commit.
+ * @throws {Error} If the ref does not exist in the repository.
+ */
+async function resolveCommit(owner, repo, reference) {
+  let resolvedReference = reference;
+
+  if (!resolvedReference) {
+    const { data: repository } = await gitHub.octokit.repos.get({ owner, repo });
+    resolvedReference = repository.default_branch;
+  }
+
+  const commit = await findCommit(owner, repo, resolvedReference);
+
+  if (!commit) {
+    /* eslint-disable-next-line @stylistic/max-len */
+    throw new Error(`Ref "${resolvedReference}" not found in repository ${owner}/${repo}. Expected a branch, tag or commit SHA.`);
+  }
+
+  return commit;
+}
+
+/**
+ * Splits an ambiguous "<ref>/<path>" value taken from a tree or blob URL.
+ *
+ * Refs may contain slashes, so candidates are tried against the API from the
+ * shortest to the longest prefix, the first existing ref wins and the remaining
+ * segments form the path. This mirrors how GitHub itself resolves such URLs.
+ *
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} referenceAndPath - The raw refAndPath value (e.g. "feature/docs/guides").
+ * @returns {Promise<{ref: string, path: string|undefined}>}
+ * @throws {Error} If no prefix matches an existing ref.
+ */
+async function resolveReferenceAndPath(owner, repo, referenceAndPath) {
+  const segments = referenceAndPath.split('/').filter(Boolean);
+  let referenceLength = 0;
+
+  for (let index = 1; index <= segments.length && referenceLength === 0; index += 1) {
+    if (await findCommit(owner, repo, segments.slice(0, index).join('/'))) {
+      referenceLength = index;
+    }
+  }
+
+  if (referenceLength === 0) {
+    throw new Error(`No branch, tag or commit matching "${referenceAndPath}" found in repository ${owner}/${repo}.`);
+  }
+
+  const pathSegments = segments.slice(referenceLength);
+  return {
+    path: pathSegments.length > 0 ? pathSegments.join('/') : undefined,
+    ref: segments.slice(0, referenceLength).join('/'),
+  };
+}
+
+/**
+ * Main function, orchestrates the entire application flow.
+ * @param {string[]} argv - The command-line arguments to run the program with.
+ */
+async function run(argv) {
+  /* eslint-disable-next-line security-node/detect-unhandled-async-errors */
+  try {
+    const options = launchCLI(argv);
+    const result = options.repositories ? await extractAll(options) : await extract(options);
+    /* eslint-disable-next-line n/no-process-exit */
+    process.exit(result?.failed.length > 0 ? 1 : 0);
   }
   catch {
     /* eslint-disable-next-line n/no-process-exit */
@@ -388,6 +2305,139 @@ async function run(argv) {
   }
 }
 
+/**
+ * Selects the GitHub instance read through the API and linked to in outputs.
+ * The client is only created again when the instance changes.
+ * @param {string} [apiUrl] - The REST API URL of the instance (--api-url).
+ *   Defaults to the GITHUB_API_URL environment variable, then to https://api.github.com.
+ * @returns {undefined}
+ * @throws {Error} If the API URL is not an http(s) URL.
+ */
+function selectGitHubInstance(apiUrl) {
+  const selectedUrl = apiUrl || process.env.GITHUB_API_URL || DEFAULT_GITHUB_API_URL;
+
+  if (selectedUrl.trim().replace(/\/+$/, '') !== gitHub.apiUrl) {
+    gitHub = createGitHubClient(selectedUrl);
+  }
+}
+
+/**
+ * Converts a Git tree entry into the file object shape used by the download loop.
+ * @param {object} entry - A Git tree entry ({ path, sha, size }), with its `__origin` when it has one.
+ * @returns {{name: string, path: string, sha: string, size: number, type: string}}
+ */
+function toFileItem(entry) {
+  return {
+    ...(entry.__origin ? { __origin: entry.__origin } : {}),
+    name: path.posix.basename(entry.path),
+    path: entry.path,
+    sha: entry.sha,
+    size: entry.size,
+    type: 'file',
+  };
+}
+
+/**
+ * Recursively walks a directory with one contents request per folder.
+ * Used as a fallback when the recursive Git tree is truncated.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} directoryPath - The directory path within the repo to scan.
+ * @param {string} [reference] - Branch, tag or commit SHA to read. Defaults to the default branch.
+ * @param {Object} [context] - Optional walk context.
+ * @param {string} [context.documentPath]
+ *   The documentation path being walked, used to match globs. Defaults to directoryPath.
+ * @param {ReturnType<typeof filters.createFileFilter>} [context.filter]
+ *   The filter selecting files. Excluded directories are not walked.
+ * @returns {Promise<Array<object>>} A list of file objects returned by the GitHub API.
+ * @throws {Error}
+ */
+async function walkDirectory(
+  owner,
+  repo,
+  directoryPath,
+  reference,
+  { documentPath = directoryPath, filter = filters.createFileFilter() } = {},
+) {
+  try {
+    const { data: contents } = await gitHub.octokit.repos.getContent({
+      owner,
+      path: directoryPath,
+      ref: reference,
+      repo,
+    });
+    const files = [];
+
+    for (const item of contents) {
+      if (item.type === 'dir' && filter.acceptsDirectory(item.path, documentPath)) {
+        const subFiles = await walkDirectory(owner, repo, item.path, reference, { documentPath, filter });
+        files.push(...subFiles);
+      }
+      // Directory listings give submodules the type "file", without a download URL.
+      else if (['submodule', 'symlink'].includes(item.type) || (item.type === 'file' && item.download_url === null)) {
+        const kind = item.type === 'symlink' ? 'symbolic link' : 'submodule';
+        /* eslint-disable-next-line @stylistic/max-len */
+        console.warn(chalk.yellow(`\n  Warning: Skipping ${kind} "${item.path}": links and submodules are only followed in repositories small enough to be listed in one request.`));
+      }
+      else if (item.type === 'file' && filter.acceptsFile(item.path, documentPath)) {
+        files.push(item);
+      }
+    }
+
+    return files;
+  }
+  catch (error) {
+    if (error.status === 404) {
+      /* eslint-disable-next-line @stylistic/max-len */
+      console.warn(chalk.yellow(`\n  Warning: Path "${directoryPath}" not found in repository ${owner}/${repo}. Skipping.`));
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Calls an async operation and retries it on transient GitHub API errors.
+ * See getRetryDelay for the errors that are retried and the delays applied.
+ * @param {function(): Promise<*>} operation - The operation to run.
+ * @param {Object} [options] - Retry options.
+ * @param {function(Error, number, number): void} [options.onRetry]
+ *   Called before each retry with the error, the retry attempt number and the delay in milliseconds.
+ * @param {boolean} [options.waitForReset] - Whether to wait for the primary rate limit reset.
+ * @returns {Promise<*>} The result of the operation.
+ * @throws {Error} The last error when it is not retryable or all retries failed.
+ */
+async function withRetry(operation, { onRetry, waitForReset } = {}) {
+  const attemptOperation = async (attempt) => {
+    try {
+      return await operation();
+    }
+    catch (error) {
+      const delay = getRetryDelay(error, attempt, { waitForReset });
+
+      if (delay === undefined || attempt > MAX_RETRIES) {
+        throw error;
+      }
+
+      onRetry?.(error, attempt, delay);
+      await utilities.sleep(delay);
+      return attemptOperation(attempt + 1);
+    }
+  };
+
+  return attemptOperation(1);
+}
+
+/**
+ * Tells whether a command line streams JSONL records to stdout (`--out -`), before it is parsed.
+ * @param {string[]} [argv] - The command-line arguments.
+ * @returns {boolean}
+ */
+function writesToStdout(argv = []) {
+  return argv.some((argument, index) => argument === `--out=${STDOUT_OUTPUT}`
+    || (['--out', '-o'].includes(argument) && argv[index + 1] === STDOUT_OUTPUT));
+}
+
 // Start the program.
 if (utilities.isMainModule(import.meta.url)) {
   /* eslint-disable-next-line unicorn/prefer-top-level-await */
@@ -399,12 +2449,44 @@ export default {
   buildOutputLocation,
   computeOutputRoot,
   createZipArchive,
+  DEFAULT_ASSETS,
+  DEFAULT_CHUNK_BUDGET,
+  DEFAULT_CONCURRENCY,
   DEFAULT_DOCS_PATH,
+  DEFAULT_DRY_RUN,
+  DEFAULT_FOLLOW_SYMLINKS,
+  DEFAULT_FORCE,
+  DEFAULT_FORMAT,
+  DEFAULT_FRONTMATTER,
+  DEFAULT_INDEX,
+  DEFAULT_JSON,
+  DEFAULT_LAYOUT,
+  DEFAULT_LLMS_TXT,
+  DEFAULT_MAX_ASSET_SIZE,
+  DEFAULT_MAX_FILE_SIZE,
+  DEFAULT_MDX_TO_MD,
+  DEFAULT_ON_COLLISION,
   DEFAULT_OUTPUT_DIRECTORY_PATH,
+  DEFAULT_REWRITE_LINKS,
+  DEFAULT_SUBMODULES,
+  DEFAULT_SYNC,
   DEFAULT_TO_ZIP,
+  DEFAULT_UNKNOWN_COMPONENTS,
+  DEFAULT_WAIT_FOR_RESET,
+  ensureRateLimitQuota,
   extract,
+  extractAll,
   fetchAllFiles,
+  fetchRepositoryTree,
+  getGitHubWebOrigin,
+  getRateLimit,
+  getRetryDelay,
+  isPrimaryRateLimitError,
   launchCLI,
   parseRepoUrl,
+  resolveCommit,
+  resolveReferenceAndPath,
   run,
+  selectGitHubInstance,
+  withRetry,
 };
@@ -0,0 +1,117 @@
+import { once } from 'node:events';
+import path from 'node:path';
+
+import fs from 'fs-extra';
+
+import chunks from './chunks.js';
+import llms from './llms.js';
+
+const JSONL_FILENAME = 'documents.jsonl';
+const OUTPUT_FORMATS = ['files', 'jsonl'];
+
+/**
+ * Builds the JSONL record of a document, or of a chunk of a document split with --chunk.
+ *
+ * The id is made of the repository and the output path, so it stays the same from
+ * one run to the next while the output of the document does not move: records can
+ * be upserted in a vector store.
+ *
+ * @param {{repository: string, ref: string, commit: string}} project - The extracted repository and commit.
+ * @param {{source: string, url: string}} document - The extracted document.
+ * @param {Object} part - The content written to one output file.
+ * @param {string} part.content - The content of the output file.
+ * @param {string} part.output - The path of the output file, relative to the output directory.
+ * @param {string} part.title - The title of the document.
+ * @param {{index: number, count: number}} [part.chunk] - The position of the chunk, for chunked documents.
+ * @returns {Object}
+ */
+function buildRecord({ commit, ref, repository }, document, { chunk, content, output, title }) {
+  return {
+    bytes: Buffer.byteLength(content),
+    ...(chunk ? { chunk } : {}),
+    commit,
+    content,
+    id: `${repository}:${output}`,
+    output,
+    ref,
+    repo: repository,
+    source: document.source,
+    title,
+    tokens: chunks.estimateTokens(content),
+    url: document.url,
+  };
+}
+
+/**
+ * Writes `documents.jsonl` at the root of an output directory from the documents
+ * already written to it.
+ * @param {string} outputDirectory - The directory containing the extracted documents.
+ * @param {{repository: string, ref: string, commit: string}} project - The extracted repository and commit.
+ * @param {Array<{source: string, output: string, url: string, chunks?: string[]}>} documents
+ *   The extracted documents, with their output path and chunks relative to the output directory.
+ * @returns {Promise<number>} The number of written records.
+ */
+async function writeJsonlFile(outputDirectory, project, documents) {
+  const stream = fs.createWriteStream(path.join(outputDirectory, JSONL_FILENAME));
+  let count;
+
+  try {
+    count = await writeRecords(stream, outputDirectory, project, documents);
+  }
+  catch (error) {
+    stream.destroy();
+    throw error;
+  }
+
+  stream.end();
+  await once(stream, 'finish');
+
+  return count;
+}
+
+/**
+ * Writes one JSON record per line for each document of an output directory, in
+ * repository order. Documents split with --chunk are written chunk by chunk,
+ * without their index. Documents are read one at a time and the stream is drained
+ * as needed, so large extractions can be piped without holding them in memory.
+ * @param {import('node:stream').Writable} stream - The stream to write to, e.g. a file or stdout.
+ * @param {string} outputDirectory - The directory containing the extracted documents.
+ * @param {{repository: string, ref: string, commit: string}} project - The extracted repository and commit.
+ * @param {Array<{source: string, output: string, url: string, chunks?: string[]}>} documents
+ *   The extracted documents, with their output path and chunks relative to the output directory.
+ * @returns {Promise<number>} The number of written records.
+ */
+async function writeRecords(stream, outputDirectory, project, documents) {
+  const readOutput = (output) => fs.readFile(path.join(outputDirectory, output), 'utf8');
+  let count = 0;
+
+  for (const document of [...documents].sort((a, b) => llms.compareRepositoryPaths(a.source, b.source))) {
+    const content = await readOutput(document.output);
+    const { title } = llms.getDocumentMetadata(content, document.source);
+    const parts = document.chunks
+      ? await Promise.all(document.chunks.map(async (output, index) => ({
+        chunk: { count: document.chunks.length, index: index + 1 },
+        content: await readOutput(output),
+        output,
+      })))
+      : [{ content, output: document.output }];
+
+    for (const part of parts) {
+      if (!stream.write(`${JSON.stringify(buildRecord(project, document, { ...part, title }))}\n`)) {
+        await once(stream, 'drain');
+      }
+
+      count += 1;
+    }
+  }
+
+  return count;
+}
+
+export default {
+  buildRecord,
+  JSONL_FILENAME,
+  OUTPUT_FORMATS,
+  writeJsonlFile,
+  writeRecords,
+};
@@ -0,0 +1,121 @@
+const ILLEGAL_CHARACTERS_PATTERN = /[\p{Cc}"*/:<>?\\|]/u;
+const LAYOUTS = ['flat', 'grouped', 'preserve'];
+const PLACEHOLDER_PATTERN = /\{(?<placeholder>[^{}]*)\}/g;
+const PLACEHOLDERS = ['root', 'dirs', 'name', 'ext'];
+const RESERVED_FILENAME_PATTERN = /^(?:aux|com\d|con|lpt\d|nul|prn)(?:\..*)?$/i;
+
+/**
+ * Tells why a filename cannot be written on every platform: characters or names
+ * reserved on Windows, trailing dots and spaces, or an empty name.
+ * @param {string} filename - A filename, without directory.
+ * @returns {string|undefined} The problem, or undefined when the filename is valid.
+ */
+function findFilenameProblem(filename) {
+  if (filename === '' || filename === '.' || filename === '..') {
+    return 'it is empty';
+  }
+
+  const illegalCharacter = ILLEGAL_CHARACTERS_PATTERN.exec(filename)?.[0];
+
+  if (illegalCharacter) {
+    return `it contains ${JSON.stringify(illegalCharacter)}`;
+  }
+
+  if (RESERVED_FILENAME_PATTERN.test(filename)) {
+    return 'it is a reserved name on Windows';
+  }
+
+  if (/[\s.]$/.test(filename)) {
+    return 'it ends with a dot or a space';
+  }
+}
+
+/**
+ * Parses a --name-template such as `{root}-{dirs}-{name}{ext}`.
+ *
+ * Placeholders:
+ * - {root}: the output root of the documentation path (see computeOutputRoot),
+ * - {dirs}: the folders between the documentation path and the file, joined with dashes,
+ * - {name}: the filename without its extension,
+ * - {ext}: the extension, with its dot.
+ *
+ * @param {string} template - The template.
+ * @returns {{literals: string[], placeholders: string[]}}
+ *   The placeholders of the template, and the text before, between and after them
+ *   (one more literal than placeholders).
+ * @throws {Error} If a placeholder is unknown, {name} is missing or the text contains
+ *   characters that are not allowed in filenames.
+ */
+function parseNameTemplate(template) {
+  const literals = [];
+  const placeholders = [];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PLACEHOLDERS.includes(match.groups.placeholder)) {
+      const expected = PLACEHOLDERS.map((placeholder) => `{${placeholder}}`).join(', ');
+      throw new Error(`Unknown placeholder "${match[0]}" in name template (expected ${expected}).`);
+    }
+
+    literals.push(template.slice(lastIndex, match.index));
+    placeholders.push(match.groups.placeholder);
+    lastIndex = match.index + match[0].length;
+  }
+
+  literals.push(template.slice(lastIndex));
+
+  if (!placeholders.includes('name')) {
+    throw new Error('The name template must contain {name}.');
+  }
+
+  const invalidLiteral = literals.find((literal) => /[{}]/.test(literal) || ILLEGAL_CHARACTERS_PATTERN.test(literal));
+
+  if (invalidLiteral !== undefined) {
+    /* eslint-disable-next-line @stylistic/max-len */
+    throw new Error(`Invalid text "${invalidLiteral}" in name template: braces and the characters \\ / : * ? " < > | are not allowed.`);
+  }
+
+  return { literals, placeholders };
+}
+
+/**
+ * Renders a filename from a template parsed by parseNameTemplate.
+ *
+ * Empty placeholders are left out with the text separating them from the
+ * previous placeholder, or from the next one when they come first, so that
+ * `{root}-{dirs}-{name}{ext}` gives `hooks.md` when there is no output root and
+ * no folder, instead of `--hooks.md`, and `{name}.{dirs}{ext}` gives `hooks.md`
+ * instead of `hooks..md`.
+ *
+ * @param {ReturnType<typeof parseNameTemplate>} template - The parsed template.
+ * @param {{root: string, dirs: string, name: string, ext: string}} values - The value of each placeholder.
+ * @returns {string}
+ */
+function renderNameTemplate({ literals, placeholders }, values) {
+  const [prefix, ...separators] = literals;
+  let rendered = prefix;
+  let separator;
+
+  for (const [index, placeholder] of placeholders.entries()) {
+    const value = values[placeholder] ?? '';
+
+    if (value !== '') {
+      rendered += `${separator ?? ''}${value}`;
+      separator = separators[index];
+    }
+    else if (separator !== undefined) {
+      separator = separators[index];
+    }
+  }
+
+  const [suffix] = separators.slice(-1);
+
+  return rendered + (separator ?? suffix);
+}
+
+export default {
+  findFilenameProblem,
+  LAYOUTS,
+  parseNameTemplate,
+  renderNameTemplate,
+};
@@ -0,0 +1,198 @@
+import path from 'node:path';
+
+const FENCE_PATTERN = /^ {0,3}(?<fence>`{3,}|~{3,})/;
+/* eslint-disable-next-line @stylistic/max-len */
+const HTML_LINK_PATTERN = /(?<prefix><(?<tag>a|img|source)\b[^>]*?\s(?:href|src)=)(?<quote>["'])(?<link>[^"']*)\k<quote>/gi;
+/* eslint-disable-next-line @stylistic/max-len */
+const MARKDOWN_LINK_PATTERN = /(?<prefix>(?<image>!?)\[(?:[^[\]\\]|\\.|\[[^\]]*\])*\]\(\s*)(?<link><[^>\n]*>|[^\s()<>]+(?:\([^\s()]*\)[^\s()<>]*)*)/g;
+/* eslint-disable-next-line @stylistic/max-len */
+const MDX_IMPORT_PATTERN = /(?<prefix>\bimport\s+(?:[\w$]+|\{[^}]*\}|\*\s+as\s+[\w$]+)\s+from\s+|\brequire\(\s*)(?<quote>["'])(?<link>[^"'\n]+)\k<quote>/g;
+const REFERENCE_DEFINITION_PATTERN = /^(?<prefix> {0,3}\[[^\]]+\]:[^\S\n]*)(?<link><[^>\n]*>|\S+)/;
+const RESOLVED_EXTENSIONS = ['.md', '.mdx'];
+
+/**
+ * Lists the repository paths a relative link may point to. Documentation sites
+ * often omit the extension (`../api/hooks`) or link to a folder with an index page.
+ * @param {string} targetPath - The repository path a link resolves to.
+ * @returns {string[]} The candidates, most specific first.
+ */
+function getLinkCandidates(targetPath) {
+  if (path.posix.extname(targetPath)) {
+    return [targetPath];
+  }
+
+  return [
+    targetPath,
+    ...RESOLVED_EXTENSIONS.map((extension) => `${targetPath}${extension}`),
+    ...RESOLVED_EXTENSIONS.map((extension) => `${targetPath}/index${extension}`),
+    `${targetPath}/README.md`,
+  ];
+}
+
+/**
+ * Tells whether a link is relative to the current file, as opposed to absolute
+ * URLs, protocol-relative URLs, site-root paths and in-page anchors.
+ * @param {string} link - A link target.
+ * @returns {boolean}
+ */
+function isRelativeLink(link) {
+  return link !== '' && !/^(?:[a-z][\d+.a-z-]*:|\/|#)/i.test(link);
+}
+
+/**
+ * Resolves a relative link found in a repository file to a repository path.
+ * @param {string} link - The link target, possibly with a query string or an anchor.
+ * @param {string} sourcePath - The repository path of the file containing the link.
+ * @returns {{targetPath: string, hash: string}|undefined}
+ *   The repository path and anchor of the link, or undefined when it leaves the repository.
+ */
+function resolveLink(link, sourcePath) {
+  const [, linkPath, hash = ''] = /^([^#?]*)(?:\?[^#]*)?(#.*)?$/.exec(link);
+  let decodedPath = linkPath;
+
+  try {
+    decodedPath = decodeURIComponent(linkPath);
+  }
+  catch {
+    // Keep malformed escapes as they are.
+  }
+
+  const targetPath = path.posix.join(path.posix.dirname(sourcePath), decodedPath).replace(/\/+$/, '');
+
+  if (targetPath === '..' || targetPath.startsWith('../')) {
+    return;
+  }
+
+  return { hash, targetPath: targetPath === '.' ? '' : targetPath };
+}
+
+/**
+ * Rewrites the relative links of an extracted Markdown document.
+ *
+ * Markdown links and images, reference definitions and HTML `href`/`src` attributes
+ * are resolved against the original repository path of the document:
+ * - links to extracted files point to their output path, relative to the document's output,
+ * - links to other files of the repository become absolute GitHub URLs,
+ * - links to paths that do not exist in the repository are left as they are and reported.
+ *
+ * MDX imports and `require()` calls (e.g. `import logo from './logo.png'`) only point
+ * to extracted files; other module paths are left as they are.
+ *
+ * Code blocks and inline code are left untouched.
+ *
+ * @param {string} content - The Markdown document.
+ * @param {Object} context - Where the document and its link targets are.
+ * @param {string} context.sourcePath - The repository path of the document.
+ * @param {string} context.outputPath - The output path of the document, relative to the output directory.
+ * @param {Map<string, string>} context.outputsBySource - The output path of every extracted file, by source path.
+ * @param {Set<string>} [context.repositoryPaths]
+ *   Every file and folder path of the repository. When unknown, no link is reported as broken.
+ * @param {(targetPath: string, options: {raw: boolean}) => string} context.toUrl
+ *   Builds the GitHub URL of a repository path; raw URLs are used for images.
+ * @returns {{content: string, targets: string[], broken: string[]}}
+ *   content:
+ *     The document with its links rewritten.
+ *   targets:
+ *     The repository paths of the relative links, used to know when they must be rewritten again.
+ *   broken:
+ *     The links that point to paths missing from the repository.
+ */
+function rewriteLinks(content, { outputPath, outputsBySource, repositoryPaths, sourcePath, toUrl }) {
+  const targets = new Set();
+  const broken = [];
+
+  const rewrite = (link, { extractedOnly = false, raw }) => {
+    const isAngleBracketed = link.startsWith('<') && link.endsWith('>');
+    const target = isAngleBracketed ? link.slice(1, -1) : link;
+
+    if (!isRelativeLink(target)) {
+      return link;
+    }
+
+    const resolved = resolveLink(target, sourcePath);
+
+    if (!resolved) {
+      return link;
+    }
+
+    const candidates = getLinkCandidates(resolved.targetPath);
+    const extracted = candidates.find((candidate) => outputsBySource.has(candidate));
+
+    if (!extracted && extractedOnly) {
+      return link;
+    }
+
+    targets.add(resolved.targetPath);
+    let rewritten;
+
+    if (extracted) {
+      const relativeOutput = path.posix.relative(path.posix.dirname(outputPath), outputsBySource.get(extracted));
+      rewritten = `${encodeURI(relativeOutput)}${resolved.hash}`;
+    }
+    else if (repositoryPaths) {
+      const existing = candidates.find((candidate) => repositoryPaths.has(candidate));
+
+      if (!existing) {
+        broken.push(target);
+        return link;
+      }
+
+      rewritten = `${toUrl(existing, { raw })}${resolved.hash}`;
+    }
+    else {
+      rewritten = `${toUrl(resolved.targetPath, { raw })}${resolved.hash}`;
+    }
+
+    return isAngleBracketed ? `<${rewritten}>` : rewritten;
+  };
+
+  const rewriteText = (text) => text
+    .replaceAll(MARKDOWN_LINK_PATTERN, (...match) => {
+      const { image, link, prefix } = match.at(-1);
+      return `${prefix}${rewrite(link, { raw: image === '!' })}`;
+    })
+    .replaceAll(HTML_LINK_PATTERN, (...match) => {
+      const { link, prefix, quote, tag } = match.at(-1);
+      return `${prefix}${quote}${rewrite(link, { raw: tag.toLowerCase() !== 'a' })}${quote}`;
+    })
+    .replaceAll(MDX_IMPORT_PATTERN, (...match) => {
+      const { link, prefix, quote } = match.at(-1);
+      return `${prefix}${quote}${rewrite(link, { extractedOnly: true, raw: true })}${quote}`;
+    })
+    .replace(REFERENCE_DEFINITION_PATTERN, (...match) => {
+      const { link, prefix } = match.at(-1);
+      return `${prefix}${rewrite(link, { raw: false })}`;
+    });
+
+  const lines = content.split('\n');
+  let openFence;
+
+  for (const [index, line] of lines.entries()) {
+    const fence = FENCE_PATTERN.exec(line)?.groups.fence;
+
+    if (openFence) {
+      if (fence && fence[0] === openFence[0] && fence.length >= openFence.length) {
+        openFence = undefined;
+      }
+      continue;
+    }
+
+    if (fence) {
+      openFence = fence;
+      continue;
+    }
+
+    // Inline code spans are the odd segments between backtick runs.
+    lines[index] = line
+      .split(/(`+[^`]*`+)/)
+      .map((segment) => (segment.startsWith('`') ? segment : rewriteText(segment)))
+      .join('');
+  }
+
+  return { broken, content: lines.join('\n'), targets: [...targets].sort() };
+}
+
+export default {
+  getLinkCandidates,
+  rewriteLinks,
+};
@@ -0,0 +1,260 @@
+import path from 'node:path';
+
+import fs from 'fs-extra';
+
+import utilities from './utilities.js';
+
+const FENCE_PATTERN = /^ {0,3}(?<fence>`{3,}|~{3,})/;
+const FRONT_MATTER_PATTERN = /^---[^\S\r\n]*\r?\n(?<yaml>[\s\S]*?\r?\n)?(?:---|\.\.\.)[^\S\r\n]*(?:\r?\n|$)/;
+const INDEX_PAGE_NAMES = new Set(['index', 'readme']);
+const LLMS_FILENAME = 'llms.txt';
+const LLMS_FULL_FILENAME = 'llms-full.txt';
+const SEPARATOR = '='.repeat(80);
+
+/**
+ * Builds the content of `llms-full.txt`: every document of the extraction, each
+ * preceded by a header with its repository path and GitHub URL. Documents split
+ * with --chunk are written part by part.
+ * @param {{repository: string, ref: string, commit: string}} project - The extracted repository and commit.
+ * @param {ReturnType<typeof groupDocuments>} sections - The documents, grouped by groupDocuments.
+ * @returns {string}
+ */
+function buildLlmsFullTxt(project, sections) {
+  const documents = sections.flatMap((section) => section.documents).flatMap((document) => {
+    const parts = document.parts ?? [document.content];
+
+    return parts.map((part, index) => [
+      SEPARATOR,
+      `Source: ${document.source}${parts.length > 1 ? ` (part ${index + 1} of ${parts.length})` : ''}`,
+      `URL: ${document.url}`,
+      SEPARATOR,
+      '',
+      part.replaceAll('\r\n', '\n').trim(),
+      '',
+    ].join('\n'));
+  });
+
+  return [...formatHeader(project), ...documents].join('\n');
+}
+
+/**
+ * Builds the content of `llms.txt`, following the llms.txt convention: the name of
+ * the project, a summary, then one section of links per group of documents.
+ * Links are relative to the output directory, where the file is written.
+ * @param {{repository: string, ref: string, commit: string}} project - The extracted repository and commit.
+ * @param {ReturnType<typeof groupDocuments>} sections - The documents, grouped by groupDocuments.
+ * @returns {string}
+ */
+function buildLlmsTxt(project, sections) {
+  const lines = formatHeader(project);
+
+  for (const { documents, title } of sections) {
+    lines.push(`## ${title}`, '');
+
+    for (const document of documents) {
+      const { description, title: documentTitle } = getDocumentMetadata(document.content, document.source);
+      const link = `[${documentTitle.replaceAll(/[[\]\\]/g, String.raw`\$&`)}](${encodeURI(document.output)})`;
+      lines.push(`- ${link}${description ? `: ${description}` : ''}`);
+    }
+
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Compares two repository paths so that files are listed like the repository tree:
+ * folder by folder, the files of a folder before its subfolders, and index pages
+ * (`index.md`, `README.md`) first. Names are compared by code unit, so the order
+ * does not depend on the locale.
+ * @param {string} a - A repository path.
+ * @param {string} b - Another repository path.
+ * @returns {number}
+ */
+function compareRepositoryPaths(a, b) {
+  const aSegments = a.split('/');
+  const bSegments = b.split('/');
+  let index = 0;
+
+  while (index < aSegments.length - 1 && index < bSegments.length - 1 && aSegments[index] === bSegments[index]) {
+    index += 1;
+  }
+
+  const aIsFile = index === aSegments.length - 1;
+  const bIsFile = index === bSegments.length - 1;
+
+  if (aIsFile !== bIsFile) {
+    return aIsFile ? -1 : 1;
+  }
+
+  if (aIsFile) {
+    const aIsIndex = isIndexPage(aSegments[index]);
+
+    if (aIsIndex !== isIndexPage(bSegments[index])) {
+      return aIsIndex ? -1 : 1;
+    }
+  }
+
+  return utilities.compareCodeUnits(aSegments[index], bSegments[index]);
+}
+
+/**
+ * Formats the title and summary shared by `llms.txt` and `llms-full.txt`.
+ * @param {{repository: string, ref: string, commit: string}} project - The extracted repository and commit.
+ * @returns {string[]}
+ */
+function formatHeader({ commit, ref, repository }) {
+  return [
+    `# ${repository}`,
+    '',
+    `> Documentation of ${repository}, extracted from ${ref} (commit ${commit}).`,
+    '',
+  ];
+}
+
+/**
+ * Reads the title and description of a document: the `title` and `description`
+ * of its front matter, then its first level 1 heading, then its filename.
+ * @param {string} content - The document.
+ * @param {string} sourcePath - The repository path of the document.
+ * @returns {{title: string, description: string|undefined}}
+ */
+function getDocumentMetadata(content, sourcePath) {
+  const frontMatter = FRONT_MATTER_PATTERN.exec(content.replace(/^\uFEFF/, ''));
+  const yamlLines = (frontMatter?.groups.yaml ?? '').split(/\r?\n/);
+  const readKey = (key) => {
+    const line = yamlLines.find((yamlLine) => yamlLine.startsWith(`${key}:`));
+    return line ? parseYamlScalar(line.slice(key.length + 1)) : undefined;
+  };
+
+  return {
+    description: readKey('description') || undefined,
+    title: readKey('title') || getFirstHeading(content) || path.posix.parse(sourcePath).name,
+  };
+}
+
+/**
+ * Finds the first level 1 ATX heading of a Markdown document, outside code blocks.
+ * @param {string} content - The Markdown document.
+ * @returns {string|undefined}
+ */
+function getFirstHeading(content) {
+  let openFence;
+
+  for (const line of content.split(/\r?\n/)) {
+    const fence = FENCE_PATTERN.exec(line)?.groups.fence;
+
+    if (openFence) {
+      if (fence && fence[0] === openFence[0] && fence.length >= openFence.length) {
+        openFence = undefined;
+      }
+      continue;
+    }
+
+    if (fence) {
+      openFence = fence;
+      continue;
+    }
+
+    const heading = /^ {0,3}#[^\S\n]+(?<text>.*?)(?:[^\S\n]+#+)?[^\S\n]*$/.exec(line);
+
+    if (heading?.groups.text) {
+      return heading.groups.text;
+    }
+  }
+}
+
+/**
+ * Groups the documents of an extraction into the sections of `llms.txt`, one per
+ * output root (see computeOutputRoot). Documentation paths without an output root
+ * are titled with the documentation path itself.
+ *
+ * Documents are sorted like the repository tree and sections by their first
+ * document, so the result does not depend on the download order.
+ *
+ * @param {Array<{section: string, source: string, output: string, url: string, content: string}>} documents
+ *   The extracted documents, with the title of their section.
+ * @returns {Array<{title: string, documents: Array<object>}>}
+ */
+function groupDocuments(documents) {
+  const sections = new Map();
+
+  for (const document of [...documents].sort((a, b) => compareRepositoryPaths(a.source, b.source))) {
+    if (!sections.has(document.section)) {
+      sections.set(document.section, { documents: [], title: document.section });
+    }
+
+    sections.get(document.section).documents.push(document);
+  }
+
+  return [...sections.values()];
+}
+
+/**
+ * Tells whether a filename is the index page of its folder.
+ * @param {string} filename - A filename.
+ * @returns {boolean}
+ */
+function isIndexPage(filename) {
+  return INDEX_PAGE_NAMES.has(path.posix.parse(filename).name.toLowerCase());
+}
+
+/**
+ * Reads a single-line YAML scalar, plain or quoted.
+ * @param {string} value - The text following the key.
+ * @returns {string}
+ */
+function parseYamlScalar(value) {
+  const trimmed = value.trim();
+
+  if (trimmed.startsWith('"')) {
+    try {
+      return JSON.parse(trimmed);
+    }
+    catch {
+      return trimmed.slice(1, -1);
+    }
+  }
+
+  if (trimmed.startsWith("'")) {
+    return trimmed.slice(1, -1).replaceAll("''", "'");
+  }
+
+  return trimmed.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Writes `llms.txt` and `llms-full.txt` at the root of an output directory from
+ * the documents already written to it.
+ * @param {string} outputDirectory - The directory containing the extracted documents.
+ * @param {{repository: string, ref: string, commit: string}} project - The extracted repository and commit.
+ * @param {Array<{section: string, source: string, output: string, url: string, chunks?: string[]}>} documents
+ *   The extracted documents, with their output path and chunks relative to the output directory.
+ * @returns {Promise<string[]>} The names of the written files.
+ */
+async function writeLlmsFiles(outputDirectory, project, documents) {
+  const readOutput = (output) => fs.readFile(path.join(outputDirectory, output), 'utf8');
+  const documentsWithContent = await Promise.all(documents.map(async (document) => ({
+    ...document,
+    content: await readOutput(document.output),
+    ...(document.chunks ? { parts: await Promise.all(document.chunks.map((chunk) => readOutput(chunk))) } : {}),
+  })));
+  const sections = groupDocuments(documentsWithContent);
+
+  await fs.writeFile(path.join(outputDirectory, LLMS_FILENAME), buildLlmsTxt(project, sections));
+  await fs.writeFile(path.join(outputDirectory, LLMS_FULL_FILENAME), buildLlmsFullTxt(project, sections));
+
+  return [LLMS_FILENAME, LLMS_FULL_FILENAME];
+}
+
+export default {
+  buildLlmsFullTxt,
+  buildLlmsTxt,
+  compareRepositoryPaths,
+  getDocumentMetadata,
+  groupDocuments,
+  LLMS_FILENAME,
+  LLMS_FULL_FILENAME,
+  writeLlmsFiles,
+};
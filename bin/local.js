@@ -0,0 +1,284 @@
+import { execFile } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { promisify } from 'node:util';
+
+import fs from 'fs-extra';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_DIRECTORY_NAME = '.git';
+const LOCAL_PATH_PATTERN = /^(?:file:|\.{1,2}(?:[/\\]|$)|[/\\]|[a-z]:[/\\])/i;
+const LS_TREE_ENTRY_PATTERN = /^(?<mode>\d+) (?<type>\w+) (?<sha>[\da-f]+) +(?<size>-|\d+)\t(?<path>.*)$/s;
+const WORKING_TREE = 'working-tree';
+
+/**
+ * Compares the names of two entries of a directory the way git orders tree entries:
+ * byte by byte, directories being compared as if their name ended with a slash.
+ * @param {{name: string, isDirectory: boolean}} a - An entry.
+ * @param {{name: string, isDirectory: boolean}} b - Another entry.
+ * @returns {number}
+ */
+function compareTreeEntries(a, b) {
+  return Buffer.compare(
+    Buffer.from(a.isDirectory ? `${a.name}/` : a.name),
+    Buffer.from(b.isDirectory ? `${b.name}/` : b.name),
+  );
+}
+
+/**
+ * Computes the git blob SHA of some content, as `git hash-object` does.
+ * @param {Buffer} content - The content of a file.
+ * @returns {string}
+ */
+function computeBlobSha(content) {
+  return createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+}
+
+/**
+ * Creates the source reading the files of a local directory that is not a git
+ * repository, as they are on disk. Entries are listed like a git tree: blob SHAs
+ * are computed like git does, symbolic links are blobs holding their target, and
+ * `.git` entries are ignored. There is no commit: the ref and commit are `working-tree`.
+ * @param {string} directory - The absolute path of the directory.
+ * @returns {Awaited<ReturnType<typeof openLocalRepository>>}
+ */
+function createDirectorySource(directory) {
+  const readEntry = async (filePath) => {
+    const absolutePath = path.join(directory, ...filePath.split('/'));
+    const stats = await fs.lstat(absolutePath);
+    return stats.isSymbolicLink() ? Buffer.from(await fs.readlink(absolutePath)) : fs.readFile(absolutePath);
+  };
+
+  const walk = async (directoryPath, entries) => {
+    const dirents = await fs.readdir(path.join(directory, ...directoryPath.split('/').filter(Boolean)), {
+      withFileTypes: true,
+    });
+    const children = dirents
+      .filter((child) => child.name !== GIT_DIRECTORY_NAME)
+      .map((child) => ({ child, isDirectory: child.isDirectory(), name: child.name }))
+      .sort(compareTreeEntries);
+
+    for (const { child, isDirectory, name } of children) {
+      const entryPath = directoryPath ? `${directoryPath}/${name}` : name;
+
+      if (isDirectory) {
+        entries.push({ mode: '040000', path: entryPath, type: 'tree' });
+        await walk(entryPath, entries);
+      }
+      else if (child.isFile() || child.isSymbolicLink()) {
+        const content = await readEntry(entryPath);
+        entries.push({
+          mode: child.isSymbolicLink() ? '120000' : '100644',
+          path: entryPath,
+          sha: computeBlobSha(content),
+          size: content.length,
+          type: 'blob',
+        });
+      }
+    }
+
+    return entries;
+  };
+
+  return {
+    directory,
+    fetchTree: async () => ({ entries: await walk('', []), truncated: false }),
+    name: getLocalRepositoryName(directory),
+    readFile: (filePath) => readEntry(filePath),
+    remoteUrl: undefined,
+    resolveCommit: async (reference) => {
+      if (reference) {
+        throw new Error(`"${directory}" is not a git repository: --ref cannot be used to extract it.`);
+      }
+
+      return { ref: WORKING_TREE, sha: WORKING_TREE, treeSha: WORKING_TREE };
+    },
+    toUrl: (filePath) => pathToFileURL(path.join(directory, ...filePath.split('/'))).href,
+  };
+}
+
+/**
+ * Creates the source reading a local git repository, work tree or bare, through git.
+ * Files are read from the requested commit rather than from the work tree, so the
+ * extraction of a commit does not depend on uncommitted changes.
+ * @param {string} directory - The absolute path of the repository.
+ * @param {string|undefined} remoteUrl - The URL of its `origin` remote, if any.
+ * @returns {Awaited<ReturnType<typeof openLocalRepository>>}
+ */
+function createGitSource(directory, remoteUrl) {
+  const findCommit = async (reference) => {
+    // A branch of a clone that was never checked out only exists as a remote-tracking branch.
+    for (const candidate of [reference, `refs/remotes/origin/${reference}`]) {
+      const revision = `${candidate}^{commit}`;
+      const sha = await runGit(directory, ['rev-parse', '--verify', '--quiet', '--end-of-options', revision])
+        .catch(() => '');
+
+      if (sha) {
+        return sha;
+      }
+    }
+  };
+
+  return {
+    directory,
+    fetchTree: async (treeSha) => {
+      const output = await runGit(directory, ['ls-tree', '-r', '-t', '-l', '-z', '--full-tree', treeSha]);
+      return { entries: output.split('\0').filter(Boolean).map((line) => parseTreeEntry(line)), truncated: false };
+    },
+    name: getLocalRepositoryName(directory),
+    readFile: (filePath, reference) => runGit(directory, ['cat-file', 'blob', `${reference}:${filePath}`], {
+      encoding: 'buffer',
+    }),
+    remoteUrl,
+    resolveCommit: async (reference) => {
+      // Like the default branch of a GitHub repository, the branch checked out (HEAD) is read by default.
+      const resolvedReference = reference
+        || await runGit(directory, ['symbolic-ref', '--quiet', '--short', 'HEAD']).catch(() => 'HEAD');
+      const sha = await findCommit(resolvedReference);
+
+      if (!sha) {
+        /* eslint-disable-next-line @stylistic/max-len */
+        throw new Error(`Ref "${resolvedReference}" not found in repository ${directory}. Expected a branch, tag or commit SHA.`);
+      }
+
+      return { ref: resolvedReference, sha, treeSha: await runGit(directory, ['rev-parse', `${sha}^{tree}`]) };
+    },
+    toUrl: (filePath) => pathToFileURL(path.join(directory, ...filePath.split('/'))).href,
+  };
+}
+
+/**
+ * Gets the name of a local repository: the name of its directory, without `.git`.
+ * @param {string} location - The path or file URL of the repository.
+ * @returns {string}
+ */
+function getLocalRepositoryName(location) {
+  return path.basename(toDirectory(location)).replace(/\.git$/i, '');
+}
+
+/**
+ * Tells whether a --repo value is a local path rather than a GitHub repository:
+ * an absolute path, a path starting with `./` or `../`, or a `file:` URL.
+ * @param {string} value - The --repo value.
+ * @returns {boolean}
+ */
+function isLocalRepository(value) {
+  return LOCAL_PATH_PATTERN.test(value.trim());
+}
+
+/**
+ * Opens a local directory or git repository to extract it without the GitHub API.
+ *
+ * - The root of a git work tree, or a bare repository: files are read from a commit
+ *   through git (see createGitSource).
+ * - Any other directory, including a folder inside a work tree: files are read from
+ *   disk (see createDirectorySource).
+ *
+ * @param {string} location - The path or file URL of the directory.
+ * @returns {Promise<{
+ *   directory: string,
+ *   fetchTree: (treeSha: string) => Promise<{entries: Array<object>, truncated: boolean}>,
+ *   name: string,
+ *   readFile: (filePath: string, reference: string) => Promise<Buffer>,
+ *   remoteUrl: string|undefined,
+ *   resolveCommit: (reference?: string) => Promise<{ref: string, sha: string, treeSha: string}>,
+ *   toUrl: (filePath: string) => string,
+ * }>}
+ *   directory:
+ *     The absolute path of the directory.
+ *   fetchTree:
+ *     Lists every entry ({ path, mode, type, sha, size }) of a tree, like the Git Trees API.
+ *   name:
+ *     The name of the directory.
+ *   readFile:
+ *     Reads a file of a commit.
+ *   remoteUrl:
+ *     The URL of the `origin` remote of a git repository.
+ *   resolveCommit:
+ *     Resolves a branch, tag or commit SHA, or the branch checked out when omitted.
+ *   toUrl:
+ *     The file URL of a path of the repository.
+ * @throws {Error} If the directory does not exist or git fails.
+ */
+async function openLocalRepository(location) {
+  const directory = toDirectory(location);
+  const stats = await fs.stat(directory).catch(() => {});
+
+  if (!stats?.isDirectory()) {
+    throw new Error(`Local repository "${location}" not found: expected a directory or a git repository.`);
+  }
+
+  let bare;
+  let prefix;
+
+  try {
+    const output = await runGit(directory, ['rev-parse', '--is-bare-repository', '--show-prefix']);
+    [bare, prefix = ''] = output.split('\n');
+  }
+  catch (error) {
+    // Without git, or outside of a git repository, the directory is read as it is.
+    if (error.code === 'ENOENT' || /not a git repository/i.test(error.message)) {
+      return createDirectorySource(directory);
+    }
+    throw error;
+  }
+
+  if (bare !== 'true' && prefix !== '') {
+    return createDirectorySource(directory);
+  }
+
+  const remoteUrl = await runGit(directory, ['config', '--get', 'remote.origin.url']).catch(() => {});
+  return createGitSource(directory, remoteUrl || undefined);
+}
+
+/**
+ * Parses an entry printed by `git ls-tree -l -z`.
+ * @param {string} line - The entry.
+ * @returns {{mode: string, path: string, sha: string, size?: number, type: string}}
+ */
+function parseTreeEntry(line) {
+  const { mode, path: entryPath, sha, size, type } = LS_TREE_ENTRY_PATTERN.exec(line).groups;
+  return { mode, path: entryPath, sha, ...(size === '-' ? {} : { size: Number(size) }), type };
+}
+
+/**
+ * Runs a git command in a repository.
+ * @param {string} directory - The repository.
+ * @param {string[]} gitArguments - The git arguments.
+ * @param {{encoding?: string}} [settings] - `buffer` to get the raw output.
+ * @returns {Promise<string|Buffer>} The output, trimmed unless it is a buffer.
+ * @throws {Error} With the message printed by git when it fails.
+ */
+async function runGit(directory, gitArguments, { encoding = 'utf8' } = {}) {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', directory, ...gitArguments], {
+      encoding,
+      maxBuffer: Infinity,
+    });
+    return encoding === 'buffer' ? stdout : stdout.trim();
+  }
+  catch (error) {
+    const message = error.stderr?.toString().trim() || error.message;
+    throw Object.assign(new Error(`git ${gitArguments[0]} failed: ${message}`), { code: error.code });
+  }
+}
+
+/**
+ * Converts a local --repo value to an absolute directory path.
+ * @param {string} location - A path or a file URL.
+ * @returns {string}
+ */
+function toDirectory(location) {
+  const value = location.trim();
+  return path.resolve(value.startsWith('file:') ? fileURLToPath(value) : value);
+}
+
+export default {
+  computeBlobSha,
+  getLocalRepositoryName,
+  isLocalRepository,
+  openLocalRepository,
+  WORKING_TREE,
+};
@@ -0,0 +1,145 @@
+import path from 'node:path';
+
+import fs from 'fs-extra';
+
+import packageJson from '../package.json' with { type: 'json' };
+
+import llms from './llms.js';
+import plan from './plan.js';
+
+const INDEX_FILENAME = 'INDEX.md';
+const MANIFEST_FILENAME = 'manifest.json';
+
+/**
+ * Builds the content of `INDEX.md`: the extracted repository and commit, then one
+ * table per documentation path listing each document with its source and size.
+ * @param {ReturnType<typeof buildManifest>} manifest - The manifest of the extraction.
+ * @returns {string}
+ */
+function buildIndex(manifest) {
+  const lines = [
+    `# ${manifest.repository}`,
+    '',
+    /* eslint-disable-next-line @stylistic/max-len */
+    `Extracted from \`${manifest.ref}\` (commit \`${manifest.commit}\`) on ${manifest.extractedAt} with ${manifest.tool.name} ${manifest.tool.version}.`,
+    '',
+  ];
+  const sections = llms.groupDocuments(manifest.files.map((file) => ({ ...file, section: file.documentPath })));
+
+  for (const { documents, title } of sections) {
+    lines.push(`## ${title}`, '', '| Document | Source | Size |', '| --- | --- | --- |');
+
+    for (const file of documents) {
+      const link = `[${escapeCell(file.title.replaceAll(/[[\]\\]/g, String.raw`\$&`))}](${encodeURI(file.output)})`;
+      const parts = file.chunks ? ` (${file.chunks.length} chunks)` : '';
+      lines.push(`| ${link} | \`${escapeCell(file.source)}\` | ${plan.formatBytes(file.size)}${parts} |`);
+    }
+
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Builds the manifest of an extraction, describing the run and every extracted document.
+ * @param {Object} run - The extraction.
+ * @param {string} run.repository - The extracted repository (owner/repo).
+ * @param {string} run.ref - The extracted ref.
+ * @param {string} run.commit - The extracted commit SHA.
+ * @param {string} run.extractedAt - The time of the extraction (ISO 8601).
+ * @param {Object} run.options - The options of the extraction.
+ * @param {Array<Object>} files - The extracted documents, as read by readDocuments.
+ * @returns {{
+ *   commit: string,
+ *   extractedAt: string,
+ *   options: Object,
+ *   ref: string,
+ *   repository: string,
+ *   tool: {name: string, version: string},
+ *   files: Array<{source: string, sha: string, documentPath: string, output: string, size: number,
+ *     title: string, chunks?: Array<{output: string, size: number}>}>,
+ * }}
+ */
+function buildManifest({ commit, extractedAt, options, ref, repository }, files) {
+  return {
+    commit,
+    extractedAt,
+    files: [...files].sort((a, b) => llms.compareRepositoryPaths(a.source, b.source)),
+    options,
+    ref,
+    repository,
+    tool: { name: packageJson.name, version: packageJson.version },
+  };
+}
+
+/**
+ * Escapes the pipes of a Markdown table cell.
+ * @param {string} text - The content of the cell.
+ * @returns {string}
+ */
+function escapeCell(text) {
+  return text.replaceAll('|', String.raw`\|`);
+}
+
+/**
+ * Reads the size and title of the documents written to an output directory.
+ * @param {string} outputDirectory - The directory containing the extracted documents.
+ * @param {Array<{source: string, sha: string, documentPath: string, output: string, chunks?: string[]}>} documents
+ *   The extracted documents, with their output path and chunks relative to the output directory.
+ * @returns {Promise<Array<Object>>} The manifest entries of the documents.
+ */
+async function readDocuments(outputDirectory, documents) {
+  const readOutput = (output) => fs.readFile(path.join(outputDirectory, output), 'utf8');
+
+  return Promise.all(documents.map(async ({ chunks, documentPath, output, sha, source }) => {
+    const content = await readOutput(output);
+    const chunkEntries = chunks && await Promise.all(chunks.map(async (chunk) => ({
+      output: chunk,
+      size: Buffer.byteLength(await readOutput(chunk)),
+    })));
+
+    return {
+      ...(chunkEntries ? { chunks: chunkEntries } : {}),
+      documentPath,
+      output,
+      sha,
+      size: Buffer.byteLength(content),
+      source,
+      title: llms.getDocumentMetadata(content, source).title,
+    };
+  }));
+}
+
+/**
+ * Writes `manifest.json`, and `INDEX.md` when requested, at the root of an output
+ * directory from the documents already written to it. Unlike the sync manifest,
+ * these files are meant to be read by people and tools, and are kept in zip archives.
+ * @param {string} outputDirectory - The directory containing the extracted documents.
+ * @param {Parameters<typeof buildManifest>[0]} run - The extraction.
+ * @param {Parameters<typeof readDocuments>[1]} documents - The extracted documents.
+ * @param {Object} [settings] - What to write.
+ * @param {boolean} [settings.index] - Whether to write `INDEX.md` too.
+ * @returns {Promise<string[]>} The names of the written files.
+ */
+async function writeManifestFiles(outputDirectory, run, documents, { index = false } = {}) {
+  const manifest = buildManifest(run, await readDocuments(outputDirectory, documents));
+
+  await fs.writeJson(path.join(outputDirectory, MANIFEST_FILENAME), manifest, { spaces: 2 });
+
+  if (!index) {
+    return [MANIFEST_FILENAME];
+  }
+
+  await fs.writeFile(path.join(outputDirectory, INDEX_FILENAME), buildIndex(manifest));
+
+  return [MANIFEST_FILENAME, INDEX_FILENAME];
+}
+
+export default {
+  buildIndex,
+  buildManifest,
+  INDEX_FILENAME,
+  MANIFEST_FILENAME,
+  writeManifestFiles,
+};
@@ -0,0 +1,446 @@
+import path from 'node:path';
+
+const ADMONITION_CLOSE_PATTERN = /^:{3,}\s*$/;
+/* eslint-disable-next-line @stylistic/max-len */
+const ADMONITION_OPEN_PATTERN = /^:{3,}(?<type>caution|danger|error|important|info|note|secondary|success|tip|warning)(?:\[(?<bracketTitle>[^\]]*)\]|[^\S\n]+(?<title>.+?))?\s*$/;
+const COMPONENT_POLICIES = ['keep', 'strip', 'unwrap'];
+const FENCE_PATTERN = /^ {0,3}(?<fence>`{3,}|~{3,})/;
+const FRONT_MATTER_PATTERN = /^---\n[\s\S]*?\n(?:---|\.\.\.)[^\S\n]*(?:\n|$)/;
+const PLACEHOLDER_PATTERN = /\0(\d+)\0/g;
+
+/**
+ * Renderers of well-known components, by component name. Each one receives the
+ * component node and its rendered children and returns Markdown.
+ */
+const COMPONENT_RENDERERS = new Map([
+  // Docusaurus admonitions written as JSX.
+  ['Admonition', (node, children) => toAdmonition(node.attributes.type ?? 'note', node.attributes.title, children)],
+  // Nextra callouts.
+  ['Callout', (node, children) => toAdmonition(node.attributes.type ?? 'note', undefined, children)],
+  // Docusaurus code blocks.
+  ['CodeBlock', (node, children) => toCodeFence(children, node.attributes.language, node.attributes.title)],
+  // Nextra tabs.
+  ['Tab', (node, children) => toTab(node.tabLabel, children)],
+  // Docusaurus tabs.
+  ['TabItem', (node, children) => toTab(node.attributes.label ?? node.attributes.value ?? node.tabLabel, children)],
+  ['Tabs', (node, children) => `\n${children}\n`],
+  ['Tabs.Tab', (node, children) => toTab(node.tabLabel, children)],
+]);
+
+/**
+ * Converts `:::type[title]` admonitions into blockquotes, including nested ones.
+ * @param {string} markdown - A Markdown document.
+ * @returns {string}
+ */
+function convertAdmonitions(markdown) {
+  const output = [];
+  let depth = 0;
+  let openFence;
+
+  for (const line of markdown.split('\n')) {
+    const prefix = '> '.repeat(depth);
+    const fence = FENCE_PATTERN.exec(line)?.groups.fence;
+
+    if (openFence) {
+      if (fence && fence[0] === openFence[0] && fence.length >= openFence.length) {
+        openFence = undefined;
+      }
+    }
+    else if (fence) {
+      openFence = fence;
+    }
+    else if (ADMONITION_OPEN_PATTERN.test(line)) {
+      const { bracketTitle, title, type } = ADMONITION_OPEN_PATTERN.exec(line).groups;
+      const label = `${type[0].toUpperCase()}${type.slice(1)}`;
+      const heading = bracketTitle ?? title;
+
+      output.push(`${prefix}> **${heading ? `${label}: ${heading}` : label}**`, `${prefix}>`);
+      depth += 1;
+      continue;
+    }
+    else if (depth > 0 && ADMONITION_CLOSE_PATTERN.test(line)) {
+      depth -= 1;
+      continue;
+    }
+
+    output.push(line === '' ? prefix.trimEnd() : `${prefix}${line}`);
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Converts an MDX document into plain Markdown that reads well without an MDX runtime.
+ *
+ * - `import` and `export` statements and JSX comments are removed.
+ * - Tabs (Docusaurus `Tabs`/`TabItem`, Nextra `Tabs`/`Tab`) become a bold label per tab followed by its content.
+ * - Admonitions (`:::note`, Docusaurus `Admonition`, Nextra `Callout`) become blockquotes.
+ * - Docusaurus `CodeBlock` components become fenced code blocks.
+ * - Other components are kept, stripped with their content, or unwrapped (only their content is kept),
+ *   depending on the policy. Fragments are always unwrapped and HTML elements are kept.
+ *
+ * Front matter, code blocks and inline code are left untouched.
+ *
+ * @param {string} content - The MDX document.
+ * @param {{unknownComponents?: 'keep'|'strip'|'unwrap'}} [options] - What to do with other components.
+ * @returns {string} The Markdown document.
+ */
+function convertMdxToMarkdown(content, { unknownComponents = 'unwrap' } = {}) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const normalized = content.replaceAll('\r\n', '\n');
+  const frontMatter = FRONT_MATTER_PATTERN.exec(normalized)?.[0] ?? '';
+  const { masked, restore } = maskCode(normalized.slice(frontMatter.length));
+
+  const withoutStatements = removeStatements(masked).replaceAll(/\{\s*\/\*[\s\S]*?\*\/\s*\}/g, '');
+  const rendered = renderNodes(parseComponents(withoutStatements), { restore, unknownComponents });
+  const body = convertAdmonitions(restore(rendered.replaceAll(/\n[^\S\n]*(?:\n[^\S\n]*){2,}/g, '\n\n')))
+    .trimStart()
+    .replace(/\n\s*$/, '\n');
+
+  return `${frontMatter}${frontMatter ? '\n' : ''}${body}`.replaceAll('\n', eol);
+}
+
+/**
+ * Tells whether a file is an MDX document, based on its extension.
+ * @param {string} filePath - A file path.
+ * @returns {boolean}
+ */
+function isMdxFile(filePath) {
+  return path.posix.extname(filePath).toLowerCase() === '.mdx';
+}
+
+/**
+ * Replaces a component that is never closed with its opening tag, as text, followed by its children.
+ * @param {object} node - A component node, with the parent it was added to.
+ */
+function keepOpeningTagAsText(node) {
+  const siblings = node.parent.children;
+  siblings.splice(siblings.indexOf(node), 1, node.source, ...node.children);
+}
+
+/**
+ * Replaces code blocks and inline code with placeholders so they are never transformed.
+ * @param {string} text - A Markdown document.
+ * @returns {{masked: string, restore: (value: string) => string}}
+ *   masked:
+ *     The document with placeholders.
+ *   restore:
+ *     Puts the original code back into a text containing placeholders.
+ */
+function maskCode(text) {
+  const codes = [];
+  const mask = (code) => `\0${codes.push(code) - 1}\0`;
+  const lines = [];
+  let block;
+
+  for (const line of text.split('\n')) {
+    const fence = FENCE_PATTERN.exec(line)?.groups.fence;
+
+    if (block) {
+      block.lines.push(line);
+
+      if (fence && fence[0] === block.fence[0] && fence.length >= block.fence.length) {
+        lines.push(mask(block.lines.join('\n')));
+        block = undefined;
+      }
+    }
+    else if (fence) {
+      block = { fence, lines: [line] };
+    }
+    else {
+      lines.push(line.replaceAll(/(`+)[^`]+?\1(?!`)/g, (code) => mask(code)));
+    }
+  }
+
+  if (block) {
+    lines.push(mask(block.lines.join('\n')));
+  }
+
+  const restore = (value) => value.replaceAll(PLACEHOLDER_PATTERN, (placeholder, index) => codes[Number(index)]);
+
+  return { masked: lines.join('\n'), restore };
+}
+
+/**
+ * Parses the attributes of a JSX tag. Expression values are kept as their source,
+ * without the surrounding braces.
+ * @param {string} source - The attributes, as written in the tag.
+ * @returns {Object<string, string|true>}
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  /* eslint-disable-next-line @stylistic/max-len */
+  const pattern = /(?<name>[\w:-]+)(?:\s*=\s*(?:"(?<double>[^"]*)"|'(?<single>[^']*)'|\{(?<expression>(?:[^{}]|\{[^{}]*\})*)\}))?/g;
+
+  for (const { groups } of source.matchAll(pattern)) {
+    attributes[groups.name] = groups.double ?? groups.single ?? groups.expression ?? true;
+  }
+
+  return attributes;
+}
+
+/**
+ * Parses the JSX components of a document into a tree of text and component nodes.
+ * Components are tags starting with an uppercase letter, or fragments (`<>`).
+ * Unmatched tags are kept as text, so that prose such as `List<String>` is not
+ * taken for a component running to the end of the document.
+ * @param {string} text - A document whose code is masked.
+ * @returns {Array<string|object>} The top-level text and component nodes.
+ */
+function parseComponents(text) {
+  const root = { children: [] };
+  let current = root;
+  let index = 0;
+
+  for (const tag of scanComponentTags(text)) {
+    current.children.push(text.slice(index, tag.start));
+    index = tag.end;
+
+    if (!tag.closing) {
+      const node = { attributes: parseAttributes(tag.attributes), children: [], name: tag.name, source: tag.source };
+      current.children.push(node);
+
+      if (!tag.selfClosing) {
+        node.parent = current;
+        current = node;
+      }
+      continue;
+    }
+
+    // Closing tags also close the components left open inside them.
+    let opening = current;
+
+    while (opening !== root && opening.name !== tag.name) {
+      opening = opening.parent;
+    }
+
+    if (opening === root) {
+      current.children.push(tag.source);
+      continue;
+    }
+
+    for (let node = current; node !== opening; node = node.parent) {
+      keepOpeningTagAsText(node);
+    }
+
+    opening.closingSource = tag.source;
+    current = opening.parent;
+  }
+
+  current.children.push(text.slice(index));
+
+  for (let node = current; node !== root; node = node.parent) {
+    keepOpeningTagAsText(node);
+  }
+
+  return root.children;
+}
+
+/**
+ * Removes top-level `import` and `export` statements, which may span several lines.
+ * @param {string} text - A document whose code is masked.
+ * @returns {string}
+ */
+function removeStatements(text) {
+  const lines = text.split('\n');
+  const output = [];
+  let depth = 0;
+  let removing = false;
+
+  for (const line of lines) {
+    if (!removing && /^(?:import|export)\s/.test(line)) {
+      removing = true;
+      depth = 0;
+    }
+
+    if (!removing) {
+      output.push(line);
+      continue;
+    }
+
+    for (const character of line.replaceAll(/(["'`])(?:\\.|(?!\1).)*\1/g, '')) {
+      if ('([{'.includes(character)) {
+        depth += 1;
+      }
+      else if (')]}'.includes(character)) {
+        depth -= 1;
+      }
+    }
+
+    // Multi-line imports end with their module path, other statements with their last bracket.
+    removing = depth > 0 || (/^import\s/.test(line) && !/["'];?\s*$/.test(line) && !/^import\s+["']/.test(line));
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Renders a component node according to its renderer or the policy for unknown components.
+ * @param {object} node - A component node.
+ * @param {{restore: Function, unknownComponents: string}} context - The conversion context.
+ * @returns {string}
+ */
+function renderComponent(node, context) {
+  const renderer = COMPONENT_RENDERERS.get(node.name);
+
+  if (node.name === 'Tabs') {
+    const labels = [...(String(node.attributes.items ?? '')).matchAll(/["']([^"']*)["']/g)].map((match) => match[1]);
+    const tabs = node.children.filter((child) => typeof child !== 'string');
+
+    for (const [index, tab] of tabs.entries()) {
+      tab.tabLabel = labels[index];
+    }
+  }
+
+  if (renderer) {
+    const children = renderNodes(node.children, context);
+    return renderer(node, node.name === 'CodeBlock' ? context.restore(children) : children);
+  }
+
+  if (node.name === '') {
+    return renderNodes(node.children, context);
+  }
+
+  switch (context.unknownComponents) {
+    case 'keep': {
+      return `${node.source}${renderNodes(node.children, context)}${node.closingSource ?? ''}`;
+    }
+    case 'strip': {
+      return '';
+    }
+    default: {
+      return renderNodes(node.children, context);
+    }
+  }
+}
+
+/**
+ * Renders text and component nodes back into text.
+ * @param {Array<string|object>} nodes - Nodes returned by parseComponents.
+ * @param {{restore: Function, unknownComponents: string}} context - The conversion context.
+ * @returns {string}
+ */
+function renderNodes(nodes, context) {
+  return nodes.map((node) => (typeof node === 'string' ? node : renderComponent(node, context))).join('');
+}
+
+/**
+ * Finds the opening, closing and self-closing tags of JSX components. Attribute
+ * values may contain `>` inside quotes or expressions.
+ * @param {string} text - A document whose code is masked.
+ * @returns {Array<{
+ *   start: number,
+ *   end: number,
+ *   name: string,
+ *   attributes: string,
+ *   closing: boolean,
+ *   selfClosing: boolean,
+ *   source: string,
+ * }>}
+ */
+function scanComponentTags(text) {
+  const tags = [];
+  let lastEnd = 0;
+  const tagStart = /<(?<closing>\/?)(?<name>[A-Z][\w.]*|(?=\/?>))/g;
+
+  for (const match of text.matchAll(tagStart)) {
+    if (match.index < lastEnd) {
+      continue;
+    }
+
+    let position = match.index + match[0].length;
+    let depth = 0;
+    let quote;
+
+    while (position < text.length && (quote || depth > 0 || text[position] !== '>')) {
+      const character = text[position];
+
+      if (quote) {
+        quote = character === quote ? undefined : quote;
+      }
+      else if (character === '"' || character === "'") {
+        quote = character;
+      }
+      else if ('{}'.includes(character)) {
+        depth += character === '{' ? 1 : -1;
+      }
+
+      position += 1;
+    }
+
+    if (position >= text.length) {
+      continue;
+    }
+
+    const inner = text.slice(match.index + match[0].length, position);
+    lastEnd = position + 1;
+    const selfClosing = inner.trimEnd().endsWith('/');
+
+    tags.push({
+      attributes: selfClosing ? inner.trimEnd().slice(0, -1) : inner,
+      closing: match.groups.closing === '/',
+      end: position + 1,
+      name: match.groups.name,
+      selfClosing,
+      source: text.slice(match.index, position + 1),
+      start: match.index,
+    });
+  }
+
+  return tags;
+}
+
+/**
+ * Writes an admonition in the `:::type[title]` syntax, converted to a blockquote later on.
+ * @param {string} type - The admonition type (note, tip, warning...). Nextra's `default` is a note.
+ * @param {string|undefined} title - The title of the admonition.
+ * @param {string} body - The rendered content.
+ * @returns {string}
+ */
+function toAdmonition(type, title, body) {
+  const admonitionType = type === 'default' ? 'note' : String(type).toLowerCase();
+  return `\n:::${admonitionType}${typeof title === 'string' ? `[${title}]` : ''}\n${body.trim()}\n:::\n`;
+}
+
+/**
+ * Writes the content of a code block component as a fenced code block.
+ * Template literals (``{`code`}``) are unwrapped.
+ * @param {string} code - The content of the component, with its code restored.
+ * @param {string|undefined} language - The language of the code.
+ * @param {string|undefined} title - The title of the code block.
+ * @returns {string}
+ */
+function toCodeFence(code, language, title) {
+  const source = code.trim().replace(/^\{\s*`([\s\S]*)`\s*\}$/, '$1').replaceAll(/^\n+|\s+$/g, '');
+  const longestBackticks = Math.max(0, ...[...source.matchAll(/`+/g)].map(([backticks]) => backticks.length));
+  const fence = '`'.repeat(Math.max(3, longestBackticks + 1));
+  const heading = typeof title === 'string' ? `**${title}**\n\n` : '';
+
+  return `\n${heading}${fence}${typeof language === 'string' ? language : ''}\n${source}\n${fence}\n`;
+}
+
+/**
+ * Replaces the .mdx extension of a filename with .md.
+ * @param {string} filename - A filename.
+ * @returns {string}
+ */
+function toMarkdownFilename(filename) {
+  return filename.replace(/\.mdx$/i, '.md');
+}
+
+/**
+ * Writes a tab as a bold label followed by its content.
+ * @param {string|undefined} label - The label of the tab.
+ * @param {string} body - The rendered content.
+ * @returns {string}
+ */
+function toTab(label, body) {
+  return `\n${typeof label === 'string' ? `**${label}**\n\n` : ''}${body.trim()}\n`;
+}
+
+export default {
+  COMPONENT_POLICIES,
+  convertMdxToMarkdown,
+  isMdxFile,
+  toMarkdownFilename,
+};
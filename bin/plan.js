@@ -0,0 +1,140 @@
+import path from 'node:path';
+
+import chalk from 'chalk';
+
+import collisions from './collisions.js';
+import filters from './filters.js';
+
+/**
+ * Builds a serializable description of what an extraction would do.
+ * @param {{repository: string, ref: string, commit: string}} source - The extracted repository and commit.
+ * @param {Array<{documentPath: string, outputRoot: string|undefined}>} pathConfigs - The documentation paths.
+ * @param {Array<object>} files - The discovered files, with their documentation path and output path.
+ * @param {string} outputDirectory - The output directory provided via --out.
+ * @param {Object} [report] - What was left out or renamed during discovery.
+ * @param {Array<object>} [report.collisions] - The collisions found by collisions.resolveCollisions.
+ * @param {Array<object>} [report.filtered] - The rules of the file filter, with their counters.
+ * @returns {{
+ *   repository: string,
+ *   ref: string,
+ *   commit: string,
+ *   outputDirectory: string,
+ *   paths: Array<{documentPath: string, outputRoot?: string, files: number, size: number}>,
+ *   files: Array<{source: string, sha: string, size: number, documentPath: string,
+ *     directory: string, filename: string}>,
+ *   totals: {files: number, size: number},
+ *   collisions: Array<object>,
+ *   filtered: Array<{label: string, files: number, directories: number}>,
+ * }}
+ */
+function buildExtractionPlan(
+  source,
+  pathConfigs,
+  files,
+  outputDirectory,
+  { collisions: filenameCollisions = [], filtered = [] } = {},
+) {
+  const plannedFiles = files.map((file) => ({
+    directory: path.join(outputDirectory, path.posix.dirname(file.output)),
+    documentPath: file.__documentPath,
+    filename: path.posix.basename(file.output),
+    sha: file.sha,
+    size: file.size ?? 0,
+    source: file.path,
+  }));
+
+  const paths = pathConfigs.map(({ documentPath, outputRoot }) => {
+    const filesInPath = plannedFiles.filter((file) => file.documentPath === documentPath);
+    return {
+      documentPath,
+      files: filesInPath.length,
+      outputRoot,
+      size: sumSizes(filesInPath),
+    };
+  });
+
+  return {
+    ...source,
+    collisions: filenameCollisions,
+    files: plannedFiles,
+    filtered: filtered.map((rule) => ({ directories: rule.directories, files: rule.files, label: rule.label })),
+    outputDirectory,
+    paths,
+    totals: { files: plannedFiles.length, size: sumSizes(plannedFiles) },
+  };
+}
+
+/**
+ * Formats a byte count for humans (e.g. 1536 → "1.5 KB").
+ * @param {number} bytes - The number of bytes.
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unitIndex = 0;
+
+  while (value >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex += 1;
+  }
+
+  return unitIndex === 0 ? `${value} ${units[0]}` : `${value.toFixed(1)} ${units[unitIndex]}`;
+}
+
+/**
+ * Formats an extraction plan as a table per documentation path, followed by totals.
+ * @param {ReturnType<typeof buildExtractionPlan>} plan - The plan built by buildExtractionPlan.
+ * @returns {string}
+ */
+function formatExtractionPlan(plan) {
+  const headers = ['Source path', 'Size', 'Output directory', 'Filename'];
+  const rows = plan.files.map((file) => [file.source, formatBytes(file.size), file.directory, file.filename]);
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map((row) => row[index].length)));
+  const formatRow = (row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+  const lines = [chalk.bold(`Extraction plan for ${plan.repository}@${plan.ref} (commit ${plan.commit})`)];
+
+  for (const { documentPath, files, size } of plan.paths) {
+    lines.push(
+      '',
+      chalk.cyan.bold(`${documentPath} — ${files} files, ${formatBytes(size)}`),
+      chalk.bold(formatRow(headers)),
+      ...rows
+        .filter((_, index) => plan.files[index].documentPath === documentPath)
+        .map((row) => formatRow(row)),
+    );
+  }
+
+  lines.push('', chalk.bold(`Total: ${plan.totals.files} files, ${formatBytes(plan.totals.size)}`));
+
+  const filteredFiles = filters.describeFilteredFiles(plan.filtered);
+
+  if (filteredFiles.length > 0) {
+    lines.push(chalk.blueBright(`Filtered out: ${filteredFiles.join(', ')}.`));
+  }
+
+  if (plan.collisions.length > 0) {
+    lines.push(
+      '',
+      chalk.yellow.bold(`${plan.collisions.length} filename collisions found:`),
+      ...collisions.describeCollisions(plan.collisions).map((line) => chalk.yellow(`  - ${line}`)),
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Sums the sizes of planned files.
+ * @param {Array<{size: number}>} files - The planned files.
+ * @returns {number}
+ */
+function sumSizes(files) {
+  return files.reduce((total, file) => total + file.size, 0);
+}
+
+export default {
+  buildExtractionPlan,
+  formatBytes,
+  formatExtractionPlan,
+};
@@ -0,0 +1,441 @@
+const FULL_SHA_PATTERN = /^[\da-f]{40}$/i;
+const GITEA_HOSTS = new Set(['codeberg.org', 'gitea.com']);
+const GITEA_TREE_PAGE_SIZE = 1000;
+const GITLAB_TREE_PAGE_SIZE = 100;
+
+/**
+ * The hosting services read through their own API, besides GitHub.
+ * Self-hosted instances are recognized by their host name (e.g. `gitlab.example.com`).
+ */
+const PROVIDERS = {
+  gitea: {
+    apiPath: '/api/v1',
+    label: 'Gitea',
+    matchesHost: (host) => GITEA_HOSTS.has(host) || /^(?:forgejo|gitea)\./.test(host),
+    tokenVariable: 'GITEA_TOKEN',
+  },
+  gitlab: {
+    apiPath: '/api/v4',
+    label: 'GitLab',
+    matchesHost: (host) => host === 'gitlab.com' || host.startsWith('gitlab.'),
+    tokenVariable: 'GITLAB_TOKEN',
+  },
+};
+
+/**
+ * Creates the API client of a Gitea or Forgejo repository (e.g. Codeberg).
+ * @param {{owner: string, repo: string, origin: string}} repoInfo - The repository.
+ * @param {function(string, Object=): Promise<Response>} request - Sends an authenticated API request.
+ * @returns {ReturnType<typeof createGitLabClient>}
+ */
+function createGiteaClient({ origin, owner, repo }, request) {
+  const repositoryPath = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+  return {
+    fetchTree: async (treeSha) => {
+      const entries = [];
+
+      for (let page = 1; ; page += 1) {
+        const response = await request(`${repositoryPath}/git/trees/${encodeURIComponent(treeSha)}`, {
+          page,
+          per_page: GITEA_TREE_PAGE_SIZE,
+          recursive: true,
+        });
+        const data = await response.json();
+        const tree = data.tree ?? [];
+        entries.push(...tree.map(({ mode, path: entryPath, sha, size, type }) => ({
+          mode,
+          path: entryPath,
+          sha,
+          ...(type === 'blob' ? { size } : {}),
+          type,
+        })));
+
+        if (tree.length === 0 || entries.length >= (data.total_count ?? entries.length)) {
+          return entries;
+        }
+      }
+    },
+    findCommit: async (reference) => {
+      const response = await request(`${repositoryPath}/git/commits/${encodeURIComponent(reference)}`, {
+        files: false,
+        stat: false,
+        verification: false,
+      });
+      const commit = await response.json();
+      return { sha: commit.sha, treeSha: commit.commit.tree.sha };
+    },
+    getDefaultBranch: async () => {
+      const response = await request(repositoryPath);
+      const repository = await response.json();
+      return repository.default_branch;
+    },
+    readFile: async (filePath, reference) => {
+      const response = await request(`${repositoryPath}/raw/${encodePath(filePath)}`, { ref: reference });
+      return Buffer.from(await response.arrayBuffer());
+    },
+    toUrl: (reference, filePath, { raw = false } = {}) => {
+      const repositoryUrl = `${origin}/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+      return `${repositoryUrl}/${raw ? 'raw' : 'src'}/commit/${encodeURIComponent(reference)}/${encodePath(filePath)}`;
+    },
+  };
+}
+
+/**
+ * Creates the API client of a GitLab project. GitLab does not give the size of the
+ * files it lists, so they are unknown until downloaded.
+ * @param {{owner: string, repo: string, origin: string}} repoInfo
+ *   The project: owner is its namespace, which may contain subgroups (`group/subgroup`).
+ * @param {function(string, Object=): Promise<Response>} request - Sends an authenticated API request.
+ * @returns {{
+ *   fetchTree: (treeSha: string) => Promise<Array<object>>,
+ *   findCommit: (reference: string) => Promise<{sha: string, treeSha: string}>,
+ *   getDefaultBranch: () => Promise<string>,
+ *   readFile: (filePath: string, reference: string) => Promise<Buffer>,
+ *   toUrl: (reference: string, filePath: string, settings?: {raw?: boolean}) => string,
+ * }}
+ */
+function createGitLabClient({ origin, owner, repo }, request) {
+  const projectPath = `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+
+  return {
+    fetchTree: async (treeSha) => {
+      const entries = [];
+      let response = await request(`${projectPath}/repository/tree`, {
+        pagination: 'keyset',
+        per_page: GITLAB_TREE_PAGE_SIZE,
+        recursive: true,
+        ref: treeSha,
+      });
+
+      for (;;) {
+        const tree = await response.json();
+        entries.push(...tree.map(({ id, mode, path: entryPath, type }) => ({ mode, path: entryPath, sha: id, type })));
+        const next = findNextLink(response.headers.get('link'));
+
+        if (!next) {
+          return entries;
+        }
+
+        response = await request(next);
+      }
+    },
+    findCommit: async (reference) => {
+      const response = await request(`${projectPath}/repository/commits/${encodeURIComponent(reference)}`);
+      const commit = await response.json();
+      // The tree of a commit is listed from the commit itself.
+      return { sha: commit.id, treeSha: commit.id };
+    },
+    getDefaultBranch: async () => {
+      const response = await request(projectPath);
+      const project = await response.json();
+      return project.default_branch;
+    },
+    readFile: async (filePath, reference) => {
+      const response = await request(
+        `${projectPath}/repository/files/${encodeURIComponent(filePath)}/raw`,
+        { ref: reference },
+      );
+      return Buffer.from(await response.arrayBuffer());
+    },
+    toUrl: (reference, filePath, { raw = false } = {}) => {
+      const projectUrl = `${origin}/${encodePath(`${owner}/${repo}`)}`;
+      return `${projectUrl}/-/${raw ? 'raw' : 'blob'}/${encodeURIComponent(reference)}/${encodePath(filePath)}`;
+    },
+  };
+}
+
+/**
+ * Creates the function sending the API requests of a provider.
+ * @param {string} provider - The key of the provider in PROVIDERS.
+ * @param {string} baseUrl - The base URL of the API.
+ * @param {string} [token] - The token authenticating the requests.
+ * @returns {function(string, Object=): Promise<Response>}
+ *   Sends a GET request to an API path with query parameters, or to an absolute URL of
+ *   the same API (such as a next page link), and resolves with the successful response.
+ */
+function createRequest(provider, baseUrl, token) {
+  const headers = { Accept: 'application/json' };
+
+  if (token) {
+    Object.assign(headers, provider === 'gitlab' ? { 'PRIVATE-TOKEN': token } : { Authorization: `token ${token}` });
+  }
+
+  return async (resource, query = {}) => {
+    const url = new URL(/^https?:/i.test(resource) ? resource : `${baseUrl}${resource}`);
+
+    // The token is only sent to the API, never to another host found in a response.
+    if (url.origin !== new URL(baseUrl).origin) {
+      throw new Error(`Refusing to follow ${url.href} outside of ${baseUrl}.`);
+    }
+
+    for (const [key, value] of Object.entries(query)) {
+      url.searchParams.set(key, String(value));
+    }
+
+    let response;
+
+    try {
+      /* eslint-disable-next-line n/no-unsupported-features/node-builtins */
+      response = await fetch(url, { headers });
+    }
+    catch (error) {
+      throw Object.assign(new Error(`Request to ${url.href} failed: ${error.cause?.message ?? error.message}`), {
+        code: error.cause?.code,
+      });
+    }
+
+    if (!response.ok) {
+      const message = `${PROVIDERS[provider].label} API request failed with status ${response.status}: ${url.pathname}`;
+      throw Object.assign(new Error(message), {
+        response: { headers: Object.fromEntries(response.headers) },
+        status: response.status,
+      });
+    }
+
+    return response;
+  };
+}
+
+/**
+ * Encodes the segments of a repository path for a URL.
+ * @param {string} filePath - A path within the repository.
+ * @returns {string}
+ */
+function encodePath(filePath) {
+  return filePath.split('/').map((segment) => encodeURIComponent(segment)).join('/');
+}
+
+/**
+ * Finds the URL of the next page in a `Link` response header.
+ * @param {string|null} header - The `Link` header.
+ * @returns {string|undefined}
+ */
+function findNextLink(header) {
+  return /<(?<url>[^>]+)>;\s*rel="next"/.exec(header ?? '')?.groups.url;
+}
+
+/**
+ * Matches the URL of a repository hosted on GitLab or Gitea/Forgejo, and the ref and
+ * path when the URL points inside the repository. GitHub URLs are left to parseRepoUrl.
+ *
+ * Supported forms:
+ * - https://gitlab.com/group/subgroup/project (also with .git)
+ * - https://gitlab.com/group/project/-/tree/<ref>/<path>
+ * - https://gitlab.com/group/project/-/blob/<ref>/<path>/<file> (the folder of the file is used)
+ * - https://codeberg.org/owner/repo
+ * - https://codeberg.org/owner/repo/src/branch/<ref>/<path> (or src/tag, src/commit)
+ * - git@gitlab.com:group/project.git, ssh://git@codeberg.org/owner/repo.git
+ *
+ * @param {string} url - The repository URL.
+ * @returns {{
+ *   provider: string, host: string, origin: string, owner: string, repo: string,
+ *   ref?: string, path?: string, refAndPath?: string,
+ * }|undefined}
+ *   provider:
+ *     The key of the provider in PROVIDERS.
+ *   host, origin:
+ *     The host of the repository, and the origin of its web pages (`https://<host>`).
+ *   owner, repo:
+ *     The owner (the namespace of a GitLab project) and the name of the repository.
+ *   ref, path, refAndPath:
+ *     As returned by splitReferenceAndPath. Undefined when the URL is not hosted on a provider.
+ */
+function matchProviderUrl(url) {
+  const input = url.trim().replace(/[?#].*$/, '');
+  const match = /^(?<protocol>https?):\/\/(?:www\.)?(?<host>[^/]+)\/(?<path>.+?)\/?$/i.exec(input)
+    ?? /^(?:ssh:\/\/)?git@(?<host>[^/:]+)(?::\d+)?[/:](?<path>.+?)\/?$/i.exec(input);
+  const host = match?.groups.host.toLowerCase();
+  const provider = host && Object.keys(PROVIDERS).find((name) => PROVIDERS[name].matchesHost(host));
+
+  if (!provider) {
+    return;
+  }
+
+  const segments = match.groups.path.split('/').filter(Boolean).map((segment) => decodeURIComponent(segment));
+  const target = provider === 'gitlab' ? splitGitLabPath(segments) : splitGiteaPath(segments);
+
+  if (!target) {
+    return;
+  }
+
+  const { repositorySegments, ...location } = target;
+  const repo = repositorySegments.pop().replace(/\.git$/i, '');
+
+  return {
+    host,
+    origin: `${match.groups.protocol?.toLowerCase() ?? 'https'}://${host}`,
+    owner: repositorySegments.join('/'),
+    provider,
+    repo,
+    ...location,
+  };
+}
+
+/**
+ * Opens a repository hosted on GitLab or Gitea/Forgejo, read through its API.
+ *
+ * Requests are authenticated with the token of the provider environment variable
+ * (GITLAB_TOKEN or GITEA_TOKEN) when it is set. Failed requests reject with an error
+ * carrying the HTTP `status` and the response headers, like Octokit errors, so they
+ * are retried the same way.
+ *
+ * @param {NonNullable<ReturnType<typeof matchProviderUrl>>} repoInfo - The repository.
+ * @param {Object} [settings] - Provider settings.
+ * @param {string} [settings.apiUrl] - The base URL of the API. Defaults to the API of the host.
+ * @param {string} [settings.token] - The token. Defaults to the provider environment variable.
+ * @returns {{
+ *   fetchTree: (treeSha: string) => Promise<{entries: Array<object>, truncated: boolean}>,
+ *   label: string,
+ *   name: string,
+ *   readFile: (filePath: string, reference: string) => Promise<Buffer>,
+ *   resolveCommit: (reference?: string) => Promise<{ref: string, sha: string, treeSha: string}>,
+ *   resolveReferenceAndPath: (referenceAndPath: string) => Promise<{ref: string, path: string|undefined}>,
+ *   toUrl: (reference: string, filePath: string, settings?: {raw?: boolean}) => string,
+ *   tokenVariable: string,
+ * }}
+ *   label and tokenVariable name the provider and its token in messages; the other
+ *   members behave like the ones of a GitHub repository (see resolveCommit and
+ *   resolveReferenceAndPath in index.js).
+ */
+function openProvider(repoInfo, { apiUrl, token } = {}) {
+  const { label, tokenVariable } = PROVIDERS[repoInfo.provider];
+  const baseUrl = (apiUrl ?? `${repoInfo.origin}${PROVIDERS[repoInfo.provider].apiPath}`).replace(/\/+$/, '');
+  const request = createRequest(repoInfo.provider, baseUrl, token ?? process.env[tokenVariable]);
+  const client = repoInfo.provider === 'gitlab'
+    ? createGitLabClient(repoInfo, request)
+    : createGiteaClient(repoInfo, request);
+  const name = `${repoInfo.owner}/${repoInfo.repo}`;
+
+  const findCommit = async (reference) => {
+    try {
+      return await client.findCommit(reference);
+    }
+    catch (error) {
+      if (error.status === 404 || error.status === 422) {
+        return;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    fetchTree: async (treeSha) => ({ entries: await client.fetchTree(treeSha), truncated: false }),
+    label,
+    name,
+    readFile: (filePath, reference) => client.readFile(filePath, reference),
+    resolveCommit: async (reference) => {
+      const resolvedReference = reference ?? await client.getDefaultBranch();
+      const commit = await findCommit(resolvedReference);
+
+      if (!commit) {
+        /* eslint-disable-next-line @stylistic/max-len */
+        throw new Error(`Ref "${resolvedReference}" not found in repository ${name}. Expected a branch, tag or commit SHA.`);
+      }
+
+      return { ref: resolvedReference, ...commit };
+    },
+    resolveReferenceAndPath: async (referenceAndPath) => {
+      const segments = referenceAndPath.split('/').filter(Boolean);
+
+      for (let index = 1; index <= segments.length; index += 1) {
+        const candidate = segments.slice(0, index).join('/');
+
+        if (await findCommit(candidate)) {
+          const pathSegments = segments.slice(index);
+          return { path: pathSegments.length > 0 ? pathSegments.join('/') : undefined, ref: candidate };
+        }
+      }
+
+      throw new Error(`No branch, tag or commit matching "${referenceAndPath}" found in repository ${name}.`);
+    },
+    tokenVariable,
+    toUrl: client.toUrl,
+  };
+}
+
+/**
+ * Splits the path of a Gitea URL into the repository and the ref and path it points to.
+ * @param {string[]} segments - The decoded segments of the URL path.
+ * @returns {{repositorySegments: string[], ref?: string, path?: string, refAndPath?: string}|undefined}
+ */
+function splitGiteaPath(segments) {
+  const [owner, repo, view, kind, ...rest] = segments;
+
+  if (!owner || !repo) {
+    return;
+  }
+
+  if (!view) {
+    return { repositorySegments: [owner, repo] };
+  }
+
+  if (view !== 'src' || !['branch', 'commit', 'tag'].includes(kind)) {
+    return;
+  }
+
+  // Commit URLs are not ambiguous: the first segment is the SHA.
+  const location = kind === 'commit'
+    ? splitReferenceAndPath(rest, { single: true })
+    : splitReferenceAndPath(rest);
+
+  return { repositorySegments: [owner, repo], ...location };
+}
+
+/**
+ * Splits the path of a GitLab URL into the project and the ref and path it points to.
+ * @param {string[]} segments - The decoded segments of the URL path.
+ * @returns {{repositorySegments: string[], ref?: string, path?: string, refAndPath?: string}|undefined}
+ */
+function splitGitLabPath(segments) {
+  const separator = segments.indexOf('-');
+  const repositorySegments = separator === -1 ? segments : segments.slice(0, separator);
+
+  if (repositorySegments.length < 2) {
+    return;
+  }
+
+  if (separator === -1) {
+    return { repositorySegments };
+  }
+
+  const [kind, ...rest] = segments.slice(separator + 1);
+
+  if (kind !== 'tree' && kind !== 'blob') {
+    return;
+  }
+
+  // A blob URL points to a file: its folder is the documentation path.
+  return { repositorySegments, ...splitReferenceAndPath(kind === 'blob' ? rest.slice(0, -1) : rest) };
+}
+
+/**
+ * Splits the "<ref>/<path>" segments of a tree URL.
+ *
+ * A ref may contain slashes ("feature/docs"), so the split is only made when it is
+ * unambiguous: a single segment, or a full commit SHA followed by the path. Otherwise,
+ * the raw value is returned as refAndPath, to be resolved against the API.
+ *
+ * @param {string[]} segments - The segments following the tree marker of the URL.
+ * @param {{single?: boolean}} [settings] - Whether the first segment is known to be the whole ref.
+ * @returns {{ref?: string, path?: string, refAndPath?: string}}
+ */
+function splitReferenceAndPath(segments, { single = false } = {}) {
+  if (segments.length === 0) {
+    return {};
+  }
+
+  if (single || segments.length === 1 || FULL_SHA_PATTERN.test(segments[0])) {
+    const [reference, ...pathSegments] = segments;
+    return pathSegments.length > 0 ? { path: pathSegments.join('/'), ref: reference } : { ref: reference };
+  }
+
+  return { refAndPath: segments.join('/') };
+}
+
+export default {
+  matchProviderUrl,
+  openProvider,
+  PROVIDERS,
+  splitReferenceAndPath,
+};
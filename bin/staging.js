@@ -0,0 +1,124 @@
+import path from 'node:path';
+
+import fs from 'fs-extra';
+
+import sync from './sync.js';
+
+/**
+ * Makes sure an output directory can be replaced by an extraction.
+ *
+ * A directory is considered as created by gde when it contains the sync manifest
+ * written at the end of every run. Missing and empty directories are always safe.
+ *
+ * @param {string} outputDirectory - The output directory provided via --out.
+ * @param {boolean} [force] - Whether to replace a foreign directory anyway (--force).
+ * @returns {Promise<void>}
+ * @throws {Error} If the directory is not empty, was not created by gde and force is not set.
+ */
+async function assertSafeOutputDirectory(outputDirectory, force) {
+  if (force || !(await fs.pathExists(outputDirectory))) {
+    return;
+  }
+
+  const entries = await fs.readdir(outputDirectory);
+
+  if (entries.length === 0 || entries.includes(sync.SYNC_MANIFEST_FILENAME)) {
+    return;
+  }
+
+  /* eslint-disable-next-line @stylistic/max-len */
+  throw new Error(`Refusing to replace "${path.resolve(outputDirectory)}": the directory is not empty and was not created by gde. Choose another --out directory or use --force to replace its content.`);
+}
+
+/**
+ * Replaces the output directory with the staging directory.
+ *
+ * The previous output is first renamed to a backup directory, then the staging
+ * directory is renamed to the output directory, and the backup is deleted. Both
+ * directories are siblings, so each step is an atomic rename on the same file system,
+ * and the previous output is restored if the swap fails.
+ *
+ * @param {string} stagingDirectory - The staging directory holding the new extraction.
+ * @param {string} outputDirectory - The output directory to replace.
+ * @returns {Promise<void>}
+ * @throws {Error}
+ */
+async function commitStagingDirectory(stagingDirectory, outputDirectory) {
+  const backupDirectory = getSiblingDirectory(outputDirectory, 'gde-backup');
+  const hasPreviousOutput = await fs.pathExists(outputDirectory);
+
+  await fs.remove(backupDirectory);
+
+  if (hasPreviousOutput) {
+    await fs.rename(outputDirectory, backupDirectory);
+  }
+
+  try {
+    await fs.rename(stagingDirectory, outputDirectory);
+  }
+  catch (error) {
+    if (hasPreviousOutput) {
+      await fs.rename(backupDirectory, outputDirectory);
+    }
+    throw error;
+  }
+
+  await fs.remove(backupDirectory);
+}
+
+/**
+ * Deletes a staging directory after a failed run. The output directory is left untouched.
+ * @param {string} stagingDirectory - The staging directory.
+ * @returns {Promise<void>}
+ */
+async function discardStagingDirectory(stagingDirectory) {
+  await fs.remove(stagingDirectory);
+}
+
+/**
+ * Computes the path of a hidden directory next to the output directory
+ * (e.g. "./output" → "./.output.gde-staging").
+ * @param {string} outputDirectory - The output directory.
+ * @param {string} suffix - The suffix identifying the sibling directory.
+ * @returns {string} The absolute path of the sibling directory.
+ */
+function getSiblingDirectory(outputDirectory, suffix) {
+  const resolved = path.resolve(outputDirectory);
+  return path.join(path.dirname(resolved), `.${path.basename(resolved)}.${suffix}`);
+}
+
+/**
+ * Computes the path of the staging directory of an output directory.
+ * @param {string} outputDirectory - The output directory.
+ * @returns {string} The absolute path of the staging directory.
+ */
+function getStagingDirectory(outputDirectory) {
+  return getSiblingDirectory(outputDirectory, 'gde-staging');
+}
+
+/**
+ * Creates an empty staging directory next to the output directory, where files are
+ * written during the run. A staging directory left over by an interrupted run is cleaned.
+ * @param {string} outputDirectory - The output directory.
+ * @param {boolean} [copyExisting] - Whether to start from a copy of the current output (sync mode).
+ * @returns {Promise<string>} The absolute path of the staging directory.
+ */
+async function prepareStagingDirectory(outputDirectory, copyExisting) {
+  const stagingDirectory = getStagingDirectory(outputDirectory);
+
+  await fs.emptyDir(stagingDirectory);
+
+  if (copyExisting && await fs.pathExists(outputDirectory)) {
+    await fs.copy(outputDirectory, stagingDirectory);
+  }
+
+  return stagingDirectory;
+}
+
+export default {
+  assertSafeOutputDirectory,
+  commitStagingDirectory,
+  discardStagingDirectory,
+  getStagingDirectory,
+  prepareStagingDirectory,
+};
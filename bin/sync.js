@@ -0,0 +1,306 @@
+import path from 'node:path';
+
+import fs from 'fs-extra';
+
+import links from './links.js';
+import utilities from './utilities.js';
+
+const SYNC_MANIFEST_FILENAME = '.gde-manifest.json';
+const SYNC_MANIFEST_VERSION = 1;
+
+/**
+ * Finds the first output path of a sync manifest that is not a relative path inside
+ * the output directory. Outputs are removed and moved by later runs, so a manifest
+ * edited by hand must not reach files elsewhere.
+ * @param {{files: Array<object>, assets?: Array<object>, generated?: string[]}} manifest - A sync manifest.
+ * @returns {string|undefined} The unsafe path, or undefined when every path is safe.
+ */
+function findUnsafeOutput(manifest) {
+  const outputs = [
+    ...[...manifest.files, ...(manifest.assets ?? [])].flatMap((entry) => [entry?.output, ...(entry?.chunks ?? [])]),
+    ...(manifest.generated ?? []),
+  ];
+
+  return outputs.find((output) => typeof output !== 'string'
+    || output === ''
+    || path.posix.isAbsolute(output)
+    || path.win32.isAbsolute(output)
+    || output.split(/[/\\]/).includes('..'));
+}
+
+/**
+ * Tells whether a previous manifest was written with the same content transforms
+ * (e.g. --frontmatter). Transforms missing from older manifests are considered disabled.
+ * @param {{transforms?: Object}} manifest - A previous sync manifest.
+ * @param {Object<string, boolean|number>} transforms
+ *   The transforms of the current run: false when disabled, otherwise true or their setting.
+ * @returns {boolean}
+ */
+function hasSameTransforms(manifest, transforms) {
+  return Object.entries(transforms).every(([name, value]) => (manifest.transforms?.[name] ?? false) === value);
+}
+
+/**
+ * Adapts a sync plan to chunked files (--chunk): renamed files with chunks are
+ * downloaded again, as their chunks are named after their output, and the chunks of
+ * every previous file that is not unchanged become stale.
+ * @param {ReturnType<typeof planSync>} syncPlan - A plan computed by planSync.
+ * @param {Array<{source: string, output: string, chunks?: string[]}>} previousEntries
+ *   Entries of the previous sync manifest.
+ * @returns {ReturnType<typeof planSync>}
+ */
+function invalidateChunkedFiles(syncPlan, previousEntries) {
+  const chunksByOutput = new Map(previousEntries.map((entry) => [entry.output, entry.chunks ?? []]));
+  const chunkedRenames = syncPlan.renamed.filter(({ from }) => chunksByOutput.get(from)?.length > 0);
+  const unchangedSources = new Set(syncPlan.unchanged.map((file) => file.path));
+  const staleChunks = previousEntries
+    .filter((entry) => !unchangedSources.has(entry.source))
+    .flatMap((entry) => entry.chunks ?? []);
+
+  return {
+    ...syncPlan,
+    changed: [...syncPlan.changed, ...chunkedRenames.map(({ file }) => file)],
+    renamed: syncPlan.renamed.filter((rename) => !chunkedRenames.includes(rename)),
+    stale: [...syncPlan.stale, ...chunkedRenames.map(({ from }) => from), ...staleChunks],
+  };
+}
+
+/**
+ * Moves to the changed files of a sync plan the files whose rewritten links are
+ * outdated: unchanged files linking to a source whose output was added, moved or
+ * removed, and renamed files with relative links, as their links are relative to
+ * their output path. Previous outputs of those renamed files become stale.
+ *
+ * Link targets are read from the `links` recorded in the previous manifest entries.
+ *
+ * @param {ReturnType<typeof planSync>} syncPlan - A plan computed by planSync.
+ * @param {Array<{path: string, output: string}>} files - Files planned for the extraction.
+ * @param {Array<{source: string, output: string, links?: string[]}>} previousEntries
+ *   Entries of the previous sync manifest.
+ * @returns {ReturnType<typeof planSync>}
+ */
+function invalidateLinkingFiles(syncPlan, files, previousEntries) {
+  const previousOutputs = new Map(previousEntries.map((entry) => [entry.source, entry.output]));
+  const outputs = new Map(files.map((file) => [file.path, file.output]));
+  const movedSources = new Set(
+    [...previousOutputs.keys(), ...outputs.keys()]
+      .filter((source) => previousOutputs.get(source) !== outputs.get(source)),
+  );
+  const linksBySource = new Map(previousEntries.map((entry) => [entry.source, entry.links ?? []]));
+  const linksByOutput = new Map(previousEntries.map((entry) => [entry.output, entry.links ?? []]));
+
+  const isOutdated = (file) => (linksBySource.get(file.path) ?? []).some(
+    (target) => links.getLinkCandidates(target).some((candidate) => movedSources.has(candidate)),
+  );
+  const outdatedRenames = syncPlan.renamed.filter(({ from }) => linksByOutput.get(from)?.length > 0);
+
+  return {
+    ...syncPlan,
+    changed: [
+      ...syncPlan.changed,
+      ...syncPlan.unchanged.filter((file) => isOutdated(file)),
+      ...outdatedRenames.map(({ file }) => file),
+    ],
+    renamed: syncPlan.renamed.filter((rename) => !outdatedRenames.includes(rename)),
+    stale: [...syncPlan.stale, ...outdatedRenames.map(({ from }) => from)],
+    unchanged: syncPlan.unchanged.filter((file) => !isOutdated(file)),
+  };
+}
+
+/**
+ * Turns a sync plan into one that downloads every planned file again, for when
+ * the previous outputs were produced with different content transforms. Previous
+ * outputs of renamed files become stale.
+ * @param {ReturnType<typeof planSync>} syncPlan - A plan computed by planSync.
+ * @returns {ReturnType<typeof planSync>}
+ */
+function invalidateSyncPlan(syncPlan) {
+  return {
+    ...syncPlan,
+    changed: [...syncPlan.changed, ...syncPlan.unchanged, ...syncPlan.renamed.map(({ file }) => file)],
+    renamed: [],
+    stale: [...syncPlan.stale, ...syncPlan.renamed.map(({ from }) => from)],
+    unchanged: [],
+  };
+}
+
+/**
+ * Compares the files planned for an extraction with the entries of a previous
+ * sync manifest to find what must be downloaded, moved or removed.
+ *
+ * Files are matched by source path first. A source that disappeared and a new
+ * source with the same blob SHA are considered a rename: the existing output is
+ * moved instead of being downloaded again. Output locations are compared too, so
+ * a change of flattened filename is handled like a rename.
+ *
+ * @param {Array<{path: string, sha: string, output: string}>} files
+ *   Files planned for the extraction, with their output path relative to the output directory.
+ * @param {Array<{source: string, sha: string, output: string}>} previousEntries
+ *   Entries of the previous sync manifest.
+ * @returns {{
+ *   added: Array<object>,
+ *   changed: Array<object>,
+ *   removed: Array<object>,
+ *   renamed: Array<{file: object, from: string}>,
+ *   stale: Array<string>,
+ *   unchanged: Array<object>,
+ * }}
+ *   added, changed:
+ *     Planned files that must be downloaded.
+ *   removed:
+ *     Previous entries whose source no longer exists.
+ *   renamed:
+ *     Planned files whose content already exists at another output path.
+ *   stale:
+ *     Previous output paths of changed files that moved and must be deleted.
+ *   unchanged:
+ *     Planned files already up to date.
+ */
+function planSync(files, previousEntries) {
+  const previousBySource = new Map(previousEntries.map((entry) => [entry.source, entry]));
+  const plannedSources = new Set(files.map((file) => file.path));
+  const removed = previousEntries.filter((entry) => !plannedSources.has(entry.source));
+  const added = [];
+  const changed = [];
+  const renamed = [];
+  const stale = [];
+  const unchanged = [];
+
+  for (const file of files) {
+    const previous = previousBySource.get(file.path);
+
+    if (!previous) {
+      const removedIndex = removed.findIndex((entry) => entry.sha === file.sha);
+
+      if (removedIndex === -1) {
+        added.push(file);
+      }
+      else {
+        const [entry] = removed.splice(removedIndex, 1);
+        renamed.push({ file, from: entry.output });
+      }
+    }
+    else if (previous.sha !== file.sha) {
+      changed.push(file);
+
+      if (previous.output !== file.output) {
+        stale.push(previous.output);
+      }
+    }
+    else if (previous.output === file.output) {
+      unchanged.push(file);
+    }
+    else {
+      renamed.push({ file, from: previous.output });
+    }
+  }
+
+  return { added, changed, removed, renamed, stale, unchanged };
+}
+
+/**
+ * Reads the sync manifest of an output directory.
+ * @param {string} outputDirectory - The output directory of a previous extraction.
+ * @param {Object} [context] - Optional reading context.
+ * @param {function(string): void} [context.onInvalid]
+ *   Called with the reason when the manifest exists but is not valid JSON, does not have
+ *   the expected shape or lists outputs outside of the output directory.
+ * @returns {Promise<{repository: string, ref: string, commit: string, files: Array<object>}|undefined>}
+ *   The manifest, or undefined when the directory has none or it cannot be used.
+ *   Manifests written with --assets also list the extracted assets in `assets`, and
+ *   `generated` lists the files generated from the documents (e.g. `llms.txt`).
+ */
+async function readSyncManifest(outputDirectory, { onInvalid = () => {} } = {}) {
+  const manifestPath = path.join(outputDirectory, SYNC_MANIFEST_FILENAME);
+
+  if (!(await fs.pathExists(manifestPath))) {
+    return;
+  }
+
+  let manifest;
+
+  try {
+    manifest = await fs.readJson(manifestPath);
+  }
+  catch (error) {
+    onInvalid(`it is not valid JSON (${error.message})`);
+    return;
+  }
+
+  if (manifest?.version !== SYNC_MANIFEST_VERSION) {
+    return;
+  }
+
+  const isList = (value) => value === undefined || Array.isArray(value);
+
+  if (!Array.isArray(manifest.files) || !isList(manifest.assets) || !isList(manifest.generated)) {
+    onInvalid('it does not list the extracted files');
+    return;
+  }
+
+  const unsafeOutput = findUnsafeOutput(manifest);
+
+  if (unsafeOutput !== undefined) {
+    onInvalid(`it lists ${JSON.stringify(unsafeOutput)}, which is not a path inside the output directory`);
+    return;
+  }
+
+  return manifest;
+}
+
+/**
+ * Sorts manifest entries by source path.
+ * @param {Array<{source: string}>} entries - Manifest entries.
+ * @returns {Array<{source: string}>} A sorted copy.
+ */
+function sortBySource(entries) {
+  return [...entries].sort((a, b) => utilities.compareCodeUnits(a.source, b.source));
+}
+
+/**
+ * Converts a file path relative to the output directory into the portable form
+ * stored in the sync manifest (forward slashes).
+ * @param {string} outputDirectory - The output directory.
+ * @param {string} filePath - A path inside the output directory.
+ * @returns {string}
+ */
+function toManifestPath(outputDirectory, filePath) {
+  return path.relative(outputDirectory, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Writes the sync manifest of an output directory.
+ * Entries are sorted by source path so the manifest is stable between runs.
+ * @param {string} outputDirectory - The output directory.
+ * @param {{repository: string, ref: string, commit: string, generated?: string[], transforms?: Object}} source
+ *   The extracted repository and commit, the files generated from the documents
+ *   and the content transforms applied to the files.
+ * @param {Array<{source: string, sha: string, output: string}>} entries - One entry per extracted file.
+ * @param {Array<{source: string, sha: string, output: string}>} [assetEntries]
+ *   One entry per extracted asset (--assets), recorded separately from the documentation files.
+ * @returns {Promise<void>}
+ */
+async function writeSyncManifest(outputDirectory, source, entries, assetEntries) {
+  await fs.writeJson(
+    path.join(outputDirectory, SYNC_MANIFEST_FILENAME),
+    {
+      version: SYNC_MANIFEST_VERSION,
+      ...source,
+      files: sortBySource(entries),
+      ...(assetEntries ? { assets: sortBySource(assetEntries) } : {}),
+    },
+    { spaces: 2 },
+  );
+}
+
+export default {
+  hasSameTransforms,
+  invalidateChunkedFiles,
+  invalidateLinkingFiles,
+  invalidateSyncPlan,
+  planSync,
+  readSyncManifest,
+  SYNC_MANIFEST_FILENAME,
+  toManifestPath,
+  writeSyncManifest,
+};
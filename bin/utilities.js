@@ -1,6 +1,20 @@
 import { realpathSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 
+/**
+ * Compares two strings by UTF-16 code unit, so that sorting does not depend on the locale.
+ * @param {string} a - A string.
+ * @param {string} b - Another string.
+ * @returns {number} A negative number, zero or a positive number, as expected by Array#sort.
+ */
+function compareCodeUnits(a, b) {
+  if (a < b) {
+    return -1;
+  }
+
+  return a > b ? 1 : 0;
+}
+
 /**
  * Checks if the current file is the main module being executed.
  * This prevents the CLI from running when the module is imported (e.g., for tests).
@@ -18,6 +32,59 @@ function isMainModule(metaUrl) {
   }
 }
 
+/**
+ * Runs an async worker over every item with a bounded number of parallel executions.
+ * Items are picked in order; once a worker rejects, no new item is started, and the
+ * returned promise rejects with that error when the workers still running have settled,
+ * so that nothing keeps writing after the caller handles the error.
+ * @param {Array<*>} items - The items to process.
+ * @param {number} concurrency - The maximum number of workers running at the same time.
+ * @param {function(*, number): Promise<*>} worker - The async function called with each item and its index.
+ * @returns {Promise<Array<*>>} The worker results, in the same order as the items.
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = Array.from({ length: items.length });
+  let nextIndex = 0;
+  let failure;
+
+  const runWorker = async () => {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+
+      try {
+        results[index] = await worker(items[index], index);
+      }
+      catch (error) {
+        failure ??= { error };
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.allSettled(Array.from({ length: workerCount }, () => runWorker()));
+
+  if (failure) {
+    throw failure.error;
+  }
+
+  return results;
+}
+
+/**
+ * Waits for the given amount of time.
+ * @param {number} milliseconds - The delay to wait for.
+ * @returns {Promise<void>}
+ */
+function sleep(milliseconds) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, milliseconds);
+  });
+}
+
 export default {
+  compareCodeUnits,
   isMainModule,
+  mapWithConcurrency,
+  sleep,
 };
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+
+import assets from '../bin/assets.js';
+
+const { findReferencedAssets, isAsset, listAssets, parseSize } = assets;
+
+// UNIT TEST
+
+describe('isAsset()', () => {
+  it('recognizes images, videos and PDFs regardless of case', () => {
+    expect(isAsset('docs/img/logo.PNG')).toBe(true);
+    expect(isAsset('docs/diagram.svg')).toBe(true);
+    expect(isAsset('docs/demo.mp4')).toBe(true);
+    expect(isAsset('docs/spec.pdf')).toBe(true);
+  });
+
+  it('rejects documents and code', () => {
+    expect(isAsset('docs/intro.md')).toBe(false);
+    expect(isAsset('src/index.js')).toBe(false);
+    expect(isAsset('Makefile')).toBe(false);
+  });
+});
+
+describe('listAssets()', () => {
+  const entries = [
+    { path: 'docs/img/logo.png', sha: 'a', size: 2048, type: 'blob' },
+    { path: 'docs/img', sha: 't', type: 'tree' },
+    { path: 'docs/intro.md', sha: 'b', size: 100, type: 'blob' },
+    { path: 'docs/video/demo.mp4', sha: 'c', size: 50 * 1024 * 1024, type: 'blob' },
+    { path: 'logo.svg', sha: 'd', size: 512, type: 'blob' },
+  ];
+
+  it('flattens assets into the assets folder and leaves out larger ones', () => {
+    const { candidates, oversized } = listAssets(entries, 1024 * 1024);
+
+    expect(candidates).toEqual([
+      { output: 'assets/docs-img-logo.png', path: 'docs/img/logo.png', sha: 'a', size: 2048 },
+      { output: 'assets/logo.svg', path: 'logo.svg', sha: 'd', size: 512 },
+    ]);
+    expect(oversized).toEqual(new Set(['docs/video/demo.mp4']));
+  });
+
+  it('keeps assets whose size the tree does not list, to check their size once downloaded', () => {
+    const { candidates, oversized } = listAssets([{ path: 'docs/img/logo.png', sha: 'a', type: 'blob' }], 1024);
+
+    expect(candidates).toEqual([{ output: 'assets/docs-img-logo.png', path: 'docs/img/logo.png', sha: 'a', size: undefined }]);
+    expect(oversized).toEqual(new Set());
+  });
+
+  it('gives colliding assets distinct, stable names', () => {
+    const { candidates } = listAssets([
+      { path: 'docs/img-a/b.png', sha: 'a', size: 1, type: 'blob' },
+      { path: 'docs/img/a-b.png', sha: 'b', size: 1, type: 'blob' },
+    ], 1024);
+
+    expect(candidates[0].output).toBe('assets/docs-img-a-b.png');
+    expect(candidates[1].output).toMatch(/^assets\/docs-img-a-b-[\da-f]{6}\.png$/);
+  });
+});
+
+describe('findReferencedAssets()', () => {
+  it('keeps the assets targeted by at least one link', () => {
+    const logo = { output: 'assets/logo.png', path: 'docs/logo.png' };
+    const banner = { output: 'assets/banner.png', path: 'docs/banner.png' };
+
+    expect(findReferencedAssets([logo, banner], [['docs/intro.md'], ['docs/banner.png', 'docs/logo']])).toEqual([banner]);
+  });
+});
+
+describe('parseSize()', () => {
+  it('parses numbers of bytes and sizes with a unit', () => {
+    expect(parseSize(2048)).toBe(2048);
+    expect(parseSize('500')).toBe(500);
+    expect(parseSize('500KB')).toBe(500 * 1024);
+    expect(parseSize('1.5 mb')).toBe(1.5 * 1024 * 1024);
+    expect(parseSize('1GB')).toBe(1024 ** 3);
+  });
+
+  it('returns undefined for values that are not sizes', () => {
+    expect(parseSize('large')).toBeUndefined();
+    expect(parseSize('-1MB')).toBeUndefined();
+    expect(parseSize('2TB')).toBeUndefined();
+  });
+});
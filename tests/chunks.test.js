@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+
+import chunks from '../bin/chunks.js';
+
+const {
+  estimateTokens,
+  formatChunkBudget,
+  parseChunkBudget,
+  splitDocument,
+} = chunks;
+
+const words = (word, count) => `${word} `.repeat(count).trim();
+
+// UNIT TEST
+
+describe('parseChunkBudget()', () => {
+  it('parses sizes and numbers of tokens', () => {
+    expect(parseChunkBudget('16KB')).toEqual({ size: 16 * 1024, unit: 'bytes' });
+    expect(parseChunkBudget(2048)).toEqual({ size: 2048, unit: 'bytes' });
+    expect(parseChunkBudget('4000 tokens')).toEqual({ size: 4000, unit: 'tokens' });
+    expect(parseChunkBudget('1.5k tokens')).toEqual({ size: 1500, unit: 'tokens' });
+  });
+
+  it('rejects other values', () => {
+    expect(parseChunkBudget('0')).toBeUndefined();
+    expect(parseChunkBudget('big')).toBeUndefined();
+    expect(parseChunkBudget('-5 tokens')).toBeUndefined();
+  });
+});
+
+describe('estimateTokens()', () => {
+  it('counts about four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('a'.repeat(9))).toBe(3);
+  });
+});
+
+describe('formatChunkBudget()', () => {
+  it('writes the size and the unit', () => {
+    expect(formatChunkBudget({ size: 4000, unit: 'tokens' })).toBe('4000 tokens');
+  });
+});
+
+describe('splitDocument()', () => {
+  const document = [
+    '# Guide',
+    '',
+    'Welcome.',
+    '',
+    '## Install',
+    '',
+    words('install', 20),
+    '',
+    'Then read [usage](#usage).',
+    '',
+    '## Usage',
+    '',
+    words('usage', 20),
+    '',
+    '### Options',
+    '',
+    words('option', 20),
+    '',
+  ].join('\n');
+
+  it('leaves documents within the budget as they are', () => {
+    expect(splitDocument(document, { budget: { size: 10_000, unit: 'bytes' }, output: 'guide.md' })).toBeUndefined();
+  });
+
+  it('splits at headings, groups small sections and adds the breadcrumb of each chunk', () => {
+    const result = splitDocument(document, { budget: { size: 300, unit: 'bytes' }, output: 'guides/guides-setup.md' });
+
+    expect(result.chunks.map((chunk) => chunk.output)).toEqual([
+      'guides/guides-setup--guide.md',
+      'guides/guides-setup--usage.md',
+    ]);
+    expect(result.chunks[0].content).toBe(
+      `# Guide\n\nWelcome.\n\n## Install\n\n${words('install', 20)}\n\nThen read [usage](guides-setup--usage.md#usage).\n`,
+    );
+    expect(result.chunks[1].content).toBe(
+      `> Guide\n\n## Usage\n\n${words('usage', 20)}\n\n### Options\n\n${words('option', 20)}\n`,
+    );
+    expect(result.index).toBe([
+      '# Guide',
+      '',
+      'This document is split into 2 parts:',
+      '',
+      '- [Guide](guides-setup--guide.md)',
+      '- [Guide › Usage](guides-setup--usage.md)',
+      '',
+    ].join('\n'));
+  });
+
+  it('splits large sections into their subsections and approximates tokens', () => {
+    const result = splitDocument(document, { budget: { size: 50, unit: 'tokens' }, output: 'guide.md' });
+
+    expect(result.chunks.map((chunk) => chunk.output)).toEqual([
+      'guide--guide.md',
+      'guide--install.md',
+      'guide--usage.md',
+      'guide--options.md',
+    ]);
+    expect(result.chunks[1].content).toBe('> Guide › Install\n\nThen read [usage](guide--usage.md#usage).\n');
+    expect(result.chunks[3].content).toBe(`> Guide › Usage\n\n### Options\n\n${words('option', 20)}\n`);
+  });
+
+  it('never splits code blocks or tables, nor separates a heading from its content', () => {
+    const code = ['```bash', '# not a heading', '', words('echo', 30), '```'].join('\n');
+    const table = ['| a | b |', '| - | - |', ...Array.from({ length: 10 }, (_, index) => `| ${index} | ${index} |`)].join('\n');
+    const result = splitDocument(`# Title\n\n${code}\n\n## Table\n\n${table}\n`, {
+      budget: { size: 100, unit: 'bytes' },
+      output: 'a.md',
+    });
+
+    expect(result.chunks.map((chunk) => chunk.content)).toEqual([
+      `# Title\n\n${code}\n`,
+      `> Title\n\n## Table\n\n${table}\n`,
+    ]);
+    expect(result.chunks.map((chunk) => chunk.output)).toEqual(['a--title.md', 'a--table.md']);
+  });
+
+  it('repeats the front matter in every chunk and keeps CRLF line endings', () => {
+    const result = splitDocument(`---\r\ntitle: Guide\r\n---\r\n\r\n${document.replaceAll('\n', '\r\n')}`, {
+      budget: { size: 240, unit: 'bytes' },
+      output: 'guide.md',
+    });
+
+    for (const chunk of result.chunks) {
+      expect(chunk.content.startsWith('---\r\ntitle: Guide\r\n---\r\n\r\n')).toBe(true);
+      expect(chunk.content.replaceAll('\r\n', '')).not.toContain('\n');
+    }
+    expect(result.index.startsWith('---\r\ntitle: Guide\r\n---\r\n\r\n# Guide\r\n')).toBe(true);
+  });
+
+  it('does not use the output of other documents for its chunks', () => {
+    const result = splitDocument(document, {
+      budget: { size: 300, unit: 'bytes' },
+      output: 'guide.md',
+      reserved: new Set(['guide--usage.md']),
+    });
+
+    expect(result.chunks.map((chunk) => chunk.output)).toEqual(['guide--guide.md', 'guide--usage-2.md']);
+  });
+});
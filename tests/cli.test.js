@@ -1,29 +1,75 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import path from 'node:path';
+import { Octokit } from '@octokit/rest';
 
 import main from '../bin/index.js';
 import ascii from '../bin/ascii.js';
+import chunks from '../bin/chunks.js';
+import filters from '../bin/filters.js';
+import jsonl from '../bin/jsonl.js';
+import local from '../bin/local.js';
+import providers from '../bin/providers.js';
+import staging from '../bin/staging.js';
+import utilities from '../bin/utilities.js';
 
 // MOCKS
 
-const { mockGetContent } = vi.hoisted(() => ({
+const {
+  mockGetBlob,
+  mockGetCommit,
+  mockGetContent,
+  mockGetRateLimit,
+  mockGetRepo,
+  mockGetTree,
+} = vi.hoisted(() => ({
+  mockGetBlob: vi.fn(),
+  mockGetCommit: vi.fn(),
   mockGetContent: vi.fn(),
+  mockGetRateLimit: vi.fn(),
+  mockGetRepo: vi.fn(),
+  mockGetTree: vi.fn(),
 }));
 vi.mock('@octokit/rest', () => ({
   Octokit: vi.fn().mockImplementation(() => ({
-    repos: { getContent: mockGetContent },
+    git: { getBlob: mockGetBlob, getTree: mockGetTree },
+    rateLimit: { get: mockGetRateLimit },
+    repos: { get: mockGetRepo, getCommit: mockGetCommit, getContent: mockGetContent },
   })),
 }));
 
 const {
+  mockCopy,
   mockEmptyDir,
   mockEnsureDir,
+  mockMkdtemp,
+  mockMove,
+  mockPathExists,
+  mockPathExistsSync,
+  mockReaddir,
+  mockReadFile,
+  mockReadJson,
+  mockReadJsonSync,
+  mockRemove,
+  mockRename,
   mockWriteFile,
+  mockWriteJson,
   mockCreateWriteStream,
 } = vi.hoisted(() => ({
+  mockCopy: vi.fn(),
   mockEmptyDir: vi.fn(),
   mockEnsureDir: vi.fn(),
+  mockMkdtemp: vi.fn(),
+  mockMove: vi.fn(),
+  mockPathExists: vi.fn(),
+  mockPathExistsSync: vi.fn(),
+  mockReaddir: vi.fn(),
+  mockReadFile: vi.fn(),
+  mockReadJson: vi.fn(),
+  mockReadJsonSync: vi.fn(),
+  mockRemove: vi.fn(),
+  mockRename: vi.fn(),
   mockWriteFile: vi.fn(),
+  mockWriteJson: vi.fn(),
   mockCreateWriteStream: vi.fn().mockReturnValue({
     on: vi.fn((event, callback) => {
       if (event === 'close') callback();
@@ -33,9 +79,21 @@ const {
 
 vi.mock('fs-extra', () => ({
   default: {
+    copy: mockCopy,
     emptyDir: mockEmptyDir,
     ensureDir: mockEnsureDir,
+    mkdtemp: mockMkdtemp,
+    move: mockMove,
+    pathExists: mockPathExists,
+    pathExistsSync: mockPathExistsSync,
+    readdir: mockReaddir,
+    readFile: mockReadFile,
+    readJson: mockReadJson,
+    readJsonSync: mockReadJsonSync,
+    remove: mockRemove,
+    rename: mockRename,
     writeFile: mockWriteFile,
+    writeJson: mockWriteJson,
     createWriteStream: mockCreateWriteStream,
   },
 }));
@@ -71,20 +129,62 @@ vi.mock('../bin/ascii.js', () => ({
 const {
   buildOutputLocation,
   computeOutputRoot,
+  DEFAULT_CHUNK_BUDGET,
+  DEFAULT_CONCURRENCY,
   DEFAULT_DOCS_PATH,
+  DEFAULT_DRY_RUN,
+  DEFAULT_FORCE,
+  DEFAULT_FORMAT,
+  DEFAULT_INDEX,
+  DEFAULT_JSON,
+  DEFAULT_LAYOUT,
+  DEFAULT_LLMS_TXT,
+  DEFAULT_MAX_ASSET_SIZE,
+  DEFAULT_FOLLOW_SYMLINKS,
+  DEFAULT_MAX_FILE_SIZE,
+  DEFAULT_MDX_TO_MD,
+  DEFAULT_ON_COLLISION,
   DEFAULT_OUTPUT_DIRECTORY_PATH,
+  DEFAULT_REWRITE_LINKS,
+  DEFAULT_SUBMODULES,
+  DEFAULT_SYNC,
   DEFAULT_TO_ZIP,
+  DEFAULT_UNKNOWN_COMPONENTS,
+  DEFAULT_WAIT_FOR_RESET,
+  ensureRateLimitQuota,
   extract,
+  extractAll,
   fetchAllFiles,
+  fetchRepositoryTree,
+  getGitHubWebOrigin,
+  getRateLimit,
+  getRetryDelay,
+  isPrimaryRateLimitError,
   launchCLI,
   parseRepoUrl,
+  resolveCommit,
+  resolveReferenceAndPath,
   run,
+  selectGitHubInstance,
+  withRetry,
 } = main;
 
 // GLOBAL HOOKS
 
 beforeEach(() => {
   vi.clearAllMocks();
+
+  vi.spyOn(utilities, 'sleep').mockResolvedValue();
+  mockPathExists.mockResolvedValue(false);
+  mockPathExistsSync.mockReturnValue(false);
+  mockReaddir.mockResolvedValue([]);
+  // Outputs are read back from the staging directory once written.
+  mockReadFile.mockImplementation((filePath) => Promise.resolve(
+    mockWriteFile.mock.calls.findLast(([writtenPath]) => writtenPath === filePath)?.[1] ?? '',
+  ));
+  mockGetRateLimit.mockResolvedValue({ data: { resources: { core: { limit: 5000, remaining: 5000, reset: 1_900_000_000 } } } });
+  mockGetRepo.mockResolvedValue({ data: { default_branch: 'main' } });
+  mockGetCommit.mockResolvedValue({ data: { sha: 'commit-sha', commit: { tree: { sha: 'tree-sha' } } } });
 });
 
 // UNIT TEST
@@ -203,6 +303,35 @@ describe('buildOutputLocation()', () => {
       filename: 'code-api-hooks.md',
     });
   });
+
+  it('writes flattened filenames directly to the output directory with the flat layout', () => {
+    const result = buildOutputLocation('docs/code/api/hooks.md', 'docs/code', 'code', outputDirectory, { layout: 'flat' });
+
+    expect(result).toEqual({ directory: outputDirectory, filename: 'code-api-hooks.md' });
+  });
+
+  it('keeps the original folders and filename with the preserve layout', () => {
+    const result = buildOutputLocation('docs/code/api/hooks.md', 'docs/code', 'code', outputDirectory, {
+      layout: 'preserve',
+    });
+
+    expect(result).toEqual({ directory: path.join(outputDirectory, 'code', 'api'), filename: 'hooks.md' });
+    expect(buildOutputLocation('docs/guide.md', 'docs', undefined, outputDirectory, { layout: 'preserve' }))
+      .toEqual({ directory: outputDirectory, filename: 'guide.md' });
+  });
+
+  it('names files with a name template in any layout', () => {
+    const naming = { nameTemplate: '{name}--{dirs}{ext}' };
+
+    expect(buildOutputLocation('docs/code/api/hooks.md', 'docs/code', 'code', outputDirectory, naming)).toEqual({
+      directory: path.join(outputDirectory, 'code'),
+      filename: 'hooks--api.md',
+    });
+    expect(buildOutputLocation('docs/code/api/hooks.md', 'docs/code', 'code', outputDirectory, {
+      ...naming,
+      layout: 'preserve',
+    })).toEqual({ directory: path.join(outputDirectory, 'code', 'api'), filename: 'hooks--api.md' });
+  });
 });
 
 // UNIT TEST
@@ -268,12 +397,81 @@ describe('parseRepoUrl()', () => {
     expect(parseRepoUrl(url)).toEqual({ owner: 'vitest-dev', repo: 'vitest' });
   });
 
+  it.each([
+    ['https://github.com/facebook/react/', { owner: 'facebook', repo: 'react' }],
+    ['https://www.github.com/facebook/react', { owner: 'facebook', repo: 'react' }],
+    ['git@github.com:facebook/react.git', { owner: 'facebook', repo: 'react' }],
+    ['ssh://git@github.com/facebook/react.git', { owner: 'facebook', repo: 'react' }],
+    ['ssh://git@github.com:22/facebook/react', { owner: 'facebook', repo: 'react' }],
+    ['facebook/react', { owner: 'facebook', repo: 'react' }],
+    ['vitest-dev/vitest.git', { owner: 'vitest-dev', repo: 'vitest' }],
+  ])('should parse "%s"', (url, expected) => {
+    expect(parseRepoUrl(url)).toEqual(expected);
+  });
+
+  it.each([
+    ['https://github.com/o/r/tree/main', { owner: 'o', repo: 'r', ref: 'main' }],
+    ['https://github.com/o/r/tree/main/', { owner: 'o', repo: 'r', ref: 'main' }],
+    ['https://github.com/o/r/tree/v2.1/docs/guides', { owner: 'o', repo: 'r', refAndPath: 'v2.1/docs/guides' }],
+    ['https://github.com/o/r/tree/v2.1/docs?tab=readme#intro', { owner: 'o', repo: 'r', refAndPath: 'v2.1/docs' }],
+    ['https://github.com/o/r/blob/main/README.md', { owner: 'o', repo: 'r', ref: 'main' }],
+    ['https://github.com/o/r/blob/main/docs/intro.md', { owner: 'o', repo: 'r', refAndPath: 'main/docs' }],
+    [
+      'https://github.com/o/r/tree/0123456789abcdef0123456789abcdef01234567/docs/api',
+      { owner: 'o', path: 'docs/api', ref: '0123456789abcdef0123456789abcdef01234567', repo: 'r' },
+    ],
+    ['https://github.com/o/r/tree/feature%2Fx', { owner: 'o', repo: 'r', refAndPath: 'feature/x' }],
+  ])('should parse the tree or blob URL "%s"', (url, expected) => {
+    expect(parseRepoUrl(url)).toEqual(expected);
+  });
+
   it('should throw an error for an invalid URL', () => {
     const url = 'https://notgithub.com/owner/repo';
     const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
     expect(() => parseRepoUrl(url)).toThrow('Invalid GitHub repository URL');
     consoleErrorSpy.mockRestore();
   });
+
+  describe('with a GitHub Enterprise instance', () => {
+    beforeEach(() => {
+      selectGitHubInstance('https://ghe.example.com/api/v3');
+    });
+
+    afterEach(() => {
+      selectGitHubInstance();
+    });
+
+    it.each([
+      ['https://ghe.example.com/design/docs', { owner: 'design', repo: 'docs' }],
+      ['https://GHE.example.com/design/docs/tree/main', { owner: 'design', repo: 'docs', ref: 'main' }],
+      ['git@ghe.example.com:design/docs.git', { owner: 'design', repo: 'docs' }],
+      ['ssh://git@ghe.example.com:2222/design/docs.git', { owner: 'design', repo: 'docs' }],
+      ['design/docs', { owner: 'design', repo: 'docs' }],
+    ])('should parse "%s"', (url, expected) => {
+      expect(parseRepoUrl(url)).toEqual(expected);
+    });
+
+    it.each([
+      'https://github.com/facebook/react',
+      'git@github.com:facebook/react.git',
+      'http://ghe.example.com/design/docs',
+    ])('should reject "%s", which is not on the instance', (url) => {
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      expect(() => parseRepoUrl(url)).toThrow('Expected format: https://ghe.example.com/owner/repo');
+      consoleErrorSpy.mockRestore();
+    });
+  });
+});
+
+describe('getGitHubWebOrigin()', () => {
+  it.each([
+    ['https://api.github.com', 'https://github.com'],
+    ['https://ghe.example.com/api/v3', 'https://ghe.example.com'],
+    ['http://ghe.internal:8080/api/v3/', 'http://ghe.internal:8080'],
+    ['https://api.acme.ghe.com', 'https://acme.ghe.com'],
+  ])('should find the web pages of the API "%s"', (apiUrl, expected) => {
+    expect(getGitHubWebOrigin(apiUrl)).toBe(expected);
+  });
 });
 
 // UNIT TEST
@@ -282,42 +480,490 @@ describe('fetchAllFiles()', () => {
   const owner = 'test-owner';
   const repo = 'test-repo';
 
-  it('should recursively fetch all .md and .mdx files', async () => {
-    const mockResponses = {
-      docs: [
-        { type: 'file', name: 'guide.md', path: 'docs/guide.md' },
-        { type: 'file', name: 'index.js', path: 'docs/index.js' },
-        { type: 'dir', name: 'api', path: 'docs/api' },
-      ],
-      'docs/api': [{ type: 'file', name: 'getting-started.mdx', path: 'docs/api/getting-started.mdx' }],
-    };
-    mockGetContent.mockImplementation(({ path }) => Promise.resolve({ data: mockResponses[path] }));
+  const tree = {
+    truncated: false,
+    entries: [
+      { type: 'blob', path: 'README.md', sha: 'r1', size: 10 },
+      { type: 'tree', path: 'docs', sha: 't1' },
+      { type: 'blob', path: 'docs/guide.md', sha: 'b1', size: 12 },
+      { type: 'blob', path: 'docs/index.js', sha: 'b2', size: 5 },
+      { type: 'tree', path: 'docs/api', sha: 't2' },
+      { type: 'blob', path: 'docs/api/getting-started.mdx', sha: 'b3', size: 20 },
+      { type: 'tree', path: 'docs-old', sha: 't3' },
+      { type: 'blob', path: 'docs-old/legacy.md', sha: 'b4', size: 8 },
+      { type: 'tree', path: 'empty', sha: 't4' },
+    ],
+  };
+
+  it('should filter .md and .mdx files from the repository tree locally', async () => {
+    const files = await fetchAllFiles(owner, repo, 'docs', { tree });
+
+    expect(files).toEqual([
+      { name: 'guide.md', path: 'docs/guide.md', sha: 'b1', size: 12, type: 'file' },
+      { name: 'getting-started.mdx', path: 'docs/api/getting-started.mdx', sha: 'b3', size: 20, type: 'file' },
+    ]);
+    expect(mockGetTree).not.toHaveBeenCalled();
+    expect(mockGetContent).not.toHaveBeenCalled();
+  });
+
+  it('should apply the extensions and globs of a file filter', async () => {
+    const filter = filters.createFileFilter({ exclude: ['api/**'], extensions: ['md', '.js'] });
 
-    const files = await fetchAllFiles(owner, repo, 'docs');
+    const files = await fetchAllFiles(owner, repo, 'docs', { filter, tree });
+
+    expect(files.map((f) => f.path)).toEqual(['docs/guide.md', 'docs/index.js']);
+    expect(filters.describeFilteredFiles(filter.rules)).toEqual(['1 files by --exclude "api/**"']);
+  });
+
+  it('should fetch the recursive tree in a single call when none is provided', async () => {
+    mockGetTree.mockResolvedValue({ data: { tree: tree.entries, truncated: false } });
+
+    const files = await fetchAllFiles(owner, repo, '/docs/');
 
-    expect(files).toHaveLength(2);
     expect(files.map((f) => f.path)).toEqual(['docs/guide.md', 'docs/api/getting-started.mdx']);
-    expect(mockGetContent).toHaveBeenCalledTimes(2);
+    expect(mockGetTree).toHaveBeenCalledOnce();
+    expect(mockGetTree).toHaveBeenCalledWith(expect.objectContaining({ owner, recursive: 'true', repo }));
   });
 
-  it('should return an empty array and warn if a path is not found (404)', async () => {
-    const error = new Error('Not Found');
-    error.status = 404;
-    mockGetContent.mockRejectedValue(error);
+  it('should not warn for an existing directory without documentation files', async () => {
+    const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const files = await fetchAllFiles(owner, repo, 'empty', { tree });
+
+    expect(files).toEqual([]);
+    expect(consoleWarnSpy).not.toHaveBeenCalled();
+    consoleWarnSpy.mockRestore();
+  });
+
+  it('should return an empty array and warn if a path is not in the tree', async () => {
     const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
 
-    const files = await fetchAllFiles(owner, repo, 'non-existent-path');
+    const files = await fetchAllFiles(owner, repo, 'non-existent-path', { tree });
 
     expect(files).toEqual([]);
     expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('Warning: Path "non-existent-path" not found'));
     consoleWarnSpy.mockRestore();
   });
 
-  it('should re-throw errors that are not 404s', async () => {
+  describe('when the tree is truncated', () => {
+    const truncatedTree = { entries: [], truncated: true };
+
+    it('should recursively walk the directory with getContent', async () => {
+      const mockResponses = {
+        docs: [
+          { type: 'file', name: 'guide.md', path: 'docs/guide.md' },
+          { type: 'file', name: 'index.js', path: 'docs/index.js' },
+          { type: 'dir', name: 'api', path: 'docs/api' },
+        ],
+        'docs/api': [{ type: 'file', name: 'getting-started.mdx', path: 'docs/api/getting-started.mdx' }],
+      };
+      mockGetContent.mockImplementation(({ path }) => Promise.resolve({ data: mockResponses[path] }));
+
+      const files = await fetchAllFiles(owner, repo, 'docs', { ref: 'v1.0.0', tree: truncatedTree });
+
+      expect(files).toHaveLength(2);
+      expect(files.map((f) => f.path)).toEqual(['docs/guide.md', 'docs/api/getting-started.mdx']);
+      expect(mockGetContent).toHaveBeenCalledTimes(2);
+      expect(mockGetContent).toHaveBeenCalledWith({ owner, path: 'docs/api', ref: 'v1.0.0', repo });
+    });
+
+    it('should not walk excluded directories', async () => {
+      mockGetContent.mockResolvedValue({
+        data: [
+          { type: 'file', name: 'guide.md', path: 'docs/guide.md' },
+          { type: 'dir', name: 'blog', path: 'docs/blog' },
+        ],
+      });
+      const filter = filters.createFileFilter({ exclude: ['blog/**'] });
+
+      const files = await fetchAllFiles(owner, repo, 'docs', { filter, tree: truncatedTree });
+
+      expect(files.map((f) => f.path)).toEqual(['docs/guide.md']);
+      expect(mockGetContent).toHaveBeenCalledOnce();
+      expect(filter.rules[0]).toMatchObject({ directories: 1, files: 0 });
+    });
+
+    it('should report the symbolic links and submodules it cannot follow', async () => {
+      mockGetContent.mockResolvedValue({
+        data: [
+          { type: 'file', name: 'guide.md', path: 'docs/guide.md' },
+          { type: 'symlink', name: 'shared', path: 'docs/shared', target: '../shared' },
+          { type: 'file', name: 'site', path: 'docs/site', download_url: null },
+        ],
+      });
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const files = await fetchAllFiles(owner, repo, 'docs', { tree: truncatedTree });
+
+      expect(files.map((f) => f.path)).toEqual(['docs/guide.md']);
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('Skipping symbolic link "docs/shared"'));
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('Skipping submodule "docs/site"'));
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('should return an empty array and warn if a path is not found (404)', async () => {
+      const error = new Error('Not Found');
+      error.status = 404;
+      mockGetContent.mockRejectedValue(error);
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const files = await fetchAllFiles(owner, repo, 'non-existent-path', { tree: truncatedTree });
+
+      expect(files).toEqual([]);
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('Warning: Path "non-existent-path" not found'));
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('should re-throw errors that are not 404s', async () => {
+      const error = new Error('API limit exceeded');
+      error.status = 500;
+      mockGetContent.mockRejectedValue(error);
+      await expect(fetchAllFiles(owner, repo, 'any-path', { tree: truncatedTree })).rejects.toThrow('API limit exceeded');
+    });
+  });
+
+  it('should re-throw tree listing errors', async () => {
     const error = new Error('API limit exceeded');
     error.status = 500;
-    mockGetContent.mockRejectedValue(error);
-    await expect(fetchAllFiles(owner, repo, 'any-path')).rejects.toThrow('API limit exceeded');
+    mockGetTree.mockRejectedValue(error);
+    await expect(fetchAllFiles(owner, repo, 'docs')).rejects.toThrow('API limit exceeded');
+  });
+});
+
+// UNIT TEST
+
+describe('resolveCommit()', () => {
+  it('should resolve the default branch when no ref is given', async () => {
+    const result = await resolveCommit('owner', 'repo');
+
+    expect(result).toEqual({ ref: 'main', sha: 'commit-sha', treeSha: 'tree-sha' });
+    expect(mockGetRepo).toHaveBeenCalledOnce();
+    expect(mockGetCommit).toHaveBeenCalledWith({ owner: 'owner', ref: 'main', repo: 'repo' });
+  });
+
+  it('should resolve an explicit branch, tag or commit SHA', async () => {
+    const result = await resolveCommit('owner', 'repo', 'v2.1.0');
+
+    expect(result).toEqual({ ref: 'v2.1.0', sha: 'commit-sha', treeSha: 'tree-sha' });
+    expect(mockGetRepo).not.toHaveBeenCalled();
+    expect(mockGetCommit).toHaveBeenCalledWith({ owner: 'owner', ref: 'v2.1.0', repo: 'repo' });
+  });
+
+  it.each([404, 422])('should fail clearly when the ref does not exist (%s)', async (status) => {
+    const error = new Error('No commit found');
+    error.status = status;
+    mockGetCommit.mockRejectedValueOnce(error);
+
+    await expect(resolveCommit('owner', 'repo', 'nope')).rejects.toThrow('Ref "nope" not found in repository owner/repo');
+  });
+
+  it('should re-throw other errors', async () => {
+    const error = new Error('Server Error');
+    error.status = 500;
+    mockGetCommit.mockRejectedValueOnce(error);
+
+    await expect(resolveCommit('owner', 'repo', 'main')).rejects.toThrow('Server Error');
+  });
+});
+
+// UNIT TEST
+
+describe('resolveReferenceAndPath()', () => {
+  const existingRefs = new Set(['main', 'feature/docs']);
+
+  beforeEach(() => {
+    mockGetCommit.mockImplementation(({ ref }) => {
+      if (existingRefs.has(ref)) {
+        return Promise.resolve({ data: { sha: `sha-${ref}`, commit: { tree: { sha: 'tree-sha' } } } });
+      }
+      const error = new Error('No commit found');
+      error.status = 422;
+      return Promise.reject(error);
+    });
+  });
+
+  it('should resolve a simple ref followed by a path with a single call', async () => {
+    const result = await resolveReferenceAndPath('o', 'r', 'main/docs/guides');
+
+    expect(result).toEqual({ path: 'docs/guides', ref: 'main' });
+    expect(mockGetCommit).toHaveBeenCalledOnce();
+  });
+
+  it('should resolve a ref containing slashes', async () => {
+    const result = await resolveReferenceAndPath('o', 'r', 'feature/docs/guides');
+
+    expect(result).toEqual({ path: 'guides', ref: 'feature/docs' });
+    expect(mockGetCommit).toHaveBeenCalledTimes(2);
+  });
+
+  it('should return an undefined path when the whole value is a ref', async () => {
+    expect(await resolveReferenceAndPath('o', 'r', 'feature/docs')).toEqual({ path: undefined, ref: 'feature/docs' });
+  });
+
+  it('should throw when no prefix is an existing ref', async () => {
+    await expect(resolveReferenceAndPath('o', 'r', 'unknown/docs')).rejects.toThrow('No branch, tag or commit matching "unknown/docs"');
+  });
+});
+
+// UNIT TEST
+
+describe('fetchRepositoryTree()', () => {
+  it('should return the tree entries and the truncation flag', async () => {
+    mockGetTree.mockResolvedValue({ data: { tree: [{ type: 'blob', path: 'a.md' }], truncated: true } });
+
+    const tree = await fetchRepositoryTree('owner', 'repo');
+
+    expect(tree).toEqual({ entries: [{ type: 'blob', path: 'a.md' }], truncated: true });
+    expect(mockGetTree).toHaveBeenCalledWith({ owner: 'owner', recursive: 'true', repo: 'repo', tree_sha: 'HEAD' });
+  });
+
+  it('should fetch the tree of a given ref', async () => {
+    mockGetTree.mockResolvedValue({ data: { tree: [], truncated: false } });
+
+    await fetchRepositoryTree('owner', 'repo', 'tree-sha');
+
+    expect(mockGetTree).toHaveBeenCalledWith(expect.objectContaining({ tree_sha: 'tree-sha' }));
+  });
+});
+
+// UNIT TEST
+
+describe('getRetryDelay()', () => {
+  const createError = (status, message = 'Error', headers = {}) => Object.assign(new Error(message), {
+    response: { headers },
+    status,
+  });
+
+  it('should back off exponentially on server errors', () => {
+    expect(getRetryDelay(createError(502), 1)).toBe(1000);
+    expect(getRetryDelay(createError(503), 2)).toBe(2000);
+    expect(getRetryDelay(createError(500), 3)).toBe(4000);
+  });
+
+  it('should retry network errors', () => {
+    expect(getRetryDelay(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 1)).toBe(1000);
+  });
+
+  it('should honour retry-after on secondary rate limits', () => {
+    expect(getRetryDelay(createError(403, 'Forbidden', { 'retry-after': '30' }), 1)).toBe(30_000);
+    expect(getRetryDelay(createError(429, 'Too Many Requests', { 'retry-after': '5' }), 2)).toBe(5000);
+  });
+
+  it('should wait one minute on secondary rate limits without retry-after', () => {
+    expect(getRetryDelay(createError(403, 'You have exceeded a secondary rate limit'), 1)).toBe(60_000);
+  });
+
+  it.each([400, 401, 403, 404, 422])('should not retry %s errors', (status) => {
+    expect(getRetryDelay(createError(status), 1)).toBeUndefined();
+  });
+
+  describe('primary rate limits', () => {
+    const reset = 1_900_000_000;
+    const rateLimitError = createError(403, 'API rate limit exceeded', {
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': String(reset),
+    });
+
+    it('should not retry by default', () => {
+      expect(getRetryDelay(rateLimitError, 1)).toBeUndefined();
+    });
+
+    it('should wait until x-ratelimit-reset with waitForReset', () => {
+      vi.spyOn(Date, 'now').mockReturnValue(reset * 1000 - 30_000);
+
+      expect(getRetryDelay(rateLimitError, 1, { waitForReset: true })).toBe(31_000);
+
+      vi.mocked(Date.now).mockRestore();
+    });
+  });
+});
+
+// UNIT TEST
+
+describe('isPrimaryRateLimitError()', () => {
+  it('should detect an exhausted quota', () => {
+    const error = Object.assign(new Error('API rate limit exceeded'), {
+      response: { headers: { 'x-ratelimit-remaining': '0' } },
+      status: 403,
+    });
+    expect(isPrimaryRateLimitError(error)).toBe(true);
+  });
+
+  it('should not mistake a permission error for a rate limit', () => {
+    const error = Object.assign(new Error('Resource not accessible by personal access token'), {
+      response: { headers: { 'x-ratelimit-remaining': '4999' } },
+      status: 403,
+    });
+    expect(isPrimaryRateLimitError(error)).toBe(false);
+  });
+});
+
+// UNIT TEST
+
+describe('getRateLimit()', () => {
+  it('should return the core quota with the reset time in milliseconds', async () => {
+    await expect(getRateLimit()).resolves.toEqual({ limit: 5000, remaining: 5000, reset: 1_900_000_000_000 });
+  });
+
+  it('should return undefined when rate limiting is disabled', async () => {
+    mockGetRateLimit.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { status: 404 }));
+    await expect(getRateLimit()).resolves.toBeUndefined();
+  });
+});
+
+// UNIT TEST
+
+describe('ensureRateLimitQuota()', () => {
+  const spinner = { text: '' };
+  const mockQuota = (remaining, limit = 60) => mockGetRateLimit.mockResolvedValue({
+    data: { resources: { core: { limit, remaining, reset: Math.floor(Date.now() / 1000) + 600 } } },
+  });
+
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleWarnSpy.mockRestore();
+  });
+
+  it('should continue silently when the quota is comfortable', async () => {
+    mockQuota(50);
+    await ensureRateLimitQuota(10, {}, spinner);
+    expect(consoleWarnSpy).not.toHaveBeenCalled();
+  });
+
+  it('should warn when the extraction uses most of the quota', async () => {
+    mockQuota(50);
+    await ensureRateLimitQuota(48, {}, spinner);
+    expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('needs about 48 API requests, leaving 2 of 60'));
+  });
+
+  it('should refuse when the quota is insufficient', async () => {
+    mockQuota(20);
+    await expect(ensureRateLimitQuota(100, {}, spinner)).rejects.toThrow(
+      'Not enough GitHub API quota: this extraction needs about 100 requests but only 20 of 60 remain',
+    );
+  });
+
+  it('should continue with a warning when the quota is insufficient with --wait-for-reset', async () => {
+    mockQuota(20);
+    await ensureRateLimitQuota(100, { waitForReset: true }, spinner);
+    expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('It will pause until'));
+    expect(utilities.sleep).not.toHaveBeenCalled();
+  });
+
+  it('should wait for the reset when the quota is exhausted with --wait-for-reset', async () => {
+    mockQuota(0);
+    await ensureRateLimitQuota(3, { waitForReset: true }, spinner);
+    expect(utilities.sleep).toHaveBeenCalledOnce();
+    expect(spinner.text).toContain('waiting for the reset');
+  });
+
+  it('should skip the check when rate limiting is disabled', async () => {
+    mockGetRateLimit.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { status: 404 }));
+    await expect(ensureRateLimitQuota(1_000_000, {}, spinner)).resolves.toBeUndefined();
+  });
+});
+
+// UNIT TEST
+
+describe('withRetry()', () => {
+  const serverError = Object.assign(new Error('Bad Gateway'), { status: 502 });
+
+  it('should retry transient errors until the operation succeeds', async () => {
+    const operation = vi.fn()
+      .mockRejectedValueOnce(serverError)
+      .mockRejectedValueOnce(serverError)
+      .mockResolvedValue('content');
+    const onRetry = vi.fn();
+
+    await expect(withRetry(operation, { onRetry })).resolves.toBe('content');
+
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(onRetry).toHaveBeenNthCalledWith(1, serverError, 1, 1000);
+    expect(onRetry).toHaveBeenNthCalledWith(2, serverError, 2, 2000);
+    expect(utilities.sleep).toHaveBeenCalledTimes(2);
+  });
+
+  it('should give up after the maximum number of retries', async () => {
+    const operation = vi.fn().mockRejectedValue(serverError);
+
+    await expect(withRetry(operation)).rejects.toThrow('Bad Gateway');
+
+    expect(operation).toHaveBeenCalledTimes(4);
+  });
+
+  it('should not retry other errors', async () => {
+    const operation = vi.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+    await expect(withRetry(operation)).rejects.toThrow('Not Found');
+
+    expect(operation).toHaveBeenCalledOnce();
+    expect(utilities.sleep).not.toHaveBeenCalled();
+  });
+});
+
+// UNIT TEST
+
+describe('utilities.mapWithConcurrency()', () => {
+  it('should never run more workers than the concurrency limit and keep the results order', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const worker = async (item) => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 5 - item));
+      running -= 1;
+      return item * 2;
+    };
+
+    const results = await utilities.mapWithConcurrency([1, 2, 3, 4, 5], 2, worker);
+
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(maxRunning).toBe(2);
+  });
+
+  it('should stop starting new items once a worker fails', async () => {
+    const worker = vi.fn(async (item) => {
+      if (item === 1) throw new Error('boom');
+    });
+
+    await expect(utilities.mapWithConcurrency([1, 2, 3], 1, worker)).rejects.toThrow('boom');
+
+    expect(worker).toHaveBeenCalledOnce();
+  });
+
+  it('should wait for the running workers to settle before rejecting', async () => {
+    let resolvePending;
+    const pending = new Promise((resolve) => {
+      resolvePending = resolve;
+    });
+    const finished = [];
+    const worker = vi.fn(async (item) => {
+      if (item === 1) {
+        await pending;
+      }
+      if (item === 2) {
+        throw new Error('boom');
+      }
+      finished.push(item);
+    });
+
+    const result = utilities.mapWithConcurrency([1, 2, 3], 2, worker);
+    let settled = false;
+    result.catch(() => {}).finally(() => {
+      settled = true;
+    });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    expect(settled).toBe(false);
+    resolvePending();
+    await expect(result).rejects.toThrow('boom');
+    expect(finished).toEqual([1]);
+    expect(worker).toHaveBeenCalledTimes(2);
   });
 });
 
@@ -341,19 +987,21 @@ describe('extract()', () => {
   ];
 
   const allMockFiles = [...mockDocsFiles, ...mockGuidesFiles];
+  const stagingDirectory = staging.getStagingDirectory(options.out);
+  const getSyncManifest = () => mockWriteJson.mock.calls
+    .find(([filePath]) => path.basename(filePath) === '.gde-manifest.json')[1];
 
   beforeEach(() => {
     vi.clearAllMocks();
 
-    mockGetContent.mockImplementation(({ path: requestedPath }) => {
-      if (requestedPath === 'docs') {
-        return Promise.resolve({ data: mockDocsFiles });
-      }
-
-      if (requestedPath === 'guides') {
-        return Promise.resolve({ data: mockGuidesFiles });
-      }
+    mockGetTree.mockResolvedValue({
+      data: {
+        tree: allMockFiles.map((file) => ({ type: 'blob', path: file.path, sha: `sha-${file.name}` })),
+        truncated: false,
+      },
+    });
 
+    mockGetContent.mockImplementation(({ path: requestedPath }) => {
       const isFileRequest = allMockFiles.some(
         (file) => file.path === requestedPath,
       );
@@ -376,6 +1024,7 @@ describe('extract()', () => {
   it('downloads and writes all discovered files', async () => {
     await extract(options);
 
+    expect(mockGetTree).toHaveBeenCalledOnce();
     expect(mockEmptyDir).toHaveBeenCalledOnce();
     expect(mockWriteFile).toHaveBeenCalledTimes(mockDocsFiles.length);
 
@@ -386,45 +1035,1505 @@ describe('extract()', () => {
     });
   });
 
-  it('handles multiple documentation paths', async () => {
-    const multiPathOptions = {
-      ...options,
-      paths: ['docs', 'guides'],
-    };
-
-    await extract(multiPathOptions);
+  it('reads the tree and the files at the resolved commit of --ref', async () => {
+    const consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
 
-    expect(mockEmptyDir).toHaveBeenCalledOnce();
-    expect(mockWriteFile).toHaveBeenCalledTimes(allMockFiles.length);
+    await extract({ ...options, ref: 'v1.2.3' });
 
-    const directoriesUsed = mockWriteFile.mock.calls.map(
-      ([filePath]) => path.dirname(filePath),
-    );
+    expect(mockGetCommit).toHaveBeenCalledWith(expect.objectContaining({ ref: 'v1.2.3' }));
+    expect(mockGetTree).toHaveBeenCalledWith(expect.objectContaining({ tree_sha: 'tree-sha' }));
+    mockGetContent.mock.calls.forEach(([parameters]) => {
+      expect(parameters.ref).toBe('commit-sha');
+    });
+    expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('test-owner/test-repo@v1.2.3 (commit commit-sha)'));
 
-    const uniqueDirs = new Set(directoriesUsed);
-    expect(uniqueDirs.size).toBeGreaterThan(1);
+    consoleLogSpy.mockRestore();
   });
 
-  it('creates a zip archive when --zip is enabled', async () => {
-    const zipOptions = { ...options, zip: true };
+  it('fails without touching the output directory when --ref does not exist', async () => {
+    const error = new Error('Not Found');
+    error.status = 404;
+    mockGetCommit.mockRejectedValueOnce(error);
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
 
-    await extract(zipOptions);
+    await expect(extract({ ...options, ref: 'missing' })).rejects.toThrow('Ref "missing" not found');
+    expect(mockEmptyDir).not.toHaveBeenCalled();
 
-    expect(mockCreateWriteStream).toHaveBeenCalledOnce();
-    expect(mockArchiveInstance.directory).toHaveBeenCalledWith(
-      zipOptions.out,
-      false,
-    );
-    expect(mockArchiveInstance.finalize).toHaveBeenCalledOnce();
+    consoleErrorSpy.mockRestore();
   });
 
-  it('handles GitHub API rate limit errors gracefully', async () => {
-    const error = new Error('Rate limit exceeded');
-    error.status = 403;
+  it('uses the ref and path of a tree URL as defaults', async () => {
+    const consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
 
-    mockGetContent.mockRejectedValueOnce(error);
+    await extract({ ...options, paths: undefined, repo: 'https://github.com/test-owner/test-repo/tree/main/guides' });
 
-    const consoleErrorSpy = vi
+    expect(mockGetCommit).toHaveBeenCalledWith(expect.objectContaining({ ref: 'main' }));
+    expect(mockWriteFile).toHaveBeenCalledTimes(mockGuidesFiles.length);
+    expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'guides', 'guides-installation.md'), expect.any(String));
+
+    consoleLogSpy.mockRestore();
+  });
+
+  it('lets --ref and --paths override the tree URL', async () => {
+    const consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    await extract({ ...options, ref: 'v1', repo: 'https://github.com/test-owner/test-repo/tree/main/guides' });
+
+    expect(mockGetCommit).toHaveBeenLastCalledWith(expect.objectContaining({ ref: 'v1' }));
+    expect(mockWriteFile).toHaveBeenCalledTimes(mockDocsFiles.length);
+
+    consoleLogSpy.mockRestore();
+  });
+
+  it('falls back to the default docs path', async () => {
+    const consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    await extract({ ...options, paths: undefined });
+
+    expect(mockWriteFile).toHaveBeenCalledTimes(mockDocsFiles.length);
+
+    consoleLogSpy.mockRestore();
+  });
+
+  it('retries transient download errors', async () => {
+    const implementation = mockGetContent.getMockImplementation();
+    mockGetContent.mockImplementationOnce(() => Promise.reject(Object.assign(new Error('Bad Gateway'), { status: 502 })));
+    mockGetContent.mockImplementation(implementation);
+
+    const result = await extract(options);
+
+    expect(result).toEqual({ downloaded: mockDocsFiles.length, failed: [] });
+    expect(mockWriteFile).toHaveBeenCalledTimes(mockDocsFiles.length);
+  });
+
+  it('keeps downloading and lists the files that failed', async () => {
+    const implementation = mockGetContent.getMockImplementation();
+    mockGetContent.mockImplementation((parameters) => (parameters.path === 'docs/guide.md'
+      ? Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+      : implementation(parameters)));
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await extract({ ...options, concurrency: 1 });
+
+    expect(result.downloaded).toBe(1);
+    expect(result.failed).toEqual([{ error: expect.any(Error), path: 'docs/guide.md' }]);
+    expect(mockWriteFile).toHaveBeenCalledOnce();
+    expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('docs/guide.md: Not Found'));
+    expect(ascii.displaySuccessMessage).not.toHaveBeenCalled();
+
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('handles multiple documentation paths', async () => {
+    const multiPathOptions = {
+      ...options,
+      paths: ['docs', 'guides'],
+    };
+
+    await extract(multiPathOptions);
+
+    expect(mockGetTree).toHaveBeenCalledOnce();
+    expect(mockEmptyDir).toHaveBeenCalledOnce();
+    expect(mockWriteFile).toHaveBeenCalledTimes(allMockFiles.length);
+
+    const directoriesUsed = mockWriteFile.mock.calls.map(
+      ([filePath]) => path.dirname(filePath),
+    );
+
+    const uniqueDirs = new Set(directoriesUsed);
+    expect(uniqueDirs.size).toBeGreaterThan(1);
+  });
+
+  it('creates a zip archive when --zip is enabled', async () => {
+    const zipOptions = { ...options, zip: true };
+
+    await extract(zipOptions);
+
+    expect(mockCreateWriteStream).toHaveBeenCalledOnce();
+    expect(mockArchiveInstance.directory).toHaveBeenCalledWith(
+      zipOptions.out,
+      false,
+      expect.any(Function),
+    );
+
+    const filterEntry = mockArchiveInstance.directory.mock.calls[0][2];
+    expect(filterEntry({ name: '.gde-manifest.json' })).toBe(false);
+    expect(filterEntry({ name: 'guide.md' })).toEqual({ name: 'guide.md' });
+    expect(filterEntry({ name: 'manifest.json' })).toEqual({ name: 'manifest.json' });
+    expect(mockArchiveInstance.finalize).toHaveBeenCalledOnce();
+  });
+
+  it('writes a sync manifest with the source path, blob SHA and output of every file', async () => {
+    await extract(options);
+
+    expect(mockWriteJson).toHaveBeenCalledWith(
+      path.join(stagingDirectory, '.gde-manifest.json'),
+      {
+        commit: 'commit-sha',
+        files: [
+          { output: 'api-getting-started.mdx', sha: 'sha-getting-started.mdx', source: 'docs/api/getting-started.mdx' },
+          { output: 'guide.md', sha: 'sha-guide.md', source: 'docs/guide.md' },
+        ],
+        generated: ['manifest.json'],
+        ref: 'main',
+        repository: 'test-owner/test-repo',
+        transforms: { assets: false, chunk: false, frontmatter: false, mdxToMd: false, rewriteLinks: true },
+        version: 1,
+      },
+      { spaces: 2 },
+    );
+  });
+
+  it('writes manifest.json with the run metadata and every extracted document', async () => {
+    await extract({ ...options, exclude: ['drafts/**'] });
+
+    const [, manifest] = mockWriteJson.mock.calls.find(([filePath]) => filePath === path.join(stagingDirectory, 'manifest.json'));
+    expect(manifest).toMatchObject({
+      commit: 'commit-sha',
+      extractedAt: expect.any(String),
+      options: {
+        exclude: ['drafts/**'],
+        ext: filters.DEFAULT_EXTENSIONS,
+        format: 'files',
+        index: false,
+        paths: ['docs'],
+        rewriteLinks: true,
+      },
+      ref: 'main',
+      repository: 'test-owner/test-repo',
+      tool: { name: 'github-docs-extractor' },
+    });
+    expect(manifest.files).toEqual([
+      {
+        documentPath: 'docs',
+        output: 'guide.md',
+        sha: 'sha-guide.md',
+        size: 25,
+        source: 'docs/guide.md',
+        title: 'guide',
+      },
+      {
+        documentPath: 'docs',
+        output: 'api-getting-started.mdx',
+        sha: 'sha-getting-started.mdx',
+        size: 40,
+        source: 'docs/api/getting-started.mdx',
+        title: 'getting-started',
+      },
+    ]);
+    expect(mockWriteFile).not.toHaveBeenCalledWith(path.join(stagingDirectory, 'INDEX.md'), expect.any(String));
+  });
+
+  it('writes INDEX.md with --index', async () => {
+    await extract({ ...options, index: true });
+
+    const [, content] = mockWriteFile.mock.calls.find(([filePath]) => filePath === path.join(stagingDirectory, 'INDEX.md'));
+    expect(content).toContain('| [guide](guide.md) | `docs/guide.md` | 25 B |');
+    expect(getSyncManifest().generated).toEqual(['manifest.json', 'INDEX.md']);
+  });
+
+  it('adds provenance front matter with --frontmatter', async () => {
+    await extract({ ...options, frontmatter: true });
+
+    const [, content] = mockWriteFile.mock.calls.find(([filePath]) => filePath.endsWith('guide.md'));
+    expect(content).toMatch(/^---\nprovenance:\n {2}repository: "test-owner\/test-repo"\n {2}ref: "main"\n {2}commit: "commit-sha"\n/);
+    expect(content).toContain('  url: "https://github.com/test-owner/test-repo/blob/commit-sha/docs/guide.md"');
+    expect(content).toContain('---\n\nContent for docs/guide.md');
+    expect(mockWriteJson).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ transforms: expect.objectContaining({ frontmatter: true }) }),
+      { spaces: 2 },
+    );
+  });
+
+  it('writes files to a staging directory and swaps it in on success', async () => {
+    await extract(options);
+
+    expect(mockEmptyDir).toHaveBeenCalledWith(stagingDirectory);
+    mockWriteFile.mock.calls.forEach(([filePath]) => {
+      expect(filePath.startsWith(stagingDirectory)).toBe(true);
+    });
+    expect(mockRename).toHaveBeenLastCalledWith(stagingDirectory, options.out);
+  });
+
+  it('keeps the previous output when the run fails', async () => {
+    mockPathExists.mockResolvedValue(true);
+    mockReaddir.mockResolvedValue(['.gde-manifest.json', 'guide.md']);
+    mockReadJson.mockResolvedValue({ files: [], version: 1 });
+    mockGetContent.mockRejectedValue(Object.assign(new Error('Bad credentials'), { status: 401 }));
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(extract(options)).rejects.toThrow('Bad credentials');
+
+    expect(mockRename).not.toHaveBeenCalled();
+    expect(mockRemove).toHaveBeenCalledWith(stagingDirectory);
+    expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('output directory was left untouched'));
+
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('restores the previous version of a file that failed to download', async () => {
+    mockPathExists.mockResolvedValue(true);
+    mockReaddir.mockResolvedValue(['.gde-manifest.json']);
+    mockReadJson.mockResolvedValue({
+      files: [{ output: 'guide.md', sha: 'old-sha', source: 'docs/guide.md' }],
+      version: 1,
+    });
+    const implementation = mockGetContent.getMockImplementation();
+    mockGetContent.mockImplementation((parameters) => (parameters.path === 'docs/guide.md'
+      ? Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+      : implementation(parameters)));
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await extract(options);
+
+    expect(mockCopy).toHaveBeenCalledWith(path.join(options.out, 'guide.md'), path.join(stagingDirectory, 'guide.md'));
+    expect(getSyncManifest().files).toContainEqual({ output: 'guide.md', sha: 'old-sha', source: 'docs/guide.md' });
+
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('refuses to replace a non-empty directory not created by gde', async () => {
+    mockPathExists.mockResolvedValue(true);
+    mockReaddir.mockResolvedValue(['.bashrc', 'Documents']);
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(extract(options)).rejects.toThrow('was not created by gde');
+
+    expect(mockGetTree).not.toHaveBeenCalled();
+    expect(mockEmptyDir).not.toHaveBeenCalled();
+    expect(mockRename).not.toHaveBeenCalled();
+
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('replaces a foreign directory with --force', async () => {
+    mockPathExists.mockResolvedValue(true);
+    mockReaddir.mockResolvedValue(['notes.txt']);
+    mockReadJson.mockResolvedValue(undefined);
+
+    await extract({ ...options, force: true });
+
+    expect(mockRename).toHaveBeenLastCalledWith(stagingDirectory, options.out);
+  });
+
+  it('reports the files filtered out by each rule', async () => {
+    const consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    await extract({ ...options, exclude: ['api'], include: ['**/*.md'], paths: ['docs', 'guides'] });
+
+    expect(mockWriteFile).toHaveBeenCalledTimes(2);
+    expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Filtered out: 1 files by --exclude "api".'));
+
+    consoleLogSpy.mockRestore();
+  });
+
+  describe('with colliding filenames', () => {
+    const collidingFiles = [
+      { type: 'file', path: 'docs/api-v2/intro.md', name: 'intro.md' },
+      { type: 'file', path: 'docs/api/v2-intro.md', name: 'v2-intro.md' },
+    ];
+    let consoleWarnSpy;
+    let consoleLogSpy;
+
+    beforeEach(() => {
+      consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      mockGetTree.mockResolvedValue({
+        data: {
+          tree: collidingFiles.map((file) => ({ type: 'blob', path: file.path, sha: `sha-${file.name}` })),
+          truncated: false,
+        },
+      });
+      mockGetContent.mockResolvedValue({ data: { content: Buffer.from('content').toString('base64') } });
+    });
+
+    afterEach(() => {
+      consoleWarnSpy.mockRestore();
+      consoleLogSpy.mockRestore();
+    });
+
+    it('writes every file under a distinct name and reports the collision', async () => {
+      await extract({ ...options, onCollision: 'suffix' });
+
+      const writtenFiles = mockWriteFile.mock.calls.map(([filePath]) => path.basename(filePath));
+      expect(writtenFiles).toHaveLength(2);
+      expect(new Set(writtenFiles).size).toBe(2);
+      expect(writtenFiles).toContain('api-v2-intro.md');
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('1 filename collisions found'));
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('docs/api/v2-intro.md → api-v2-intro-'));
+    });
+
+    it('skips the colliding file and reports it with the skip policy', async () => {
+      await extract({ ...options, onCollision: 'skip' });
+
+      expect(mockWriteFile).toHaveBeenCalledOnce();
+      expect(mockGetContent).toHaveBeenCalledWith(expect.objectContaining({ path: 'docs/api-v2/intro.md' }));
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('docs/api/v2-intro.md skipped'));
+    });
+
+    it('fails before writing anything with the error policy', async () => {
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(extract({ ...options, onCollision: 'error' })).rejects.toThrow('Filename collisions found');
+      expect(mockEmptyDir).not.toHaveBeenCalled();
+      expect(mockGetContent).not.toHaveBeenCalled();
+
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('with large or binary files', () => {
+    const largeContent = `# API reference\n${'x'.repeat(1024 * 1024)}`;
+    let consoleWarnSpy;
+
+    const useTreeSizes = (sizes) => mockGetTree.mockResolvedValue({
+      data: {
+        tree: allMockFiles.map((file) => ({
+          path: file.path,
+          sha: `sha-${file.name}`,
+          size: sizes[file.path] ?? 20,
+          type: 'blob',
+        })),
+        truncated: false,
+      },
+    });
+
+    beforeEach(() => {
+      consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mockGetBlob.mockResolvedValue({
+        data: { content: Buffer.from(largeContent).toString('base64'), encoding: 'base64' },
+      });
+    });
+
+    afterEach(() => {
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('reads the blob of a file that the contents API does not inline', async () => {
+      const implementation = mockGetContent.getMockImplementation();
+      mockGetContent.mockImplementation((parameters) => (parameters.path === 'docs/api/getting-started.mdx'
+        ? Promise.resolve({
+          data: { content: '', encoding: 'none', sha: 'sha-getting-started.mdx', size: largeContent.length },
+        })
+        : implementation(parameters)));
+
+      const result = await extract(options);
+
+      expect(result).toEqual({ downloaded: mockDocsFiles.length, failed: [] });
+      expect(mockGetBlob).toHaveBeenCalledWith({ file_sha: 'sha-getting-started.mdx', owner: 'test-owner', repo: 'test-repo' });
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'api-getting-started.mdx'), largeContent);
+    });
+
+    it('reads the blob directly when the tree lists a file larger than 1 MB', async () => {
+      useTreeSizes({ 'docs/guide.md': largeContent.length });
+
+      await extract(options);
+
+      expect(mockGetBlob).toHaveBeenCalledOnce();
+      expect(mockGetBlob).toHaveBeenCalledWith({ file_sha: 'sha-guide.md', owner: 'test-owner', repo: 'test-repo' });
+      expect(mockGetContent).not.toHaveBeenCalledWith(expect.objectContaining({ path: 'docs/guide.md' }));
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'guide.md'), largeContent);
+    });
+
+    it('skips and reports the files larger than --max-file-size', async () => {
+      useTreeSizes({ 'docs/guide.md': 3 * 1024 * 1024 });
+
+      const result = await extract({ ...options, maxFileSize: 2 * 1024 * 1024 });
+
+      expect(result).toEqual({ downloaded: 1, failed: [] });
+      expect(consoleWarnSpy.mock.calls.slice(-2).map(([message]) => message)).toEqual([
+        expect.stringContaining('1 files larger than 2.0 MB (--max-file-size) were skipped:'),
+        expect.stringContaining('  - docs/guide.md (3.0 MB)'),
+      ]);
+      expect(mockGetBlob).not.toHaveBeenCalled();
+      expect(getSyncManifest().files.map((entry) => entry.source)).toEqual(['docs/api/getting-started.mdx']);
+    });
+
+    it('reports the files larger than --max-file-size when other files fail, and with --dry-run', async () => {
+      useTreeSizes({ 'docs/guide.md': 3 * 1024 * 1024 });
+      mockGetContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await extract({ ...options, maxFileSize: 2 * 1024 * 1024 });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('docs/api/getting-started.mdx: Not Found'));
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('  - docs/guide.md (3.0 MB)'));
+
+      consoleWarnSpy.mockClear();
+      await extract({ ...options, dryRun: true, maxFileSize: 2 * 1024 * 1024 });
+
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('  - docs/guide.md (3.0 MB)'));
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('reports binary and non-UTF-8 content instead of writing it', async () => {
+      mockGetContent.mockImplementation(({ path: requestedPath }) => Promise.resolve({
+        data: {
+          content: (requestedPath === 'docs/guide.md' ? Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x00]) : Buffer.from('caf\u00E9', 'latin1'))
+            .toString('base64'),
+        },
+      }));
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await extract({ ...options, concurrency: 1 });
+
+      expect(result.downloaded).toBe(0);
+      expect(result.failed.map(({ error }) => error.message)).toEqual([
+        'docs/guide.md was not extracted: it contains NUL bytes, so it is binary or encoded in UTF-16.',
+        'docs/api/getting-started.mdx was not extracted: it is not valid UTF-8 text.',
+      ]);
+      expect(mockWriteFile).not.toHaveBeenCalledWith(path.join(stagingDirectory, 'guide.md'), expect.anything());
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('with symbolic links and submodules', () => {
+    let consoleWarnSpy;
+
+    const useTree = (repositories) => mockGetTree.mockImplementation(({ repo }) => Promise.resolve({
+      data: { tree: repositories[repo], truncated: false },
+    }));
+
+    beforeEach(() => {
+      consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mockGetContent.mockImplementation(({ path: requestedPath, repo }) => Promise.resolve({
+        data: { content: Buffer.from(`Content for ${repo}/${requestedPath}`).toString('base64') },
+      }));
+    });
+
+    afterEach(() => {
+      consoleWarnSpy.mockRestore();
+    });
+
+    describe('with --follow-symlinks', () => {
+      beforeEach(() => {
+        useTree({
+          'test-repo': [
+            { path: 'docs', type: 'tree' },
+            { path: 'docs/guide.md', sha: 'sha-guide.md', type: 'blob' },
+            { mode: '120000', path: 'docs/shared', sha: 'sha-link', type: 'blob' },
+            { path: 'shared', type: 'tree' },
+            { path: 'shared/intro.md', sha: 'sha-intro.md', type: 'blob' },
+          ],
+        });
+        mockGetBlob.mockResolvedValue({ data: { content: Buffer.from('../shared').toString('base64'), encoding: 'base64' } });
+      });
+
+      it('extracts the files of a linked directory from where they are', async () => {
+        await extract({ ...options, followSymlinks: true, frontmatter: true });
+
+        expect(mockGetBlob).toHaveBeenCalledWith({ file_sha: 'sha-link', owner: 'test-owner', repo: 'test-repo' });
+        expect(mockGetContent).toHaveBeenCalledWith(expect.objectContaining({ path: 'shared/intro.md', ref: 'commit-sha' }));
+        expect(mockGetContent).not.toHaveBeenCalledWith(expect.objectContaining({ path: 'docs/shared/intro.md' }));
+        expect(getSyncManifest().files.map((entry) => [entry.source, entry.output])).toEqual([
+          ['docs/guide.md', 'guide.md'],
+          ['docs/shared/intro.md', 'shared-intro.md'],
+        ]);
+
+        const intro = mockWriteFile.mock.calls.find(([filePath]) => filePath.endsWith('intro.md'))[1];
+        expect(intro).toContain('Content for test-repo/shared/intro.md');
+        expect(intro).toContain('  url: "https://github.com/test-owner/test-repo/blob/commit-sha/shared/intro.md"\n');
+        expect(consoleWarnSpy).not.toHaveBeenCalled();
+      });
+
+      it('reports the links it does not follow', async () => {
+        await extract(options);
+
+        expect(mockGetBlob).not.toHaveBeenCalled();
+        expect(getSyncManifest().files.map((entry) => entry.source)).toEqual(['docs/guide.md']);
+        expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining(
+          'Skipping 1 symbolic links or submodules: docs/shared (symbolic link, use --follow-symlinks to follow it).',
+        ));
+      });
+    });
+
+    describe('with --submodules', () => {
+      beforeEach(() => {
+        useTree({
+          site: [
+            { path: 'docs', type: 'tree' },
+            { path: 'docs/intro.md', sha: 'sha-intro.md', type: 'blob' },
+          ],
+          'test-repo': [
+            { path: '.gitmodules', sha: 'sha-gitmodules', type: 'blob' },
+            { path: 'docs', type: 'tree' },
+            { path: 'docs/guide.md', sha: 'sha-guide.md', type: 'blob' },
+            { mode: '160000', path: 'docs/site', sha: 'pinned-sha', type: 'commit' },
+          ],
+        });
+        mockGetContent.mockImplementation(({ path: requestedPath, repo }) => Promise.resolve({
+          data: {
+            content: Buffer.from(requestedPath === '.gitmodules'
+              ? '[submodule "site"]\n\tpath = docs/site\n\turl = ../site.git\n'
+              : `Content for ${repo}/${requestedPath}`).toString('base64'),
+          },
+        }));
+        mockGetCommit.mockImplementation(({ ref, repo }) => Promise.resolve({
+          data: { commit: { tree: { sha: `${repo}-tree` } }, sha: ref ?? 'commit-sha' },
+        }));
+      });
+
+      it('extracts the files of a submodule at its pinned commit', async () => {
+        await extract({ ...options, frontmatter: true, submodules: true });
+
+        expect(mockGetCommit).toHaveBeenCalledWith(expect.objectContaining({ owner: 'test-owner', ref: 'pinned-sha', repo: 'site' }));
+        expect(mockGetTree).toHaveBeenCalledWith(expect.objectContaining({ repo: 'site', tree_sha: 'site-tree' }));
+        expect(mockGetContent).toHaveBeenCalledWith(expect.objectContaining({ path: 'docs/intro.md', ref: 'pinned-sha', repo: 'site' }));
+        expect(getSyncManifest().files.map((entry) => [entry.source, entry.output])).toEqual([
+          ['docs/guide.md', 'guide.md'],
+          ['docs/site/docs/intro.md', 'site-docs-intro.md'],
+        ]);
+
+        const intro = mockWriteFile.mock.calls.find(([filePath]) => filePath.endsWith('intro.md'))[1];
+        expect(intro).toContain('Content for site/docs/intro.md');
+        expect(intro).toContain('  url: "https://github.com/test-owner/site/blob/pinned-sha/docs/intro.md"\n');
+      });
+
+      it('reports the submodules it does not follow', async () => {
+        await extract(options);
+
+        expect(mockGetContent).not.toHaveBeenCalledWith(expect.objectContaining({ path: '.gitmodules' }));
+        expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining(
+          'docs/site (submodule, use --submodules to follow it)',
+        ));
+      });
+
+      it('reports the submodules hosted elsewhere', async () => {
+        mockGetContent.mockImplementation(({ path: requestedPath }) => Promise.resolve({
+          data: {
+            content: Buffer.from(requestedPath === '.gitmodules'
+              ? '[submodule "site"]\n\tpath = docs/site\n\turl = https://bitbucket.org/owner/site.git\n'
+              : `Content for ${requestedPath}`).toString('base64'),
+          },
+        }));
+
+        await extract({ ...options, submodules: true });
+
+        expect(getSyncManifest().files.map((entry) => entry.source)).toEqual(['docs/guide.md']);
+        expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining(
+          'docs/site (submodule that cannot be read: https://bitbucket.org/owner/site.git is not a GitHub, GitLab or Gitea repository)',
+        ));
+      });
+    });
+  });
+
+  describe('with --layout and --name-template', () => {
+    let consoleLogSpy;
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+    });
+
+    it('writes the original folders with the preserve layout', async () => {
+      await extract({ ...options, layout: 'preserve' });
+
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'api', 'getting-started.mdx'), expect.any(String));
+      expect(getSyncManifest().files).toContainEqual({
+        output: 'api/getting-started.mdx',
+        sha: 'sha-getting-started.mdx',
+        source: 'docs/api/getting-started.mdx',
+      });
+    });
+
+    it('names files with the name template', async () => {
+      await extract({ ...options, nameTemplate: '{name}.{dirs}{ext}' });
+
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'getting-started.api.mdx'), expect.any(String));
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'guide.md'), expect.any(String));
+    });
+
+    it('rejects filenames that cannot be written before downloading anything', async () => {
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockGetTree.mockResolvedValue({
+        data: { tree: [{ type: 'blob', path: 'docs/CON/guide.md', sha: 'sha-guide.md' }], truncated: false },
+      });
+
+      await expect(extract({ ...options, nameTemplate: '{dirs}{ext}.{name}' })).rejects.toThrow(
+        'The name template "{dirs}{ext}.{name}" produces invalid filenames: docs/CON/guide.md → "CON.md.guide" (it is a reserved name on Windows).',
+      );
+      expect(mockGetContent).not.toHaveBeenCalled();
+
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('with relative links', () => {
+    const linkedFiles = {
+      'docs/guide.md': '[Hooks](api/hooks.md#usage) ![Logo](../assets/logo.png) [Missing](./missing.md) [Home](/)',
+      'docs/api/hooks.md': 'See the [guide](../guide) and the [source](../../src/index.js).',
+    };
+    let consoleWarnSpy;
+    let consoleLogSpy;
+
+    const getWrittenContent = (filename) => mockWriteFile.mock.calls
+      .find(([filePath]) => path.basename(filePath) === filename)[1];
+
+    beforeEach(() => {
+      consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      mockGetTree.mockResolvedValue({
+        data: {
+          tree: [
+            ...Object.keys(linkedFiles).map((filePath) => ({ type: 'blob', path: filePath, sha: `sha-${filePath}` })),
+            { type: 'blob', path: 'assets/logo.png', sha: 'sha-logo' },
+            { type: 'tree', path: 'src', sha: 'sha-src' },
+            { type: 'blob', path: 'src/index.js', sha: 'sha-index' },
+          ],
+          truncated: false,
+        },
+      });
+      mockGetContent.mockImplementation(({ path: requestedPath }) => Promise.resolve({
+        data: { content: Buffer.from(linkedFiles[requestedPath]).toString('base64') },
+      }));
+    });
+
+    afterEach(() => {
+      consoleWarnSpy.mockRestore();
+      consoleLogSpy.mockRestore();
+    });
+
+    it('points links to the output of extracted files and to GitHub otherwise', async () => {
+      await extract(options);
+
+      expect(getWrittenContent('guide.md')).toBe(
+        '[Hooks](api-hooks.md#usage) ![Logo](https://github.com/test-owner/test-repo/raw/commit-sha/assets/logo.png) [Missing](./missing.md) [Home](/)',
+      );
+      expect(getWrittenContent('api-hooks.md')).toBe(
+        'See the [guide](guide.md) and the [source](https://github.com/test-owner/test-repo/blob/commit-sha/src/index.js).',
+      );
+    });
+
+    it('reports links to paths missing from the repository', async () => {
+      await extract(options);
+
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('1 broken links found in the upstream docs'));
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('docs/guide.md: ./missing.md'));
+    });
+
+    it('records the link targets of every file in the sync manifest', async () => {
+      await extract(options);
+
+      const manifest = getSyncManifest();
+      expect(manifest.files).toContainEqual({
+        links: ['assets/logo.png', 'docs/api/hooks.md', 'docs/missing.md'],
+        output: 'guide.md',
+        sha: 'sha-docs/guide.md',
+        source: 'docs/guide.md',
+      });
+    });
+
+    it('keeps links as they are with --no-rewrite-links', async () => {
+      await extract({ ...options, rewriteLinks: false });
+
+      expect(getWrittenContent('guide.md')).toBe(linkedFiles['docs/guide.md']);
+      expect(consoleWarnSpy).not.toHaveBeenCalledWith(expect.stringContaining('broken links'));
+      expect(mockWriteJson).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ transforms: expect.objectContaining({ rewriteLinks: false }) }),
+        { spaces: 2 },
+      );
+    });
+  });
+
+  describe('with --assets', () => {
+    const guide = '![Logo](img/logo.png) ![Big](img/big.png) ![Remote](https://example.com/remote.png)';
+    let consoleWarnSpy;
+    let consoleLogSpy;
+
+    beforeEach(() => {
+      consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      mockGetTree.mockResolvedValue({
+        data: {
+          tree: [
+            { path: 'docs/guide.md', sha: 'sha-guide', size: guide.length, type: 'blob' },
+            { path: 'docs/img/logo.png', sha: 'sha-logo', size: 100, type: 'blob' },
+            { path: 'docs/img/big.png', sha: 'sha-big', size: 5 * 1024 * 1024, type: 'blob' },
+            { path: 'docs/img/unused.png', sha: 'sha-unused', size: 100, type: 'blob' },
+          ],
+          truncated: false,
+        },
+      });
+      mockGetContent.mockImplementation(({ path: requestedPath }) => Promise.resolve({
+        data: { content: Buffer.from(requestedPath === 'docs/guide.md' ? guide : 'PNG').toString('base64') },
+      }));
+    });
+
+    afterEach(() => {
+      consoleWarnSpy.mockRestore();
+      consoleLogSpy.mockRestore();
+    });
+
+    it('downloads the referenced assets into the assets folder and points references to them', async () => {
+      await extract({ ...options, assets: true });
+
+      expect(mockWriteFile).toHaveBeenCalledWith(
+        path.join(stagingDirectory, 'assets', 'docs-img-logo.png'),
+        Buffer.from('PNG'),
+      );
+      expect(mockGetContent).not.toHaveBeenCalledWith(expect.objectContaining({ path: 'docs/img/unused.png' }));
+      expect(mockGetContent).not.toHaveBeenCalledWith(expect.objectContaining({ path: 'docs/img/big.png' }));
+
+      const [, content] = mockWriteFile.mock.calls.find(([filePath]) => filePath.endsWith('guide.md'));
+      expect(content).toBe(
+        '![Logo](assets/docs-img-logo.png) ![Big](https://github.com/test-owner/test-repo/raw/commit-sha/docs/img/big.png) ![Remote](https://example.com/remote.png)',
+      );
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('1 assets larger than 1.0 MB are linked to GitHub'));
+    });
+
+    it('records the extracted assets in the sync manifest', async () => {
+      await extract({ ...options, assets: true });
+
+      const manifest = getSyncManifest();
+      expect(manifest.assets).toEqual([{ output: 'assets/docs-img-logo.png', sha: 'sha-logo', source: 'docs/img/logo.png' }]);
+      expect(manifest.transforms.assets).toBe(DEFAULT_MAX_ASSET_SIZE);
+    });
+
+    it('links assets larger than --max-asset-size to GitHub', async () => {
+      await extract({ ...options, assets: true, maxAssetSize: 10 });
+
+      expect(mockWriteFile).toHaveBeenCalledOnce();
+      expect(mockWriteFile.mock.calls[0][1]).toContain('![Logo](https://github.com/test-owner/test-repo/raw/commit-sha/docs/img/logo.png)');
+    });
+
+    it('skips assets found larger than --max-asset-size once downloaded when the tree does not list their size', async () => {
+      const { data } = await mockGetTree();
+      mockGetTree.mockResolvedValue({
+        data: { ...data, tree: data.tree.map(({ size, ...entry }) => (entry.path === 'docs/img/logo.png' ? entry : { ...entry, size })) },
+      });
+
+      await extract({ ...options, assets: true, maxAssetSize: 2 });
+
+      expect(mockGetContent).toHaveBeenCalledWith(expect.objectContaining({ path: 'docs/img/logo.png' }));
+      expect(mockWriteFile).toHaveBeenCalledOnce();
+      expect(mockRemove).toHaveBeenCalledWith(path.join(stagingDirectory, 'assets', 'docs-img-logo.png'));
+      expect(getSyncManifest().assets).toEqual([]);
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 assets larger than 2 B (--max-asset-size)'));
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('docs/img/logo.png (3 B)'));
+    });
+
+    it('only downloads new assets and removes the ones no longer referenced with --sync', async () => {
+      mockPathExists.mockResolvedValue(true);
+      mockReadJson.mockResolvedValue({
+        assets: [{ output: 'assets/docs-img-old.png', sha: 'sha-old', source: 'docs/img/old.png' }],
+        commit: 'previous-sha',
+        files: [{ links: ['docs/img/big.png', 'docs/img/logo.png'], output: 'guide.md', sha: 'sha-guide', source: 'docs/guide.md' }],
+        ref: 'main',
+        repository: 'test-owner/test-repo',
+        transforms: { assets: DEFAULT_MAX_ASSET_SIZE, frontmatter: false, rewriteLinks: true },
+        version: 1,
+      });
+
+      await extract({ ...options, assets: true, sync: true });
+
+      expect(mockWriteFile).toHaveBeenCalledOnce();
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'assets', 'docs-img-logo.png'), expect.any(Buffer));
+      expect(mockRemove).toHaveBeenCalledWith(path.join(stagingDirectory, 'assets', 'docs-img-old.png'));
+    });
+
+    it('cannot be used with --no-rewrite-links', async () => {
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(extract({ ...options, assets: true, rewriteLinks: false })).rejects.toThrow('--no-rewrite-links');
+      expect(mockGetTree).not.toHaveBeenCalled();
+
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('with --mdx-to-md', () => {
+    const mdxFiles = {
+      'docs/guide.md': 'Start with [the API](api/getting-started.mdx).',
+      'docs/api/getting-started.mdx': "import Tabs from '@theme/Tabs';\n\n# API\n\n<Steps>\nInstall it.\n</Steps>\n",
+    };
+    let consoleLogSpy;
+
+    const getWrittenContent = (filename) => mockWriteFile.mock.calls
+      .find(([filePath]) => path.basename(filePath) === filename)?.[1];
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      mockGetContent.mockImplementation(({ path: requestedPath }) => Promise.resolve({
+        data: { content: Buffer.from(mdxFiles[requestedPath]).toString('base64') },
+      }));
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+    });
+
+    it('writes MDX files as converted .md files and points links to them', async () => {
+      await extract({ ...options, mdxToMd: true });
+
+      expect(getWrittenContent('api-getting-started.mdx')).toBeUndefined();
+      expect(getWrittenContent('api-getting-started.md')).toBe('# API\n\nInstall it.\n');
+      expect(getWrittenContent('guide.md')).toBe('Start with [the API](api-getting-started.md).');
+      expect(mockWriteJson).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ transforms: expect.objectContaining({ mdxToMd: DEFAULT_UNKNOWN_COMPONENTS }) }),
+        { spaces: 2 },
+      );
+    });
+
+    it('handles unknown components with --unknown-components', async () => {
+      await extract({ ...options, mdxToMd: true, unknownComponents: 'strip' });
+
+      expect(getWrittenContent('api-getting-started.md')).toBe('# API\n');
+    });
+  });
+
+  describe('from a local repository', () => {
+    let consoleLogSpy;
+
+    const openLocalRepository = (remoteUrl) => vi.spyOn(local, 'openLocalRepository').mockResolvedValue({
+      directory: '/work/test-repo',
+      fetchTree: vi.fn().mockResolvedValue({
+        entries: allMockFiles.map((file) => ({ type: 'blob', path: file.path, sha: `sha-${file.name}` })),
+        truncated: false,
+      }),
+      name: 'test-repo',
+      readFile: vi.fn((filePath) => Promise.resolve(Buffer.from(`Content for ${filePath}`))),
+      remoteUrl,
+      resolveCommit: vi.fn().mockResolvedValue({ ref: 'main', sha: 'commit-sha', treeSha: 'tree-sha' }),
+      toUrl: (filePath) => `file:///work/test-repo/${filePath}`,
+    });
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2026-01-02T03:04:05.000Z'));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      local.openLocalRepository.mockRestore();
+      consoleLogSpy.mockRestore();
+    });
+
+    it('writes the same files as the extraction of the same commit through the API', async () => {
+      const localOptions = { ...options, frontmatter: true, llmsTxt: true, paths: ['docs', 'guides'] };
+      await extract(localOptions);
+      const fromGitHub = [...mockWriteFile.mock.calls, ...mockWriteJson.mock.calls];
+      vi.clearAllMocks();
+      openLocalRepository('git@github.com:test-owner/test-repo.git');
+
+      await extract({ ...localOptions, repo: './test-repo' });
+
+      expect([...mockWriteFile.mock.calls, ...mockWriteJson.mock.calls]).toEqual(fromGitHub);
+      expect(local.openLocalRepository).toHaveBeenCalledWith('./test-repo');
+      expect(mockGetCommit).not.toHaveBeenCalled();
+      expect(mockGetTree).not.toHaveBeenCalled();
+      expect(mockGetContent).not.toHaveBeenCalled();
+      expect(mockGetRateLimit).not.toHaveBeenCalled();
+    });
+
+    it('is named after its directory and links to local files without a GitHub remote', async () => {
+      openLocalRepository();
+
+      await extract({ ...options, frontmatter: true, repo: '/work/test-repo' });
+
+      const guide = mockWriteFile.mock.calls.find(([filePath]) => path.basename(filePath) === 'guide.md')[1];
+      expect(guide).toContain('  repository: "test-repo"\n');
+      expect(guide).toContain('  url: "file:///work/test-repo/docs/guide.md"\n');
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Source: test-repo@main (commit commit-sha)'));
+    });
+  });
+
+  describe('from a GitHub Enterprise instance', () => {
+    afterEach(() => {
+      vi.unstubAllEnvs();
+      selectGitHubInstance();
+    });
+
+    it('reads the repository through the API set with --api-url and links to its web pages', async () => {
+      await extract({
+        ...options,
+        apiUrl: 'https://ghe.example.com/api/v3/',
+        frontmatter: true,
+        repo: 'git@ghe.example.com:test-owner/test-repo.git',
+      });
+
+      expect(Octokit).toHaveBeenLastCalledWith(expect.objectContaining({ baseUrl: 'https://ghe.example.com/api/v3' }));
+      expect(mockGetCommit).toHaveBeenCalledWith({ owner: 'test-owner', ref: 'main', repo: 'test-repo' });
+      const guide = mockWriteFile.mock.calls.find(([filePath]) => path.basename(filePath) === 'guide.md')[1];
+      expect(guide).toContain('  url: "https://ghe.example.com/test-owner/test-repo/blob/commit-sha/docs/guide.md"\n');
+    });
+
+    it('defaults to the API set in GITHUB_API_URL', async () => {
+      vi.stubEnv('GITHUB_API_URL', 'https://api.acme.ghe.com');
+
+      await extract({ ...options, repo: 'https://acme.ghe.com/test-owner/test-repo' });
+
+      expect(Octokit).toHaveBeenLastCalledWith(expect.objectContaining({ baseUrl: 'https://api.acme.ghe.com' }));
+      expect(mockWriteFile).toHaveBeenCalledWith(expect.stringContaining('guide.md'), 'Content for docs/guide.md');
+    });
+
+    it('rejects an API URL that is not an http(s) URL', async () => {
+      vi.stubEnv('GITHUB_API_URL', 'ghe.example.com');
+
+      await expect(extract(options)).rejects.toThrow('Invalid GitHub API URL "ghe.example.com"');
+    });
+  });
+
+  describe('from a GitLab or Gitea repository', () => {
+    let consoleErrorSpy;
+    let consoleLogSpy;
+
+    const openProvider = (overrides = {}) => vi.spyOn(providers, 'openProvider').mockReturnValue({
+      fetchTree: vi.fn().mockResolvedValue({
+        entries: allMockFiles.map((file) => ({ type: 'blob', path: file.path, sha: `sha-${file.name}` })),
+        truncated: false,
+      }),
+      label: 'GitLab',
+      name: 'group/test-repo',
+      readFile: vi.fn((filePath) => Promise.resolve(Buffer.from(`Content for ${filePath}`))),
+      resolveCommit: vi.fn().mockResolvedValue({ ref: 'main', sha: 'commit-sha', treeSha: 'commit-sha' }),
+      resolveReferenceAndPath: vi.fn().mockResolvedValue({ path: 'docs', ref: 'release/1.0' }),
+      toUrl: (reference, filePath) => `https://gitlab.com/group/test-repo/-/blob/${reference}/${filePath}`,
+      tokenVariable: 'GITLAB_TOKEN',
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      providers.openProvider.mockRestore();
+      consoleErrorSpy.mockRestore();
+      consoleLogSpy.mockRestore();
+    });
+
+    it('reads the repository through the API of its host', async () => {
+      openProvider();
+
+      await extract({ ...options, frontmatter: true, repo: 'https://gitlab.com/group/test-repo' });
+
+      expect(providers.openProvider).toHaveBeenCalledWith(expect.objectContaining({
+        owner: 'group',
+        provider: 'gitlab',
+        repo: 'test-repo',
+      }));
+      const guide = mockWriteFile.mock.calls.find(([filePath]) => path.basename(filePath) === 'guide.md')[1];
+      expect(guide).toContain('  repository: "group/test-repo"\n');
+      expect(guide).toContain('  url: "https://gitlab.com/group/test-repo/-/blob/commit-sha/docs/guide.md"\n');
+      expect(mockGetCommit).not.toHaveBeenCalled();
+      expect(mockGetTree).not.toHaveBeenCalled();
+      expect(mockGetRateLimit).not.toHaveBeenCalled();
+    });
+
+    it('splits the ref and path of a tree URL with the refs of the repository', async () => {
+      openProvider();
+
+      await extract({ ...options, paths: undefined, repo: 'https://gitlab.com/group/test-repo/-/tree/release/1.0/docs' });
+
+      const { resolveCommit, resolveReferenceAndPath } = providers.openProvider.mock.results[0].value;
+      expect(resolveReferenceAndPath).toHaveBeenCalledWith('release/1.0/docs');
+      expect(resolveCommit).toHaveBeenCalledWith('release/1.0');
+      expect(mockWriteFile).toHaveBeenCalledWith(expect.stringContaining('guide.md'), 'Content for docs/guide.md');
+    });
+
+    it('names the token variable of the provider when access is denied', async () => {
+      openProvider({
+        resolveCommit: vi.fn().mockRejectedValue(Object.assign(new Error('Unauthorized'), { status: 401 })),
+      });
+
+      await expect(extract({ ...options, repo: 'https://gitlab.com/group/test-repo' })).rejects.toThrow('Unauthorized');
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Access Denied'));
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Set GITLAB_TOKEN to a token'));
+    });
+  });
+
+  describe('with --llms-txt', () => {
+    let consoleLogSpy;
+
+    const getWrittenContent = (filename) => mockWriteFile.mock.calls
+      .find(([filePath]) => path.basename(filePath) === filename)?.[1];
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+    });
+
+    it('writes llms.txt and llms-full.txt at the root of the output directory', async () => {
+      await extract({ ...options, llmsTxt: true, paths: ['docs', 'guides'] });
+
+      expect(getWrittenContent('llms.txt')).toBe([
+        '# test-owner/test-repo',
+        '',
+        '> Documentation of test-owner/test-repo, extracted from main (commit commit-sha).',
+        '',
+        '## docs',
+        '',
+        '- [guide](guide.md)',
+        '- [getting-started](api-getting-started.mdx)',
+        '',
+        '## guides',
+        '',
+        '- [installation](guides/guides-installation.md)',
+        '',
+      ].join('\n'));
+      expect(getWrittenContent('llms-full.txt')).toContain(
+        'Source: docs/api/getting-started.mdx\nURL: https://github.com/test-owner/test-repo/blob/commit-sha/docs/api/getting-started.mdx',
+      );
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'llms.txt'), expect.any(String));
+      expect(mockWriteJson).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ generated: ['llms.txt', 'llms-full.txt', 'manifest.json'] }),
+        { spaces: 2 },
+      );
+    });
+
+    it('removes the files generated by a previous run when they are no longer requested', async () => {
+      mockPathExists.mockResolvedValue(true);
+      mockReadJson.mockResolvedValue({
+        commit: 'previous-sha',
+        files: [],
+        generated: ['llms.txt', 'llms-full.txt'],
+        ref: 'main',
+        repository: 'test-owner/test-repo',
+        version: 1,
+      });
+
+      await extract({ ...options, sync: true });
+
+      expect(mockRemove).toHaveBeenCalledWith(path.join(stagingDirectory, 'llms.txt'));
+      expect(mockRemove).toHaveBeenCalledWith(path.join(stagingDirectory, 'llms-full.txt'));
+      expect(getSyncManifest().generated).toEqual(['manifest.json']);
+    });
+
+    it('never removes other paths listed as generated by a previous manifest', async () => {
+      mockPathExists.mockResolvedValue(true);
+      mockReadJson.mockResolvedValue({
+        commit: 'previous-sha',
+        files: [],
+        generated: ['guide.md', 'notes/todo.md', 'llms.txt'],
+        ref: 'main',
+        repository: 'test-owner/test-repo',
+        version: 1,
+      });
+
+      await extract(options);
+
+      expect(mockRemove).toHaveBeenCalledWith(path.join(stagingDirectory, 'llms.txt'));
+      expect(mockRemove).not.toHaveBeenCalledWith(path.join(stagingDirectory, 'guide.md'));
+      expect(mockRemove).not.toHaveBeenCalledWith(path.join(stagingDirectory, 'notes', 'todo.md'));
+    });
+  });
+
+  describe('with --format jsonl', () => {
+    let consoleErrorSpy;
+    let consoleLogSpy;
+
+    beforeEach(() => {
+      consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleErrorSpy.mockRestore();
+      consoleLogSpy.mockRestore();
+    });
+
+    it('writes documents.jsonl at the root of the output directory', async () => {
+      const writeJsonlFileSpy = vi.spyOn(jsonl, 'writeJsonlFile').mockResolvedValue(2);
+
+      await extract({ ...options, format: 'jsonl' });
+
+      expect(writeJsonlFileSpy).toHaveBeenCalledWith(
+        stagingDirectory,
+        { commit: 'commit-sha', ref: 'main', repository: 'test-owner/test-repo' },
+        expect.arrayContaining([expect.objectContaining({
+          output: 'guide.md',
+          source: 'docs/guide.md',
+          url: 'https://github.com/test-owner/test-repo/blob/commit-sha/docs/guide.md',
+        })]),
+      );
+      expect(getSyncManifest().generated).toEqual(['documents.jsonl', 'manifest.json']);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('JSONL: 2 records written to documents.jsonl.'));
+
+      writeJsonlFileSpy.mockRestore();
+    });
+
+    it('streams the records to stdout with --out - and prints messages to stderr', async () => {
+      const temporaryDirectory = path.join('/tmp', 'gde-test');
+      const stdoutSpy = vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      mockMkdtemp.mockResolvedValue(temporaryDirectory);
+
+      await extract({ ...options, format: 'jsonl', out: '-', zip: true });
+
+      const records = stdoutSpy.mock.calls.map(([line]) => JSON.parse(line));
+      expect(records.map((record) => record.source)).toEqual(['docs/guide.md', 'docs/api/getting-started.mdx']);
+      expect(records[0]).toMatchObject({
+        bytes: 25,
+        content: 'Content for docs/guide.md',
+        id: 'test-owner/test-repo:guide.md',
+        title: 'guide',
+      });
+      expect(consoleLogSpy).not.toHaveBeenCalled();
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('JSONL: 2 records written to stdout.'));
+      expect(mockArchiveInstance.finalize).not.toHaveBeenCalled();
+      expect(ascii.displaySuccessMessage).not.toHaveBeenCalled();
+      expect(mockRemove).toHaveBeenCalledWith(temporaryDirectory);
+
+      stdoutSpy.mockRestore();
+    });
+  });
+
+  describe('with --chunk', () => {
+    const longGuide = `# Guide\n\n## Install\n\n${'Install it. '.repeat(20)}\n\n## Usage\n\n${'Use it. '.repeat(20)}\n`;
+    let consoleLogSpy;
+
+    const getWrittenContent = (filename) => mockWriteFile.mock.calls
+      .find(([filePath]) => path.basename(filePath) === filename)?.[1];
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      mockGetContent.mockImplementation(({ path: requestedPath }) => Promise.resolve({
+        data: { content: Buffer.from(requestedPath === 'docs/guide.md' ? longGuide : 'Short.').toString('base64') },
+      }));
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+    });
+
+    it('splits large documents into chunks and replaces them with an index', async () => {
+      await extract({ ...options, chunk: { size: 300, unit: 'bytes' } });
+
+      expect(getWrittenContent('guide--guide.md')).toMatch(/^# Guide\n\n## Install\n\nInstall it\./);
+      expect(getWrittenContent('guide--usage.md')).toMatch(/^> Guide\n\n## Usage\n\nUse it\./);
+      expect(getWrittenContent('guide.md')).toContain('- [Guide › Usage](guide--usage.md)');
+      expect(getWrittenContent('api-getting-started.mdx')).toBe('Short.');
+
+      const manifest = getSyncManifest();
+      expect(manifest.files).toContainEqual({
+        chunks: ['guide--guide.md', 'guide--usage.md'],
+        output: 'guide.md',
+        sha: 'sha-guide.md',
+        source: 'docs/guide.md',
+      });
+      expect(manifest.transforms.chunk).toBe('300 bytes');
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('1 documents larger than 300 bytes split into 2 chunks'));
+    });
+
+    it('removes the previous chunks of changed files with --sync', async () => {
+      mockPathExists.mockResolvedValue(true);
+      mockReadJson.mockResolvedValue({
+        commit: 'previous-sha',
+        files: [{ chunks: ['guide--old.md'], output: 'guide.md', sha: 'previous-guide-sha', source: 'docs/guide.md' }],
+        ref: 'main',
+        repository: 'test-owner/test-repo',
+        transforms: { chunk: '300 bytes', rewriteLinks: true },
+        version: 1,
+      });
+
+      await extract({ ...options, chunk: { size: 300, unit: 'bytes' }, sync: true });
+
+      expect(mockRemove).toHaveBeenCalledWith(path.join(stagingDirectory, 'guide--old.md'));
+      expect(getWrittenContent('guide--usage.md')).toBeDefined();
+    });
+  });
+
+  describe('with --dry-run', () => {
+    let consoleLogSpy;
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+    });
+
+    it('prints the plan without downloading or writing anything', async () => {
+      const result = await extract({ ...options, dryRun: true, paths: ['docs', 'guides'] });
+
+      expect(mockGetContent).not.toHaveBeenCalled();
+      expect(mockEmptyDir).not.toHaveBeenCalled();
+      expect(mockWriteFile).not.toHaveBeenCalled();
+      expect(mockWriteJson).not.toHaveBeenCalled();
+      expect(mockRename).not.toHaveBeenCalled();
+      expect(result.downloaded).toBe(0);
+      expect(result.plan.totals.files).toBe(allMockFiles.length);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('guides — 1 files'));
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('guides-installation.md'));
+    });
+
+    it('plans an extraction into a directory that was not created by gde', async () => {
+      mockPathExists.mockResolvedValue(true);
+      mockReaddir.mockResolvedValue(['notes.txt']);
+
+      const result = await extract({ ...options, dryRun: true });
+
+      expect(result.plan.totals.files).toBe(mockDocsFiles.length);
+      await expect(extract(options)).rejects.toThrow('Refusing to replace');
+    });
+
+    it('prints only the plan as JSON on stdout with --json', async () => {
+      await extract({ ...options, dryRun: true, json: true });
+
+      expect(consoleLogSpy).toHaveBeenCalledOnce();
+      const printedPlan = JSON.parse(consoleLogSpy.mock.calls[0][0]);
+      expect(printedPlan).toMatchObject({
+        commit: 'commit-sha',
+        ref: 'main',
+        repository: 'test-owner/test-repo',
+        totals: { files: mockDocsFiles.length },
+      });
+      expect(printedPlan.files.map((file) => file.filename)).toEqual(['guide.md', 'api-getting-started.mdx']);
+    });
+
+    it('prints an empty plan when no files are found', async () => {
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await extract({ ...options, dryRun: true, json: true, paths: ['missing'] });
+
+      expect(result.plan.totals).toEqual({ files: 0, size: 0 });
+      expect(JSON.parse(consoleLogSpy.mock.calls[0][0]).files).toEqual([]);
+
+      consoleWarnSpy.mockRestore();
+    });
+  });
+
+  describe('with --sync', () => {
+    const syncOptions = { ...options, paths: ['docs', 'guides'], sync: true };
+    const previousManifest = {
+      commit: 'previous-sha',
+      files: [
+        // Unchanged.
+        { output: 'guide.md', sha: 'sha-guide.md', source: 'docs/guide.md' },
+        // Changed.
+        { output: 'api-getting-started.mdx', sha: 'old-sha', source: 'docs/api/getting-started.mdx' },
+        // Renamed to guides/installation.md.
+        { output: 'guides/guides-setup.md', sha: 'sha-installation.md', source: 'guides/setup.md' },
+        // Removed.
+        { output: 'guides/guides-legacy.md', sha: 'sha-legacy', source: 'guides/legacy.md' },
+      ],
+      ref: 'main',
+      repository: 'test-owner/test-repo',
+      transforms: { frontmatter: false, rewriteLinks: true },
+      version: 1,
+    };
+    let consoleLogSpy;
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      mockPathExists.mockResolvedValue(true);
+      mockReadJson.mockResolvedValue(previousManifest);
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+    });
+
+    it('only downloads changed files, moves renamed ones and removes deleted ones', async () => {
+      const result = await extract(syncOptions);
+
+      expect(mockCopy).toHaveBeenCalledWith(options.out, stagingDirectory);
+      expect(mockWriteFile).toHaveBeenCalledOnce();
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'api-getting-started.mdx'), expect.any(String));
+      expect(mockMove).toHaveBeenCalledWith(
+        path.join(stagingDirectory, 'guides', 'guides-setup.md'),
+        path.join(stagingDirectory, 'guides', 'guides-installation.md'),
+        { overwrite: true },
+      );
+      expect(mockRemove).toHaveBeenCalledWith(path.join(stagingDirectory, 'guides', 'guides-legacy.md'));
+      expect(mockRemove).not.toHaveBeenCalledWith(path.join(stagingDirectory, 'guide.md'));
+      expect(result).toEqual({ downloaded: 1, failed: [] });
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining('0 added, 1 changed, 1 renamed, 1 removed, 1 unchanged'),
+      );
+    });
+
+    it('extracts everything again, touching nothing outside the output directory, with a manifest listing other paths', async () => {
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mockReadJson.mockResolvedValue({
+        ...previousManifest,
+        files: [...previousManifest.files, { output: '../../victim.md', sha: 'sha-victim', source: 'docs/victim.md' }],
+      });
+
+      const result = await extract(syncOptions);
+
+      expect(result).toEqual({ downloaded: allMockFiles.length, failed: [] });
+      expect(mockRemove).not.toHaveBeenCalledWith(expect.stringContaining('victim'));
+      expect(mockMove).not.toHaveBeenCalled();
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining(
+        'Ignoring .gde-manifest.json from a previous run: it lists "../../victim.md", which is not a path inside the output directory.',
+      ));
+      consoleWarnSpy.mockRestore();
+    });
+
+    it.each([
+      ['with --sync', { sync: true }],
+      ['without --sync', { sync: false }],
+      ['with --force', { force: true }],
+    ])('extracts everything again when the previous manifest is not valid JSON (%s)', async (label, runOptions) => {
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mockReadJson.mockRejectedValue(new SyntaxError('Expected property name or \'}\' in JSON at position 2'));
+
+      const result = await extract({ ...syncOptions, ...runOptions });
+
+      expect(result).toEqual({ downloaded: allMockFiles.length, failed: [] });
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining(
+        'Ignoring .gde-manifest.json from a previous run: it is not valid JSON',
+      ));
+      expect(getSyncManifest().files).toHaveLength(allMockFiles.length);
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('downloads again unchanged files whose output was deleted locally', async () => {
+      mockPathExists.mockImplementation((filePath) => Promise.resolve(!filePath.endsWith('guide.md')));
+
+      await extract(syncOptions);
+
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'guide.md'), expect.any(String));
+      expect(mockWriteFile).toHaveBeenCalledTimes(2);
+    });
+
+    it('downloads everything again when --frontmatter changed since the previous run', async () => {
+      await extract({ ...syncOptions, frontmatter: true });
+
+      expect(mockWriteFile).toHaveBeenCalledTimes(allMockFiles.length);
+      expect(mockMove).not.toHaveBeenCalled();
+      expect(mockRemove).toHaveBeenCalledWith(path.join(stagingDirectory, 'guides', 'guides-setup.md'));
+      expect(mockRemove).toHaveBeenCalledWith(path.join(stagingDirectory, 'guides', 'guides-legacy.md'));
+    });
+
+    it('downloads again unchanged files linking to a file whose output moved', async () => {
+      mockReadJson.mockResolvedValue({
+        ...previousManifest,
+        files: previousManifest.files.map((entry) => (entry.source === 'docs/guide.md'
+          ? { ...entry, links: ['guides/setup'] }
+          : entry)),
+      });
+
+      await extract(syncOptions);
+
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'guide.md'), expect.any(String));
+      expect(mockWriteFile).toHaveBeenCalledTimes(2);
+      expect(mockMove).toHaveBeenCalledOnce();
+    });
+
+    it('downloads again renamed files with links, still counting them as renamed', async () => {
+      mockReadJson.mockResolvedValue({
+        ...previousManifest,
+        files: previousManifest.files.map((entry) => (entry.source === 'guides/setup.md'
+          ? { ...entry, links: ['docs/guide.md'] }
+          : entry)),
+      });
+
+      await extract(syncOptions);
+
+      expect(mockWriteFile).toHaveBeenCalledWith(path.join(stagingDirectory, 'guides', 'guides-installation.md'), expect.any(String));
+      expect(mockMove).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining('0 added, 1 changed, 1 renamed, 1 removed, 1 unchanged'),
+      );
+    });
+
+    it('downloads everything when there is no previous manifest', async () => {
+      mockPathExists.mockResolvedValue(false);
+
+      await extract(syncOptions);
+
+      expect(mockReadJson).not.toHaveBeenCalled();
+      expect(mockWriteFile).toHaveBeenCalledTimes(allMockFiles.length);
+    });
+
+    it('keeps the previous manifest entry of a file that failed to download', async () => {
+      const implementation = mockGetContent.getMockImplementation();
+      mockGetContent.mockImplementation((parameters) => (parameters.path === 'docs/api/getting-started.mdx'
+        ? Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+        : implementation(parameters)));
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await extract(syncOptions);
+
+      const manifest = getSyncManifest();
+      expect(manifest.files).toContainEqual({
+        output: 'api-getting-started.mdx',
+        sha: 'old-sha',
+        source: 'docs/api/getting-started.mdx',
+      });
+
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  it('refuses to start downloading when the quota is insufficient', async () => {
+    mockGetRateLimit
+      .mockResolvedValueOnce({ data: { resources: { core: { limit: 60, remaining: 60, reset: 1_900_000_000 } } } })
+      .mockResolvedValueOnce({ data: { resources: { core: { limit: 60, remaining: 1, reset: 1_900_000_000 } } } });
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(extract(options)).rejects.toThrow('Not enough GitHub API quota');
+    expect(mockEmptyDir).not.toHaveBeenCalled();
+    expect(mockWriteFile).not.toHaveBeenCalled();
+
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('waits for the rate limit reset during downloads with --wait-for-reset', async () => {
+    const implementation = mockGetContent.getMockImplementation();
+    mockGetContent.mockImplementationOnce(() => Promise.reject(Object.assign(new Error('API rate limit exceeded'), {
+      response: { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1900000000' } },
+      status: 403,
+    })));
+    mockGetContent.mockImplementation(implementation);
+
+    const result = await extract({ ...options, waitForReset: true });
+
+    expect(result.failed).toEqual([]);
+    expect(utilities.sleep).toHaveBeenCalledOnce();
+    expect(mockWriteFile).toHaveBeenCalledTimes(mockDocsFiles.length);
+  });
+
+  it('explains permission errors without mentioning rate limits', async () => {
+    const error = Object.assign(new Error('Resource not accessible by personal access token'), {
+      response: { headers: { 'x-ratelimit-remaining': '4999' } },
+      status: 403,
+    });
+    mockGetTree.mockRejectedValueOnce(error);
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(extract(options)).rejects.toThrow('Resource not accessible');
+
+    expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Access Denied'));
+    expect(consoleErrorSpy).not.toHaveBeenCalledWith(expect.stringContaining('API Rate Limit Exceeded'));
+
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('explains bad credentials', async () => {
+    mockGetRateLimit.mockRejectedValueOnce(Object.assign(new Error('Bad credentials'), { status: 401 }));
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(extract(options)).rejects.toThrow('Bad credentials');
+
+    expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Bad Credentials'));
+
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('handles GitHub API rate limit errors gracefully', async () => {
+    const error = new Error('Rate limit exceeded');
+    error.status = 403;
+    error.response = { headers: { 'x-ratelimit-remaining': '0' } };
+
+    mockGetTree.mockRejectedValueOnce(error);
+
+    const consoleErrorSpy = vi
       .spyOn(console, 'error')
       .mockImplementation(() => {});
 
@@ -445,24 +2554,230 @@ describe('extract()', () => {
 
 describe('launchCLI()', () => {
   it('should correctly parse all provided arguments', () => {
-    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo', '--out', './custom-output', '--paths', 'docs', 'guides', '--zip'];
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo', '--out', './custom-output', '--paths', 'docs', 'guides', '--ref', 'v1.0.0', '--zip'];
     const options = launchCLI(argv);
 
     expect(options.repo).toBe('https://github.com/test/repo');
     expect(options.out).toBe('./custom-output');
     expect(options.paths).toEqual(['docs', 'guides']);
+    expect(options.ref).toBe('v1.0.0');
     expect(options.zip).toBe(true);
   });
 
+  it('should collect repeated --include, --exclude and --ext values', () => {
+    const argv = [
+      'node', 'gde', '--repo', 'https://github.com/test/repo',
+      '--exclude', 'blog/**', '--include', 'guides/**', '--exclude', 'CHANGELOG.md', '--ext', '.md', '.rst',
+    ];
+    const options = launchCLI(argv);
+
+    expect(options.exclude).toEqual(['blog/**', 'CHANGELOG.md']);
+    expect(options.include).toEqual(['guides/**']);
+    expect(options.ext).toEqual(['.md', '.rst']);
+  });
+
+  it('should rewrite links unless --no-rewrite-links is set', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
+
+    expect(launchCLI(argv).rewriteLinks).toBe(DEFAULT_REWRITE_LINKS);
+    expect(launchCLI([...argv, '--no-rewrite-links']).rewriteLinks).toBe(false);
+  });
+
+  it('should parse the maximum asset size', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo', '--assets'];
+
+    expect(launchCLI(argv).maxAssetSize).toBe(DEFAULT_MAX_ASSET_SIZE);
+    expect(launchCLI([...argv, '--max-asset-size', '2MB']).maxAssetSize).toBe(2 * 1024 * 1024);
+  });
+
+  it('should parse the maximum file size', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
+
+    expect(launchCLI(argv).maxFileSize).toBe(DEFAULT_MAX_FILE_SIZE);
+    expect(launchCLI([...argv, '--max-file-size', '50MB']).maxFileSize).toBe(50 * 1024 * 1024);
+  });
+
+  it('should follow symbolic links and submodules only when requested', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
+
+    expect(launchCLI(argv)).toMatchObject({ followSymlinks: DEFAULT_FOLLOW_SYMLINKS, submodules: DEFAULT_SUBMODULES });
+    expect(launchCLI([...argv, '--follow-symlinks', '--submodules'])).toMatchObject({
+      followSymlinks: true,
+      submodules: true,
+    });
+  });
+
+  it('should convert MDX files only with --mdx-to-md', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
+
+    expect(launchCLI(argv).mdxToMd).toBe(DEFAULT_MDX_TO_MD);
+    expect(launchCLI(argv).unknownComponents).toBe(DEFAULT_UNKNOWN_COMPONENTS);
+    expect(launchCLI([...argv, '--mdx-to-md', '--unknown-components', 'keep'])).toMatchObject({
+      mdxToMd: true,
+      unknownComponents: 'keep',
+    });
+  });
+
+  it('should parse the layout and the name template', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
+
+    expect(launchCLI(argv)).toMatchObject({ layout: DEFAULT_LAYOUT, onCollision: DEFAULT_ON_COLLISION });
+    expect(launchCLI([...argv, '--layout', 'preserve']).layout).toBe('preserve');
+    expect(launchCLI([...argv, '--name-template', '{dirs}-{name}{ext}']).nameTemplate).toBe('{dirs}-{name}{ext}');
+  });
+
+  it('should make collisions errors with a name template, unless a policy is set', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo', '--name-template', '{name}{ext}'];
+
+    expect(launchCLI(argv).onCollision).toBe('error');
+    expect(launchCLI([...argv, '--on-collision', 'suffix']).onCollision).toBe('suffix');
+  });
+
+  it('should reject an invalid name template', () => {
+    const exitSpy = vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    const stderrSpy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo', '--name-template', '{path}'];
+    expect(() => launchCLI(argv)).toThrow('exit 1');
+    expect(stderrSpy).toHaveBeenCalledWith(expect.stringContaining('Unknown placeholder "{path}" in name template'));
+
+    exitSpy.mockRestore();
+    stderrSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should parse --api-url and reject a value that is not an http(s) URL', () => {
+    const exitSpy = vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    const stderrSpy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const argv = ['node', 'gde', '--repo', 'https://ghe.example.com/test/repo'];
+    expect(launchCLI(argv).apiUrl).toBeUndefined();
+    expect(launchCLI([...argv, '--api-url', 'https://ghe.example.com/api/v3']).apiUrl).toBe('https://ghe.example.com/api/v3');
+    expect(() => launchCLI([...argv, '--api-url', 'ghe.example.com'])).toThrow('exit 1');
+    expect(stderrSpy).toHaveBeenCalledWith(expect.stringContaining('Expected an http(s) URL'));
+
+    exitSpy.mockRestore();
+    stderrSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should write INDEX.md only with --index', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
+
+    expect(launchCLI(argv).index).toBe(DEFAULT_INDEX);
+    expect(launchCLI([...argv, '--index']).index).toBe(true);
+  });
+
+  it('should write llms.txt files only with --llms-txt', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
+
+    expect(launchCLI(argv).llmsTxt).toBe(DEFAULT_LLMS_TXT);
+    expect(launchCLI([...argv, '--llms-txt']).llmsTxt).toBe(true);
+  });
+
+  it('should parse the chunk budget, with a default size', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
+
+    expect(launchCLI(argv).chunk).toBeUndefined();
+    expect(launchCLI([...argv, '--chunk']).chunk).toEqual(chunks.parseChunkBudget(DEFAULT_CHUNK_BUDGET));
+    expect(launchCLI([...argv, '--chunk', '4000 tokens']).chunk).toEqual({ size: 4000, unit: 'tokens' });
+  });
+
+  it('should export JSONL records only with --format jsonl', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
+
+    expect(launchCLI(argv).format).toBe(DEFAULT_FORMAT);
+    expect(launchCLI([...argv, '--format', 'jsonl', '--out', '-'])).toMatchObject({ format: 'jsonl', out: '-' });
+    expect(ascii.displayWelcomeBanner).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject --out - without --format jsonl', () => {
+    const exitSpy = vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    const stderrSpy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo', '--out', '-'];
+    expect(() => launchCLI(argv)).toThrow('exit 1');
+    expect(stderrSpy).toHaveBeenCalledWith(expect.stringContaining('requires --format jsonl'));
+    expect(() => launchCLI([...argv, '--format', 'jsonl', '--zip'])).toThrow('exit 1');
+    expect(stderrSpy).toHaveBeenCalledWith(expect.stringContaining('cannot be used with --dry-run, --sync or --zip'));
+
+    exitSpy.mockRestore();
+    stderrSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should parse the concurrency as a number', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo', '--concurrency', '12'];
+    expect(launchCLI(argv).concurrency).toBe(12);
+  });
+
+  it('should reject an invalid concurrency', () => {
+    const exitSpy = vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    const stderrSpy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo', '--concurrency', '0'];
+    expect(() => launchCLI(argv)).toThrow('exit 1');
+    expect(stderrSpy).toHaveBeenCalledWith(expect.stringContaining('Expected a positive integer.'));
+
+    exitSpy.mockRestore();
+    stderrSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
   it('should apply default values for optional arguments', () => {
     const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
     const options = launchCLI(argv);
 
     expect(options.out).toBe(DEFAULT_OUTPUT_DIRECTORY_PATH);
-    expect(options.paths).toBe(DEFAULT_DOCS_PATH);
+    expect(options.paths).toBeUndefined();
+    expect(options.ref).toBeUndefined();
+    expect(options.concurrency).toBe(DEFAULT_CONCURRENCY);
+    expect(options.waitForReset).toBe(DEFAULT_WAIT_FOR_RESET);
+    expect(options.sync).toBe(DEFAULT_SYNC);
+    expect(options.dryRun).toBe(DEFAULT_DRY_RUN);
+    expect(options.json).toBe(DEFAULT_JSON);
+    expect(options.onCollision).toBe(DEFAULT_ON_COLLISION);
+    expect(options.force).toBe(DEFAULT_FORCE);
     expect(options.zip).toBe(DEFAULT_TO_ZIP);
   });
 
+  it('should enable --dry-run with --json and skip the welcome banner', () => {
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo', '--json'];
+    const options = launchCLI(argv);
+
+    expect(options.json).toBe(true);
+    expect(options.dryRun).toBe(true);
+    expect(ascii.displayWelcomeBanner).not.toHaveBeenCalled();
+  });
+
+  it('should reject an unknown collision policy', () => {
+    const exitSpy = vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    const stderrSpy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo', '--on-collision', 'overwrite'];
+    expect(() => launchCLI(argv)).toThrow('exit 1');
+    expect(stderrSpy).toHaveBeenCalledWith(expect.stringContaining('Allowed choices are error, suffix, skip.'));
+
+    exitSpy.mockRestore();
+    stderrSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
   it('should display the welcome banner', () => {
     const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
     launchCLI(argv);
@@ -470,6 +2785,181 @@ describe('launchCLI()', () => {
   });
 });
 
+// UNIT TEST
+
+describe('launchCLI() with a config file', () => {
+  const configPath = path.join(process.cwd(), 'gde.config.json');
+  const useConfig = (content) => {
+    mockPathExistsSync.mockImplementation((filePath) => filePath === configPath);
+    mockReadJsonSync.mockReturnValue(content);
+  };
+
+  it('applies the top-level options of the config file', () => {
+    useConfig({ concurrency: 8, exclude: 'CHANGELOG.md', repo: 'owner/repo' });
+
+    const options = launchCLI(['node', 'gde']);
+
+    expect(options).toMatchObject({ concurrency: 8, exclude: ['CHANGELOG.md'], repo: 'owner/repo' });
+    expect(options.repositories).toBeUndefined();
+  });
+
+  it('resolves the options of each repository into a subdirectory of --out', () => {
+    useConfig({
+      exclude: ['CHANGELOG.md'],
+      out: './knowledge-base',
+      repos: [
+        { out: 'react-docs', paths: ['packages/react/docs'], repo: 'facebook/react' },
+        { exclude: ['blog/**'], ref: 'v6.0.0', repo: 'https://github.com/vitejs/vite' },
+      ],
+    });
+
+    const { repositories } = launchCLI(['node', 'gde']);
+
+    expect(repositories).toHaveLength(2);
+    expect(repositories[0]).toMatchObject({
+      exclude: ['CHANGELOG.md'],
+      out: path.join('./knowledge-base', 'react-docs'),
+      paths: ['packages/react/docs'],
+      repo: 'facebook/react',
+    });
+    expect(repositories[1]).toMatchObject({
+      exclude: ['blog/**'],
+      out: path.join('./knowledge-base', 'vite'),
+      ref: 'v6.0.0',
+    });
+  });
+
+  it('names the repositories of a GitHub Enterprise instance set in the config file', () => {
+    useConfig({
+      apiUrl: 'https://ghe.example.com/api/v3',
+      out: './kb',
+      repos: [{ repo: 'https://ghe.example.com/design/handbook' }, { repo: 'git@ghe.example.com:design/api.git' }],
+    });
+
+    const options = launchCLI(['node', 'gde']);
+    selectGitHubInstance();
+
+    expect(options.apiUrl).toBe('https://ghe.example.com/api/v3');
+    expect(options.repositories.map(({ out }) => out)).toEqual([path.join('./kb', 'handbook'), path.join('./kb', 'api')]);
+  });
+
+  it('lets command-line options override the config file and every repository', () => {
+    useConfig({ concurrency: 8, out: './kb', repos: [{ ref: 'v1', repo: 'owner/a' }, { repo: 'owner/b' }] });
+
+    const options = launchCLI(['node', 'gde', '--ref', 'main', '--concurrency', '2', '--out', './other']);
+
+    expect(options.concurrency).toBe(2);
+    expect(options.repositories.map(({ out, ref }) => [out, ref])).toEqual([
+      [path.join('./other', 'a'), 'main'],
+      [path.join('./other', 'b'), 'main'],
+    ]);
+  });
+
+  it('reads the config file given with --config and ignores its repositories with --repo', () => {
+    mockReadJsonSync.mockReturnValue({ out: './kb', repos: [{ repo: 'owner/a' }] });
+
+    const options = launchCLI(['node', 'gde', '--config', 'custom.json', '--repo', 'owner/single']);
+
+    expect(mockReadJsonSync).toHaveBeenCalledWith('custom.json');
+    expect(options).toMatchObject({ out: './kb', repo: 'owner/single' });
+    expect(options.repositories).toBeUndefined();
+  });
+
+  it('refuses two repositories extracted to the same directory', () => {
+    useConfig({ repos: [{ repo: 'owner-a/docs' }, { repo: 'owner-b/docs' }] });
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => launchCLI(['node', 'gde'])).toThrow('Repositories owner-a/docs and owner-b/docs are both extracted to');
+
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('requires --repo without a config file', () => {
+    const exitSpy = vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    const stderrSpy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => launchCLI(['node', 'gde', '--zip'])).toThrow('exit 1');
+    expect(stderrSpy).toHaveBeenCalledWith(expect.stringContaining('required option \'-r, --repo <url>\' not specified'));
+
+    exitSpy.mockRestore();
+    stderrSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+});
+
+// INTEGRATION TEST
+
+describe('extractAll()', () => {
+  let consoleLogSpy;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockGetTree.mockResolvedValue({ data: { tree: [{ path: 'docs/guide.md', sha: 'g1', type: 'blob' }], truncated: false } });
+    mockGetContent.mockResolvedValue({ data: { content: Buffer.from('content').toString('base64') } });
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  const batchOptions = {
+    out: './kb',
+    repositories: [
+      { out: path.join('./kb', 'a'), repo: 'owner/a', zip: true },
+      { out: path.join('./kb', 'b'), ref: 'missing', repo: 'owner/b' },
+      { out: path.join('./kb', 'c'), repo: 'owner/c' },
+    ],
+    zip: true,
+  };
+
+  it('extracts every repository, goes on after a failure and prints a combined summary', async () => {
+    mockGetCommit.mockImplementation(({ ref }) => (ref === 'missing'
+      ? Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+      : Promise.resolve({ data: { commit: { tree: { sha: 'tree-sha' } }, sha: 'commit-sha' } })));
+
+    const result = await extractAll(batchOptions);
+
+    expect(mockRename).toHaveBeenCalledWith(staging.getStagingDirectory(path.join('./kb', 'a')), path.join('./kb', 'a'));
+    expect(mockRename).toHaveBeenCalledWith(staging.getStagingDirectory(path.join('./kb', 'c')), path.join('./kb', 'c'));
+    expect(result.downloaded).toBe(2);
+    expect(result.failed).toEqual([{ error: expect.any(Error), path: 'owner/b' }]);
+    expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('✖ owner/b → kb/b: Ref "missing" not found'));
+    expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('✔ owner/c → kb/c: 1 files downloaded'));
+    expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Total: 2 files downloaded from 3 repositories, 1 failures.'));
+  });
+
+  it('creates a single zip archive of the whole output directory', async () => {
+    await extractAll(batchOptions);
+
+    expect(mockArchiveInstance.directory).toHaveBeenCalledOnce();
+    expect(mockArchiveInstance.directory).toHaveBeenCalledWith('./kb', false, expect.any(Function));
+  });
+
+  it('checks the quota for the discovery of all repositories up front', async () => {
+    mockGetRateLimit.mockResolvedValue({ data: { resources: { core: { limit: 60, remaining: 5, reset: 1_900_000_000 } } } });
+
+    await expect(extractAll(batchOptions)).rejects.toThrow('needs about 9 requests');
+    expect(mockGetTree).not.toHaveBeenCalled();
+  });
+
+  it('prints the plans of all repositories as a single JSON document', async () => {
+    const repositories = batchOptions.repositories.filter(({ ref }) => !ref)
+      .map((repositoryOptions) => ({ ...repositoryOptions, dryRun: true, json: true }));
+
+    await extractAll({ ...batchOptions, dryRun: true, json: true, repositories });
+
+    expect(consoleLogSpy).toHaveBeenCalledOnce();
+    expect(JSON.parse(consoleLogSpy.mock.calls[0][0]).map((plan) => plan.repository)).toEqual(['owner/a', 'owner/c']);
+    expect(mockArchiveInstance.directory).not.toHaveBeenCalled();
+  });
+});
+
 // INTEGRATION TEST
 
 describe('run()', () => {
@@ -484,11 +2974,8 @@ describe('run()', () => {
   });
 
   it('should exit with code 0 on success', async () => {
-    const mockFileList = [{ path: 'docs/file.md', name: 'file.md' }];
-    mockGetContent.mockImplementation(({ path: requestedPath }) => {
-      if (requestedPath === 'docs') return Promise.resolve({ data: mockFileList });
-      return Promise.resolve({ data: { content: Buffer.from('content').toString('base64') } });
-    });
+    mockGetTree.mockResolvedValue({ data: { tree: [{ type: 'blob', path: 'docs/file.md' }], truncated: false } });
+    mockGetContent.mockResolvedValue({ data: { content: Buffer.from('content').toString('base64') } });
 
     const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
     await run(argv);
@@ -496,9 +2983,21 @@ describe('run()', () => {
     expect(exitSpy).toHaveBeenCalledWith(0);
   });
 
+  it('should exit with code 1 if some files failed to download', async () => {
+    mockGetTree.mockResolvedValue({ data: { tree: [{ type: 'blob', path: 'docs/file.md' }], truncated: false } });
+    mockGetContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await run(['node', 'gde', '--repo', 'https://github.com/test/repo']);
+
+    expect(exitSpy).toHaveBeenCalledWith(1);
+
+    consoleSpy.mockRestore();
+  });
+
   it('should exit with code 1 if extraction fails', async () => {
     const testError = new Error('API Error');
-    mockGetContent.mockRejectedValue(testError);
+    mockGetTree.mockRejectedValue(testError);
 
     const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
     const argv = ['node', 'gde', '--repo', 'https://github.com/test/repo'];
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+
+import collisions from '../bin/collisions.js';
+
+const { describeCollisions, resolveCollisions } = collisions;
+
+const file = (filePath, output) => ({ output, path: filePath });
+
+// UNIT TEST
+
+describe('resolveCollisions()', () => {
+  const createFiles = () => [
+    file('docs/api/v2-intro.md', 'api-v2-intro.md'),
+    file('docs/guide.md', 'guide.md'),
+    file('docs/api-v2/intro.md', 'api-v2-intro.md'),
+  ];
+
+  it('leaves files untouched when nothing collides', () => {
+    const files = [file('docs/a.md', 'a.md'), file('docs/b.md', 'b.md')];
+
+    expect(resolveCollisions(files, 'error')).toEqual({ collisions: [], files });
+  });
+
+  it('throws with every collision under the error policy', () => {
+    expect(() => resolveCollisions(createFiles(), 'error')).toThrow(
+      'Filename collisions found: api-v2-intro.md (docs/api-v2/intro.md, docs/api/v2-intro.md)',
+    );
+  });
+
+  it('keeps the output for the smallest source path and suffixes the others', () => {
+    const files = createFiles();
+    const { collisions: found, files: resolved } = resolveCollisions(files, 'suffix');
+
+    expect(resolved).toEqual(files);
+    expect(files[2].output).toBe('api-v2-intro.md');
+    expect(files[0].output).toMatch(/^api-v2-intro-[\da-f]{6}\.md$/);
+    expect(found).toEqual([{
+      kept: 'docs/api-v2/intro.md',
+      output: 'api-v2-intro.md',
+      renamed: [{ output: files[0].output, source: 'docs/api/v2-intro.md' }],
+      skipped: [],
+    }]);
+  });
+
+  it('compares source paths by code unit, whatever the locale', () => {
+    const files = [file('docs/guide.md', 'guide.md'), file('docs/Guide.md', 'guide.md')];
+    const { collisions: found } = resolveCollisions(files, 'suffix');
+
+    expect(found[0].kept).toBe('docs/Guide.md');
+    expect(files[0].output).toMatch(/^guide-[\da-f]{6}\.md$/);
+  });
+
+  it('derives stable suffixes from the source path', () => {
+    const first = createFiles();
+    const second = createFiles().reverse();
+
+    resolveCollisions(first, 'suffix');
+    resolveCollisions(second, 'suffix');
+
+    expect(second.find((entry) => entry.path === 'docs/api/v2-intro.md').output).toBe(first[0].output);
+  });
+
+  it('skips the other files under the skip policy', () => {
+    const files = createFiles();
+    const { collisions: found, files: resolved } = resolveCollisions(files, 'skip');
+
+    expect(resolved.map((entry) => entry.path)).toEqual(['docs/guide.md', 'docs/api-v2/intro.md']);
+    expect(found[0].skipped).toEqual(['docs/api/v2-intro.md']);
+  });
+
+  it('treats outputs differing only by case as collisions', () => {
+    const files = [file('docs/Guide.md', 'Guide.md'), file('docs/guide.md', 'guide.md')];
+
+    expect(resolveCollisions(files, 'skip').files).toHaveLength(1);
+  });
+
+  it('keeps the outputs reserved for the files generated by gde', () => {
+    const files = [file('docs/index.md', 'index.md'), file('docs/guide.md', 'guide.md')];
+    const { collisions: found } = resolveCollisions(files, 'suffix', ['INDEX.md', 'manifest.json']);
+
+    expect(files[0].output).toMatch(/^index-[\da-f]{6}\.md$/);
+    expect(found).toEqual([{
+      kept: 'gde',
+      output: 'INDEX.md',
+      renamed: [{ output: files[0].output, source: 'docs/index.md' }],
+      skipped: [],
+    }]);
+  });
+
+  it('detects collisions inside output subdirectories', () => {
+    const files = [
+      file('packages/a/docs/x-y.md', 'docs/docs-x-y.md'),
+      file('packages/b/docs/x/y.md', 'docs/docs-x-y.md'),
+    ];
+
+    resolveCollisions(files, 'suffix');
+
+    expect(files[1].output).toMatch(/^docs\/docs-x-y-[\da-f]{6}\.md$/);
+  });
+});
+
+// UNIT TEST
+
+describe('describeCollisions()', () => {
+  it('describes renamed and skipped sources', () => {
+    expect(describeCollisions([
+      { kept: 'docs/a-b.md', output: 'a-b.md', renamed: [{ output: 'a-b-123456.md', source: 'docs/a/b.md' }], skipped: [] },
+      { kept: 'docs/c-d.md', output: 'c-d.md', renamed: [], skipped: ['docs/c/d.md'] },
+    ])).toEqual([
+      'docs/a/b.md → a-b-123456.md (a-b.md is taken by docs/a-b.md)',
+      'docs/c/d.md skipped (c-d.md is taken by docs/c-d.md)',
+    ]);
+  });
+});
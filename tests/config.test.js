@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+
+import config from '../bin/config.js';
+
+const { findConfigFile, loadConfig } = config;
+
+let directory;
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'gde-config-'));
+});
+
+afterEach(async () => {
+  await fs.remove(directory);
+});
+
+// INTEGRATION TEST
+
+describe('findConfigFile()', () => {
+  it('returns undefined when there is no config file', () => {
+    expect(findConfigFile(directory)).toBeUndefined();
+  });
+
+  it('finds a .gderc file', async () => {
+    await fs.writeJson(path.join(directory, '.gderc'), {});
+    expect(findConfigFile(directory)).toBe(path.join(directory, '.gderc'));
+  });
+
+  it('prefers gde.config.json over .gderc', async () => {
+    await fs.writeJson(path.join(directory, '.gderc'), {});
+    await fs.writeJson(path.join(directory, 'gde.config.json'), {});
+    expect(findConfigFile(directory)).toBe(path.join(directory, 'gde.config.json'));
+  });
+});
+
+// INTEGRATION TEST
+
+describe('loadConfig()', () => {
+  it('returns the top-level options and the repositories, with lists normalized', () => {
+    const configPath = writeConfig({
+      concurrency: 8,
+      exclude: 'CHANGELOG.md',
+      out: './knowledge-base',
+      repos: [
+        { out: 'react', paths: 'packages/react/docs', repo: 'facebook/react' },
+        { exclude: ['blog/**'], ref: 'v6.0.0', repo: 'vitejs/vite' },
+      ],
+    });
+
+    expect(loadConfig(configPath)).toEqual({
+      options: { concurrency: 8, exclude: ['CHANGELOG.md'], out: './knowledge-base' },
+      repositories: [
+        { out: 'react', paths: ['packages/react/docs'], repo: 'facebook/react' },
+        { exclude: ['blog/**'], ref: 'v6.0.0', repo: 'vitejs/vite' },
+      ],
+    });
+  });
+
+  it('accepts a single repository without a repos list', () => {
+    const configPath = writeConfig({ paths: ['docs'], repo: 'owner/repo', sync: true });
+
+    expect(loadConfig(configPath)).toEqual({
+      options: { paths: ['docs'], repo: 'owner/repo', sync: true },
+      repositories: [],
+    });
+  });
+
+  it('accepts --frontmatter like the other content options', () => {
+    const configPath = writeConfig({ frontmatter: true, repo: 'owner/repo' });
+
+    expect(loadConfig(configPath).options).toEqual({ frontmatter: true, repo: 'owner/repo' });
+    expect(() => loadConfig(writeConfig({ frontmatter: 'yes' }))).toThrow('"frontmatter" must be true or false.');
+  });
+
+  it('converts sizes to numbers of bytes', () => {
+    const configPath = writeConfig({ assets: true, maxAssetSize: '2MB' });
+
+    expect(loadConfig(configPath).options).toEqual({ assets: true, maxAssetSize: 2 * 1024 * 1024 });
+  });
+
+  it('converts chunk budgets to their size and unit', () => {
+    expect(loadConfig(writeConfig({ chunk: '4000 tokens' })).options).toEqual({ chunk: { size: 4000, unit: 'tokens' } });
+  });
+
+  it('rejects invalid JSON', async () => {
+    const configPath = path.join(directory, '.gderc');
+    await fs.writeFile(configPath, '{ "repos": [');
+
+    expect(() => loadConfig(configPath)).toThrow(`Invalid config file "${configPath}"`);
+  });
+
+  it('rejects unknown options', () => {
+    const configPath = writeConfig({ repos: [{ repo: 'owner/repo', zip: true }] });
+
+    expect(() => loadConfig(configPath)).toThrow('"repos[0].zip" is not a known option');
+  });
+
+  it('rejects options of the wrong type', () => {
+    expect(() => loadConfig(writeConfig({ concurrency: 0 }))).toThrow('"concurrency" must be a positive integer.');
+    expect(() => loadConfig(writeConfig({ sync: 'yes' }))).toThrow('"sync" must be true or false.');
+    expect(() => loadConfig(writeConfig({ onCollision: 'overwrite' }))).toThrow('"onCollision" must be one of error, suffix, skip.');
+    expect(() => loadConfig(writeConfig({ unknownComponents: 'drop' }))).toThrow('"unknownComponents" must be one of keep, strip, unwrap.');
+    expect(() => loadConfig(writeConfig({ include: [1] }))).toThrow('"include" must be a string or a list of strings.');
+    expect(() => loadConfig(writeConfig({ maxAssetSize: 'big' }))).toThrow('"maxAssetSize" must be a number of bytes or a size such as "2MB".');
+    expect(() => loadConfig(writeConfig({ chunk: true }))).toThrow('"chunk" must be a size such as "16KB" or a number of tokens such as "4000 tokens".');
+    expect(() => loadConfig(writeConfig({ format: 'csv' }))).toThrow('"format" must be one of files, jsonl.');
+    expect(() => loadConfig(writeConfig({ nameTemplate: '{dirs}{ext}' }))).toThrow('"nameTemplate" is invalid: The name template must contain {name}.');
+  });
+
+  it('rejects repositories without a repo', () => {
+    const configPath = writeConfig({ repos: [{ paths: ['docs'] }] });
+
+    expect(() => loadConfig(configPath)).toThrow('repos[0] must be an object with a "repo".');
+  });
+
+  it('rejects a repo and a repos list together', () => {
+    const configPath = writeConfig({ repo: 'owner/a', repos: [{ repo: 'owner/b' }] });
+
+    expect(() => loadConfig(configPath)).toThrow('use either "repo" for a single repository or "repos"');
+  });
+
+  function writeConfig(content) {
+    const configPath = path.join(directory, 'gde.config.json');
+    fs.writeJsonSync(configPath, content);
+    return configPath;
+  }
+});
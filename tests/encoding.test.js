@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+
+import encoding from '../bin/encoding.js';
+
+const { findTextProblem } = encoding;
+
+// UNIT TEST
+
+describe('findTextProblem()', () => {
+  it('accepts UTF-8 text, with or without a byte order mark', () => {
+    expect(findTextProblem(Buffer.from('# Café ☕\n'))).toBeUndefined();
+    expect(findTextProblem(Buffer.from('﻿# Guide\n'))).toBeUndefined();
+    expect(findTextProblem(Buffer.alloc(0))).toBeUndefined();
+  });
+
+  it('rejects binary content and UTF-16 text', () => {
+    expect(findTextProblem(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00]))).toMatch('NUL bytes');
+    expect(findTextProblem(Buffer.from('﻿# Guide', 'utf16le'))).toMatch('NUL bytes');
+  });
+
+  it('rejects text in another 8-bit encoding', () => {
+    expect(findTextProblem(Buffer.from('# Café\n', 'latin1'))).toBe('it is not valid UTF-8 text');
+  });
+});
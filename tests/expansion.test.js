@@ -0,0 +1,247 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import expansion from '../bin/expansion.js';
+
+const { expandTree, parseGitmodules, resolveSubmoduleUrl } = expansion;
+
+/**
+ * Creates the source of a tree. Links are given as { path: target }, submodules as
+ * { path: source }; other entries are files, or directories when they end with "/".
+ */
+const createSource = (name, { files = [], links = {}, submodules = {} } = {}) => {
+  const entries = [
+    ...files.map((filePath) => (filePath.endsWith('/')
+      ? { mode: '040000', path: filePath.slice(0, -1), sha: `tree-${filePath}`, type: 'tree' }
+      : { mode: '100644', path: filePath, sha: `blob-${filePath}`, size: 10, type: 'blob' })),
+    ...Object.keys(links).map((linkPath) => ({ mode: '120000', path: linkPath, sha: `link-${linkPath}`, type: 'blob' })),
+    ...Object.keys(submodules).map((submodulePath) => ({
+      mode: '160000',
+      path: submodulePath,
+      sha: `pinned-${submodulePath}`,
+      type: 'commit',
+    })),
+  ];
+
+  return {
+    commit: `${name}-commit`,
+    entries,
+    openSubmodule: vi.fn(async (entry) => submodules[entry.path]),
+    readSymlink: vi.fn(async (entry) => links[entry.path]),
+    repository: { name },
+    truncated: false,
+  };
+};
+
+const expand = (source, settings = {}) => expandTree(source, {
+  documentPaths: ['docs'],
+  followSymlinks: true,
+  submodules: true,
+  ...settings,
+});
+
+const paths = ({ entries }) => entries.map((entry) => entry.path);
+
+// UNIT TEST
+
+describe('expandTree()', () => {
+  it('lists the target of a link to a directory at the path of the link', async () => {
+    const source = createSource('repo', {
+      files: ['docs/', 'docs/guide.md', 'shared/', 'shared/api/', 'shared/api/hooks.md'],
+      links: { 'docs/shared': '../shared' },
+    });
+
+    const expanded = await expand(source);
+
+    expect(paths(expanded)).toEqual([
+      'docs', 'docs/guide.md', 'shared', 'shared/api', 'shared/api/hooks.md',
+      'docs/shared', 'docs/shared/api', 'docs/shared/api/hooks.md',
+    ]);
+    expect(expanded.entries.at(-1)).toEqual({
+      __origin: { commit: 'repo-commit', path: 'shared/api/hooks.md', repository: source.repository },
+      mode: '100644',
+      path: 'docs/shared/api/hooks.md',
+      sha: 'blob-shared/api/hooks.md',
+      size: 10,
+      type: 'blob',
+    });
+    expect(expanded.skipped).toEqual([]);
+  });
+
+  it('lists the target of a link to a file, following chained links', async () => {
+    const source = createSource('repo', {
+      files: ['README.md', 'docs/'],
+      links: { 'docs/README.md': 'latest.md', 'docs/latest.md': '../README.md' },
+    });
+
+    const { entries } = await expand(source);
+
+    expect(paths({ entries })).toEqual(['README.md', 'docs', 'docs/README.md', 'docs/latest.md']);
+    expect(entries.filter(({ __origin }) => __origin).map(({ __origin, path }) => [path, __origin.path])).toEqual([
+      ['docs/README.md', 'README.md'],
+      ['docs/latest.md', 'README.md'],
+    ]);
+    expect(source.readSymlink).toHaveBeenCalledTimes(2);
+  });
+
+  it('only follows links leading to the documentation paths', async () => {
+    const source = createSource('repo', {
+      files: ['docs/', 'docs/guide.md', 'shared/', 'shared/guide.md'],
+      links: { 'docs/guide-link.md': '../shared/guide.md', 'website/shared': '../shared' },
+    });
+
+    const expanded = await expand(source);
+
+    expect(paths(expanded)).toEqual([
+      'docs', 'docs/guide.md', 'shared', 'shared/guide.md', 'docs/guide-link.md', 'website/shared',
+    ]);
+    expect(expanded.entries.at(-1)).not.toHaveProperty('__origin');
+    expect(source.readSymlink).toHaveBeenCalledOnce();
+  });
+
+  it('reports the links that point outside of the repository or to a missing target, and keeps them', async () => {
+    const source = createSource('repo', {
+      links: { 'docs/etc': '/etc', 'docs/missing.md': 'old/missing.md', 'docs/parent': '../..' },
+    });
+
+    const expanded = await expand(source);
+
+    expect(expanded.entries).toEqual(source.entries);
+    expect(expanded.skipped).toEqual([
+      { path: 'docs/etc', reason: 'symbolic link to /etc, outside of the repository' },
+      { path: 'docs/missing.md', reason: 'symbolic link to old/missing.md, which does not exist' },
+      { path: 'docs/parent', reason: 'symbolic link to ../.., outside of the repository' },
+    ]);
+  });
+
+  it('does not follow links leading back to one of their parents', async () => {
+    const source = createSource('repo', {
+      files: ['docs/', 'docs/guide.md', 'shared/', 'shared/intro.md'],
+      links: { 'docs/root': '..', 'docs/shared': '../shared', 'shared/docs': '../docs', 'shared/self': 'self' },
+    });
+
+    const expanded = await expand(source);
+
+    expect(paths(expanded)).toEqual([
+      'docs', 'docs/guide.md', 'shared', 'shared/intro.md', 'docs/root',
+      'docs/shared', 'docs/shared/intro.md', 'docs/shared/docs', 'docs/shared/self',
+      'shared/docs', 'shared/self',
+    ]);
+    expect(expanded.skipped).toEqual([
+      { path: 'docs/root', reason: 'symbolic link to ., which contains it' },
+      { path: 'docs/shared/docs', reason: 'symbolic link to docs, which contains it' },
+      { path: 'docs/shared/self', reason: 'symbolic link with too many levels of links' },
+    ]);
+  });
+
+  it('lists the entries of a submodule at its pinned commit, with the documentation paths within it', async () => {
+    const site = createSource('org/site', { files: ['blog/', 'blog/post.md', 'docs/', 'docs/intro.md'] });
+    const source = createSource('repo', { submodules: { 'vendor/site': site } });
+
+    const expanded = await expand(source, { documentPaths: ['vendor/site/docs'] });
+
+    expect(paths(expanded)).toEqual([
+      'vendor/site', 'vendor/site/blog', 'vendor/site/blog/post.md', 'vendor/site/docs', 'vendor/site/docs/intro.md',
+    ]);
+    expect(expanded.entries[0]).toMatchObject({
+      __origin: { commit: 'org/site-commit', path: '', repository: site.repository },
+      type: 'tree',
+    });
+    expect(expanded.entries.at(-1)).toMatchObject({
+      __origin: { commit: 'org/site-commit', path: 'docs/intro.md', repository: site.repository },
+      sha: 'blob-docs/intro.md',
+    });
+    expect(source.openSubmodule).toHaveBeenCalledWith(expect.objectContaining({ path: 'vendor/site', sha: 'pinned-vendor/site' }));
+  });
+
+  it('follows links and submodules within submodules', async () => {
+    const theme = createSource('org/theme', { files: ['docs/', 'docs/theme.md'] });
+    const site = createSource('org/site', {
+      files: ['shared/', 'shared/intro.md'],
+      links: { 'docs/intro.md': '../shared/intro.md' },
+      submodules: { 'docs/theme': theme },
+    });
+    const source = createSource('repo', { submodules: { docs: site } });
+
+    const expanded = await expand(source);
+
+    expect(expanded.entries.map(({ __origin, path }) => [path, __origin.repository.name, __origin.path])).toEqual([
+      ['docs', 'org/site', ''],
+      ['docs/shared', 'org/site', 'shared'],
+      ['docs/shared/intro.md', 'org/site', 'shared/intro.md'],
+      ['docs/docs/intro.md', 'org/site', 'shared/intro.md'],
+      ['docs/docs/theme', 'org/theme', ''],
+      ['docs/docs/theme/docs', 'org/theme', 'docs'],
+      ['docs/docs/theme/docs/theme.md', 'org/theme', 'docs/theme.md'],
+    ]);
+  });
+
+  it('reports the submodules that contain themselves or cannot be read', async () => {
+    const source = createSource('repo', { submodules: { 'docs/broken': undefined, 'docs/self': undefined } });
+    source.openSubmodule.mockImplementation(async (entry) => {
+      if (entry.path === 'docs/broken') {
+        throw new Error('it is not listed in .gitmodules');
+      }
+      return { ...source, commit: 'repo-commit' };
+    });
+
+    const expanded = await expand(source);
+
+    expect(expanded.skipped).toEqual([
+      { path: 'docs/broken', reason: 'submodule that cannot be read: it is not listed in .gitmodules' },
+      { path: 'docs/self', reason: 'submodule repo@repo-commit contains itself' },
+    ]);
+  });
+
+  it('reports the links and submodules leading to the documentation paths when they are not followed', async () => {
+    const source = createSource('repo', {
+      files: ['docs/guide.md'],
+      links: { 'docs/shared': '../shared', 'scripts/docs': '../docs' },
+      submodules: { 'docs/site': createSource('org/site') },
+    });
+
+    const expanded = await expand(source, { followSymlinks: false, submodules: false });
+
+    expect(expanded.entries).toEqual(source.entries);
+    expect(expanded.skipped).toEqual([
+      { path: 'docs/shared', reason: 'symbolic link, use --follow-symlinks to follow it' },
+      { path: 'docs/site', reason: 'submodule, use --submodules to follow it' },
+    ]);
+    expect(source.readSymlink).not.toHaveBeenCalled();
+    expect(source.openSubmodule).not.toHaveBeenCalled();
+  });
+});
+
+describe('parseGitmodules()', () => {
+  it('reads the path and URL of each submodule', () => {
+    const content = [
+      '[submodule "site"]',
+      '\tpath = vendor/site',
+      '\turl = https://github.com/org/site.git',
+      '[submodule "theme"]',
+      '  path = "themes/default/"',
+      '  URL = ../theme',
+      '[core]',
+      '  path = ignored',
+      '[submodule "incomplete"]',
+      '  path = incomplete',
+    ].join('\r\n');
+
+    expect(parseGitmodules(content)).toEqual(new Map([
+      ['vendor/site', 'https://github.com/org/site.git'],
+      ['themes/default', '../theme'],
+    ]));
+  });
+});
+
+describe('resolveSubmoduleUrl()', () => {
+  it.each([
+    ['https://github.com/org/site.git', 'https://github.com/owner/repo', 'https://github.com/org/site.git'],
+    ['../site.git', 'https://github.com/owner/repo', 'https://github.com/owner/site.git'],
+    ['../../org/site', 'https://gitlab.com/group/repo/', 'https://gitlab.com/org/site'],
+    ['./site', 'https://github.com/owner/repo', 'https://github.com/owner/repo/site'],
+    ['../site.git', 'git@github.com:owner/repo.git', 'git@github.com:owner/site.git'],
+    ['../site', '/work/repo', '/work/site'],
+  ])('resolves "%s" relative to "%s"', (url, parentUrl, expected) => {
+    expect(resolveSubmoduleUrl(url, parentUrl)).toBe(expected);
+  });
+});
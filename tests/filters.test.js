@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+
+import filters from '../bin/filters.js';
+
+const { createFileFilter, describeFilteredFiles } = filters;
+
+// UNIT TEST
+
+describe('createFileFilter()', () => {
+  it('accepts .md and .mdx files by default', () => {
+    const filter = createFileFilter();
+
+    expect(filter.acceptsFile('docs/guide.md', 'docs')).toBe(true);
+    expect(filter.acceptsFile('docs/api/intro.mdx', 'docs')).toBe(true);
+    expect(filter.acceptsFile('docs/logo.png', 'docs')).toBe(false);
+    expect(filter.rules).toEqual([]);
+  });
+
+  it('accepts custom extensions with or without a leading dot, case-insensitively', () => {
+    const filter = createFileFilter({ extensions: ['rst', '.ADOC', '.ipynb'] });
+
+    expect(filter.acceptsFile('docs/intro.rst', 'docs')).toBe(true);
+    expect(filter.acceptsFile('docs/Intro.adoc', 'docs')).toBe(true);
+    expect(filter.acceptsFile('docs/notebook.IPYNB', 'docs')).toBe(true);
+    expect(filter.acceptsFile('docs/guide.md', 'docs')).toBe(false);
+    expect(filter.rules).toEqual([{ directories: 0, files: 1, label: '--ext .rst .adoc .ipynb' }]);
+  });
+
+  it('matches globs against the path relative to the documentation path and the repository path', () => {
+    const filter = createFileFilter({ exclude: ['blog/**', 'packages/*/docs/internal/**'] });
+
+    expect(filter.acceptsFile('docs/blog/2024/post.md', 'docs')).toBe(false);
+    expect(filter.acceptsFile('packages/core/docs/internal/notes.md', 'packages/core/docs')).toBe(false);
+    expect(filter.acceptsFile('docs/guide.md', 'docs')).toBe(true);
+  });
+
+  it('matches globs without a slash against names at any depth', () => {
+    const filter = createFileFilter({ exclude: ['CHANGELOG.md', 'generated'] });
+
+    expect(filter.acceptsFile('docs/CHANGELOG.md', 'docs')).toBe(false);
+    expect(filter.acceptsFile('docs/api/generated/client.md', 'docs')).toBe(false);
+    expect(filter.acceptsDirectory('docs/api/generated', 'docs')).toBe(false);
+    expect(filter.acceptsFile('docs/api/client.md', 'docs')).toBe(true);
+  });
+
+  it('prunes excluded directories', () => {
+    const filter = createFileFilter({ exclude: ['blog/**'] });
+
+    expect(filter.acceptsDirectory('docs/blog', 'docs')).toBe(false);
+    expect(filter.acceptsDirectory('docs/guides', 'docs')).toBe(true);
+  });
+
+  it('only accepts files matching an --include glob when some are given', () => {
+    const filter = createFileFilter({ include: ['guides/**', 'README.md'] });
+
+    expect(filter.acceptsFile('docs/guides/setup.md', 'docs')).toBe(true);
+    expect(filter.acceptsFile('docs/api/README.md', 'docs')).toBe(true);
+    expect(filter.acceptsFile('docs/api/hooks.md', 'docs')).toBe(false);
+  });
+
+  it('counts each filtered file for the first rule it fails', () => {
+    const filter = createFileFilter({ exclude: ['blog/**'], extensions: ['.md'], include: ['guides/**'] });
+    const paths = ['docs/blog/post.md', 'docs/blog/cover.png', 'docs/logo.png', 'docs/api.md', 'docs/guides/a.md'];
+
+    expect(paths.filter((filePath) => filter.acceptsFile(filePath, 'docs'))).toEqual(['docs/guides/a.md']);
+    expect(filter.rules.map(({ files, label }) => [label, files])).toEqual([
+      ['--exclude "blog/**"', 2],
+      ['--ext .md', 1],
+      ['--include "guides/**"', 1],
+    ]);
+  });
+});
+
+// UNIT TEST
+
+describe('describeFilteredFiles()', () => {
+  it('describes the rules that filtered something out', () => {
+    expect(describeFilteredFiles([
+      { directories: 0, files: 3, label: '--exclude "CHANGELOG.md"' },
+      { directories: 2, files: 5, label: '--exclude "blog/**"' },
+      { directories: 0, files: 0, label: '--ext .md' },
+    ])).toEqual([
+      '3 files by --exclude "CHANGELOG.md"',
+      '5 files and 2 directories by --exclude "blog/**"',
+    ]);
+  });
+});
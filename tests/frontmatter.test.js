@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+
+import frontmatter from '../bin/frontmatter.js';
+
+const { addProvenance, supportsFrontMatter } = frontmatter;
+
+const provenance = {
+  commit: 'abc123',
+  extractedAt: '2026-01-02T03:04:05.000Z',
+  path: 'docs/intro.md',
+  ref: 'main',
+  repository: 'owner/repo',
+  url: 'https://github.com/owner/repo/blob/abc123/docs/intro.md',
+};
+
+const provenanceBlock = [
+  'provenance:',
+  '  repository: "owner/repo"',
+  '  ref: "main"',
+  '  commit: "abc123"',
+  '  path: "docs/intro.md"',
+  '  url: "https://github.com/owner/repo/blob/abc123/docs/intro.md"',
+  '  extracted_at: "2026-01-02T03:04:05.000Z"',
+].join('\n');
+
+const provenanceTable = [
+  '[provenance]',
+  'repository = "owner/repo"',
+  'ref = "main"',
+  'commit = "abc123"',
+  'path = "docs/intro.md"',
+  'url = "https://github.com/owner/repo/blob/abc123/docs/intro.md"',
+  'extracted_at = "2026-01-02T03:04:05.000Z"',
+].join('\n');
+
+// UNIT TEST
+
+describe('addProvenance()', () => {
+  it('adds front matter to a document without any', () => {
+    expect(addProvenance('# Intro\n', provenance)).toBe(`---\n${provenanceBlock}\n---\n\n# Intro\n`);
+  });
+
+  it('merges into existing front matter without duplicating it', () => {
+    const content = '---\ntitle: Intro\nsidebar_position: 2\ntags:\n  - guide\n---\n\nimport Tabs from \'@theme/Tabs\';\n';
+
+    expect(addProvenance(content, provenance)).toBe(
+      `---\ntitle: Intro\nsidebar_position: 2\ntags:\n  - guide\n${provenanceBlock}\n---\n\nimport Tabs from '@theme/Tabs';\n`,
+    );
+  });
+
+  it('replaces a previous provenance key', () => {
+    const content = '---\ntitle: Intro\nprovenance:\n  repository: "other/repo"\ndescription: Hello\n---\nBody';
+
+    expect(addProvenance(content, provenance)).toBe(`---\ntitle: Intro\ndescription: Hello\n${provenanceBlock}\n---\nBody`);
+  });
+
+  it('handles empty front matter', () => {
+    expect(addProvenance('---\n---\nBody', provenance)).toBe(`---\n${provenanceBlock}\n---\nBody`);
+  });
+
+  it('keeps Windows line endings and a byte order mark', () => {
+    const result = addProvenance('\uFEFF---\r\ntitle: Intro\r\n---\r\nBody', provenance);
+
+    expect(result).toBe(`\uFEFF---\r\ntitle: Intro\r\n${provenanceBlock.replaceAll('\n', '\r\n')}\r\n---\r\nBody`);
+  });
+
+  it('quotes values that would otherwise need escaping', () => {
+    const result = addProvenance('Body', { ...provenance, path: 'docs/a "quoted": file.md' });
+
+    expect(result).toContain('  path: "docs/a \\"quoted\\": file.md"');
+  });
+
+  it('appends a provenance table to TOML front matter', () => {
+    const content = '+++\ntitle = "Intro"\n\n[params]\nauthor = "Ada"\n+++\nBody';
+
+    expect(addProvenance(content, provenance)).toBe(`+++\ntitle = "Intro"\n\n[params]\nauthor = "Ada"\n${provenanceTable}\n+++\nBody`);
+  });
+
+  it('replaces a previous provenance table or key in TOML front matter', () => {
+    const content = '+++\r\nprovenance.ref = "old"\r\n[provenance]\r\nref = "old"\r\n[provenance.extra]\r\nkey = 1\r\n[params]\r\nprovenance = 1\r\n+++\r\nBody';
+
+    expect(addProvenance(content, provenance)).toBe(
+      `+++\r\n[params]\r\nprovenance = 1\r\n${provenanceTable.replaceAll('\n', '\r\n')}\r\n+++\r\nBody`,
+    );
+  });
+
+  it('leaves documents starting with an unterminated TOML delimiter unchanged', () => {
+    expect(addProvenance('+++\ntitle = "Intro"\nBody', provenance)).toBe('+++\ntitle = "Intro"\nBody');
+  });
+});
+
+// UNIT TEST
+
+describe('supportsFrontMatter()', () => {
+  it('only accepts Markdown files', () => {
+    expect(supportsFrontMatter('docs/intro.md')).toBe(true);
+    expect(supportsFrontMatter('docs/intro.MDX')).toBe(true);
+    expect(supportsFrontMatter('docs/intro.markdown')).toBe(true);
+    expect(supportsFrontMatter('docs/notebook.ipynb')).toBe(false);
+    expect(supportsFrontMatter('docs/intro.rst')).toBe(false);
+  });
+});
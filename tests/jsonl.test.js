@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import fs from 'fs-extra';
+
+import jsonl from '../bin/jsonl.js';
+
+const {
+  buildRecord,
+  JSONL_FILENAME,
+  writeJsonlFile,
+  writeRecords,
+} = jsonl;
+
+const project = { commit: 'abc123', ref: 'main', repository: 'owner/repo' };
+const document = (source, output, extra = {}) => ({
+  output,
+  source,
+  url: `https://github.com/owner/repo/blob/abc123/${source}`,
+  ...extra,
+});
+const parseLines = (text) => text.trim().split('\n').map((line) => JSON.parse(line));
+
+// UNIT TEST
+
+describe('buildRecord()', () => {
+  it('describes a document with its provenance, title, content and sizes', () => {
+    const record = buildRecord(project, document('docs/guide.md', 'guide.md'), {
+      content: '# Guide\n\nÉtape 1\n',
+      output: 'guide.md',
+      title: 'Guide',
+    });
+
+    expect(record).toEqual({
+      bytes: 18,
+      commit: 'abc123',
+      content: '# Guide\n\nÉtape 1\n',
+      id: 'owner/repo:guide.md',
+      output: 'guide.md',
+      ref: 'main',
+      repo: 'owner/repo',
+      source: 'docs/guide.md',
+      title: 'Guide',
+      tokens: 5,
+      url: 'https://github.com/owner/repo/blob/abc123/docs/guide.md',
+    });
+  });
+
+  it('gives the position of a chunk', () => {
+    const record = buildRecord(project, document('docs/guide.md', 'guide.md'), {
+      chunk: { count: 3, index: 2 },
+      content: '## Usage\n',
+      output: 'guide--usage.md',
+      title: 'Guide',
+    });
+
+    expect(record).toMatchObject({ chunk: { count: 3, index: 2 }, id: 'owner/repo:guide--usage.md' });
+  });
+});
+
+// INTEGRATION TEST
+
+describe('writeRecords()', () => {
+  let outputDirectory;
+
+  beforeEach(async () => {
+    outputDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'gde-jsonl-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(outputDirectory);
+  });
+
+  it('writes one record per line in repository order, chunk by chunk for chunked documents', async () => {
+    await fs.outputFile(path.join(outputDirectory, 'api', 'api-hooks.md'), '---\ntitle: "Hooks API"\n---\n\nHooks.\n');
+    await fs.outputFile(path.join(outputDirectory, 'guide.md'), '# Guide\n\nThis document is split into 2 parts:\n');
+    await fs.outputFile(path.join(outputDirectory, 'guide--intro.md'), 'Introduction.\n');
+    await fs.outputFile(path.join(outputDirectory, 'guide--usage.md'), '## Usage\n');
+    const stream = new PassThrough();
+    let written = '';
+    stream.on('data', (data) => {
+      written += data;
+    });
+
+    const count = await writeRecords(stream, outputDirectory, project, [
+      document('docs/api/hooks.md', 'api/api-hooks.md'),
+      document('docs/guide.md', 'guide.md', { chunks: ['guide--intro.md', 'guide--usage.md'] }),
+    ]);
+
+    expect(count).toBe(3);
+    expect(parseLines(written).map(({ chunk, output, title }) => ({ chunk, output, title }))).toEqual([
+      { chunk: { count: 2, index: 1 }, output: 'guide--intro.md', title: 'Guide' },
+      { chunk: { count: 2, index: 2 }, output: 'guide--usage.md', title: 'Guide' },
+      { chunk: undefined, output: 'api/api-hooks.md', title: 'Hooks API' },
+    ]);
+  });
+});
+
+describe('writeJsonlFile()', () => {
+  let outputDirectory;
+
+  beforeEach(async () => {
+    outputDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'gde-jsonl-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(outputDirectory);
+  });
+
+  it('writes the records to documents.jsonl at the root of the output directory', async () => {
+    await fs.outputFile(path.join(outputDirectory, 'guide.md'), '# Guide\n');
+
+    const count = await writeJsonlFile(outputDirectory, project, [document('docs/guide.md', 'guide.md')]);
+
+    expect(count).toBe(1);
+    expect(parseLines(await fs.readFile(path.join(outputDirectory, JSONL_FILENAME), 'utf8'))).toEqual([
+      expect.objectContaining({ content: '# Guide\n', id: 'owner/repo:guide.md', source: 'docs/guide.md' }),
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+
+import layouts from '../bin/layouts.js';
+
+const { findFilenameProblem, parseNameTemplate, renderNameTemplate } = layouts;
+
+// UNIT TEST
+
+describe('parseNameTemplate()', () => {
+  it('splits a template into placeholders and the text around them', () => {
+    expect(parseNameTemplate('{root}-{dirs}-{name}{ext}')).toEqual({
+      literals: ['', '-', '-', '', ''],
+      placeholders: ['root', 'dirs', 'name', 'ext'],
+    });
+  });
+
+  it('rejects unknown placeholders, templates without {name} and characters not allowed in filenames', () => {
+    expect(() => parseNameTemplate('{path}{ext}')).toThrow('Unknown placeholder "{path}" in name template');
+    expect(() => parseNameTemplate('{dirs}{ext}')).toThrow('The name template must contain {name}.');
+    expect(() => parseNameTemplate('{dirs}/{name}{ext}')).toThrow('Invalid text "/" in name template');
+    expect(() => parseNameTemplate('{name}{ext')).toThrow('Invalid text "{ext" in name template');
+  });
+});
+
+describe('renderNameTemplate()', () => {
+  const template = parseNameTemplate('{root}-{dirs}-{name}{ext}');
+
+  it('replaces the placeholders', () => {
+    expect(renderNameTemplate(template, { dirs: 'api-v2', ext: '.md', name: 'hooks', root: 'react-docs' }))
+      .toBe('react-docs-api-v2-hooks.md');
+  });
+
+  it('leaves out empty placeholders with the text separating them from their neighbour', () => {
+    expect(renderNameTemplate(template, { dirs: '', ext: '.md', name: 'hooks', root: '' })).toBe('hooks.md');
+    expect(renderNameTemplate(template, { dirs: 'api', ext: '.md', name: 'hooks', root: '' })).toBe('api-hooks.md');
+    expect(renderNameTemplate(parseNameTemplate('doc_{name}__{dirs}.txt'), { dirs: '', name: 'hooks' }))
+      .toBe('doc_hooks.txt');
+    expect(renderNameTemplate(parseNameTemplate('{name}.{dirs}{ext}'), { dirs: '', ext: '.md', name: 'hooks' }))
+      .toBe('hooks.md');
+  });
+});
+
+describe('findFilenameProblem()', () => {
+  it('accepts filenames that can be written on every platform', () => {
+    expect(findFilenameProblem('api-hooks.md')).toBeUndefined();
+  });
+
+  it('reports characters and names reserved on Windows', () => {
+    expect(findFilenameProblem('a:b.md')).toBe('it contains ":"');
+    expect(findFilenameProblem('CON.md')).toBe('it is a reserved name on Windows');
+    expect(findFilenameProblem('hooks.')).toBe('it ends with a dot or a space');
+    expect(findFilenameProblem('')).toBe('it is empty');
+  });
+});
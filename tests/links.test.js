@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+
+import links from '../bin/links.js';
+
+const { getLinkCandidates, rewriteLinks } = links;
+
+const toUrl = (targetPath, { raw }) => `https://github.com/owner/repo/${raw ? 'raw' : 'blob'}/sha/${targetPath}`;
+
+const context = {
+  outputPath: 'react-docs/react-docs-guide.md',
+  outputsBySource: new Map([
+    ['packages/react/docs/api/hooks.md', 'react-docs/react-docs-api-hooks.md'],
+    ['packages/react/docs/guide.md', 'react-docs/react-docs-guide.md'],
+    ['packages/react/docs/reference/index.mdx', 'react-docs/react-docs-reference-index.mdx'],
+    ['guides/setup.md', 'guides/guides-setup.md'],
+  ]),
+  repositoryPaths: new Set([
+    'packages/react/docs/api/hooks.md',
+    'packages/react/docs/guide.md',
+    'packages/react/docs/reference/index.mdx',
+    'packages/react/docs/img/logo.png',
+    'packages/react/src',
+    'packages/react/src/index.js',
+    'guides/setup.md',
+  ]),
+  sourcePath: 'packages/react/docs/guide.md',
+  toUrl,
+};
+
+// UNIT TEST
+
+describe('getLinkCandidates()', () => {
+  it('returns a path with an extension as it is', () => {
+    expect(getLinkCandidates('docs/api/hooks.md')).toEqual(['docs/api/hooks.md']);
+  });
+
+  it('adds Markdown extensions and index pages to a path without an extension', () => {
+    expect(getLinkCandidates('docs/api')).toEqual([
+      'docs/api',
+      'docs/api.md',
+      'docs/api.mdx',
+      'docs/api/index.md',
+      'docs/api/index.mdx',
+      'docs/api/README.md',
+    ]);
+  });
+});
+
+describe('rewriteLinks()', () => {
+  it('points links to extracted files to their output, keeping anchors', () => {
+    const { content } = rewriteLinks('[Hooks](./api/hooks.md#use-state) and [guides](../../../guides/setup.md)', context);
+
+    expect(content).toBe('[Hooks](react-docs-api-hooks.md#use-state) and [guides](../guides/guides-setup.md)');
+  });
+
+  it('resolves links without an extension and links to folders with an index page', () => {
+    const { content } = rewriteLinks('[Hooks](api/hooks) [Reference](reference/)', context);
+
+    expect(content).toBe('[Hooks](react-docs-api-hooks.md) [Reference](react-docs-reference-index.mdx)');
+  });
+
+  it('points links to other files of the repository to GitHub, and images to raw files', () => {
+    const { content } = rewriteLinks('[Source](../src) ![Logo](img/logo.png "Logo")', context);
+
+    expect(content).toBe(
+      '[Source](https://github.com/owner/repo/blob/sha/packages/react/src) '
+      + '![Logo](https://github.com/owner/repo/raw/sha/packages/react/docs/img/logo.png "Logo")',
+    );
+  });
+
+  it('rewrites reference definitions and HTML links', () => {
+    const { content } = rewriteLinks(
+      '[hooks]: ./api/hooks.md\n<a href="api/hooks.md">Hooks</a> <img src=\'img/logo.png\' alt="Logo">',
+      context,
+    );
+
+    expect(content).toBe(
+      '[hooks]: react-docs-api-hooks.md\n<a href="react-docs-api-hooks.md">Hooks</a> '
+      + '<img src=\'https://github.com/owner/repo/raw/sha/packages/react/docs/img/logo.png\' alt="Logo">',
+    );
+  });
+
+  it('keeps absolute URLs, site-root paths, anchors and links leaving the repository', () => {
+    const markdown = '[a](https://react.dev) [b](/docs/intro) [c](#usage) [d](mailto:a@b.c) [e](../../../../outside.md)';
+
+    expect(rewriteLinks(markdown, context)).toEqual({ broken: [], content: markdown, targets: [] });
+  });
+
+  it('leaves code blocks and inline code untouched', () => {
+    const markdown = '```md\n[Hooks](api/hooks.md)\n```\n`[Hooks](api/hooks.md)` [Hooks](api/hooks.md)';
+
+    expect(rewriteLinks(markdown, context).content).toBe(
+      '```md\n[Hooks](api/hooks.md)\n```\n`[Hooks](api/hooks.md)` [Hooks](react-docs-api-hooks.md)',
+    );
+  });
+
+  it('reports links to paths missing from the repository and leaves them unchanged', () => {
+    const result = rewriteLinks('[Old](./old-page.md) [Hooks](api/hooks.md)', context);
+
+    expect(result.content).toBe('[Old](./old-page.md) [Hooks](react-docs-api-hooks.md)');
+    expect(result.broken).toEqual(['./old-page.md']);
+  });
+
+  it('does not report broken links when the repository paths are unknown', () => {
+    const result = rewriteLinks('[Old](./old-page.md)', { ...context, repositoryPaths: undefined });
+
+    expect(result.content).toBe('[Old](https://github.com/owner/repo/blob/sha/packages/react/docs/old-page.md)');
+    expect(result.broken).toEqual([]);
+  });
+
+  it('returns the sorted repository paths of the relative links', () => {
+    const { targets } = rewriteLinks('[b](img/logo.png) [a](api/hooks) [c](./api/hooks#x)', context);
+
+    expect(targets).toEqual(['packages/react/docs/api/hooks', 'packages/react/docs/img/logo.png']);
+  });
+
+  it('points MDX imports and require() calls to extracted files only', () => {
+    const assetContext = {
+      ...context,
+      outputsBySource: new Map([
+        ...context.outputsBySource,
+        ['packages/react/docs/img/logo.png', 'assets/packages-react-docs-img-logo.png'],
+      ]),
+    };
+    const mdx = [
+      "import Logo from './img/logo.png';",
+      "import Tabs from '@theme/Tabs';",
+      "import { Demo } from '../src/demo.js';",
+      '<img src={require("./img/logo.png").default} />',
+    ].join('\n');
+
+    const { content, targets } = rewriteLinks(mdx, assetContext);
+
+    expect(content).toBe([
+      "import Logo from '../assets/packages-react-docs-img-logo.png';",
+      "import Tabs from '@theme/Tabs';",
+      "import { Demo } from '../src/demo.js';",
+      '<img src={require("../assets/packages-react-docs-img-logo.png").default} />',
+    ].join('\n'));
+    expect(targets).toEqual(['packages/react/docs/img/logo.png']);
+  });
+
+  it('decodes escaped characters and keeps angle brackets', () => {
+    const { content } = rewriteLinks('[Hooks](<api/hooks.md>) [Hooks](api%2Fhooks.md)', context);
+
+    expect(content).toBe('[Hooks](<react-docs-api-hooks.md>) [Hooks](react-docs-api-hooks.md)');
+  });
+});
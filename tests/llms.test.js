@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+
+import llms from '../bin/llms.js';
+
+const {
+  buildLlmsFullTxt,
+  buildLlmsTxt,
+  compareRepositoryPaths,
+  groupDocuments,
+  LLMS_FILENAME,
+  LLMS_FULL_FILENAME,
+  writeLlmsFiles,
+} = llms;
+
+const project = { commit: 'abc123', ref: 'main', repository: 'owner/repo' };
+const document = (source, output, content, section = 'docs') => ({
+  content,
+  output,
+  section,
+  source,
+  url: `https://github.com/owner/repo/blob/abc123/${source}`,
+});
+
+// UNIT TEST
+
+describe('compareRepositoryPaths()', () => {
+  it('lists index pages first, then the files of a folder, then its subfolders', () => {
+    const paths = ['docs/b.md', 'docs/api/hooks.md', 'docs/a.md', 'docs/README.md', 'docs/api/index.md', 'docs/z/a.md'];
+
+    expect(paths.sort(compareRepositoryPaths)).toEqual([
+      'docs/README.md',
+      'docs/a.md',
+      'docs/b.md',
+      'docs/api/index.md',
+      'docs/api/hooks.md',
+      'docs/z/a.md',
+    ]);
+  });
+
+  it('compares names by code unit, whatever the locale', () => {
+    const paths = ['docs/a.md', 'docs/B.md', 'docs/é.md', 'docs/z.md', 'docs/api/a.md', 'docs/Api/a.md'];
+
+    expect(paths.sort(compareRepositoryPaths)).toEqual([
+      'docs/B.md',
+      'docs/a.md',
+      'docs/z.md',
+      'docs/é.md',
+      'docs/Api/a.md',
+      'docs/api/a.md',
+    ]);
+  });
+});
+
+describe('groupDocuments()', () => {
+  it('groups documents by section in repository order, whatever their input order', () => {
+    const documents = [
+      document('guides/setup.md', 'guides/guides-setup.md', '', 'guides'),
+      document('docs/b.md', 'b.md', ''),
+      document('docs/a.md', 'a.md', ''),
+    ];
+
+    expect(groupDocuments(documents)).toEqual([
+      { documents: [documents[2], documents[1]], title: 'docs' },
+      { documents: [documents[0]], title: 'guides' },
+    ]);
+    expect(groupDocuments([...documents].reverse())).toEqual(groupDocuments(documents));
+  });
+});
+
+describe('buildLlmsTxt()', () => {
+  it('writes a title, a summary and a section of links per group', () => {
+    const sections = groupDocuments([
+      document('docs/intro.md', 'intro.md', '---\ntitle: "Getting [started]"\ndescription: \'What gde does\'\n---\n\n# Intro'),
+      document('docs/api/hooks.md', 'api-hooks.md', '```md\n# Not a title\n```\n\n# Hooks API #\n'),
+      document('guides/my setup.md', 'guides/guides-my setup.md', 'No heading.', 'guides'),
+    ]);
+
+    expect(buildLlmsTxt(project, sections)).toBe([
+      '# owner/repo',
+      '',
+      '> Documentation of owner/repo, extracted from main (commit abc123).',
+      '',
+      '## docs',
+      '',
+      String.raw`- [Getting \[started\]](intro.md): What gde does`,
+      '- [Hooks API](api-hooks.md)',
+      '',
+      '## guides',
+      '',
+      '- [my setup](guides/guides-my%20setup.md)',
+      '',
+    ].join('\n'));
+  });
+});
+
+describe('buildLlmsFullTxt()', () => {
+  it('concatenates the documents with a header giving their source', () => {
+    const sections = groupDocuments([
+      document('docs/b.md', 'b.md', '# B\r\n\r\nSecond.\r\n'),
+      document('docs/a.md', 'a.md', '# A\n'),
+    ]);
+    const separator = '='.repeat(80);
+
+    expect(buildLlmsFullTxt(project, sections)).toBe([
+      '# owner/repo',
+      '',
+      '> Documentation of owner/repo, extracted from main (commit abc123).',
+      '',
+      separator,
+      'Source: docs/a.md',
+      'URL: https://github.com/owner/repo/blob/abc123/docs/a.md',
+      separator,
+      '',
+      '# A',
+      '',
+      separator,
+      'Source: docs/b.md',
+      'URL: https://github.com/owner/repo/blob/abc123/docs/b.md',
+      separator,
+      '',
+      '# B\n\nSecond.',
+      '',
+    ].join('\n'));
+  });
+});
+
+describe('buildLlmsFullTxt() with chunked documents', () => {
+  it('writes each chunk of a document with its part number', () => {
+    const sections = groupDocuments([{ ...document('docs/a.md', 'a.md', '# A index'), parts: ['# A', '> A\n\n## B'] }]);
+    const content = buildLlmsFullTxt(project, sections);
+
+    expect(content).toContain('Source: docs/a.md (part 1 of 2)\nURL: https://github.com/owner/repo/blob/abc123/docs/a.md');
+    expect(content).toContain('Source: docs/a.md (part 2 of 2)');
+    expect(content).not.toContain('# A index');
+  });
+});
+
+// INTEGRATION TEST
+
+describe('writeLlmsFiles()', () => {
+  let outputDirectory;
+
+  beforeEach(async () => {
+    outputDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'gde-llms-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(outputDirectory);
+  });
+
+  it('reads the written documents and writes both files at the root of the output directory', async () => {
+    await fs.outputFile(path.join(outputDirectory, 'api', 'api-hooks.md'), '# Hooks\n');
+
+    const written = await writeLlmsFiles(outputDirectory, project, [
+      { output: 'api/api-hooks.md', section: 'api', source: 'docs/api/hooks.md', url: 'https://example.com/hooks' },
+    ]);
+
+    expect(written).toEqual([LLMS_FILENAME, LLMS_FULL_FILENAME]);
+    expect(await fs.readFile(path.join(outputDirectory, LLMS_FILENAME), 'utf8')).toContain('- [Hooks](api/api-hooks.md)');
+    expect(await fs.readFile(path.join(outputDirectory, LLMS_FULL_FILENAME), 'utf8')).toContain('Source: docs/api/hooks.md');
+  });
+});
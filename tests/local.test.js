@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+
+import local from '../bin/local.js';
+
+const {
+  computeBlobSha,
+  getLocalRepositoryName,
+  isLocalRepository,
+  openLocalRepository,
+  WORKING_TREE,
+} = local;
+
+const git = (directory, ...gitArguments) => execFileSync('git', [
+  '-C',
+  directory,
+  '-c',
+  'user.name=Test',
+  '-c',
+  'user.email=test@example.com',
+  ...gitArguments,
+], { encoding: 'utf8' }).trim();
+
+// UNIT TEST
+
+describe('isLocalRepository()', () => {
+  it('recognizes absolute and relative paths and file URLs', () => {
+    expect(isLocalRepository('./docs-repo')).toBe(true);
+    expect(isLocalRepository('../docs-repo')).toBe(true);
+    expect(isLocalRepository('.')).toBe(true);
+    expect(isLocalRepository('/srv/git/docs.git')).toBe(true);
+    expect(isLocalRepository(String.raw`C:\repos\docs`)).toBe(true);
+    expect(isLocalRepository('file:///srv/git/docs.git')).toBe(true);
+  });
+
+  it('leaves GitHub URLs and shorthands to the API', () => {
+    expect(isLocalRepository('owner/repo')).toBe(false);
+    expect(isLocalRepository('https://github.com/owner/repo')).toBe(false);
+    expect(isLocalRepository('git@github.com:owner/repo.git')).toBe(false);
+  });
+});
+
+describe('getLocalRepositoryName()', () => {
+  it('names a repository after its directory, without .git', () => {
+    expect(getLocalRepositoryName('/srv/git/docs.git')).toBe('docs');
+    expect(getLocalRepositoryName('file:///srv/git/docs/')).toBe('docs');
+  });
+});
+
+describe('computeBlobSha()', () => {
+  it('computes the SHA git gives to a blob', () => {
+    expect(computeBlobSha(Buffer.from('# Guide\n'))).toBe('8c0d02fadc02df29eefff5ad660a022b4a8e5efd');
+  });
+});
+
+// INTEGRATION TEST
+
+describe('openLocalRepository()', () => {
+  let directory;
+  let repository;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'gde-local-'));
+    repository = path.join(directory, 'docs-repo');
+    await fs.outputFile(path.join(repository, 'docs', 'guide.md'), '# Guide\n');
+    await fs.outputFile(path.join(repository, 'docs', 'api', 'hooks.md'), '# Hooks\r\n');
+    git(directory, 'init', '--quiet', '--initial-branch', 'main', repository);
+    git(repository, 'add', '--all');
+    git(repository, 'commit', '--quiet', '--message', 'Add docs');
+    git(repository, 'remote', 'add', 'origin', 'git@github.com:owner/docs-repo.git');
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  it('reads the checked out branch of a work tree through git, ignoring uncommitted changes', async () => {
+    await fs.outputFile(path.join(repository, 'docs', 'guide.md'), '# Changed\n');
+    const source = await openLocalRepository(repository);
+
+    const commit = await source.resolveCommit();
+    const { entries, truncated } = await source.fetchTree(commit.treeSha);
+
+    expect(source).toMatchObject({ name: 'docs-repo', remoteUrl: 'git@github.com:owner/docs-repo.git' });
+    expect(commit).toEqual({
+      ref: 'main',
+      sha: git(repository, 'rev-parse', 'HEAD'),
+      treeSha: git(repository, 'rev-parse', 'HEAD^{tree}'),
+    });
+    expect(truncated).toBe(false);
+    expect(entries).toEqual([
+      { mode: '040000', path: 'docs', sha: expect.any(String), type: 'tree' },
+      { mode: '040000', path: 'docs/api', sha: expect.any(String), type: 'tree' },
+      { mode: '100644', path: 'docs/api/hooks.md', sha: git(repository, 'rev-parse', 'HEAD:docs/api/hooks.md'), size: 9, type: 'blob' },
+      { mode: '100644', path: 'docs/guide.md', sha: git(repository, 'rev-parse', 'HEAD:docs/guide.md'), size: 8, type: 'blob' },
+    ]);
+    expect((await source.readFile('docs/guide.md', commit.sha)).toString()).toBe('# Guide\n');
+  });
+
+  it('reads a ref of a bare repository, including branches only known from origin', async () => {
+    git(repository, 'tag', 'v1');
+    git(repository, 'branch', 'next');
+    const bare = path.join(directory, 'docs-repo.git');
+    const clone = path.join(directory, 'clone');
+    git(directory, 'clone', '--quiet', '--bare', repository, bare);
+    git(directory, 'clone', '--quiet', repository, clone);
+
+    const bareSource = await openLocalRepository(bare);
+    const cloneSource = await openLocalRepository(clone);
+
+    expect(bareSource.name).toBe('docs-repo');
+    expect(bareSource.remoteUrl).toBe(repository);
+    expect(await bareSource.resolveCommit('v1')).toMatchObject({ ref: 'v1', sha: git(repository, 'rev-parse', 'v1') });
+    expect(await cloneSource.resolveCommit('next')).toMatchObject({ ref: 'next', sha: git(repository, 'rev-parse', 'next') });
+    await expect(bareSource.resolveCommit('missing')).rejects.toThrow('Ref "missing" not found in repository');
+  });
+
+  it('reads a directory that is not a git repository as it is on disk', async () => {
+    const folder = path.join(repository, 'docs');
+    const source = await openLocalRepository(`${folder}/`);
+
+    const commit = await source.resolveCommit();
+    const { entries } = await source.fetchTree(commit.treeSha);
+
+    expect(commit).toEqual({ ref: WORKING_TREE, sha: WORKING_TREE, treeSha: WORKING_TREE });
+    expect(entries.map((entry) => entry.path)).toEqual(['api', 'api/hooks.md', 'guide.md']);
+    expect(entries[2]).toMatchObject({ sha: git(repository, 'rev-parse', 'HEAD:docs/guide.md'), size: 8 });
+    expect((await source.readFile('api/hooks.md')).toString()).toBe('# Hooks\r\n');
+    expect(source.toUrl('api/hooks.md')).toMatch(/^file:\/\/.*\/docs\/api\/hooks\.md$/);
+    await expect(source.resolveCommit('main')).rejects.toThrow('is not a git repository: --ref cannot be used');
+  });
+
+  it('rejects a path that is not a directory', async () => {
+    await expect(openLocalRepository(path.join(directory, 'missing'))).rejects.toThrow('Local repository');
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+
+import packageJson from '../package.json' with { type: 'json' };
+import manifestModule from '../bin/manifest.js';
+
+const {
+  buildIndex,
+  buildManifest,
+  INDEX_FILENAME,
+  MANIFEST_FILENAME,
+  writeManifestFiles,
+} = manifestModule;
+
+const run = {
+  commit: 'abc123',
+  extractedAt: '2026-01-02T03:04:05.000Z',
+  options: { paths: ['docs'] },
+  ref: 'main',
+  repository: 'owner/repo',
+};
+const entry = (source, output, extra = {}) => ({
+  documentPath: 'docs',
+  output,
+  sha: `sha-${path.posix.basename(source)}`,
+  size: 1536,
+  source,
+  title: path.posix.parse(source).name,
+  ...extra,
+});
+
+// UNIT TEST
+
+describe('buildManifest()', () => {
+  it('describes the run and lists the documents in repository order', () => {
+    const manifest = buildManifest(run, [entry('docs/b.md', 'b.md'), entry('docs/README.md', 'README.md')]);
+
+    expect(manifest).toMatchObject({
+      ...run,
+      tool: { name: packageJson.name, version: packageJson.version },
+    });
+    expect(manifest.files.map((file) => file.source)).toEqual(['docs/README.md', 'docs/b.md']);
+  });
+});
+
+describe('buildIndex()', () => {
+  it('lists the documents of each documentation path in a table', () => {
+    const manifest = buildManifest(run, [
+      entry('docs/guide.md', 'guide.md', { title: 'Guide | Basics' }),
+      entry('guides/setup.md', 'guides/guides-setup.md', {
+        chunks: [{ output: 'guides/guides-setup--a.md', size: 10 }, { output: 'guides/guides-setup--b.md', size: 10 }],
+        documentPath: 'guides',
+        size: 100,
+      }),
+    ]);
+
+    expect(buildIndex(manifest)).toBe([
+      '# owner/repo',
+      '',
+      `Extracted from \`main\` (commit \`abc123\`) on 2026-01-02T03:04:05.000Z with ${packageJson.name} ${packageJson.version}.`,
+      '',
+      '## docs',
+      '',
+      '| Document | Source | Size |',
+      '| --- | --- | --- |',
+      String.raw`| [Guide \| Basics](guide.md) | ` + '`docs/guide.md` | 1.5 KB |',
+      '',
+      '## guides',
+      '',
+      '| Document | Source | Size |',
+      '| --- | --- | --- |',
+      '| [setup](guides/guides-setup.md) | `guides/setup.md` | 100 B (2 chunks) |',
+      '',
+    ].join('\n'));
+  });
+});
+
+// INTEGRATION TEST
+
+describe('writeManifestFiles()', () => {
+  let outputDirectory;
+
+  beforeEach(async () => {
+    outputDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'gde-manifest-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(outputDirectory);
+  });
+
+  it('reads the size and title of the written documents', async () => {
+    await fs.outputFile(path.join(outputDirectory, 'guide.md'), '---\ntitle: Guide\n---\n\nÉtape.\n');
+
+    const written = await writeManifestFiles(outputDirectory, run, [
+      { documentPath: 'docs', output: 'guide.md', sha: 'sha-guide.md', source: 'docs/guide.md' },
+    ]);
+
+    expect(written).toEqual([MANIFEST_FILENAME]);
+    expect((await fs.readJson(path.join(outputDirectory, MANIFEST_FILENAME))).files).toEqual([{
+      documentPath: 'docs',
+      output: 'guide.md',
+      sha: 'sha-guide.md',
+      size: 30,
+      source: 'docs/guide.md',
+      title: 'Guide',
+    }]);
+    expect(await fs.pathExists(path.join(outputDirectory, INDEX_FILENAME))).toBe(false);
+  });
+
+  it('writes INDEX.md when requested', async () => {
+    await fs.outputFile(path.join(outputDirectory, 'guide.md'), '# Guide\n');
+
+    const written = await writeManifestFiles(outputDirectory, run, [
+      { documentPath: 'docs', output: 'guide.md', sha: 'sha-guide.md', source: 'docs/guide.md' },
+    ], { index: true });
+
+    expect(written).toEqual([MANIFEST_FILENAME, INDEX_FILENAME]);
+    expect(await fs.readFile(path.join(outputDirectory, INDEX_FILENAME), 'utf8')).toContain('| [Guide](guide.md) |');
+  });
+});
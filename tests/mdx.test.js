@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+
+import mdx from '../bin/mdx.js';
+
+const { convertMdxToMarkdown, isMdxFile, toMarkdownFilename } = mdx;
+
+// UNIT TEST
+
+describe('convertMdxToMarkdown()', () => {
+  it('removes imports, exports and JSX comments', () => {
+    const input = [
+      "import Tabs from '@theme/Tabs';",
+      'import {',
+      '  Callout,',
+      "} from 'nextra/components';",
+      "import './styles.css';",
+      'export const meta = {',
+      "  title: 'Intro',",
+      '};',
+      '',
+      '# Intro',
+      '',
+      '{/* TODO: rewrite */}',
+      'Text.',
+      '',
+    ].join('\n');
+
+    expect(convertMdxToMarkdown(input)).toBe('# Intro\n\nText.\n');
+  });
+
+  it('keeps the front matter', () => {
+    const input = "---\ntitle: Intro\n---\n\nimport X from './x';\n\n# Intro\n";
+
+    expect(convertMdxToMarkdown(input)).toBe('---\ntitle: Intro\n---\n\n# Intro\n');
+  });
+
+  it('writes Docusaurus tabs as a label followed by their content', () => {
+    const input = [
+      '<Tabs groupId="package-manager">',
+      '  <TabItem value="npm" label="npm">',
+      '',
+      'npm install gde',
+      '',
+      '  </TabItem>',
+      '  <TabItem value="yarn">',
+      '',
+      'yarn add gde',
+      '',
+      '  </TabItem>',
+      '</Tabs>',
+    ].join('\n');
+
+    expect(convertMdxToMarkdown(input)).toBe('**npm**\n\nnpm install gde\n\n**yarn**\n\nyarn add gde\n');
+  });
+
+  it('labels Nextra tabs with the items of their Tabs component', () => {
+    const input = "<Tabs items={['pnpm', 'npm']}>\n  <Tabs.Tab>pnpm add gde</Tabs.Tab>\n  <Tabs.Tab>npm i gde</Tabs.Tab>\n</Tabs>";
+
+    expect(convertMdxToMarkdown(input)).toBe('**pnpm**\n\npnpm add gde\n\n**npm**\n\nnpm i gde\n');
+  });
+
+  it('writes admonitions and callouts as blockquotes', () => {
+    const input = [
+      ':::tip[Pro tip]',
+      'Use the shorthand.',
+      ':::',
+      '',
+      '<Callout type="warning" emoji="⚠️">',
+      '  Tokens are secrets.',
+      '</Callout>',
+      '',
+      '<Admonition type="info" title="Heads up">Read this.</Admonition>',
+    ].join('\n');
+
+    expect(convertMdxToMarkdown(input)).toBe([
+      '> **Tip: Pro tip**',
+      '>',
+      '> Use the shorthand.',
+      '',
+      '> **Warning**',
+      '>',
+      '> Tokens are secrets.',
+      '',
+      '> **Info: Heads up**',
+      '>',
+      '> Read this.',
+      '',
+    ].join('\n'));
+  });
+
+  it('quotes nested admonitions and code blocks inside admonitions', () => {
+    const input = '::::note\nOuter\n\n```js\nconst a = 1;\n```\n\n:::danger\nInner\n:::\n::::';
+
+    expect(convertMdxToMarkdown(input)).toBe(
+      '> **Note**\n>\n> Outer\n>\n> ```js\n> const a = 1;\n> ```\n>\n> > **Danger**\n> >\n> > Inner',
+    );
+  });
+
+  it('writes code block components as fenced code blocks', () => {
+    const input = '<CodeBlock language="jsx" title="/src/App.js">\n{`const App = () => <Tabs />;`}\n</CodeBlock>';
+
+    expect(convertMdxToMarkdown(input)).toBe('**/src/App.js**\n\n```jsx\nconst App = () => <Tabs />;\n```\n');
+  });
+
+  it('leaves code blocks, inline code and HTML elements untouched', () => {
+    const input = '```mdx\nimport Tabs from "@theme/Tabs";\n<Tabs />\n```\n\nUse `<Tabs>` in a <details><summary>list</summary>item</details>.';
+
+    expect(convertMdxToMarkdown(input)).toBe(input);
+  });
+
+  it('unwraps unknown components by default and fragments with any policy', () => {
+    const input = '<Steps>\n### Install\n</Steps>\n\n<DocCardList />\n\n<>Fragment <Highlight color="red">text</Highlight></>';
+
+    expect(convertMdxToMarkdown(input)).toBe('### Install\n\nFragment text');
+    expect(convertMdxToMarkdown(input, { unknownComponents: 'strip' })).toBe('Fragment ');
+    expect(convertMdxToMarkdown(input, { unknownComponents: 'keep' })).toBe(
+      '<Steps>\n### Install\n</Steps>\n\n<DocCardList />\n\nFragment <Highlight color="red">text</Highlight>',
+    );
+  });
+
+  it('parses attributes containing > and keeps unmatched closing tags', () => {
+    const input = '<Button onClick={() => open()}>Open</Button> </Orphan>';
+
+    expect(convertMdxToMarkdown(input)).toBe('Open </Orphan>');
+  });
+
+  it.each(['unwrap', 'strip'])('keeps unmatched opening tags as text with --unknown-components %s', (unknownComponents) => {
+    const input = 'Generic List<String> type.\n\n<Steps>A <Card>card</Steps> and more.';
+
+    expect(convertMdxToMarkdown(input, { unknownComponents })).toBe(unknownComponents === 'strip'
+      ? 'Generic List<String> type.\n\n and more.'
+      : 'Generic List<String> type.\n\nA <Card>card and more.');
+  });
+
+  it('keeps CRLF line endings', () => {
+    expect(convertMdxToMarkdown("import X from './x';\r\n\r\n# Title\r\n")).toBe('# Title\r\n');
+  });
+});
+
+describe('isMdxFile()', () => {
+  it('recognizes .mdx files regardless of case', () => {
+    expect(isMdxFile('docs/intro.mdx')).toBe(true);
+    expect(isMdxFile('docs/INTRO.MDX')).toBe(true);
+    expect(isMdxFile('docs/intro.md')).toBe(false);
+  });
+});
+
+describe('toMarkdownFilename()', () => {
+  it('replaces the .mdx extension with .md', () => {
+    expect(toMarkdownFilename('api-getting-started.mdx')).toBe('api-getting-started.md');
+    expect(toMarkdownFilename('guide.md')).toBe('guide.md');
+  });
+});
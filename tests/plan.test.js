@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import path from 'node:path';
+
+import plan from '../bin/plan.js';
+
+const { buildExtractionPlan, formatBytes, formatExtractionPlan } = plan;
+
+const source = { commit: 'abc', ref: 'main', repository: 'owner/repo' };
+const pathConfigs = [
+  { documentPath: 'docs', outputRoot: undefined },
+  { documentPath: 'packages/react/docs', outputRoot: 'react-docs' },
+];
+const files = [
+  { __documentPath: 'docs', output: 'guide.md', path: 'docs/guide.md', sha: 'g1', size: 1536 },
+  { __documentPath: 'docs', output: 'api-hooks.md', path: 'docs/api/hooks.md', sha: 'h1', size: 512 },
+  {
+    __documentPath: 'packages/react/docs',
+    output: 'react-docs/react-docs-intro.md',
+    path: 'packages/react/docs/intro.md',
+    sha: 'i1',
+    size: 100,
+  },
+];
+
+// UNIT TEST
+
+describe('formatBytes()', () => {
+  it('formats bytes, kilobytes and megabytes', () => {
+    expect(formatBytes(0)).toBe('0 B');
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+});
+
+// UNIT TEST
+
+describe('buildExtractionPlan()', () => {
+  it('lists every file with its output directory and filename', () => {
+    const extractionPlan = buildExtractionPlan(source, pathConfigs, files, './output');
+
+    expect(extractionPlan.files[2]).toEqual({
+      directory: path.join('./output', 'react-docs'),
+      documentPath: 'packages/react/docs',
+      filename: 'react-docs-intro.md',
+      sha: 'i1',
+      size: 100,
+      source: 'packages/react/docs/intro.md',
+    });
+    expect(extractionPlan.files[0].directory).toBe(path.join('./output'));
+  });
+
+  it('computes totals per documentation path and overall', () => {
+    const extractionPlan = buildExtractionPlan(source, pathConfigs, files, './output');
+
+    expect(extractionPlan).toMatchObject({
+      ...source,
+      outputDirectory: './output',
+      paths: [
+        { documentPath: 'docs', files: 2, size: 2048 },
+        { documentPath: 'packages/react/docs', files: 1, outputRoot: 'react-docs', size: 100 },
+      ],
+      totals: { files: 3, size: 2148 },
+    });
+  });
+
+});
+
+// UNIT TEST
+
+describe('formatExtractionPlan()', () => {
+  it('prints a section per documentation path and the totals', () => {
+    const output = formatExtractionPlan(buildExtractionPlan(source, pathConfigs, files, './output'));
+
+    expect(output).toContain('owner/repo@main (commit abc)');
+    expect(output).toContain('docs — 2 files, 2.0 KB');
+    expect(output).toContain('packages/react/docs — 1 files, 100 B');
+    expect(output).toMatch(/docs\/api\/hooks\.md\s+512 B\s+output\s+api-hooks\.md/);
+    expect(output).toContain('Total: 3 files, 2.1 KB');
+  });
+
+  it('lists filename collisions after the totals', () => {
+    const filenameCollisions = [{ kept: 'docs/a-b.md', output: 'a-b.md', renamed: [], skipped: ['docs/a/b.md'] }];
+    const output = formatExtractionPlan(buildExtractionPlan(source, pathConfigs, files, './output', { collisions: filenameCollisions }));
+
+    expect(output).toContain('1 filename collisions found');
+    expect(output).toContain('docs/a/b.md skipped (a-b.md is taken by docs/a-b.md)');
+  });
+
+  it('lists the files filtered out by each rule', () => {
+    const filtered = [{ directories: 1, files: 4, label: '--exclude "blog/**"' }];
+    const output = formatExtractionPlan(buildExtractionPlan(source, pathConfigs, files, './output', { filtered }));
+
+    expect(output).toContain('Filtered out: 4 files and 1 directories by --exclude "blog/**".');
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { once } from 'node:events';
+import http from 'node:http';
+
+import providers from '../bin/providers.js';
+
+const { matchProviderUrl, openProvider } = providers;
+
+/**
+ * Starts a mock API server answering the routes of a test.
+ * Routes map "<pathname>?<sorted query>" or "<pathname>" to a handler returning
+ * { status, headers, body }; the requests are recorded.
+ */
+const startServer = async () => {
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const query = [...url.searchParams].sort(([a], [b]) => a.localeCompare(b)).map(([key, value]) => `${key}=${value}`);
+    const handler = server.routes[`${url.pathname}?${query.join('&')}`] ?? server.routes[url.pathname];
+    server.requests.push({ headers: request.headers, url });
+
+    const { body = '', headers = {}, status = 200 } = handler ? handler(url) : { status: 404, body: '{}' };
+    response.writeHead(status, { 'content-type': 'application/json', ...headers });
+    response.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  server.origin = `http://127.0.0.1:${server.address().port}`;
+
+  return server;
+};
+
+// UNIT TEST
+
+describe('matchProviderUrl()', () => {
+  it.each([
+    ['https://gitlab.com/group/project', { owner: 'group', provider: 'gitlab', repo: 'project' }],
+    ['https://gitlab.com/group/subgroup/project.git/', { owner: 'group/subgroup', provider: 'gitlab', repo: 'project' }],
+    ['git@gitlab.com:group/project.git', { owner: 'group', provider: 'gitlab', repo: 'project' }],
+    ['https://gitlab.example.com/group/project', { host: 'gitlab.example.com', owner: 'group', provider: 'gitlab' }],
+    ['https://codeberg.org/owner/repo', { origin: 'https://codeberg.org', owner: 'owner', provider: 'gitea', repo: 'repo' }],
+    ['ssh://git@codeberg.org:22/owner/repo.git', { owner: 'owner', provider: 'gitea', repo: 'repo' }],
+    ['http://gitea.internal/owner/repo', { origin: 'http://gitea.internal', provider: 'gitea' }],
+  ])('matches the repository "%s"', (url, expected) => {
+    expect(matchProviderUrl(url)).toMatchObject(expected);
+  });
+
+  it.each([
+    ['https://gitlab.com/group/project/-/tree/main', { ref: 'main' }],
+    ['https://gitlab.com/group/project/-/tree/v2.1/docs/guides', { refAndPath: 'v2.1/docs/guides' }],
+    ['https://gitlab.com/group/project/-/blob/main/docs/intro.md', { refAndPath: 'main/docs' }],
+    ['https://codeberg.org/owner/repo/src/branch/main', { ref: 'main' }],
+    ['https://codeberg.org/owner/repo/src/tag/v1/docs', { refAndPath: 'v1/docs' }],
+    ['https://codeberg.org/owner/repo/src/commit/abc123/docs/api', { path: 'docs/api', ref: 'abc123' }],
+  ])('matches the ref and path of "%s"', (url, expected) => {
+    expect(matchProviderUrl(url)).toMatchObject(expected);
+  });
+
+  it('leaves GitHub and unknown hosts to parseRepoUrl', () => {
+    expect(matchProviderUrl('https://github.com/owner/repo')).toBeUndefined();
+    expect(matchProviderUrl('https://example.com/owner/repo')).toBeUndefined();
+    expect(matchProviderUrl('owner/repo')).toBeUndefined();
+    expect(matchProviderUrl('https://codeberg.org/owner/repo/issues')).toBeUndefined();
+  });
+});
+
+// INTEGRATION TEST
+
+describe('openProvider()', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(async () => {
+    server.close();
+    await once(server, 'close');
+  });
+
+  beforeEach(() => {
+    server.requests = [];
+    server.routes = {};
+  });
+
+  describe('GitLab', () => {
+    const repoInfo = matchProviderUrl('https://gitlab.com/group/subgroup/project');
+    const projectPath = '/api/v4/projects/group%2Fsubgroup%2Fproject';
+    const open = () => openProvider(repoInfo, { apiUrl: `${server.origin}/api/v4`, token: 'gitlab-token' });
+
+    it('resolves the default branch and lists the tree page by page', async () => {
+      const treePath = `${projectPath}/repository/tree`;
+      server.routes = {
+        [projectPath]: () => ({ body: { default_branch: 'main' } }),
+        [`${projectPath}/repository/commits/main`]: () => ({ body: { id: 'commit-sha' } }),
+        [`${treePath}?pagination=keyset&per_page=100&recursive=true&ref=commit-sha`]: () => ({
+          body: [{ id: 'tree-1', mode: '040000', path: 'docs', type: 'tree' }],
+          headers: { link: `<${server.origin}${treePath}?page_token=2>; rel="next"` },
+        }),
+        [`${treePath}?page_token=2`]: () => ({
+          body: [{ id: 'blob-1', mode: '100644', path: 'docs/guide.md', type: 'blob' }],
+        }),
+      };
+      const provider = open();
+
+      const commit = await provider.resolveCommit();
+      const tree = await provider.fetchTree(commit.treeSha);
+
+      expect(provider.name).toBe('group/subgroup/project');
+      expect(commit).toEqual({ ref: 'main', sha: 'commit-sha', treeSha: 'commit-sha' });
+      expect(tree).toEqual({
+        entries: [
+          { mode: '040000', path: 'docs', sha: 'tree-1', type: 'tree' },
+          { mode: '100644', path: 'docs/guide.md', sha: 'blob-1', type: 'blob' },
+        ],
+        truncated: false,
+      });
+      expect(server.requests.every(({ headers }) => headers['private-token'] === 'gitlab-token')).toBe(true);
+    });
+
+    it('reads the raw content of a file and links to it', async () => {
+      server.routes = {
+        [`${projectPath}/repository/files/docs%2Fguide.md/raw`]: (url) => ({
+          body: `# Guide at ${url.searchParams.get('ref')}\n`,
+        }),
+      };
+      const provider = open();
+
+      expect((await provider.readFile('docs/guide.md', 'commit-sha')).toString()).toBe('# Guide at commit-sha\n');
+      expect(provider.toUrl('commit-sha', 'docs/a b.md')).toBe(
+        'https://gitlab.com/group/subgroup/project/-/blob/commit-sha/docs/a%20b.md',
+      );
+      expect(provider.toUrl('commit-sha', 'docs/logo.png', { raw: true })).toBe(
+        'https://gitlab.com/group/subgroup/project/-/raw/commit-sha/docs/logo.png',
+      );
+    });
+
+    it('splits an ambiguous ref and path with the refs that exist', async () => {
+      server.routes = {
+        [`${projectPath}/repository/commits/feature%2Fdocs`]: () => ({ body: { id: 'commit-sha' } }),
+      };
+
+      await expect(open().resolveReferenceAndPath('feature/docs/guides')).resolves.toEqual({
+        path: 'guides',
+        ref: 'feature/docs',
+      });
+      await expect(open().resolveCommit('missing')).rejects.toThrow(
+        'Ref "missing" not found in repository group/subgroup/project.',
+      );
+    });
+
+    it('rejects failed requests with their status and headers so they can be retried', async () => {
+      server.routes = {
+        [projectPath]: () => ({ body: '{}', headers: { 'retry-after': '3' }, status: 429 }),
+      };
+
+      await expect(open().resolveCommit()).rejects.toMatchObject({
+        message: `GitLab API request failed with status 429: ${projectPath}`,
+        response: { headers: expect.objectContaining({ 'retry-after': '3' }) },
+        status: 429,
+      });
+    });
+
+    it('never sends the token to another host', async () => {
+      server.routes = {
+        [`${projectPath}/repository/tree`]: () => ({
+          body: [],
+          headers: { link: '<https://attacker.example/api/v4/tree?page=2>; rel="next"' },
+        }),
+      };
+
+      await expect(open().fetchTree('commit-sha')).rejects.toThrow('Refusing to follow https://attacker.example');
+    });
+  });
+
+  describe('Gitea', () => {
+    const repoInfo = matchProviderUrl('https://codeberg.org/owner/repo');
+    const repositoryPath = '/api/v1/repos/owner/repo';
+    const open = () => openProvider(repoInfo, { apiUrl: `${server.origin}/api/v1`, token: 'gitea-token' });
+
+    it('resolves a ref and lists the tree page by page', async () => {
+      const treePath = `${repositoryPath}/git/trees/tree-sha`;
+      server.routes = {
+        [`${repositoryPath}/git/commits/v1`]: () => ({ body: { commit: { tree: { sha: 'tree-sha' } }, sha: 'commit-sha' } }),
+        [`${treePath}?page=1&per_page=1000&recursive=true`]: () => ({
+          body: { total_count: 2, tree: [{ mode: '040000', path: 'docs', sha: 'tree-1', type: 'tree' }] },
+        }),
+        [`${treePath}?page=2&per_page=1000&recursive=true`]: () => ({
+          body: { total_count: 2, tree: [{ mode: '100644', path: 'docs/guide.md', sha: 'blob-1', size: 8, type: 'blob' }] },
+        }),
+      };
+      const provider = open();
+
+      const commit = await provider.resolveCommit('v1');
+      const tree = await provider.fetchTree(commit.treeSha);
+
+      expect(commit).toEqual({ ref: 'v1', sha: 'commit-sha', treeSha: 'tree-sha' });
+      expect(tree.entries).toEqual([
+        { mode: '040000', path: 'docs', sha: 'tree-1', type: 'tree' },
+        { mode: '100644', path: 'docs/guide.md', sha: 'blob-1', size: 8, type: 'blob' },
+      ]);
+      expect(server.requests.every(({ headers }) => headers.authorization === 'token gitea-token')).toBe(true);
+    });
+
+    it('reads the raw content of a file and links to it', async () => {
+      server.routes = {
+        [`${repositoryPath}/raw/docs/guide.md`]: (url) => ({ body: `# Guide at ${url.searchParams.get('ref')}\n` }),
+      };
+      const provider = open();
+
+      expect((await provider.readFile('docs/guide.md', 'commit-sha')).toString()).toBe('# Guide at commit-sha\n');
+      expect(provider.toUrl('commit-sha', 'docs/guide.md')).toBe(
+        'https://codeberg.org/owner/repo/src/commit/commit-sha/docs/guide.md',
+      );
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+
+import staging from '../bin/staging.js';
+
+const {
+  assertSafeOutputDirectory,
+  commitStagingDirectory,
+  discardStagingDirectory,
+  getStagingDirectory,
+  prepareStagingDirectory,
+} = staging;
+
+let rootDirectory;
+let outputDirectory;
+
+beforeEach(async () => {
+  rootDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'gde-staging-'));
+  outputDirectory = path.join(rootDirectory, 'output');
+});
+
+afterEach(async () => {
+  await fs.remove(rootDirectory);
+});
+
+// UNIT TEST
+
+describe('getStagingDirectory()', () => {
+  it('returns a hidden sibling of the output directory', () => {
+    expect(getStagingDirectory(outputDirectory)).toBe(path.join(rootDirectory, '.output.gde-staging'));
+  });
+});
+
+// INTEGRATION TEST
+
+describe('assertSafeOutputDirectory()', () => {
+  it('accepts a missing directory', async () => {
+    await expect(assertSafeOutputDirectory(outputDirectory)).resolves.toBeUndefined();
+  });
+
+  it('accepts an empty directory', async () => {
+    await fs.ensureDir(outputDirectory);
+    await expect(assertSafeOutputDirectory(outputDirectory)).resolves.toBeUndefined();
+  });
+
+  it('accepts a directory created by gde', async () => {
+    await fs.outputJson(path.join(outputDirectory, '.gde-manifest.json'), { files: [], version: 1 });
+    await fs.outputFile(path.join(outputDirectory, 'guide.md'), '# Guide');
+    await expect(assertSafeOutputDirectory(outputDirectory)).resolves.toBeUndefined();
+  });
+
+  it('refuses a non-empty directory not created by gde', async () => {
+    await fs.outputFile(path.join(outputDirectory, 'notes.txt'), 'precious');
+    await expect(assertSafeOutputDirectory(outputDirectory)).rejects.toThrow('was not created by gde');
+  });
+
+  it('accepts a non-empty directory not created by gde with force', async () => {
+    await fs.outputFile(path.join(outputDirectory, 'notes.txt'), 'precious');
+    await expect(assertSafeOutputDirectory(outputDirectory, true)).resolves.toBeUndefined();
+  });
+});
+
+// INTEGRATION TEST
+
+describe('staging lifecycle', () => {
+  it('starts from an empty staging directory, even after an interrupted run', async () => {
+    await fs.outputFile(path.join(getStagingDirectory(outputDirectory), 'leftover.md'), 'old');
+
+    const stagingDirectory = await prepareStagingDirectory(outputDirectory);
+
+    expect(await fs.readdir(stagingDirectory)).toEqual([]);
+  });
+
+  it('starts from a copy of the previous output in sync mode', async () => {
+    await fs.outputFile(path.join(outputDirectory, 'guide.md'), '# Guide');
+
+    const stagingDirectory = await prepareStagingDirectory(outputDirectory, true);
+
+    expect(await fs.readFile(path.join(stagingDirectory, 'guide.md'), 'utf8')).toBe('# Guide');
+  });
+
+  it('replaces the previous output on commit', async () => {
+    await fs.outputFile(path.join(outputDirectory, 'old.md'), 'old');
+    const stagingDirectory = await prepareStagingDirectory(outputDirectory);
+    await fs.outputFile(path.join(stagingDirectory, 'new.md'), 'new');
+
+    await commitStagingDirectory(stagingDirectory, outputDirectory);
+
+    expect(await fs.readdir(outputDirectory)).toEqual(['new.md']);
+    expect(await fs.readdir(rootDirectory)).toEqual(['output']);
+  });
+
+  it('creates the output directory on commit when it did not exist', async () => {
+    const stagingDirectory = await prepareStagingDirectory(outputDirectory);
+    await fs.outputFile(path.join(stagingDirectory, 'new.md'), 'new');
+
+    await commitStagingDirectory(stagingDirectory, outputDirectory);
+
+    expect(await fs.readdir(outputDirectory)).toEqual(['new.md']);
+  });
+
+  it('leaves the previous output untouched on discard', async () => {
+    await fs.outputFile(path.join(outputDirectory, 'old.md'), 'old');
+    const stagingDirectory = await prepareStagingDirectory(outputDirectory);
+    await fs.outputFile(path.join(stagingDirectory, 'partial.md'), 'partial');
+
+    await discardStagingDirectory(stagingDirectory);
+
+    expect(await fs.readdir(outputDirectory)).toEqual(['old.md']);
+    expect(await fs.pathExists(stagingDirectory)).toBe(false);
+  });
+});
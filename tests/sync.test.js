@@ -0,0 +1,322 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+
+import sync from '../bin/sync.js';
+
+const {
+  hasSameTransforms,
+  invalidateChunkedFiles,
+  invalidateLinkingFiles,
+  invalidateSyncPlan,
+  planSync,
+  readSyncManifest,
+  SYNC_MANIFEST_FILENAME,
+  toManifestPath,
+  writeSyncManifest,
+} = sync;
+
+// UNIT TEST
+
+describe('planSync()', () => {
+  const file = (filePath, sha, output) => ({ output, path: filePath, sha });
+  const entry = (source, sha, output) => ({ output, sha, source });
+
+  it('treats every file as added without a previous manifest', () => {
+    const files = [file('docs/a.md', 'a1', 'a.md'), file('docs/b.md', 'b1', 'b.md')];
+
+    expect(planSync(files, [])).toEqual({
+      added: files,
+      changed: [],
+      removed: [],
+      renamed: [],
+      stale: [],
+      unchanged: [],
+    });
+  });
+
+  it('detects unchanged, changed and removed files', () => {
+    const files = [file('docs/a.md', 'a1', 'a.md'), file('docs/b.md', 'b2', 'b.md')];
+    const previous = [entry('docs/a.md', 'a1', 'a.md'), entry('docs/b.md', 'b1', 'b.md'), entry('docs/c.md', 'c1', 'c.md')];
+
+    const plan = planSync(files, previous);
+
+    expect(plan.unchanged).toEqual([files[0]]);
+    expect(plan.changed).toEqual([files[1]]);
+    expect(plan.removed).toEqual([previous[2]]);
+    expect(plan.added).toEqual([]);
+  });
+
+  it('detects a renamed source with the same blob SHA', () => {
+    const files = [file('docs/api/hooks.md', 'h1', 'api-hooks.md')];
+    const previous = [entry('docs/hooks.md', 'h1', 'hooks.md')];
+
+    const plan = planSync(files, previous);
+
+    expect(plan.renamed).toEqual([{ file: files[0], from: 'hooks.md' }]);
+    expect(plan.added).toEqual([]);
+    expect(plan.removed).toEqual([]);
+  });
+
+  it('moves an unchanged file whose flattened output changed', () => {
+    const files = [file('docs/code/api.md', 'a1', 'code/code-api.md')];
+    const previous = [entry('docs/code/api.md', 'a1', 'code-api.md')];
+
+    expect(planSync(files, previous).renamed).toEqual([{ file: files[0], from: 'code-api.md' }]);
+  });
+
+  it('marks the previous output of a changed file that moved as stale', () => {
+    const files = [file('docs/code/api.md', 'a2', 'code/code-api.md')];
+    const previous = [entry('docs/code/api.md', 'a1', 'code-api.md')];
+
+    const plan = planSync(files, previous);
+
+    expect(plan.changed).toEqual(files);
+    expect(plan.stale).toEqual(['code-api.md']);
+  });
+});
+
+// UNIT TEST
+
+describe('hasSameTransforms()', () => {
+  it('compares the transforms of a previous manifest with the current ones', () => {
+    expect(hasSameTransforms({ transforms: { frontmatter: true } }, { frontmatter: true })).toBe(true);
+    expect(hasSameTransforms({ transforms: { frontmatter: true } }, { frontmatter: false })).toBe(false);
+  });
+
+  it('compares the settings of transforms', () => {
+    expect(hasSameTransforms({ transforms: { assets: 1024 } }, { assets: 1024 })).toBe(true);
+    expect(hasSameTransforms({ transforms: { assets: 1024 } }, { assets: 2048 })).toBe(false);
+    expect(hasSameTransforms({ transforms: { assets: 1024 } }, { assets: false })).toBe(false);
+  });
+
+  it('considers transforms missing from older manifests as disabled', () => {
+    expect(hasSameTransforms({}, { frontmatter: false })).toBe(true);
+    expect(hasSameTransforms({}, { frontmatter: true })).toBe(false);
+  });
+});
+
+// UNIT TEST
+
+describe('invalidateChunkedFiles()', () => {
+  it('downloads again renamed files with chunks and marks the chunks of files not unchanged as stale', () => {
+    const unchanged = { output: 'a.md', path: 'docs/a.md', sha: 'a1' };
+    const changed = { output: 'b.md', path: 'docs/b.md', sha: 'b2' };
+    const movedWithChunks = { output: 'd.md', path: 'docs/d.md', sha: 'c1' };
+    const movedWithoutChunks = { output: 'f.md', path: 'docs/f.md', sha: 'e1' };
+    const previousEntries = [
+      { chunks: ['a--intro.md'], output: 'a.md', sha: 'a1', source: 'docs/a.md' },
+      { chunks: ['b--intro.md', 'b--usage.md'], output: 'b.md', sha: 'b1', source: 'docs/b.md' },
+      { chunks: ['c--intro.md'], output: 'c.md', sha: 'c1', source: 'docs/c.md' },
+      { output: 'e.md', sha: 'e1', source: 'docs/e.md' },
+    ];
+    const syncPlan = {
+      added: [],
+      changed: [changed],
+      removed: [],
+      renamed: [{ file: movedWithChunks, from: 'c.md' }, { file: movedWithoutChunks, from: 'e.md' }],
+      stale: [],
+      unchanged: [unchanged],
+    };
+
+    expect(invalidateChunkedFiles(syncPlan, previousEntries)).toEqual({
+      ...syncPlan,
+      changed: [changed, movedWithChunks],
+      renamed: [{ file: movedWithoutChunks, from: 'e.md' }],
+      stale: ['c.md', 'b--intro.md', 'b--usage.md', 'c--intro.md'],
+    });
+  });
+});
+
+describe('invalidateLinkingFiles()', () => {
+  it('downloads again unchanged files linking to a source whose output was added, moved or removed', () => {
+    const linkingToAdded = { output: 'a.md', path: 'docs/a.md', sha: 'a1' };
+    const linkingToRemoved = { output: 'b.md', path: 'docs/b.md', sha: 'b1' };
+    const linkingToUnchanged = { output: 'c.md', path: 'docs/c.md', sha: 'c1' };
+    const added = { output: 'new.md', path: 'docs/new.md', sha: 'n1' };
+    const removed = { output: 'old.md', sha: 'o1', source: 'docs/old.md' };
+    const previousEntries = [
+      { links: ['docs/new'], output: 'a.md', sha: 'a1', source: 'docs/a.md' },
+      { links: ['docs/old.md'], output: 'b.md', sha: 'b1', source: 'docs/b.md' },
+      { links: ['docs/a.md'], output: 'c.md', sha: 'c1', source: 'docs/c.md' },
+      removed,
+    ];
+    const syncPlan = {
+      added: [added],
+      changed: [],
+      removed: [removed],
+      renamed: [],
+      stale: [],
+      unchanged: [linkingToAdded, linkingToRemoved, linkingToUnchanged],
+    };
+
+    expect(invalidateLinkingFiles(
+      syncPlan,
+      [linkingToAdded, linkingToRemoved, linkingToUnchanged, added],
+      previousEntries,
+    )).toEqual({
+      ...syncPlan,
+      changed: [linkingToAdded, linkingToRemoved],
+      unchanged: [linkingToUnchanged],
+    });
+  });
+
+  it('downloads again renamed files with links and marks their previous output as stale', () => {
+    const withLinks = { output: 'guides-a.md', path: 'guides/a.md', sha: 'a1' };
+    const withoutLinks = { output: 'guides-b.md', path: 'guides/b.md', sha: 'b1' };
+    const previousEntries = [
+      { links: ['docs/intro.md'], output: 'a.md', sha: 'a1', source: 'docs/a.md' },
+      { output: 'b.md', sha: 'b1', source: 'docs/b.md' },
+    ];
+
+    expect(invalidateLinkingFiles(
+      {
+        added: [],
+        changed: [],
+        removed: [],
+        renamed: [{ file: withLinks, from: 'a.md' }, { file: withoutLinks, from: 'b.md' }],
+        stale: [],
+        unchanged: [],
+      },
+      [withLinks, withoutLinks],
+      previousEntries,
+    )).toEqual({
+      added: [],
+      changed: [withLinks],
+      removed: [],
+      renamed: [{ file: withoutLinks, from: 'b.md' }],
+      stale: ['a.md'],
+      unchanged: [],
+    });
+  });
+});
+
+describe('invalidateSyncPlan()', () => {
+  it('downloads unchanged and renamed files again and marks previous outputs of renamed files as stale', () => {
+    const unchanged = { output: 'a.md', path: 'docs/a.md', sha: 'a1' };
+    const renamed = { output: 'b.md', path: 'docs/b.md', sha: 'b1' };
+    const changed = { output: 'c.md', path: 'docs/c.md', sha: 'c2' };
+    const removed = { output: 'd.md', sha: 'd1', source: 'docs/d.md' };
+
+    expect(invalidateSyncPlan({
+      added: [],
+      changed: [changed],
+      removed: [removed],
+      renamed: [{ file: renamed, from: 'old-b.md' }],
+      stale: [],
+      unchanged: [unchanged],
+    })).toEqual({
+      added: [],
+      changed: [changed, unchanged, renamed],
+      removed: [removed],
+      renamed: [],
+      stale: ['old-b.md'],
+      unchanged: [],
+    });
+  });
+});
+
+// UNIT TEST
+
+describe('toManifestPath()', () => {
+  it('returns a forward-slash path relative to the output directory', () => {
+    expect(toManifestPath('./output', path.join('./output', 'react-docs', 'react-docs-hooks.md')))
+      .toBe('react-docs/react-docs-hooks.md');
+  });
+});
+
+// INTEGRATION TEST
+
+describe('readSyncManifest() / writeSyncManifest()', () => {
+  let outputDirectory;
+
+  beforeEach(async () => {
+    outputDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'gde-sync-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(outputDirectory);
+  });
+
+  it('returns undefined when there is no manifest', async () => {
+    await expect(readSyncManifest(outputDirectory)).resolves.toBeUndefined();
+  });
+
+  it('ignores a manifest written by an unknown version', async () => {
+    await fs.writeJson(path.join(outputDirectory, SYNC_MANIFEST_FILENAME), { files: [], version: 99 });
+    await expect(readSyncManifest(outputDirectory)).resolves.toBeUndefined();
+  });
+
+  it('ignores and reports a manifest that is not valid JSON', async () => {
+    const onInvalid = vi.fn();
+    await fs.writeFile(path.join(outputDirectory, SYNC_MANIFEST_FILENAME), '{ files: [');
+
+    await expect(readSyncManifest(outputDirectory, { onInvalid })).resolves.toBeUndefined();
+    expect(onInvalid).toHaveBeenCalledWith(expect.stringContaining('it is not valid JSON'));
+  });
+
+  it('ignores and reports a manifest without the list of extracted files', async () => {
+    const onInvalid = vi.fn();
+    await fs.writeJson(path.join(outputDirectory, SYNC_MANIFEST_FILENAME), { files: {}, version: 1 });
+
+    await expect(readSyncManifest(outputDirectory, { onInvalid })).resolves.toBeUndefined();
+    expect(onInvalid).toHaveBeenCalledWith('it does not list the extracted files');
+  });
+
+  it.each([
+    [{ files: [entry('docs/a.md', 'a1', '../victim.md')] }, '../victim.md'],
+    [{ files: [entry('docs/a.md', 'a1', '/etc/passwd')] }, '/etc/passwd'],
+    [{ files: [{ ...entry('docs/a.md', 'a1', 'a.md'), chunks: ['a/../../victim.md'] }] }, 'a/../../victim.md'],
+    [{ assets: [entry('docs/z.png', 'z1', 'assets\\..\\..\\victim.png')], files: [] }, 'assets\\..\\..\\victim.png'],
+    [{ files: [], generated: ['C:\\victim'] }, 'C:\\victim'],
+  ])('ignores and reports a manifest listing outputs outside of the output directory (%#)', async (content, unsafe) => {
+    const onInvalid = vi.fn();
+    await fs.writeJson(path.join(outputDirectory, SYNC_MANIFEST_FILENAME), { ...content, version: 1 });
+
+    await expect(readSyncManifest(outputDirectory, { onInvalid })).resolves.toBeUndefined();
+    expect(onInvalid).toHaveBeenCalledWith(`it lists ${JSON.stringify(unsafe)}, which is not a path inside the output directory`);
+  });
+
+  it('writes a manifest sorted by source path and reads it back', async () => {
+    const source = { commit: 'abc', ref: 'main', repository: 'owner/repo' };
+    const entries = [entry('docs/b.md', 'b1', 'b.md'), entry('docs/a.md', 'a1', 'a.md')];
+
+    await writeSyncManifest(outputDirectory, source, entries);
+
+    await expect(readSyncManifest(outputDirectory)).resolves.toEqual({
+      ...source,
+      files: [entries[1], entries[0]],
+      version: 1,
+    });
+  });
+
+  it('sorts manifest entries by code unit, whatever the locale', async () => {
+    const source = { commit: 'abc', ref: 'main', repository: 'owner/repo' };
+    const entries = [entry('docs/b.md', 'b1', 'b.md'), entry('docs/a.md', 'a1', 'a.md'), entry('docs/B.md', 'B1', 'B.md')];
+
+    await writeSyncManifest(outputDirectory, source, entries);
+
+    const manifest = await readSyncManifest(outputDirectory);
+    expect(manifest.files.map((file) => file.source)).toEqual(['docs/B.md', 'docs/a.md', 'docs/b.md']);
+  });
+
+  it('records the extracted assets separately', async () => {
+    const source = { commit: 'abc', ref: 'main', repository: 'owner/repo' };
+    const entries = [entry('docs/a.md', 'a1', 'a.md')];
+    const assetEntries = [entry('docs/z.png', 'z1', 'assets/docs-z.png'), entry('docs/b.png', 'b1', 'assets/docs-b.png')];
+
+    await writeSyncManifest(outputDirectory, source, entries, assetEntries);
+
+    await expect(readSyncManifest(outputDirectory)).resolves.toEqual({
+      ...source,
+      assets: [assetEntries[1], assetEntries[0]],
+      files: entries,
+      version: 1,
+    });
+  });
+
+  function entry(sourcePath, sha, output) {
+    return { output, sha, source: sourcePath };
+  }
+});